@@ -0,0 +1,119 @@
+// migrations/001_esquema_inicial.js
+// Tablas base usadas por server.js
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS turistas (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            nombre VARCHAR(100) NOT NULL,
+            apellido VARCHAR(100) NOT NULL,
+            email VARCHAR(255) NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            telefono VARCHAR(20) NULL,
+            fecha_nacimiento DATE NULL,
+            genero ENUM('masculino', 'femenino', 'otro', 'prefiero_no_decir') NULL,
+            pais_origen VARCHAR(100) NULL,
+            ciudad_origen VARCHAR(100) NULL,
+            preferencias_turisticas TEXT NULL,
+            foto_perfil VARCHAR(500) NULL,
+            verificado TINYINT(1) NOT NULL DEFAULT 0,
+            estado ENUM('activo', 'inactivo', 'suspendido') NOT NULL DEFAULT 'activo',
+            fecha_registro TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            ultima_conexion DATETIME NULL,
+            UNIQUE KEY uq_turistas_email (email)
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS negocios (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            nombre VARCHAR(150) NOT NULL,
+            descripcion TEXT NULL,
+            direccion VARCHAR(255) NULL,
+            telefono VARCHAR(20) NULL,
+            email VARCHAR(255) NOT NULL,
+            categoria ENUM('restaurante', 'hotel', 'tienda', 'entretenimiento', 'servicios', 'otro') NOT NULL,
+            latitud DECIMAL(10, 8) NULL,
+            longitud DECIMAL(11, 8) NULL,
+            horario_apertura TIME NULL,
+            horario_cierre TIME NULL,
+            dias_funcionamiento VARCHAR(100) NULL,
+            imagen_principal VARCHAR(500) NULL,
+            sitio_web VARCHAR(255) NULL,
+            calificacion_promedio DECIMAL(3, 2) NOT NULL DEFAULT 0.00,
+            total_resenas INT NOT NULL DEFAULT 0,
+            estado ENUM('activo', 'inactivo', 'suspendido') NOT NULL DEFAULT 'activo',
+            fecha_registro TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            fecha_actualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            KEY idx_negocios_categoria_estado (categoria, estado),
+            KEY idx_negocios_ranking (calificacion_promedio, total_resenas)
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS administradores_negocios (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            negocio_id INT NOT NULL,
+            nombre VARCHAR(100) NOT NULL,
+            apellido VARCHAR(100) NOT NULL,
+            email VARCHAR(255) NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            telefono VARCHAR(20) NULL,
+            cargo VARCHAR(100) NULL,
+            permisos TEXT NULL,
+            estado ENUM('activo', 'inactivo', 'suspendido') NOT NULL DEFAULT 'activo',
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            ultima_conexion DATETIME NULL,
+            UNIQUE KEY uq_administradores_negocios_email (email),
+            CONSTRAINT fk_administradores_negocios_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS super_administradores (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            usuario VARCHAR(50) NOT NULL,
+            nombre VARCHAR(150) NOT NULL,
+            email VARCHAR(255) NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            nivel_acceso ENUM('total', 'moderador', 'soporte') NOT NULL DEFAULT 'total',
+            permisos TEXT NULL,
+            estado ENUM('activo', 'inactivo', 'suspendido') NOT NULL DEFAULT 'activo',
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            ultima_conexion DATETIME NULL,
+            UNIQUE KEY uq_super_administradores_usuario (usuario),
+            UNIQUE KEY uq_super_administradores_email (email)
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS resenas (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            turista_id INT NOT NULL,
+            negocio_id INT NOT NULL,
+            calificacion TINYINT NOT NULL,
+            comentario TEXT NULL,
+            estado ENUM('activa', 'oculta', 'eliminada') NOT NULL DEFAULT 'activa',
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            fecha_actualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_resenas_turista_negocio (turista_id, negocio_id),
+            KEY idx_resenas_negocio_estado (negocio_id, estado, fecha_creacion),
+            CONSTRAINT chk_resenas_calificacion CHECK (calificacion BETWEEN 1 AND 5),
+            CONSTRAINT fk_resenas_turista
+                FOREIGN KEY (turista_id) REFERENCES turistas (id) ON DELETE CASCADE,
+            CONSTRAINT fk_resenas_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS resenas');
+    await connection.query('DROP TABLE IF EXISTS super_administradores');
+    await connection.query('DROP TABLE IF EXISTS administradores_negocios');
+    await connection.query('DROP TABLE IF EXISTS negocios');
+    await connection.query('DROP TABLE IF EXISTS turistas');
+};
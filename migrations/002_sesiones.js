@@ -0,0 +1,40 @@
+// migrations/002_sesiones.js
+// Sesiones con refresh tokens rotativos para los tres tipos de usuario
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS sesiones (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            tipo_usuario ENUM('turista', 'admin_negocio', 'super_admin') NOT NULL,
+            usuario_id INT NOT NULL,
+            ip VARCHAR(45) NULL,
+            user_agent VARCHAR(255) NULL,
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            ultima_actividad DATETIME NULL,
+            expira_en DATETIME NOT NULL,
+            revocada_en DATETIME NULL,
+            motivo_revocacion VARCHAR(50) NULL,
+            KEY idx_sesiones_usuario (tipo_usuario, usuario_id, revocada_en)
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS tokens_refresco (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            sesion_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL,
+            usado_en DATETIME NULL,
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_tokens_refresco_hash (token_hash),
+            CONSTRAINT fk_tokens_refresco_sesion
+                FOREIGN KEY (sesion_id) REFERENCES sesiones (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS tokens_refresco');
+    await connection.query('DROP TABLE IF EXISTS sesiones');
+};
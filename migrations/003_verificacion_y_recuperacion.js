@@ -0,0 +1,31 @@
+// migrations/003_verificacion_y_recuperacion.js
+// Tokens de un solo uso para verificar el email y restablecer la contraseña
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE administradores_negocios
+        ADD COLUMN verificado TINYINT(1) NOT NULL DEFAULT 0 AFTER permisos
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS tokens_un_uso (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            jti CHAR(36) NOT NULL,
+            tipo_usuario ENUM('turista', 'admin_negocio') NOT NULL,
+            usuario_id INT NOT NULL,
+            proposito ENUM('verificar_email', 'restablecer_password') NOT NULL,
+            expira_en DATETIME NOT NULL,
+            usado_en DATETIME NULL,
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_tokens_un_uso_jti (jti),
+            KEY idx_tokens_un_uso_usuario (tipo_usuario, usuario_id, proposito)
+        ) ${OPCIONES_TABLA}
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS tokens_un_uso');
+    await connection.query('ALTER TABLE administradores_negocios DROP COLUMN verificado');
+};
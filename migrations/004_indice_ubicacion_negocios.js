@@ -0,0 +1,10 @@
+// migrations/004_indice_ubicacion_negocios.js
+// Índice para el prefiltro por rectángulo de la búsqueda por cercanía
+
+exports.up = async (connection) => {
+    await connection.query('CREATE INDEX idx_negocios_ubicacion ON negocios (latitud, longitud)');
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP INDEX idx_negocios_ubicacion ON negocios');
+};
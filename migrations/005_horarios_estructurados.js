@@ -0,0 +1,49 @@
+// migrations/005_horarios_estructurados.js
+// Horario semanal con varios rangos por día, zona horaria y excepciones por fecha.
+// Las columnas horario_apertura/horario_cierre/dias_funcionamiento se conservan y
+// se usan como respaldo mientras un negocio no tenga filas en horarios_negocio.
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE negocios
+        ADD COLUMN zona_horaria VARCHAR(64) NOT NULL DEFAULT 'America/Mexico_City' AFTER dias_funcionamiento
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS horarios_negocio (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            negocio_id INT NOT NULL,
+            dia_semana TINYINT NOT NULL COMMENT '0 = domingo ... 6 = sábado',
+            hora_apertura TIME NOT NULL,
+            hora_cierre TIME NOT NULL COMMENT 'Si es menor o igual a la apertura, cierra al día siguiente',
+            KEY idx_horarios_negocio_dia (negocio_id, dia_semana),
+            CONSTRAINT chk_horarios_negocio_dia CHECK (dia_semana BETWEEN 0 AND 6),
+            CONSTRAINT fk_horarios_negocio_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS excepciones_horario (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            negocio_id INT NOT NULL,
+            fecha_inicio DATE NOT NULL,
+            fecha_fin DATE NOT NULL,
+            cerrado TINYINT(1) NOT NULL DEFAULT 1,
+            hora_apertura TIME NULL,
+            hora_cierre TIME NULL,
+            motivo VARCHAR(150) NULL,
+            KEY idx_excepciones_horario_fechas (negocio_id, fecha_inicio, fecha_fin),
+            CONSTRAINT fk_excepciones_horario_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS excepciones_horario');
+    await connection.query('DROP TABLE IF EXISTS horarios_negocio');
+    await connection.query('ALTER TABLE negocios DROP COLUMN zona_horaria');
+};
@@ -0,0 +1,42 @@
+// migrations/006_calificacion_ponderada.js
+// Promedio bayesiano para ordenar negocios y recálculo inicial de los agregados.
+// El SQL se copia aquí a propósito, con la media y el peso previos por defecto
+// (3.5 y 5), para que la migración no cambie si cambia src/resenas/calificaciones.js.
+// Un negocio sin reseñas queda con la media previa, no con 0, tanto en el
+// recálculo como en el valor por defecto de la columna.
+// Con otros valores en CALIFICACION_MEDIA_PREVIA o CALIFICACION_PESO_PREVIO,
+// ejecutar después npm run calificaciones:recalcular.
+
+const MEDIA_PREVIA = 3.5;
+const PESO_PREVIO = 5;
+
+exports.up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE negocios
+        ADD COLUMN calificacion_ponderada DECIMAL(4, 3) NOT NULL DEFAULT ${MEDIA_PREVIA} AFTER calificacion_promedio,
+        DROP INDEX idx_negocios_ranking,
+        ADD INDEX idx_negocios_ranking (calificacion_ponderada, total_resenas)
+    `);
+
+    await connection.query(`
+        UPDATE negocios n
+        LEFT JOIN (
+            SELECT negocio_id, COUNT(*) AS total, AVG(calificacion) AS promedio
+            FROM resenas
+            WHERE estado = 'activa'
+            GROUP BY negocio_id
+        ) r ON r.negocio_id = n.id
+        SET n.total_resenas = COALESCE(r.total, 0),
+            n.calificacion_promedio = COALESCE(r.promedio, 0),
+            n.calificacion_ponderada = (? * ? + COALESCE(r.total, 0) * COALESCE(r.promedio, 0)) / (? + COALESCE(r.total, 0))
+    `, [PESO_PREVIO, MEDIA_PREVIA, PESO_PREVIO]);
+};
+
+exports.down = async (connection) => {
+    await connection.query(`
+        ALTER TABLE negocios
+        DROP INDEX idx_negocios_ranking,
+        DROP COLUMN calificacion_ponderada,
+        ADD INDEX idx_negocios_ranking (calificacion_promedio, total_resenas)
+    `);
+};
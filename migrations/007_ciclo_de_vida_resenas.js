@@ -0,0 +1,76 @@
+// migrations/007_ciclo_de_vida_resenas.js
+// Edición de reseñas, respuestas de los negocios, reportes y moderación
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE resenas
+        MODIFY COLUMN estado ENUM('activa', 'oculta', 'rechazada', 'eliminada') NOT NULL DEFAULT 'activa',
+        ADD COLUMN fecha_edicion DATETIME NULL AFTER fecha_creacion
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS respuestas_resenas (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            resena_id INT NOT NULL,
+            admin_id INT NULL,
+            respuesta TEXT NOT NULL,
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            fecha_actualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_respuestas_resenas_resena (resena_id),
+            CONSTRAINT fk_respuestas_resenas_resena
+                FOREIGN KEY (resena_id) REFERENCES resenas (id) ON DELETE CASCADE,
+            CONSTRAINT fk_respuestas_resenas_admin
+                FOREIGN KEY (admin_id) REFERENCES administradores_negocios (id) ON DELETE SET NULL
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS reportes_resenas (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            resena_id INT NOT NULL,
+            tipo_usuario ENUM('turista', 'admin_negocio', 'super_admin') NOT NULL,
+            usuario_id INT NOT NULL,
+            motivo ENUM('spam', 'ofensivo', 'falso', 'conflicto_interes', 'otro') NOT NULL,
+            comentario VARCHAR(500) NULL,
+            estado ENUM('pendiente', 'resuelto', 'descartado') NOT NULL DEFAULT 'pendiente',
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            fecha_resolucion DATETIME NULL,
+            UNIQUE KEY uq_reportes_resenas_usuario (resena_id, tipo_usuario, usuario_id),
+            KEY idx_reportes_resenas_estado (estado, resena_id),
+            CONSTRAINT fk_reportes_resenas_resena
+                FOREIGN KEY (resena_id) REFERENCES resenas (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS moderaciones_resenas (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            resena_id INT NOT NULL,
+            super_admin_id INT NULL,
+            accion ENUM('ocultar', 'restaurar', 'rechazar') NOT NULL,
+            motivo VARCHAR(500) NOT NULL,
+            estado_anterior VARCHAR(20) NOT NULL,
+            estado_nuevo VARCHAR(20) NOT NULL,
+            fecha TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_moderaciones_resenas_resena (resena_id, fecha),
+            CONSTRAINT fk_moderaciones_resenas_resena
+                FOREIGN KEY (resena_id) REFERENCES resenas (id) ON DELETE CASCADE,
+            CONSTRAINT fk_moderaciones_resenas_super_admin
+                FOREIGN KEY (super_admin_id) REFERENCES super_administradores (id) ON DELETE SET NULL
+        ) ${OPCIONES_TABLA}
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS moderaciones_resenas');
+    await connection.query('DROP TABLE IF EXISTS reportes_resenas');
+    await connection.query('DROP TABLE IF EXISTS respuestas_resenas');
+    await connection.query("UPDATE resenas SET estado = 'oculta' WHERE estado = 'rechazada'");
+    await connection.query(`
+        ALTER TABLE resenas
+        DROP COLUMN fecha_edicion,
+        MODIFY COLUMN estado ENUM('activa', 'oculta', 'eliminada') NOT NULL DEFAULT 'activa'
+    `);
+};
@@ -0,0 +1,24 @@
+// migrations/008_borrado_logico_cuentas.js
+// Borrado lógico de turistas, administradores de negocio y negocios
+
+const TABLAS = ['turistas', 'administradores_negocios', 'negocios'];
+
+exports.up = async (connection) => {
+    for (const tabla of TABLAS) {
+        await connection.query(`
+            ALTER TABLE ${tabla}
+            ADD COLUMN fecha_eliminacion DATETIME NULL,
+            ADD INDEX idx_${tabla}_estado_eliminacion (estado, fecha_eliminacion)
+        `);
+    }
+};
+
+exports.down = async (connection) => {
+    for (const tabla of TABLAS) {
+        await connection.query(`
+            ALTER TABLE ${tabla}
+            DROP INDEX idx_${tabla}_estado_eliminacion,
+            DROP COLUMN fecha_eliminacion
+        `);
+    }
+};
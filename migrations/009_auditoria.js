@@ -0,0 +1,43 @@
+// migrations/009_auditoria.js
+// Registro de auditoría de solo inserción. Los triggers impiden modificar o
+// borrar entradas; en servidores con binlog activo, crearlos requiere
+// log_bin_trust_function_creators=1 o privilegio SUPER.
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS auditoria (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            actor_tipo ENUM('turista', 'admin_negocio', 'super_admin', 'sistema', 'anonimo') NOT NULL,
+            actor_id INT NULL,
+            accion VARCHAR(64) NOT NULL,
+            entidad VARCHAR(64) NOT NULL,
+            entidad_id VARCHAR(64) NULL,
+            cambios JSON NULL,
+            metadatos JSON NULL,
+            ip VARCHAR(45) NULL,
+            user_agent VARCHAR(255) NULL,
+            fecha TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            KEY idx_auditoria_fecha (fecha),
+            KEY idx_auditoria_actor (actor_tipo, actor_id, fecha),
+            KEY idx_auditoria_entidad (entidad, entidad_id, fecha),
+            KEY idx_auditoria_accion (accion, fecha)
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TRIGGER trg_auditoria_sin_update BEFORE UPDATE ON auditoria
+        FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'La auditoría es de solo inserción'
+    `);
+    await connection.query(`
+        CREATE TRIGGER trg_auditoria_sin_delete BEFORE DELETE ON auditoria
+        FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'La auditoría es de solo inserción'
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TRIGGER IF EXISTS trg_auditoria_sin_delete');
+    await connection.query('DROP TRIGGER IF EXISTS trg_auditoria_sin_update');
+    await connection.query('DROP TABLE IF EXISTS auditoria');
+};
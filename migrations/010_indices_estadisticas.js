@@ -0,0 +1,12 @@
+// migrations/010_indices_estadisticas.js
+// Índices para los reportes de la plataforma: reseñas por fecha y turistas por mes de registro
+
+exports.up = async (connection) => {
+    await connection.query('CREATE INDEX idx_resenas_estado_fecha ON resenas (estado, fecha_creacion)');
+    await connection.query('CREATE INDEX idx_turistas_fecha_registro ON turistas (fecha_registro)');
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP INDEX idx_turistas_fecha_registro ON turistas');
+    await connection.query('DROP INDEX idx_resenas_estado_fecha ON resenas');
+};
@@ -0,0 +1,10 @@
+// migrations/011_busqueda_negocios.js
+// Índice de texto completo para la búsqueda pública de negocios (parámetro q)
+
+exports.up = async (connection) => {
+    await connection.query('CREATE FULLTEXT INDEX ft_negocios_busqueda ON negocios (nombre, descripcion, direccion)');
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP INDEX ft_negocios_busqueda ON negocios');
+};
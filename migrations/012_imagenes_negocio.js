@@ -0,0 +1,28 @@
+// migrations/012_imagenes_negocio.js
+// Galería de imágenes de los negocios. `carpeta` es el prefijo de sus variantes
+// en el almacenamiento; negocios.imagen_principal guarda la URL de la portada.
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS imagenes_negocio (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            negocio_id INT NOT NULL,
+            carpeta VARCHAR(255) NOT NULL,
+            orden INT NOT NULL DEFAULT 0,
+            es_portada TINYINT(1) NOT NULL DEFAULT 0,
+            ancho INT NOT NULL,
+            alto INT NOT NULL,
+            bytes INT NOT NULL,
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_imagenes_negocio_orden (negocio_id, orden),
+            CONSTRAINT fk_imagenes_negocio_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS imagenes_negocio');
+};
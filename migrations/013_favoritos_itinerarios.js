@@ -0,0 +1,65 @@
+// migrations/013_favoritos_itinerarios.js
+// Negocios favoritos de los turistas e itinerarios de viaje. Cada parada de un
+// itinerario pertenece a un día (1 = primer día) y se ordena dentro de él.
+// `token_publico` es el enlace de solo lectura; null si no se ha compartido.
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS favoritos (
+            turista_id INT NOT NULL,
+            negocio_id INT NOT NULL,
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (turista_id, negocio_id),
+            KEY idx_favoritos_negocio (negocio_id),
+            CONSTRAINT fk_favoritos_turista
+                FOREIGN KEY (turista_id) REFERENCES turistas (id) ON DELETE CASCADE,
+            CONSTRAINT fk_favoritos_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS itinerarios (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            turista_id INT NOT NULL,
+            nombre VARCHAR(150) NOT NULL,
+            descripcion TEXT NULL,
+            fecha_inicio DATE NULL COMMENT 'Fecha del día 1; sin ella solo se conoce el orden de los días',
+            token_publico VARCHAR(64) NULL,
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            fecha_actualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uk_itinerarios_token (token_publico),
+            KEY idx_itinerarios_turista (turista_id, fecha_actualizacion),
+            CONSTRAINT fk_itinerarios_turista
+                FOREIGN KEY (turista_id) REFERENCES turistas (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS paradas_itinerario (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            itinerario_id INT NOT NULL,
+            negocio_id INT NOT NULL,
+            dia SMALLINT NOT NULL,
+            orden INT NOT NULL DEFAULT 0,
+            hora_inicio TIME NULL,
+            hora_fin TIME NULL COMMENT 'Si es menor que hora_inicio, la visita termina al día siguiente',
+            notas VARCHAR(500) NULL,
+            KEY idx_paradas_itinerario_dia (itinerario_id, dia, orden),
+            KEY idx_paradas_itinerario_negocio (negocio_id),
+            CONSTRAINT chk_paradas_itinerario_dia CHECK (dia >= 1),
+            CONSTRAINT fk_paradas_itinerario_itinerario
+                FOREIGN KEY (itinerario_id) REFERENCES itinerarios (id) ON DELETE CASCADE,
+            CONSTRAINT fk_paradas_itinerario_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS paradas_itinerario');
+    await connection.query('DROP TABLE IF EXISTS itinerarios');
+    await connection.query('DROP TABLE IF EXISTS favoritos');
+};
@@ -0,0 +1,82 @@
+// migrations/014_reservas.js
+// Reservas en hoteles y restaurantes
+//
+// El negocio publica franjas con capacidad: en restaurantes una por hora de
+// servicio (capacidad en comensales) y en hoteles una por noche (capacidad en
+// habitaciones, con hora 00:00). `ocupadas` se actualiza en la misma
+// transacción que la reserva con un UPDATE condicionado a la capacidad, así
+// que dos reservas simultáneas no pueden superar el cupo. reservas_franjas
+// guarda lo que ocupa cada reserva para liberarlo al cancelarla o rechazarla.
+// resenas.reserva_id enlaza una reseña con la reserva completada que la respalda.
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS franjas_reserva (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            negocio_id INT NOT NULL,
+            fecha DATE NOT NULL,
+            hora TIME NOT NULL DEFAULT '00:00:00' COMMENT 'En hoteles siempre 00:00: la franja es la noche de esa fecha',
+            capacidad INT NOT NULL,
+            ocupadas INT NOT NULL DEFAULT 0,
+            UNIQUE KEY uk_franjas_reserva (negocio_id, fecha, hora),
+            CONSTRAINT chk_franjas_reserva_cupo CHECK (capacidad >= 0 AND ocupadas >= 0),
+            CONSTRAINT fk_franjas_reserva_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS reservas (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            negocio_id INT NOT NULL,
+            turista_id INT NOT NULL,
+            estado ENUM('pendiente', 'confirmada', 'rechazada', 'cancelada', 'completada', 'no_presentado') NOT NULL DEFAULT 'pendiente',
+            fecha DATE NOT NULL COMMENT 'Día de la reserva o de llegada al hotel',
+            hora TIME NULL COMMENT 'Solo restaurantes',
+            fecha_salida DATE NULL COMMENT 'Solo hoteles',
+            personas INT NOT NULL,
+            unidades INT NOT NULL COMMENT 'Comensales o habitaciones que ocupa en cada franja',
+            notas VARCHAR(500) NULL,
+            motivo VARCHAR(500) NULL COMMENT 'Motivo del rechazo o la cancelación',
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            fecha_actualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            KEY idx_reservas_negocio (negocio_id, estado, fecha),
+            KEY idx_reservas_turista (turista_id, fecha),
+            CONSTRAINT fk_reservas_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE,
+            CONSTRAINT fk_reservas_turista
+                FOREIGN KEY (turista_id) REFERENCES turistas (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS reservas_franjas (
+            reserva_id INT NOT NULL,
+            franja_id INT NOT NULL,
+            unidades INT NOT NULL,
+            PRIMARY KEY (reserva_id, franja_id),
+            KEY idx_reservas_franjas_franja (franja_id),
+            CONSTRAINT fk_reservas_franjas_reserva
+                FOREIGN KEY (reserva_id) REFERENCES reservas (id) ON DELETE CASCADE,
+            CONSTRAINT fk_reservas_franjas_franja
+                FOREIGN KEY (franja_id) REFERENCES franjas_reserva (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        ALTER TABLE resenas
+        ADD COLUMN reserva_id INT NULL AFTER negocio_id,
+        ADD UNIQUE KEY uk_resenas_reserva (reserva_id),
+        ADD CONSTRAINT fk_resenas_reserva FOREIGN KEY (reserva_id) REFERENCES reservas (id) ON DELETE SET NULL
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('ALTER TABLE resenas DROP FOREIGN KEY fk_resenas_reserva');
+    await connection.query('ALTER TABLE resenas DROP INDEX uk_resenas_reserva, DROP COLUMN reserva_id');
+    await connection.query('DROP TABLE IF EXISTS reservas_franjas');
+    await connection.query('DROP TABLE IF EXISTS reservas');
+    await connection.query('DROP TABLE IF EXISTS franjas_reserva');
+};
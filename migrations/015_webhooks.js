@@ -0,0 +1,60 @@
+// migrations/015_webhooks.js
+// Webhooks salientes y su cola de entregas
+//
+// Un webhook con negocio_id recibe los eventos de ese negocio; los de la
+// plataforma (negocio_id NULL, solo super admins) reciben los de todos.
+// entregas_webhook es a la vez la cola persistente y el registro de entregas:
+// cada evento se encola en la misma transacción que el cambio que lo provoca,
+// y el despachador envía las pendientes cuyo `proximo_intento` ya pasó.
+// `cuerpo` guarda el JSON exacto que se firma, para que los reenvíos sean idénticos.
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            negocio_id INT NULL,
+            url VARCHAR(500) NOT NULL,
+            secreto VARCHAR(100) NOT NULL COMMENT 'Clave HMAC; se necesita en claro para firmar',
+            eventos JSON NOT NULL,
+            descripcion VARCHAR(255) NULL,
+            activo TINYINT(1) NOT NULL DEFAULT 1,
+            creado_por_tipo ENUM('admin_negocio', 'super_admin') NOT NULL,
+            creado_por_id INT NOT NULL,
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            fecha_actualizacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            KEY idx_webhooks_negocio (negocio_id, activo),
+            CONSTRAINT fk_webhooks_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS entregas_webhook (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            webhook_id INT NOT NULL,
+            evento VARCHAR(50) NOT NULL,
+            evento_id CHAR(36) NOT NULL COMMENT 'Igual en todas las entregas y reenvíos del mismo evento',
+            cuerpo MEDIUMTEXT NOT NULL,
+            estado ENUM('pendiente', 'entregada', 'fallida') NOT NULL DEFAULT 'pendiente',
+            intentos INT NOT NULL DEFAULT 0,
+            proximo_intento DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            ultimo_intento DATETIME(3) NULL,
+            ultimo_status INT NULL COMMENT 'Código HTTP de la última respuesta',
+            ultimo_error VARCHAR(500) NULL,
+            reenvio_de INT NULL COMMENT 'Entrega original si es un reenvío manual',
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            fecha_entrega DATETIME(3) NULL,
+            KEY idx_entregas_cola (estado, proximo_intento),
+            KEY idx_entregas_webhook (webhook_id, fecha_creacion),
+            CONSTRAINT fk_entregas_webhook
+                FOREIGN KEY (webhook_id) REFERENCES webhooks (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS entregas_webhook');
+    await connection.query('DROP TABLE IF EXISTS webhooks');
+};
@@ -0,0 +1,13 @@
+// migrations/016_idioma_turistas.js
+// Idioma preferido del turista para los mensajes de la API; NULL usa Accept-Language
+
+exports.up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE turistas
+        ADD COLUMN idioma VARCHAR(5) NULL AFTER preferencias_turisticas
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('ALTER TABLE turistas DROP COLUMN idioma');
+};
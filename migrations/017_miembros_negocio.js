@@ -0,0 +1,64 @@
+// migrations/017_miembros_negocio.js
+// Un administrador puede gestionar varios negocios y un negocio tener varios
+// administradores. Cada membresía tiene un rol: `propietario` (todo, incluidos
+// los miembros), `editor` (datos, reseñas, reservas y estadísticas) o
+// `lector` (solo estadísticas). Los administradores existentes pasan a ser
+// propietarios de su negocio y desaparece administradores_negocios.negocio_id.
+
+const OPCIONES_TABLA = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+exports.up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS miembros_negocio (
+            negocio_id INT NOT NULL,
+            admin_id INT NOT NULL,
+            rol ENUM('propietario', 'editor', 'lector') NOT NULL DEFAULT 'editor',
+            fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (negocio_id, admin_id),
+            KEY idx_miembros_negocio_admin (admin_id),
+            CONSTRAINT fk_miembros_negocio_negocio
+                FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE,
+            CONSTRAINT fk_miembros_negocio_admin
+                FOREIGN KEY (admin_id) REFERENCES administradores_negocios (id) ON DELETE CASCADE
+        ) ${OPCIONES_TABLA}
+    `);
+
+    await connection.query(`
+        INSERT IGNORE INTO miembros_negocio (negocio_id, admin_id, rol)
+        SELECT negocio_id, id, 'propietario' FROM administradores_negocios
+    `);
+
+    await connection.query(`
+        ALTER TABLE administradores_negocios
+        DROP FOREIGN KEY fk_administradores_negocios_negocio
+    `);
+    await connection.query('ALTER TABLE administradores_negocios DROP COLUMN negocio_id');
+};
+
+// Cada administrador vuelve a su primer negocio, preferentemente uno del que
+// es propietario; los que no tienen ninguno no caben en el esquema anterior
+exports.down = async (connection) => {
+    await connection.query(`
+        DELETE FROM administradores_negocios
+        WHERE id NOT IN (SELECT admin_id FROM miembros_negocio)
+    `);
+
+    await connection.query('ALTER TABLE administradores_negocios ADD COLUMN negocio_id INT NULL AFTER id');
+    await connection.query(`
+        UPDATE administradores_negocios an
+        SET an.negocio_id = (
+            SELECT mn.negocio_id FROM miembros_negocio mn
+            WHERE mn.admin_id = an.id
+            ORDER BY mn.rol = 'propietario' DESC, mn.fecha_creacion, mn.negocio_id
+            LIMIT 1
+        )
+    `);
+    await connection.query(`
+        ALTER TABLE administradores_negocios
+        MODIFY negocio_id INT NOT NULL,
+        ADD CONSTRAINT fk_administradores_negocios_negocio
+            FOREIGN KEY (negocio_id) REFERENCES negocios (id) ON DELETE CASCADE
+    `);
+
+    await connection.query('DROP TABLE IF EXISTS miembros_negocio');
+};
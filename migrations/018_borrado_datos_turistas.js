@@ -0,0 +1,51 @@
+// migrations/018_borrado_datos_turistas.js
+// Borrado de los datos personales de los turistas que lo solicitan. La cuenta
+// se desactiva al pedirlo y, pasado el periodo de gracia, se anonimiza
+// (scripts/anonimizar-turistas.js). `fecha_anonimizacion` marca las cuentas ya
+// anonimizadas, que no se pueden restaurar.
+//
+// El trigger de la auditoría pasa a admitir un único UPDATE: la depuración de
+// los datos personales al anonimizar (src/repositories/mysql/auditoria.js
+// scrub), que activa @auditoria_depuracion y solo cambia cambios, metadatos, ip
+// y user_agent. Los DELETE siguen prohibidos.
+
+// Trigger original de la migración 009, que down vuelve a crear
+const SIN_UPDATE = `
+    CREATE TRIGGER trg_auditoria_sin_update BEFORE UPDATE ON auditoria
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'La auditoría es de solo inserción'
+`;
+
+exports.up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE turistas
+        ADD COLUMN fecha_borrado_programado DATETIME NULL AFTER fecha_eliminacion,
+        ADD COLUMN fecha_anonimizacion DATETIME NULL AFTER fecha_borrado_programado,
+        ADD INDEX idx_turistas_borrado_programado (fecha_borrado_programado)
+    `);
+
+    await connection.query('DROP TRIGGER IF EXISTS trg_auditoria_sin_update');
+    await connection.query(`
+        CREATE TRIGGER trg_auditoria_sin_update BEFORE UPDATE ON auditoria
+        FOR EACH ROW
+        BEGIN
+            IF COALESCE(@auditoria_depuracion, 0) <> 1
+                OR NOT (NEW.id <=> OLD.id AND NEW.actor_tipo <=> OLD.actor_tipo AND NEW.actor_id <=> OLD.actor_id
+                    AND NEW.accion <=> OLD.accion AND NEW.entidad <=> OLD.entidad
+                    AND NEW.entidad_id <=> OLD.entidad_id AND NEW.fecha <=> OLD.fecha) THEN
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'La auditoría es de solo inserción';
+            END IF;
+        END
+    `);
+};
+
+exports.down = async (connection) => {
+    await connection.query('DROP TRIGGER IF EXISTS trg_auditoria_sin_update');
+    await connection.query(SIN_UPDATE);
+
+    await connection.query(`
+        ALTER TABLE turistas
+        DROP INDEX idx_turistas_borrado_programado,
+        DROP COLUMN fecha_anonimizacion,
+        DROP COLUMN fecha_borrado_programado
+    `);
+};
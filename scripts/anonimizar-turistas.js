@@ -0,0 +1,43 @@
+// scripts/anonimizar-turistas.js
+// Anonimiza las cuentas de turista cuyo periodo de gracia de borrado terminó
+// (ver src/privacidad). Pensado para ejecutarse a diario con cron:
+//   node scripts/anonimizar-turistas.js
+
+const mysql = require('mysql2/promise');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { loadConfig } = require('../src/config');
+const { createLogger } = require('../src/logger');
+const { createStorage } = require('../src/storage');
+const { createMysqlRepositories } = require('../src/repositories');
+const { createAuditLog } = require('../src/auditoria');
+const { createPrivacidad } = require('../src/privacidad');
+
+const main = async () => {
+    const config = loadConfig();
+    const { connectionLimit, ...dbConfig } = config.db;
+    const pool = mysql.createPool({ ...dbConfig, connectionLimit });
+    try {
+        const logger = createLogger(config.log);
+        const repositories = createMysqlRepositories(pool, { calificaciones: config.calificaciones });
+        const privacidad = createPrivacidad({
+            repositories,
+            storage: createStorage(config.storage),
+            auditLog: createAuditLog({ repositories, logger }),
+            diasGracia: config.privacidad.diasGracia,
+            logger
+        });
+
+        const total = await privacidad.anonymizeDue();
+        console.log(`${total} cuenta(s) de turista anonimizada(s)`);
+    } finally {
+        await pool.end();
+    }
+};
+
+main().catch((error) => {
+    console.error('Error al anonimizar turistas:', error);
+    process.exitCode = 1;
+});
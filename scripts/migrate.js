@@ -0,0 +1,67 @@
+// scripts/migrate.js
+// Uso:
+//   node scripts/migrate.js up            aplica las migraciones pendientes
+//   node scripts/migrate.js down          revierte el último lote
+//   node scripts/migrate.js reset         revierte todas las migraciones
+//   node scripts/migrate.js status        muestra el estado de cada migración
+//   node scripts/migrate.js seed [--demo] ejecuta los seeds (--demo incluye datos de ejemplo)
+
+const mysql = require('mysql2/promise');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { getDbConfig } = require('../src/db/config');
+const { migrateUp, migrateDown, getStatus, runSeeds } = require('../src/db/migrator');
+
+// Conecta sin base de datos para poder crearla en entornos nuevos
+const connect = async () => {
+    const { database, ...config } = getDbConfig();
+    const connection = await mysql.createConnection(config);
+
+    await connection.query(
+        `CREATE DATABASE IF NOT EXISTS \`${database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
+    );
+    await connection.changeUser({ database });
+
+    return connection;
+};
+
+const commands = {
+    up: (connection) => migrateUp(connection),
+    down: (connection) => migrateDown(connection),
+    reset: (connection) => migrateDown(connection, { all: true }),
+    status: async (connection) => {
+        const migrations = await getStatus(connection);
+        if (migrations.length === 0) {
+            console.log('No se encontraron migraciones');
+        }
+        for (const m of migrations) {
+            const detalle = m.aplicada ? `aplicada (lote ${m.lote})` : 'pendiente';
+            console.log(`${m.nombre}: ${detalle}`);
+        }
+    },
+    seed: (connection, args) => runSeeds(connection, { demo: args.includes('--demo') })
+};
+
+const main = async () => {
+    const [command = 'up', ...args] = process.argv.slice(2);
+
+    if (!commands[command]) {
+        console.error(`Comando desconocido: ${command}. Usa up, down, reset, status o seed`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const connection = await connect();
+    try {
+        await commands[command](connection, args);
+    } finally {
+        await connection.end();
+    }
+};
+
+main().catch((error) => {
+    console.error('Error al ejecutar migraciones:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,28 @@
+// scripts/recalcular-calificaciones.js
+// Reconstruye calificacion_promedio, calificacion_ponderada y total_resenas de todos los negocios
+//   node scripts/recalcular-calificaciones.js
+
+const mysql = require('mysql2/promise');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { loadConfig } = require('../src/config');
+const { getDbConfig } = require('../src/db/config');
+const { refreshRatings } = require('../src/resenas/calificaciones');
+
+const main = async () => {
+    const { calificaciones } = loadConfig();
+    const connection = await mysql.createConnection(getDbConfig());
+    try {
+        const total = await refreshRatings(connection, null, calificaciones);
+        console.log(`Calificaciones recalculadas para ${total} negocio(s)`);
+    } finally {
+        await connection.end();
+    }
+};
+
+main().catch((error) => {
+    console.error('Error al recalcular calificaciones:', error);
+    process.exitCode = 1;
+});
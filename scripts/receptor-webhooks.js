@@ -0,0 +1,46 @@
+// scripts/receptor-webhooks.js
+// Receptor local para probar los webhooks: comprueba la firma de cada entrega
+// y la muestra por consola
+//   WEBHOOK_SECRETO=whsec_... node scripts/receptor-webhooks.js [puerto] [fallos]
+//
+// Con `fallos` > 0 responde 500 a las primeras N entregas, para ver los
+// reintentos en GET /api/webhooks/:id/entregas. Sin WEBHOOK_SECRETO no
+// comprueba la firma.
+
+const http = require('http');
+const { verifySignature } = require('../src/webhooks');
+
+const puerto = parseInt(process.argv[2] || process.env.PUERTO_RECEPTOR || '4000');
+let fallosPendientes = parseInt(process.argv[3] || '0');
+const secreto = process.env.WEBHOOK_SECRETO;
+
+const server = http.createServer((req, res) => {
+    const partes = [];
+    req.on('data', parte => partes.push(parte));
+    req.on('end', () => {
+        const cuerpo = Buffer.concat(partes).toString('utf8');
+        const firma = req.headers['x-webhook-firma'];
+        const entrega = req.headers['x-webhook-entrega'];
+
+        if (secreto && !verifySignature(secreto, cuerpo, firma)) {
+            console.log(`✗ Entrega ${entrega}: firma inválida`);
+            res.writeHead(401).end();
+            return;
+        }
+
+        if (fallosPendientes > 0) {
+            fallosPendientes--;
+            console.log(`↻ Entrega ${entrega}: fallo simulado (quedan ${fallosPendientes})`);
+            res.writeHead(500).end();
+            return;
+        }
+
+        console.log(`✓ Entrega ${entrega} (${req.headers['x-webhook-evento']})${secreto ? ', firma válida' : ''}`);
+        console.log(JSON.stringify(JSON.parse(cuerpo), null, 2));
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(puerto, () => {
+    console.log(`Receptor de webhooks escuchando en http://localhost:${puerto}`);
+});
@@ -0,0 +1,28 @@
+// scripts/verificar-openapi.js
+// Falla si hay rutas registradas sin entrada en src/docs/rutas.js o entradas
+// que ya no corresponden a ninguna ruta. Pensado para CI: npm run docs:verificar
+
+const { createApp } = require('../src/app');
+const { loadConfig } = require('../src/config');
+const { createMemoryRepositories } = require('../src/repositories');
+const catalogoRutas = require('../src/docs/rutas');
+const { checkCoverage } = require('../src/docs/openapi');
+
+// Las rutas no dependen de la base de datos ni del entorno: basta con los
+// repositorios en memoria y la configuración por defecto
+const app = createApp({ repositories: createMemoryRepositories(), config: loadConfig({}) });
+
+const { sinDocumentar, obsoletas } = checkCoverage(app, catalogoRutas);
+
+for (const ruta of sinDocumentar) {
+    console.error(`Ruta sin documentar: ${ruta}`);
+}
+for (const ruta of obsoletas) {
+    console.error(`Entrada sin ruta registrada: ${ruta}`);
+}
+
+if (sinDocumentar.length > 0 || obsoletas.length > 0) {
+    process.exitCode = 1;
+} else {
+    console.log('Todas las rutas están documentadas en la especificación OpenAPI');
+}
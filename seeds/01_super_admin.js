@@ -0,0 +1,40 @@
+// seeds/01_super_admin.js
+// Crea el super administrador inicial para que /api/auth/super-admin/login
+// funcione en una base de datos recién creada
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+exports.run = async (connection, { log }) => {
+    const usuario = process.env.SUPER_ADMIN_USUARIO || 'superadmin';
+
+    const [existing] = await connection.query(
+        'SELECT id FROM super_administradores WHERE usuario = ?',
+        [usuario]
+    );
+
+    if (existing.length > 0) {
+        log(`El super administrador "${usuario}" ya existe`);
+        return;
+    }
+
+    let password = process.env.SUPER_ADMIN_PASSWORD;
+    if (!password) {
+        password = crypto.randomBytes(12).toString('base64url');
+        log(`SUPER_ADMIN_PASSWORD no definido, contraseña generada: ${password}`);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await connection.query(`
+        INSERT INTO super_administradores (usuario, nombre, email, password_hash, nivel_acceso, estado)
+        VALUES (?, ?, ?, ?, 'total', 'activo')
+    `, [
+        usuario,
+        process.env.SUPER_ADMIN_NOMBRE || 'Super Administrador',
+        process.env.SUPER_ADMIN_EMAIL || 'admin@sistema-turismo.local',
+        hashedPassword
+    ]);
+
+    log(`Super administrador "${usuario}" creado`);
+};
@@ -0,0 +1,104 @@
+// seeds/02_datos_demo.js
+// Datos de ejemplo para entornos locales y CI (solo con `npm run seed -- --demo`)
+
+const bcrypt = require('bcryptjs');
+const { loadConfig } = require('../src/config');
+const { refreshRatings } = require('../src/resenas/calificaciones');
+
+exports.demo = true;
+
+const NEGOCIOS = [
+    {
+        nombre: 'Restaurante El Fogón',
+        descripcion: 'Cocina tradicional chiapaneca',
+        direccion: 'Av. Central 120, Tuxtla Gutiérrez',
+        telefono: '9610000001',
+        email: 'contacto@elfogon.local',
+        categoria: 'restaurante',
+        latitud: 16.75347,
+        longitud: -93.11532,
+        horario_apertura: '08:00:00',
+        horario_cierre: '22:00:00',
+        dias_funcionamiento: 'lunes,martes,miercoles,jueves,viernes,sabado,domingo'
+    },
+    {
+        nombre: 'Hotel Cañón del Sumidero',
+        descripcion: 'Hotel boutique con vista al cañón',
+        direccion: 'Calle Río Grijalva 45, Chiapa de Corzo',
+        telefono: '9610000002',
+        email: 'reservas@hotelsumidero.local',
+        categoria: 'hotel',
+        latitud: 16.70744,
+        longitud: -93.01283,
+        horario_apertura: '00:00:00',
+        horario_cierre: '23:59:59',
+        dias_funcionamiento: 'lunes,martes,miercoles,jueves,viernes,sabado,domingo'
+    },
+    {
+        nombre: 'Artesanías Zoque',
+        descripcion: 'Tienda de artesanías locales',
+        direccion: 'Mercado de artesanías, local 12',
+        telefono: '9610000003',
+        email: 'ventas@artesaniaszoque.local',
+        categoria: 'tienda',
+        latitud: 16.75901,
+        longitud: -93.12904,
+        horario_apertura: '10:00:00',
+        horario_cierre: '19:00:00',
+        dias_funcionamiento: 'martes,miercoles,jueves,viernes,sabado'
+    }
+];
+
+// Inserta una fila solo si no existe otra con el mismo email y devuelve su id
+const upsertByEmail = async (connection, table, row) => {
+    const [existing] = await connection.query(`SELECT id FROM ${table} WHERE email = ?`, [row.email]);
+    if (existing.length > 0) {
+        return existing[0].id;
+    }
+
+    const [result] = await connection.query(`INSERT INTO ${table} SET ?`, [row]);
+    return result.insertId;
+};
+
+exports.run = async (connection, { log }) => {
+    const negocioIds = [];
+    for (const negocio of NEGOCIOS) {
+        negocioIds.push(await upsertByEmail(connection, 'negocios', { ...negocio, estado: 'activo' }));
+    }
+
+    const adminId = await upsertByEmail(connection, 'administradores_negocios', {
+        nombre: 'Laura',
+        apellido: 'Pérez',
+        email: 'admin@elfogon.local',
+        password_hash: await bcrypt.hash('admin123', 10),
+        cargo: 'Gerente'
+    });
+
+    // Propietaria del restaurante y editora del hotel, para probar la gestión de varios negocios
+    await connection.query(`
+        INSERT IGNORE INTO miembros_negocio (negocio_id, admin_id, rol)
+        VALUES (?, ?, 'propietario'), (?, ?, 'editor')
+    `, [negocioIds[0], adminId, negocioIds[1], adminId]);
+
+    const turistaId = await upsertByEmail(connection, 'turistas', {
+        nombre: 'Carlos',
+        apellido: 'Gómez',
+        email: 'turista@demo.local',
+        password_hash: await bcrypt.hash('turista123', 10),
+        pais_origen: 'México',
+        ciudad_origen: 'Monterrey',
+        verificado: 1
+    });
+
+    await connection.query(`
+        INSERT IGNORE INTO resenas (turista_id, negocio_id, calificacion, comentario)
+        VALUES (?, ?, 5, 'Excelente comida y atención'), (?, ?, 4, 'Muy buena vista')
+    `, [turistaId, negocioIds[0], turistaId, negocioIds[1]]);
+
+    const { calificaciones } = loadConfig();
+    for (const negocioId of negocioIds) {
+        await refreshRatings(connection, negocioId, calificaciones);
+    }
+
+    log(`Datos de demostración listos: ${negocioIds.length} negocios, 1 administrador, 1 turista`);
+};
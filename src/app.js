@@ -0,0 +1,225 @@
+// src/app.js
+// Construye la aplicación Express a partir de sus dependencias
+//
+// La aplicación no abre conexiones ni lee process.env: recibe los repositorios
+// (MySQL en producción, en memoria en pruebas), la configuración de
+// src/config.js y, opcionalmente, el mailer, el almacén de límites, el
+// almacenamiento de archivos y el logger. Los que no se pasan se construyen a
+// partir de la configuración.
+
+const express = require('express');
+const cors = require('cors');
+
+const { createSessionManager } = require('./auth/sessions');
+const { createActionTokens } = require('./auth/actionTokens');
+const { createAccountEmails } = require('./auth/emails');
+const { createLoginAttempts } = require('./auth/loginAttempts');
+const { createAuditLog } = require('./auditoria');
+const { createWebhooks } = require('./webhooks');
+const { createPrivacidad } = require('./privacidad');
+const { createMailerFromConfig } = require('./mailer');
+const { createRateLimiter, createLoginGuard, createStore } = require('./rateLimit');
+const { createAuthMiddleware } = require('./middleware/auth');
+const { createRequestContext } = require('./middleware/requestContext');
+const { createIdiomaMiddleware } = require('./middleware/idioma');
+const { createUpload } = require('./middleware/upload');
+const { createStorage } = require('./storage');
+const { TIPOS_PERMITIDOS, CACHE_CONTROL } = require('./imagenes');
+const { createLogger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { buildOpenApiSpec, docsPage } = require('./docs/openapi');
+const catalogoRutas = require('./docs/rutas');
+const { version } = require('../package.json');
+
+const registerAuthRoutes = require('./routes/auth');
+const registerTuristaRoutes = require('./routes/turistas');
+const registerPrivacidadRoutes = require('./routes/privacidad');
+const registerNegocioRoutes = require('./routes/negocios');
+const registerResenaRoutes = require('./routes/resenas');
+const registerImagenRoutes = require('./routes/imagenes');
+const registerMiembroRoutes = require('./routes/miembros');
+const registerItinerarioRoutes = require('./routes/itinerarios');
+const registerReservaRoutes = require('./routes/reservas');
+const registerWebhookRoutes = require('./routes/webhooks');
+const registerAdminRoutes = require('./routes/admin');
+const registerEstadisticaRoutes = require('./routes/estadisticas');
+const registerHealthRoutes = require('./routes/health');
+const registerMetricsRoutes = require('./routes/metrics');
+
+const createApp = ({
+    repositories,
+    config,
+    mailer = createMailerFromConfig(config.mail),
+    rateLimitStore = createStore(config.rateLimit.store),
+    storage = createStorage(config.storage),
+    logger = createLogger(config.log)
+}) => {
+    const app = express();
+
+    // server.js lo pone a true al recibir SIGTERM: la app deja de anunciarse como
+    // lista y pide a los clientes que no reutilicen la conexión
+    app.locals.cerrando = false;
+
+    // Detrás de un proxy inverso, req.ip debe ser la IP del cliente para que los límites por IP funcionen
+    if (config.trustProxy !== null) {
+        app.set('trust proxy', config.trustProxy);
+    }
+
+    const metrics = createMetrics({ repositories });
+
+    // Middleware. El contexto va primero para que todo lo demás tenga req.id y req.log,
+    // y el idioma después, para que cualquier respuesta pueda usar req.msg
+    app.use(createRequestContext({ logger }));
+    app.use(createIdiomaMiddleware());
+    app.use(metrics.middleware);
+    app.use(cors());
+    app.use(express.json());
+    app.use((req, res, next) => {
+        if (app.locals.cerrando) {
+            res.set('Connection', 'close');
+        }
+        next();
+    });
+
+    // Sesiones: access tokens cortos + refresh tokens rotativos
+    const sessions = createSessionManager({
+        repositories,
+        secret: config.jwtSecret,
+        accessTokenTtl: config.accessTokenTtl,
+        refreshTokenTtlDays: config.refreshTokenTtlDays
+    });
+
+    // Registro de auditoría de las acciones que modifican datos
+    const auditLog = createAuditLog({ repositories, logger });
+
+    // Eventos para los webhooks de los negocios; las entregas las envía el despachador (src/webhooks/despachador.js)
+    const webhooks = createWebhooks({ repositories, logger });
+
+    // Exportación y borrado de los datos personales de los turistas
+    const privacidad = createPrivacidad({ repositories, storage, auditLog, diasGracia: config.privacidad.diasGracia, logger });
+
+    // Tokens por correo (verificación de email y recuperación de contraseña)
+    const actionTokens = createActionTokens({ repositories, secret: config.jwtSecret });
+    const emails = createAccountEmails({ actionTokens, mailer, appUrl: config.appUrl });
+
+    // Límites de peticiones por IP y por cuenta; el almacén se comparte con el bloqueo de logins
+    const rateLimit = (name, limite, options = {}) => createRateLimiter({
+        store: rateLimitStore,
+        name,
+        ...limite,
+        ...options
+    });
+
+    const limites = {
+        loginIp: rateLimit('login_ip', config.rateLimit.loginIp, { codigo: 'DEMASIADOS_INTENTOS_LOGIN' }),
+        registroIp: rateLimit('registro_ip', config.rateLimit.registroIp),
+        correosIp: rateLimit('correos_ip', config.rateLimit.correosIp),
+        resenasIp: rateLimit('resenas_ip', config.rateLimit.resenasIp),
+        resenasCuenta: rateLimit('resenas_cuenta', config.rateLimit.resenasCuenta, {
+            key: (req) => `${req.user.tipo}:${req.user.id}`
+        })
+    };
+
+    // Bloqueo progresivo de cuentas tras varios logins fallidos
+    const loginGuard = createLoginGuard({ store: rateLimitStore, ...config.login });
+    const loginAttempts = createLoginAttempts({ loginGuard, auditLog, metrics });
+
+    const {
+        verifyToken,
+        requirePermission,
+        requireNegocioPermission,
+        requireVerifiedEmail,
+        canInNegocio,
+        negociosDelAdmin
+    } = createAuthMiddleware({
+        sessions,
+        repositories,
+        secret: config.jwtSecret
+    });
+
+    const deps = {
+        config,
+        repositories,
+        logger,
+        metrics,
+        sessions,
+        auditLog,
+        webhooks,
+        privacidad,
+        actionTokens,
+        emails,
+        loginAttempts,
+        limites,
+        verifyToken,
+        requirePermission,
+        requireNegocioPermission,
+        requireVerifiedEmail,
+        canInNegocio,
+        negociosDelAdmin,
+        storage,
+        upload: createUpload({ maxBytes: config.uploadMaxBytes, tipos: TIPOS_PERMITIDOS }).upload
+    };
+
+    registerAuthRoutes(app, deps);
+    registerTuristaRoutes(app, deps);
+    registerPrivacidadRoutes(app, deps);
+    registerNegocioRoutes(app, deps);
+    registerResenaRoutes(app, deps);
+    registerImagenRoutes(app, deps);
+    registerMiembroRoutes(app, deps);
+    registerItinerarioRoutes(app, deps);
+    registerReservaRoutes(app, deps);
+    registerWebhookRoutes(app, deps);
+    registerAdminRoutes(app, deps);
+    registerEstadisticaRoutes(app, deps);
+    registerHealthRoutes(app, deps);
+    registerMetricsRoutes(app, deps);
+
+    // Archivos subidos, si el almacenamiento es local. Cada imagen se guarda en
+    // una carpeta nueva, así que su contenido nunca cambia y se cachea sin revalidar.
+    if (storage.directorio && storage.urlBase.startsWith('/')) {
+        app.use(storage.urlBase, express.static(storage.directorio, {
+            index: false,
+            dotfiles: 'deny',
+            setHeaders: (res) => res.set('Cache-Control', CACHE_CONTROL)
+        }));
+    }
+
+    // ===================== DOCUMENTACIÓN =====================
+
+    // La especificación se genera al primer pedido, cuando ya están registradas todas las rutas
+    let openApiSpec = null;
+
+    app.get('/api/openapi.json', (req, res) => {
+        openApiSpec = openApiSpec || buildOpenApiSpec(app, {
+            catalogo: catalogoRutas,
+            info: {
+                title: 'API Sistema de Turismo',
+                version,
+                description: 'Todas las respuestas JSON usan el envoltorio { success, code, message, data, errors }. '
+                    + '`message` se traduce según Accept-Language (es, en, fr); `code` es estable y no cambia con el idioma.'
+            }
+        });
+        res.json(openApiSpec);
+    });
+
+    app.get('/api/docs', (req, res) => {
+        res.type('html').send(docsPage('/api/openapi.json'));
+    });
+
+    // Manejo de rutas no encontradas
+    app.use((req, res) => {
+        res.status(404).json({ success: false, ...req.msg('RUTA_NO_ENCONTRADA') });
+    });
+
+    // Manejo global de errores. El request_id permite al usuario reportar el error
+    // y a soporte encontrar sus líneas de log
+    app.use((error, req, res, next) => {
+        req.log.error('Error global', error);
+        res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO'), request_id: req.id });
+    });
+
+    return app;
+};
+
+module.exports = { createApp };
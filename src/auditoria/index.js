@@ -0,0 +1,100 @@
+// src/auditoria/index.js
+// Registro de auditoría de solo inserción para toda acción que modifica datos
+//
+// Cada entrada guarda quién (actor), qué (acción), sobre qué (entidad e id),
+// el diff antes/después, la IP y la fecha. Las columnas sensibles nunca se
+// guardan. Un fallo al auditar se registra en consola pero no interrumpe la
+// petición; para que la entrada sea atómica con el cambio, pasar los
+// repositorios de la transacción.
+//
+// La única modificación permitida es la depuración de los datos personales de
+// un turista al anonimizar su cuenta (ver scrubEntry y src/privacidad).
+
+// Columnas que no deben aparecer en el diff
+const CAMPOS_SENSIBLES = new Set(['password_hash', 'password', 'token', 'token_hash', 'refresh_token']);
+
+const normalize = (value) => {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value !== null && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return value ?? null;
+};
+
+// Campos que cambian entre `antes` y `despues`: { campo: { antes, despues } }.
+// Con solo uno de los dos (creación o borrado) se incluyen todos sus campos.
+const diff = (antes, despues) => {
+    const cambios = {};
+    const campos = new Set([...Object.keys(antes || {}), ...Object.keys(despues || {})]);
+
+    for (const campo of campos) {
+        if (CAMPOS_SENSIBLES.has(campo)) {
+            continue;
+        }
+
+        const valorAntes = antes ? normalize(antes[campo]) : null;
+        const valorDespues = despues ? normalize(despues[campo]) : null;
+
+        if (!antes || !despues || String(valorAntes) !== String(valorDespues)) {
+            cambios[campo] = { antes: valorAntes, despues: valorDespues };
+        }
+    }
+
+    return cambios;
+};
+
+const ACTOR_ANONIMO = { tipo: 'anonimo', id: null };
+
+// Valor que sustituye a los datos personales depurados
+const DEPURADO = '[DEPURADO]';
+
+// Actores cuya IP y user agent son los de otra persona (quien administra la cuenta)
+const ACTORES_ADMINISTRADORES = new Set(['admin_negocio', 'super_admin']);
+
+// Columnas depuradas de una entrada sobre un turista anonimizado: se conserva qué
+// campos cambiaron pero no sus valores, se quita el identificador usado en los
+// logins y, salvo que el actor sea un administrador, la IP y el user agent
+const scrubEntry = ({ actor_tipo, cambios, metadatos, ip, user_agent }) => ({
+    cambios: cambios && Object.fromEntries(Object.keys(cambios).map(campo => [campo, { antes: DEPURADO, despues: DEPURADO }])),
+    metadatos: metadatos && 'identificador' in metadatos ? { ...metadatos, identificador: DEPURADO } : metadatos,
+    ip: ACTORES_ADMINISTRADORES.has(actor_tipo) ? ip : null,
+    user_agent: ACTORES_ADMINISTRADORES.has(actor_tipo) ? user_agent : null
+});
+
+// Actor de la petición: el usuario autenticado o anónimo
+const actorFromRequest = (req) => req.user ? { tipo: req.user.tipo, id: req.user.id } : ACTOR_ANONIMO;
+
+// Un fallo al auditar se registra en `log` pero no interrumpe la acción auditada
+const createAuditLog = ({ repositories, logger = console }) => {
+    const record = async ({ actor = ACTOR_ANONIMO, accion, entidad, entidad_id = null, antes = null, despues = null, metadatos = null, ip = null, userAgent = null }, repos = repositories, log = logger) => {
+        try {
+            await repos.auditoria.insert({
+                actor_tipo: actor.tipo,
+                actor_id: actor.id ?? null,
+                accion,
+                entidad,
+                entidad_id: entidad_id === null ? null : String(entidad_id),
+                cambios: antes || despues ? diff(antes, despues) : null,
+                metadatos,
+                ip,
+                user_agent: userAgent ? String(userAgent).slice(0, 255) : null
+            });
+        } catch (error) {
+            log.error('Error al registrar auditoría', error);
+        }
+    };
+
+    // Atajo para handlers de Express: toma actor, IP y user agent de la petición
+    const fromRequest = (req, entry, repos) => record({
+        actor: actorFromRequest(req),
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        ...entry
+    }, repos, req.log);
+
+    return { record, fromRequest };
+};
+
+module.exports = { createAuditLog, diff, scrubEntry, CAMPOS_SENSIBLES, DEPURADO };
@@ -0,0 +1,54 @@
+// src/auth/actionTokens.js
+// Tokens firmados, con vencimiento y de un solo uso para acciones por correo
+//
+// El token es un JWT cuya audiencia es el propósito (verificar_email,
+// restablecer_password), por lo que no sirve como access token ni para otro
+// propósito. Su `jti` se registra en `tokens_un_uso` y se marca al canjearlo.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PROPOSITOS = {
+    verificar_email: { ttlSeconds: 48 * 60 * 60 },
+    restablecer_password: { ttlSeconds: 60 * 60 }
+};
+
+const createActionTokens = ({ repositories, secret }) => {
+    const { tokensUnUso } = repositories;
+
+    const issue = async (tipo, usuarioId, proposito) => {
+        const { ttlSeconds } = PROPOSITOS[proposito];
+        const jti = crypto.randomUUID();
+
+        await tokensUnUso.create({ jti, tipo_usuario: tipo, usuario_id: usuarioId, proposito, ttlSegundos: ttlSeconds });
+
+        return jwt.sign(
+            { sub: String(usuarioId), tipo },
+            secret,
+            { jwtid: jti, audience: proposito, expiresIn: ttlSeconds }
+        );
+    };
+
+    // Canjea el token; devuelve { tipo, usuarioId } o null si es inválido, expiró o ya se usó
+    const consume = async (token, proposito) => {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, secret, { audience: proposito });
+        } catch (error) {
+            return null;
+        }
+
+        if (!(await tokensUnUso.consume(decoded.jti, proposito))) {
+            return null;
+        }
+
+        return { tipo: decoded.tipo, usuarioId: parseInt(decoded.sub) };
+    };
+
+    // Invalida los tokens pendientes de un usuario, p. ej. tras cambiar la contraseña
+    const invalidateAll = (tipo, usuarioId, proposito) => tokensUnUso.invalidateAll(tipo, usuarioId, proposito);
+
+    return { issue, consume, invalidateAll };
+};
+
+module.exports = { createActionTokens, PROPOSITOS };
@@ -0,0 +1,22 @@
+// src/auth/emails.js
+// Correos con enlaces de un solo uso: verificación de email y recuperación de contraseña
+
+const { verificationEmail, passwordResetEmail } = require('../mailer/templates');
+
+const createAccountEmails = ({ actionTokens, mailer, appUrl }) => {
+    const sendVerification = async (tipo, account) => {
+        const token = await actionTokens.issue(tipo, account.id, 'verificar_email');
+        const enlace = `${appUrl}/verificar-email?token=${encodeURIComponent(token)}`;
+        await mailer.send({ to: account.email, ...verificationEmail({ nombre: account.nombre, enlace }) });
+    };
+
+    const sendPasswordReset = async (tipo, account) => {
+        const token = await actionTokens.issue(tipo, account.id, 'restablecer_password');
+        const enlace = `${appUrl}/restablecer-password?token=${encodeURIComponent(token)}`;
+        await mailer.send({ to: account.email, ...passwordResetEmail({ nombre: account.nombre, enlace, minutos: 60 }) });
+    };
+
+    return { sendVerification, sendPasswordReset };
+};
+
+module.exports = { createAccountEmails };
@@ -0,0 +1,87 @@
+// src/auth/loginAttempts.js
+// Registro de intentos de login: auditoría y bloqueo progresivo de cuentas
+
+const { sendTooManyRequests } = require('../rateLimit');
+
+// Tabla de cada tipo de cuenta que inicia sesión
+const LOGIN_TABLES = {
+    turista: 'turistas',
+    admin_negocio: 'administradores_negocios',
+    super_admin: 'super_administradores'
+};
+
+// El bloqueo se lleva por identificador, exista o no la cuenta, para no revelar cuáles existen
+const loginKey = (tipo, identificador) => `${tipo}:${String(identificador).trim().toLowerCase()}`;
+
+// `metrics.recordLogin(tipo, resultado)` cuenta los intentos por resultado (exito, fallo, bloqueado)
+const createLoginAttempts = ({ loginGuard, auditLog, metrics }) => {
+    // Rechaza el login de una cuenta bloqueada antes de comprobar la contraseña
+    const rejectLocked = (tipo, campo) => {
+        const middleware = async (req, res, next) => {
+            try {
+                const estado = await loginGuard.check(loginKey(tipo, req.body[campo]));
+                if (estado.bloqueado) {
+                    metrics.recordLogin(tipo, 'bloqueado');
+                    return sendTooManyRequests(req, res, estado.retryAfterMs, 'CUENTA_BLOQUEADA');
+                }
+            } catch (error) {
+                req.log.error('Error al comprobar bloqueo de login', error);
+            }
+            next();
+        };
+        middleware.docs = { bloqueo: true };
+        return middleware;
+    };
+
+    // Registra el intento de login en la auditoría y en el bloqueo progresivo.
+    // Los intentos fallidos se auditan como anónimos, con el identificador usado.
+    const record = async (req, tipo, { cuenta = null, identificador, motivo = null }) => {
+        const entidad = LOGIN_TABLES[tipo];
+        const clave = loginKey(tipo, identificador);
+
+        metrics.recordLogin(tipo, motivo ? 'fallo' : 'exito');
+
+        await auditLog.fromRequest(req, {
+            ...(cuenta && !motivo ? { actor: { tipo, id: cuenta.id } } : {}),
+            accion: motivo ? 'auth.login_fallido' : 'auth.login',
+            entidad,
+            entidad_id: cuenta?.id ?? null,
+            metadatos: motivo ? { tipo, identificador, motivo } : { tipo }
+        });
+
+        try {
+            if (!motivo) {
+                if (await loginGuard.registerSuccess(clave)) {
+                    await auditLog.fromRequest(req, {
+                        actor: { tipo, id: cuenta.id },
+                        accion: 'auth.desbloqueo',
+                        entidad,
+                        entidad_id: cuenta.id,
+                        metadatos: { tipo, identificador, motivo: 'login_exitoso' }
+                    });
+                }
+                return;
+            }
+
+            const resultado = await loginGuard.registerFailure(clave);
+            if (resultado.bloqueado) {
+                await auditLog.fromRequest(req, {
+                    actor: { tipo: 'sistema', id: null },
+                    accion: 'auth.bloqueo',
+                    entidad,
+                    entidad_id: cuenta?.id ?? null,
+                    metadatos: { tipo, identificador, nivel: resultado.nivel, duracion_segundos: Math.ceil(resultado.retryAfterMs / 1000) }
+                });
+            }
+        } catch (error) {
+            req.log.error('Error al registrar intento de login', error);
+        }
+    };
+
+    // Desbloqueo manual; devuelve true si la cuenta estaba bloqueada
+    const unlock = (tipo, identificador) => loginGuard.unlock(loginKey(tipo, identificador));
+
+    return { rejectLocked, record, unlock };
+};
+
+module.exports = { createLoginAttempts, LOGIN_TABLES, loginKey };
@@ -0,0 +1,92 @@
+// src/auth/permisos.js
+// Modelo de permisos de los administradores
+//
+// - admin_negocio: la columna `permisos` (lista JSON) define lo que puede hacer
+//   en sus negocios; si es NULL tiene todos los permisos asignables, que era
+//   el comportamiento anterior a este modelo. En cada negocio además lo limita
+//   el rol de su membresía (ROLES_NEGOCIO).
+// - super_admin: `nivel_acceso` otorga un conjunto base y la columna `permisos`
+//   puede añadir permisos adicionales.
+// - turista: no tiene permisos administrativos; sus rutas se protegen por tipo.
+
+const CATALOGO_PERMISOS = {
+    'negocio.editar': 'Editar los datos y el horario del negocio',
+    'resenas.responder': 'Responder públicamente las reseñas del negocio',
+    'estadisticas.ver': 'Consultar estadísticas',
+    'reservas.gestionar': 'Gestionar la disponibilidad y las reservas del negocio',
+    'webhooks.gestionar': 'Registrar webhooks y consultar y reenviar sus entregas',
+    'miembros.gestionar': 'Añadir y quitar administradores de un negocio y cambiar su rol',
+    'negocios.crear': 'Dar de alta negocios',
+    'admins.crear': 'Crear administradores de negocio',
+    'permisos.asignar': 'Asignar permisos a administradores de negocio',
+    'cuentas.administrar': 'Listar, editar, suspender, eliminar y restaurar turistas, administradores y negocios, desbloquear logins y tramitar la exportación y el borrado de datos de los turistas',
+    'resenas.moderar': 'Moderar reseñas reportadas',
+    'calificaciones.recalcular': 'Reconstruir los agregados de calificación',
+    'auditoria.ver': 'Consultar el registro de auditoría'
+};
+
+// Permisos que un super admin puede asignar a un administrador de negocio
+const PERMISOS_ADMIN_NEGOCIO = ['negocio.editar', 'resenas.responder', 'estadisticas.ver', 'reservas.gestionar', 'webhooks.gestionar'];
+
+const PERMISOS_POR_NIVEL = {
+    total: Object.keys(CATALOGO_PERMISOS),
+    moderador: ['resenas.moderar', 'estadisticas.ver'],
+    soporte: ['admins.crear', 'permisos.asignar', 'miembros.gestionar', 'cuentas.administrar', 'estadisticas.ver',
+        'calificaciones.recalcular', 'auditoria.ver']
+};
+
+// Permisos de cada rol de un administrador en un negocio (miembros_negocio).
+// Solo el propietario gestiona los miembros.
+const ROLES_NEGOCIO = {
+    propietario: [...PERMISOS_ADMIN_NEGOCIO, 'miembros.gestionar'],
+    editor: ['negocio.editar', 'resenas.responder', 'reservas.gestionar', 'estadisticas.ver'],
+    lector: ['estadisticas.ver']
+};
+
+// La columna `permisos` guarda una lista JSON; se aceptan también listas separadas por comas
+const parsePermisos = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (Array.isArray(value)) {
+        return value;
+    }
+
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+        return String(value).split(',').map(p => p.trim()).filter(Boolean);
+    }
+};
+
+// Permisos efectivos de una cuenta según su tipo
+const resolvePermisos = (tipo, account) => {
+    const propios = parsePermisos(account.permisos);
+
+    if (tipo === 'admin_negocio') {
+        return (propios ?? PERMISOS_ADMIN_NEGOCIO).filter(p => PERMISOS_ADMIN_NEGOCIO.includes(p));
+    }
+
+    if (tipo === 'super_admin') {
+        const base = PERMISOS_POR_NIVEL[account.nivel_acceso] || [];
+        return [...new Set([...base, ...(propios || [])])].filter(p => p in CATALOGO_PERMISOS);
+    }
+
+    return [];
+};
+
+// Permisos de un administrador en un negocio: los de su rol, salvo los
+// asignables que no tenga su cuenta (`permisosCuenta`, de resolvePermisos)
+const resolvePermisosNegocio = (rol, permisosCuenta) => (ROLES_NEGOCIO[rol] || [])
+    .filter(p => !PERMISOS_ADMIN_NEGOCIO.includes(p) || permisosCuenta.includes(p));
+
+module.exports = {
+    CATALOGO_PERMISOS,
+    PERMISOS_ADMIN_NEGOCIO,
+    PERMISOS_POR_NIVEL,
+    ROLES_NEGOCIO,
+    parsePermisos,
+    resolvePermisos,
+    resolvePermisosNegocio
+};
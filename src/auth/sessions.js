@@ -0,0 +1,135 @@
+// src/auth/sessions.js
+// Access tokens de vida corta y refresh tokens rotativos guardados en la base de datos
+//
+// Cada login crea una fila en `sesiones`; el access token lleva su id en el
+// claim `sid`, de modo que revocar la sesión invalida el token de inmediato.
+// Los refresh tokens son opacos, se guardan hasheados y solo sirven una vez:
+// presentar uno ya usado se trata como robo y revoca la sesión completa.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Repositorio de la cuenta de cada tipo de usuario, usado al emitir y validar tokens
+const ACCOUNT_REPOSITORIES = {
+    turista: 'turistas',
+    admin_negocio: 'administradores',
+    super_admin: 'superAdministradores'
+};
+
+// El acceso de un administrador a cada negocio se comprueba en cada petición
+// (requireNegocioPermission), así que aquí solo cuenta el estado de la cuenta
+const isAccountActive = (account) => Boolean(account) && account.estado === 'activo';
+
+const buildPayload = (tipo, account) => {
+    switch (tipo) {
+        case 'super_admin':
+            return { id: account.id, usuario: account.usuario, tipo, nivel_acceso: account.nivel_acceso };
+        default:
+            return { id: account.id, email: account.email, tipo };
+    }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createSessionManager = ({ repositories, secret, accessTokenTtl = '15m', refreshTokenTtlDays = 30 }) => {
+    const { sesiones } = repositories;
+
+    const loadAccount = (tipo, id) => {
+        const repositorio = ACCOUNT_REPOSITORIES[tipo];
+        return repositorio ? repositories[repositorio].findAccount(id) : null;
+    };
+
+    const signAccessToken = (tipo, account, sesionId) => {
+        const token = jwt.sign(
+            { ...buildPayload(tipo, account), sid: sesionId },
+            secret,
+            { expiresIn: accessTokenTtl }
+        );
+        const { iat, exp } = jwt.decode(token);
+        return { token, expires_in: exp - iat };
+    };
+
+    const insertRefreshToken = async (sesionId) => {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        await sesiones.addRefreshToken(sesionId, hashToken(refreshToken));
+        return refreshToken;
+    };
+
+    // Crea una sesión nueva tras un login correcto
+    const createSession = async (tipo, account, { ip, userAgent } = {}) => {
+        const sesionId = await sesiones.create({
+            tipo_usuario: tipo,
+            usuario_id: account.id,
+            ip: ip || null,
+            user_agent: (userAgent || '').slice(0, 255) || null,
+            ttlDias: refreshTokenTtlDays
+        });
+        const refreshToken = await insertRefreshToken(sesionId);
+
+        return { ...signAccessToken(tipo, account, sesionId), refresh_token: refreshToken };
+    };
+
+    const revokeSession = (sesionId, motivo = 'logout') => sesiones.revoke(sesionId, motivo);
+
+    const revokeAllSessions = (tipo, usuarioId, motivo = 'logout_global') => sesiones.revokeAll(tipo, usuarioId, motivo);
+
+    // Canjea un refresh token por un par nuevo. Devuelve null si no es válido.
+    const refreshSession = async (refreshToken) => {
+        const stored = await sesiones.findRefreshToken(hashToken(refreshToken));
+
+        if (!stored || stored.revocada_en || stored.expirada) {
+            return null;
+        }
+
+        // Marcar como usado de forma atómica: si otra petición ya lo canjeó, es reutilización
+        const marked = await sesiones.markRefreshTokenUsed(stored.id);
+        if (stored.usado_en || !marked) {
+            await revokeSession(stored.sesion_id, 'reutilizacion_refresh');
+            return null;
+        }
+
+        const account = await loadAccount(stored.tipo_usuario, stored.usuario_id);
+        if (!isAccountActive(account)) {
+            await revokeSession(stored.sesion_id, 'cuenta_inactiva');
+            return null;
+        }
+
+        await sesiones.touch(stored.sesion_id);
+        const newRefreshToken = await insertRefreshToken(stored.sesion_id);
+
+        return {
+            ...signAccessToken(stored.tipo_usuario, account, stored.sesion_id),
+            refresh_token: newRefreshToken
+        };
+    };
+
+    // Comprueba que la sesión del token siga vigente y la cuenta activa.
+    // Devuelve { error } con el código del mensaje o { account } con la cuenta actual.
+    const checkSession = async (decoded) => {
+        if (!decoded.sid) {
+            return { error: 'TOKEN_INVALIDO' };
+        }
+
+        const sesion = await sesiones.findById(decoded.sid);
+        if (!sesion || sesion.revocada_en || sesion.usuario_id !== decoded.id || sesion.tipo_usuario !== decoded.tipo) {
+            return { error: 'SESION_REVOCADA' };
+        }
+
+        const account = await loadAccount(decoded.tipo, decoded.id);
+        if (!isAccountActive(account)) {
+            return { error: 'CUENTA_INACTIVA' };
+        }
+
+        return { account };
+    };
+
+    return {
+        createSession,
+        refreshSession,
+        revokeSession,
+        revokeAllSessions,
+        checkSession
+    };
+};
+
+module.exports = { createSessionManager, hashToken };
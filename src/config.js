@@ -0,0 +1,258 @@
+// src/config.js
+// Configuración de la aplicación a partir de las variables de entorno
+//
+// createApp recibe este objeto en lugar de leer process.env, de modo que las
+// pruebas pueden construir la aplicación con la configuración que necesiten.
+// Ver .env.example para la descripción de cada variable.
+//
+// Todas las variables se validan al arrancar: si alguna es inválida, o si en
+// producción se dejan valores por defecto inseguros, loadConfig lanza un
+// ConfigError con la lista completa de problemas y el servidor no arranca.
+
+const path = require('path');
+
+const { getDbConfig } = require('./db/config');
+const { parseDuracion, parseLimite, STORES } = require('./rateLimit');
+const { TRANSPORTS, REMITENTE_POR_DEFECTO } = require('./mailer');
+const { NIVELES } = require('./logger');
+const { DRIVERS } = require('./storage');
+const { PRIOR_POR_DEFECTO } = require('./resenas/calificaciones');
+const { ZONA_HORARIA_POR_DEFECTO } = require('./utils/horarios');
+
+const ENTORNOS = ['development', 'test', 'production'];
+
+// Secretos de ejemplo que nunca deben llegar a producción
+const SECRETOS_INSEGUROS = ['tu_clave_secreta_muy_segura', 'cambia_esta_clave'];
+const LONGITUD_MINIMA_SECRETO = 32;
+
+class ConfigError extends Error {
+    constructor(errores) {
+        super(`Configuración inválida:\n${errores.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errores = errores;
+    }
+}
+
+// ----- Parsers: devuelven el valor convertido o lanzan un error con el motivo -----
+
+const entero = ({ min = -Infinity, max = Infinity } = {}) => (value) => {
+    if (!/^-?\d+$/.test(String(value)) || parseInt(value) < min || parseInt(value) > max) {
+        throw new Error(`debe ser un entero entre ${min} y ${max}, se recibió "${value}"`);
+    }
+    return parseInt(value);
+};
+
+// `positivo` exige además un valor mayor que 0
+const numero = ({ min = -Infinity, max = Infinity, positivo = false } = {}) => (value) => {
+    const parsed = Number(value);
+    if (String(value).trim() === '' || !Number.isFinite(parsed) || parsed < min || parsed > max) {
+        throw new Error(`debe ser un número entre ${min} y ${max}, se recibió "${value}"`);
+    }
+    if (positivo && parsed <= 0) {
+        throw new Error(`debe ser un número mayor que 0, se recibió "${value}"`);
+    }
+    return parsed;
+};
+
+const booleano = (value) => {
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(`debe ser true o false, se recibió "${value}"`);
+    }
+    return value === 'true';
+};
+
+const unoDe = (valores) => (value) => {
+    if (!valores.includes(value)) {
+        throw new Error(`debe ser uno de: ${valores.join(', ')}; se recibió "${value}"`);
+    }
+    return value;
+};
+
+const url = (value) => {
+    try {
+        new URL(value);
+    } catch (error) {
+        throw new Error(`debe ser una URL absoluta, se recibió "${value}"`);
+    }
+    return value.replace(/\/+$/, '');
+};
+
+// Formato de expiresIn de jsonwebtoken limitado a número y unidad: 900, 15m, 1h, 7d
+const duracionJwt = (value) => {
+    if (!/^\d+[smhd]?$/.test(value)) {
+        throw new Error(`debe ser un número de segundos o una duración como 15m o 1h, se recibió "${value}"`);
+    }
+    return value;
+};
+
+const zonaHoraria = (value) => {
+    try {
+        new Intl.DateTimeFormat('es', { timeZone: value });
+    } catch (error) {
+        throw new Error(`zona horaria desconocida: "${value}"`);
+    }
+    return value;
+};
+
+// TRUST_PROXY admite un número de saltos, true o una lista de IPs/subredes
+const parseTrustProxy = (value) => {
+    if (value === null) {
+        return null;
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+    return value === 'true' || value;
+};
+
+// Lee `nombre` de `env` con su parser; las variables vacías cuentan como no definidas
+const createReader = (env, errores) => (nombre, defecto, parse = (value) => value) => {
+    const value = env[nombre] === undefined || env[nombre] === '' ? defecto : env[nombre];
+    if (value === undefined || value === null) {
+        return value ?? null;
+    }
+    try {
+        return parse(value);
+    } catch (error) {
+        errores.push(`${nombre}: ${error.message}`);
+        return undefined;
+    }
+};
+
+// Opciones del almacenamiento de archivos subidos según el controlador
+const readStorage = (read, errores) => {
+    const driver = read('STORAGE_DRIVER', 'local', unoDe(Object.keys(DRIVERS)));
+
+    if (driver === 's3') {
+        const opciones = {
+            driver,
+            bucket: read('S3_BUCKET', null),
+            region: read('S3_REGION', 'us-east-1'),
+            endpoint: read('S3_ENDPOINT', undefined, url),
+            accessKeyId: read('S3_ACCESS_KEY_ID', null),
+            secretAccessKey: read('S3_SECRET_ACCESS_KEY', null),
+            publicUrl: read('S3_PUBLIC_URL', undefined, url),
+            forcePathStyle: read('S3_FORCE_PATH_STYLE', 'false', booleano)
+        };
+        const obligatorias = { S3_BUCKET: opciones.bucket, S3_ACCESS_KEY_ID: opciones.accessKeyId, S3_SECRET_ACCESS_KEY: opciones.secretAccessKey };
+        for (const [nombre, valor] of Object.entries(obligatorias)) {
+            if (!valor) {
+                errores.push(`${nombre}: es obligatoria con STORAGE_DRIVER=s3`);
+            }
+        }
+        return opciones;
+    }
+
+    return {
+        driver,
+        dir: read('STORAGE_DIR', 'uploads', dir => path.resolve(dir)),
+        urlBase: read('MEDIA_URL', '/media')
+    };
+};
+
+// Valores que no se pueden dejar por defecto en producción
+const checkProduction = (env, config, errores) => {
+    if (!env.JWT_SECRET || SECRETOS_INSEGUROS.includes(env.JWT_SECRET)) {
+        errores.push('JWT_SECRET debe definirse en producción y no puede ser el valor de ejemplo');
+    } else if (env.JWT_SECRET.length < LONGITUD_MINIMA_SECRETO) {
+        errores.push(`JWT_SECRET debe tener al menos ${LONGITUD_MINIMA_SECRETO} caracteres en producción`);
+    }
+
+    if (!env.DB_PASSWORD) {
+        errores.push('DB_PASSWORD debe definirse en producción');
+    }
+
+    if (!env.APP_URL) {
+        errores.push('APP_URL debe definirse en producción; los enlaces de los correos apuntarían a localhost');
+    }
+
+    if (config.mail.transport === 'console') {
+        errores.push('MAIL_TRANSPORT=console escribe en los logs los enlaces de verificación y recuperación; usa otro transporte en producción');
+    }
+
+    if (config.webhooks.permitirRedPrivada) {
+        errores.push('WEBHOOKS_PERMITIR_RED_PRIVADA=true deja enviar webhooks a servicios internos; no se admite en producción');
+    }
+};
+
+const loadConfig = (env = process.env) => {
+    const errores = [];
+    const read = createReader(env, errores);
+
+    const config = {
+        entorno: read('NODE_ENV', 'development', unoDe(ENTORNOS)),
+        port: read('PORT', '3000', entero({ min: 1, max: 65535 })),
+        trustProxy: parseTrustProxy(read('TRUST_PROXY', null)),
+        db: {
+            ...getDbConfig(env),
+            port: read('DB_PORT', '3306', entero({ min: 1, max: 65535 })),
+            connectionLimit: read('DB_CONNECTION_LIMIT', '10', entero({ min: 1, max: 1000 }))
+        },
+        jwtSecret: read('JWT_SECRET', 'tu_clave_secreta_muy_segura'),
+        accessTokenTtl: read('ACCESS_TOKEN_TTL', '15m', duracionJwt),
+        refreshTokenTtlDays: read('REFRESH_TOKEN_TTL_DIAS', '30', entero({ min: 1, max: 365 })),
+        appUrl: read('APP_URL', 'http://localhost:5173', url),
+        mail: {
+            transport: read('MAIL_TRANSPORT', 'console', unoDe(Object.keys(TRANSPORTS))),
+            dir: read('MAIL_FILE_DIR', null, dir => path.resolve(dir)),
+            from: read('MAIL_FROM', REMITENTE_POR_DEFECTO)
+        },
+        resenasRequierenVerificacion: read('RESENAS_REQUIEREN_VERIFICACION', 'false', booleano),
+        rateLimit: {
+            store: read('RATE_LIMIT_STORE', 'memory', unoDe(Object.keys(STORES))),
+            loginIp: read('RATE_LIMIT_LOGIN_IP', '20/15m', parseLimite),
+            registroIp: read('RATE_LIMIT_REGISTRO_IP', '5/1h', parseLimite),
+            correosIp: read('RATE_LIMIT_CORREOS_IP', '5/1h', parseLimite),
+            resenasIp: read('RATE_LIMIT_RESENAS_IP', '30/1h', parseLimite),
+            resenasCuenta: read('RATE_LIMIT_RESENAS_CUENTA', '10/1h', parseLimite)
+        },
+        login: {
+            maxIntentos: read('LOGIN_MAX_INTENTOS', '5', entero({ min: 1, max: 1000 })),
+            ventanaMs: read('LOGIN_VENTANA', '15m', parseDuracion),
+            bloqueoBaseMs: read('LOGIN_BLOQUEO_BASE', '1m', parseDuracion),
+            bloqueoMaxMs: read('LOGIN_BLOQUEO_MAX', '1h', parseDuracion)
+        },
+        log: {
+            nivel: read('LOG_LEVEL', 'info', unoDe(Object.keys(NIVELES)))
+        },
+        metricsToken: read('METRICS_TOKEN', null),
+        health: {
+            timeoutMs: read('HEALTH_TIMEOUT', '2s', parseDuracion)
+        },
+        shutdownDrenajeMs: read('SHUTDOWN_DRENAJE', '5s', parseDuracion),
+        shutdownTimeoutMs: read('SHUTDOWN_TIMEOUT', '10s', parseDuracion),
+        zonaHorariaPredeterminada: read('ZONA_HORARIA_PREDETERMINADA', ZONA_HORARIA_POR_DEFECTO, zonaHoraria),
+        storage: readStorage(read, errores),
+        uploadMaxBytes: read('UPLOAD_MAX_MB', '5', entero({ min: 1, max: 50 })) * 1024 * 1024,
+        webhooks: {
+            despachador: read('WEBHOOKS_DESPACHADOR', 'true', booleano),
+            intervaloMs: read('WEBHOOKS_INTERVALO', '5s', parseDuracion),
+            timeoutMs: read('WEBHOOKS_TIMEOUT', '10s', parseDuracion),
+            maxIntentos: read('WEBHOOKS_MAX_INTENTOS', '10', entero({ min: 1, max: 50 })),
+            reintentoBaseMs: read('WEBHOOKS_REINTENTO_BASE', '30s', parseDuracion),
+            reintentoMaxMs: read('WEBHOOKS_REINTENTO_MAX', '6h', parseDuracion),
+            permitirRedPrivada: read('WEBHOOKS_PERMITIR_RED_PRIVADA', 'false', booleano)
+        },
+        // Promedio bayesiano de calificacion_ponderada (src/resenas/calificaciones.js).
+        // Con peso 0, un negocio sin reseñas daría 0/0
+        calificaciones: {
+            mediaPrevia: read('CALIFICACION_MEDIA_PREVIA', String(PRIOR_POR_DEFECTO.mediaPrevia), numero({ min: 1, max: 5 })),
+            pesoPrevio: read('CALIFICACION_PESO_PREVIO', String(PRIOR_POR_DEFECTO.pesoPrevio), numero({ positivo: true }))
+        },
+        privacidad: {
+            diasGracia: read('BORRADO_DIAS_GRACIA', '30', entero({ min: 0, max: 365 }))
+        }
+    };
+
+    if (config.entorno === 'production') {
+        checkProduction(env, config, errores);
+    }
+
+    if (errores.length > 0) {
+        throw new ConfigError(errores);
+    }
+
+    return config;
+};
+
+module.exports = { loadConfig, ConfigError, SECRETOS_INSEGUROS };
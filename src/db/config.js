@@ -0,0 +1,13 @@
+// src/db/config.js
+// Configuración de la base de datos compartida por el servidor y el runner de migraciones
+
+const getDbConfig = (env = process.env) => ({
+    host: env.DB_HOST,
+    port: parseInt(env.DB_PORT || '3306'),
+    user: env.DB_USER,
+    password: env.DB_PASSWORD,
+    database: env.DB_NAME || 'sistema_turismo',
+    charset: 'utf8mb4'
+});
+
+module.exports = { getDbConfig };
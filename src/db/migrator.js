@@ -0,0 +1,178 @@
+// src/db/migrator.js
+// Runner de migraciones versionadas y seeds para sistema_turismo
+//
+// Cada archivo de migrations/ se llama NNN_descripcion.js y exporta
+// `up(connection)` y `down(connection)`. Las migraciones aplicadas se registran
+// en la tabla `migraciones` agrupadas por lote, de modo que `down` revierte el
+// último lote completo. MySQL no permite transacciones sobre DDL, por lo que
+// cada migración debe poder ejecutarse de nuevo si falla a la mitad.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+const SEEDS_DIR = path.join(__dirname, '..', '..', 'seeds');
+const HISTORY_TABLE = 'migraciones';
+const LOCK_NAME = 'sistema_turismo_migraciones';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Carga los módulos de un directorio ordenados por su prefijo numérico
+const loadModules = (dir) => {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => ({
+            nombre: path.basename(file, '.js'),
+            ...require(path.join(dir, file))
+        }));
+};
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const migrations = loadModules(dir);
+
+    for (const migration of migrations) {
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`La migración ${migration.nombre} debe exportar up() y down()`);
+        }
+    }
+
+    return migrations;
+};
+
+const ensureHistoryTable = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            nombre VARCHAR(255) NOT NULL UNIQUE,
+            lote INT NOT NULL,
+            fecha_ejecucion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+};
+
+const getApplied = async (connection) => {
+    const [rows] = await connection.query(
+        `SELECT nombre, lote, fecha_ejecucion FROM ${HISTORY_TABLE} ORDER BY id`
+    );
+    return rows;
+};
+
+// Evita que dos despliegues ejecuten migraciones al mismo tiempo
+const withLock = async (connection, fn) => {
+    const [[{ adquirido }]] = await connection.query(
+        'SELECT GET_LOCK(?, ?) AS adquirido',
+        [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+    );
+
+    if (adquirido !== 1) {
+        throw new Error('No se pudo obtener el bloqueo de migraciones, ¿hay otra ejecución en curso?');
+    }
+
+    try {
+        await ensureHistoryTable(connection);
+        return await fn();
+    } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+};
+
+// Aplica todas las migraciones pendientes en un nuevo lote
+const migrateUp = (connection, { dir, log = console.log } = {}) => withLock(connection, async () => {
+    const migrations = loadMigrations(dir);
+    const applied = await getApplied(connection);
+    const appliedNames = new Set(applied.map(m => m.nombre));
+    const pending = migrations.filter(m => !appliedNames.has(m.nombre));
+
+    if (pending.length === 0) {
+        log('No hay migraciones pendientes');
+        return [];
+    }
+
+    const lote = applied.reduce((max, m) => Math.max(max, m.lote), 0) + 1;
+
+    for (const migration of pending) {
+        log(`Aplicando ${migration.nombre}...`);
+        await migration.up(connection);
+        await connection.query(
+            `INSERT INTO ${HISTORY_TABLE} (nombre, lote) VALUES (?, ?)`,
+            [migration.nombre, lote]
+        );
+    }
+
+    log(`${pending.length} migración(es) aplicadas en el lote ${lote}`);
+    return pending.map(m => m.nombre);
+});
+
+// Revierte el último lote, o todas las migraciones si `all` es true
+const migrateDown = (connection, { dir, all = false, log = console.log } = {}) => withLock(connection, async () => {
+    const migrations = new Map(loadMigrations(dir).map(m => [m.nombre, m]));
+    const applied = await getApplied(connection);
+
+    if (applied.length === 0) {
+        log('No hay migraciones para revertir');
+        return [];
+    }
+
+    const ultimoLote = applied[applied.length - 1].lote;
+    const toRevert = applied
+        .filter(m => all || m.lote === ultimoLote)
+        .reverse();
+
+    for (const { nombre } of toRevert) {
+        const migration = migrations.get(nombre);
+        if (!migration) {
+            throw new Error(`No se encontró el archivo de la migración ${nombre}`);
+        }
+
+        log(`Revirtiendo ${nombre}...`);
+        await migration.down(connection);
+        await connection.query(`DELETE FROM ${HISTORY_TABLE} WHERE nombre = ?`, [nombre]);
+    }
+
+    log(`${toRevert.length} migración(es) revertidas`);
+    return toRevert.map(m => m.nombre);
+});
+
+// Lista todas las migraciones conocidas con su estado
+const getStatus = (connection, { dir } = {}) => withLock(connection, async () => {
+    const applied = new Map((await getApplied(connection)).map(m => [m.nombre, m]));
+
+    return loadMigrations(dir).map(({ nombre }) => ({
+        nombre,
+        aplicada: applied.has(nombre),
+        lote: applied.get(nombre)?.lote ?? null,
+        fecha_ejecucion: applied.get(nombre)?.fecha_ejecucion ?? null
+    }));
+});
+
+// Ejecuta los seeds en orden; los marcados como `demo` solo si se piden.
+// Cada seed debe ser idempotente.
+const runSeeds = async (connection, { dir = SEEDS_DIR, demo = false, log = console.log } = {}) => {
+    const seeds = loadModules(dir);
+    const executed = [];
+
+    for (const seed of seeds) {
+        if (seed.demo && !demo) {
+            continue;
+        }
+
+        log(`Ejecutando seed ${seed.nombre}...`);
+        await seed.run(connection, { log });
+        executed.push(seed.nombre);
+    }
+
+    return executed;
+};
+
+module.exports = {
+    HISTORY_TABLE,
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    getStatus,
+    runSeeds
+};
@@ -0,0 +1,403 @@
+// src/docs/openapi.js
+// Genera la especificación OpenAPI 3 a partir de las rutas registradas en Express
+//
+// De cada ruta se leen sus middlewares: las cadenas de express-validator dan
+// los parámetros y el cuerpo, y los middlewares que exponen una propiedad
+// `docs` aportan el resto ({ roles } en verifyToken, { permisos } en
+// requirePermission y requireNegocioPermission, { limite } en los limitadores, { bloqueo } en el bloqueo
+// de login, { archivos } en las subidas). El resumen y el grupo de cada ruta vienen de src/docs/rutas.js.
+// Los mensajes de validación se documentan con su texto en español.
+
+const { IDIOMA_POR_DEFECTO, translate, isCodigo } = require('../i18n');
+
+const ENVOLTORIO = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        code: { type: 'string', description: 'Código estable del mensaje' },
+        message: { type: 'string', description: 'Mensaje en el idioma de la petición' },
+        data: {},
+        meta: { type: 'object', description: 'Paginación u otros datos del listado' }
+    },
+    required: ['success']
+};
+
+const ERROR = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean', enum: [false] },
+        code: { type: 'string', description: 'Código estable del error' },
+        message: { type: 'string', description: 'Mensaje en el idioma de la petición' },
+        errors: {
+            type: 'array',
+            description: 'Errores de validación de express-validator',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string' },
+                    path: { type: 'string' },
+                    location: { type: 'string' },
+                    msg: { type: 'string' },
+                    code: { type: 'string' },
+                    value: {}
+                }
+            }
+        }
+    },
+    required: ['success', 'code', 'message']
+};
+
+const respuestaError = (description, headers) => ({
+    description,
+    ...(headers ? { headers } : {}),
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const RESPUESTAS = {
+    ErrorValidacion: respuestaError('Datos de entrada inválidos'),
+    NoAutenticado: respuestaError('Token ausente, inválido o sesión revocada'),
+    SinPermiso: respuestaError('El usuario no tiene el rol o los permisos requeridos'),
+    NoEncontrado: respuestaError('Recurso no encontrado'),
+    DemasiadasSolicitudes: respuestaError('Límite de solicitudes superado o cuenta bloqueada temporalmente', {
+        'Retry-After': { description: 'Segundos hasta poder reintentar', schema: { type: 'integer' } },
+        'RateLimit-Limit': { description: 'Solicitudes permitidas en la ventana', schema: { type: 'integer' } },
+        'RateLimit-Remaining': { description: 'Solicitudes restantes en la ventana', schema: { type: 'integer' } },
+        'RateLimit-Reset': { description: 'Segundos hasta que se reinicie la ventana', schema: { type: 'integer' } }
+    }),
+    ArchivoDemasiadoGrande: respuestaError('El archivo supera el tamaño máximo'),
+    TipoNoAdmitido: respuestaError('La petición no es multipart/form-data o el tipo de archivo no está admitido'),
+    ErrorInterno: respuestaError('Error interno del servidor')
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Rutas registradas en la aplicación: [{ method, path, handles }]
+const listRoutes = (app) => {
+    const routes = [];
+    for (const layer of app.router.stack) {
+        if (!layer.route) {
+            continue;
+        }
+        for (const method of Object.keys(layer.route.methods)) {
+            routes.push({
+                method: method.toUpperCase(),
+                path: layer.route.path,
+                handles: layer.route.stack.map(item => item.handle)
+            });
+        }
+    }
+    return routes;
+};
+
+// Compara las rutas registradas con el catálogo
+const checkCoverage = (app, catalogo) => {
+    const registradas = listRoutes(app).map(route => `${route.method} ${route.path}`);
+    return {
+        sinDocumentar: registradas.filter(clave => !catalogo[clave]),
+        obsoletas: Object.keys(catalogo).filter(clave => !registradas.includes(clave))
+    };
+};
+
+// Traduce los validadores de una cadena de express-validator a un esquema JSON
+// Texto de un withMessage: un código del catálogo, un mensaje() de i18n o un texto literal
+const describeMessage = (message, campo) => {
+    if (isCodigo(message)) {
+        return translate(IDIOMA_POR_DEFECTO, message, { campo });
+    }
+    if (message && typeof message === 'object' && isCodigo(message.codigo)) {
+        return translate(IDIOMA_POR_DEFECTO, message.codigo, { campo, ...message.params });
+    }
+    return typeof message === 'string' ? message : null;
+};
+
+const schemaFromContext = (context) => {
+    const schema = {};
+    const mensajes = [];
+    const campo = context.fields[0];
+
+    for (const item of context.stack) {
+        const descripcion = describeMessage(item.message, campo);
+        if (descripcion) {
+            mensajes.push(descripcion);
+        }
+        if (!item.validator) {
+            continue;
+        }
+
+        const [opciones = {}] = item.options || [];
+        const nombre = item.validator.name;
+
+        if (item.negated) {
+            if (nombre === 'isEmpty') {
+                schema.type = schema.type || 'string';
+                schema.minLength = Math.max(schema.minLength || 0, 1);
+            }
+            continue;
+        }
+
+        switch (nombre) {
+            case 'isEmail':
+                Object.assign(schema, { type: 'string', format: 'email' });
+                break;
+            case 'isInt':
+            case 'isFloat':
+                schema.type = nombre === 'isInt' ? 'integer' : 'number';
+                if (opciones.min !== undefined) {
+                    schema.minimum = opciones.min;
+                }
+                if (opciones.max !== undefined) {
+                    schema.maximum = opciones.max;
+                }
+                break;
+            case 'isIn':
+                schema.enum = [...opciones];
+                break;
+            case 'isLength':
+                schema.type = schema.type || 'string';
+                if (opciones.min) {
+                    schema.minLength = opciones.min;
+                }
+                if (opciones.max !== undefined) {
+                    schema.maxLength = opciones.max;
+                }
+                break;
+            case 'isISO8601':
+                Object.assign(schema, { type: 'string', format: 'date-time' });
+                break;
+            case 'isDate':
+                Object.assign(schema, { type: 'string', format: 'date' });
+                break;
+            case 'isBoolean':
+                schema.type = 'boolean';
+                break;
+            case 'isURL':
+                Object.assign(schema, { type: 'string', format: 'uri' });
+                break;
+            default: {
+                // isString, isArray e isObject son validadores personalizados internos de express-validator
+                const fuente = item.validator.toString();
+                if (/Array\.isArray\(value\)/.test(fuente)) {
+                    schema.type = 'array';
+                } else if (/typeof value === 'string'/.test(fuente)) {
+                    schema.type = 'string';
+                }
+            }
+        }
+    }
+
+    const descripcion = describeMessage(context.message, campo);
+    if (descripcion) {
+        mensajes.push(descripcion);
+    }
+    if (mensajes.length > 0) {
+        schema.description = [...new Set(mensajes)].join('. ');
+    }
+
+    return schema;
+};
+
+const mergeSchema = (destino = {}, origen) => {
+    const description = [destino.description, origen.description].filter(Boolean).join('. ');
+    return { ...destino, ...origen, ...(description ? { description } : {}) };
+};
+
+// Construye la operación OpenAPI de una ruta
+const buildOperation = (route, entrada) => {
+    const parametros = new Map();
+    const cuerpo = { type: 'object', properties: {}, required: [] };
+    const docs = { roles: null, permisos: [], limitada: false, archivos: null };
+    let validada = false;
+
+    // Los parámetros de ruta existen siempre, tengan o no validador
+    for (const [, nombre] of route.path.matchAll(/:(\w+)/g)) {
+        parametros.set(`path:${nombre}`, {
+            name: nombre,
+            in: 'path',
+            required: true,
+            schema: nombre === 'id' ? { type: 'integer', minimum: 1 } : { type: 'string' }
+        });
+    }
+
+    for (const [campo, schema] of Object.entries(entrada.body || {})) {
+        cuerpo.properties[campo] = { ...schema };
+    }
+
+    for (const handle of route.handles) {
+        if (handle.docs) {
+            if (handle.docs.roles) {
+                docs.roles = handle.docs.roles;
+            }
+            if (handle.docs.permisos) {
+                docs.permisos.push(...handle.docs.permisos.filter(p => !docs.permisos.includes(p)));
+            }
+            if (handle.docs.limite || handle.docs.bloqueo) {
+                docs.limitada = true;
+            }
+            if (handle.docs.archivos) {
+                docs.archivos = handle.docs.archivos;
+            }
+        }
+
+        if (!handle.builder) {
+            continue;
+        }
+
+        validada = true;
+        const context = handle.builder.build();
+        const schema = schemaFromContext(context);
+        const opcional = Boolean(context.optional);
+
+        for (const location of context.locations) {
+            for (const field of context.fields) {
+                if (location === 'body') {
+                    if (field.endsWith('.*')) {
+                        const padre = field.slice(0, -2);
+                        cuerpo.properties[padre] = { type: 'array', ...cuerpo.properties[padre], items: schema };
+                        continue;
+                    }
+                    cuerpo.properties[field] = mergeSchema(cuerpo.properties[field], schema);
+                    if (!opcional && !cuerpo.required.includes(field)) {
+                        cuerpo.required.push(field);
+                    }
+                } else if (location === 'query' || location === 'params') {
+                    const ubicacion = location === 'query' ? 'query' : 'path';
+                    const clave = `${ubicacion}:${field}`;
+                    const anterior = parametros.get(clave);
+                    const { description, ...resto } = schema;
+                    parametros.set(clave, {
+                        name: field,
+                        in: ubicacion,
+                        required: ubicacion === 'path' || !opcional,
+                        ...(description ? { description } : {}),
+                        schema: { ...anterior?.schema, ...resto }
+                    });
+                }
+            }
+        }
+    }
+
+    const status = String(entrada.status || 200);
+    const responses = {
+        [status]: {
+            description: 'Operación exitosa',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Respuesta' } } }
+        }
+    };
+    if (validada) {
+        responses['400'] = { $ref: '#/components/responses/ErrorValidacion' };
+    }
+    if (docs.roles) {
+        responses['401'] = { $ref: '#/components/responses/NoAutenticado' };
+    }
+    if (docs.roles && (docs.roles.length > 0 || docs.permisos.length > 0)) {
+        responses['403'] = { $ref: '#/components/responses/SinPermiso' };
+    }
+    if (route.path.includes(':')) {
+        responses['404'] = { $ref: '#/components/responses/NoEncontrado' };
+    }
+    if (docs.archivos) {
+        responses['413'] = { $ref: '#/components/responses/ArchivoDemasiadoGrande' };
+        responses['415'] = { $ref: '#/components/responses/TipoNoAdmitido' };
+    }
+    if (docs.limitada) {
+        responses['429'] = { $ref: '#/components/responses/DemasiadasSolicitudes' };
+    }
+    responses['500'] = { $ref: '#/components/responses/ErrorInterno' };
+
+    const requisitos = [];
+    if (docs.roles) {
+        requisitos.push(`Roles: ${docs.roles.length > 0 ? docs.roles.join(', ') : 'cualquier usuario autenticado'}.`);
+    }
+    if (docs.permisos.length > 0) {
+        requisitos.push(`Permisos: ${docs.permisos.join(', ')}.`);
+    }
+
+    const operation = {
+        tags: [entrada.tag],
+        summary: entrada.resumen,
+        ...(entrada.descripcion || requisitos.length > 0
+            ? { description: [entrada.descripcion, ...requisitos].filter(Boolean).join('\n\n') }
+            : {}),
+        ...(docs.roles ? { security: [{ bearerAuth: [] }] } : {}),
+        ...(docs.permisos.length > 0 ? { 'x-permisos': docs.permisos } : {}),
+        ...(parametros.size > 0 ? { parameters: [...parametros.values()] } : {}),
+        responses
+    };
+
+    if (docs.archivos) {
+        const { campo, maxArchivos, tipos, maxBytes } = docs.archivos;
+        const archivo = { type: 'string', format: 'binary' };
+        operation.requestBody = {
+            required: true,
+            description: `Tipos admitidos: ${tipos.join(', ')}. Tamaño máximo por archivo: ${Math.round(maxBytes / 1024 / 1024)} MB.`,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        properties: { [campo]: maxArchivos > 1 ? { type: 'array', items: archivo, maxItems: maxArchivos } : archivo },
+                        required: [campo]
+                    }
+                }
+            }
+        };
+    } else if (Object.keys(cuerpo.properties).length > 0) {
+        if (cuerpo.required.length === 0) {
+            delete cuerpo.required;
+        }
+        operation.requestBody = {
+            required: Boolean(cuerpo.required),
+            content: { 'application/json': { schema: cuerpo } }
+        };
+    }
+
+    return operation;
+};
+
+// Especificación completa. Las rutas que no están en el catálogo se incluyen
+// igualmente, marcadas como no documentadas, para que no desaparezcan de la spec.
+const buildOpenApiSpec = (app, { catalogo, info }) => {
+    const paths = {};
+    const tags = new Set();
+
+    for (const route of listRoutes(app)) {
+        const entrada = catalogo[`${route.method} ${route.path}`] || { tag: 'Sin documentar', resumen: 'Ruta sin documentar' };
+        const path = toOpenApiPath(route.path);
+
+        tags.add(entrada.tag);
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = buildOperation(route, entrada);
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        tags: [...tags].map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            schemas: { Respuesta: ENVOLTORIO, Error: ERROR },
+            responses: RESPUESTAS
+        }
+    };
+};
+
+// Página de documentación navegable (Swagger UI desde CDN)
+const docsPage = (specUrl) => `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="utf-8">
+    <title>Documentación de la API</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>`;
+
+module.exports = { buildOpenApiSpec, checkCoverage, listRoutes, docsPage };
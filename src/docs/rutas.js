@@ -0,0 +1,392 @@
+// src/docs/rutas.js
+// Catálogo de rutas de la API para la especificación OpenAPI
+//
+// La clave es "MÉTODO /ruta" tal como se registra en Express. Los parámetros,
+// el cuerpo validado, la autenticación y los límites se obtienen de los
+// middlewares de cada ruta; aquí solo va lo que no se puede deducir: resumen,
+// grupo, código de éxito y los campos del cuerpo que no tienen validador.
+// Toda ruta registrada debe tener su entrada (ver scripts/verificar-openapi.js).
+
+const CAMPOS_NEGOCIO = {
+    descripcion: { type: 'string' },
+    direccion: { type: 'string' },
+    telefono: { type: 'string' },
+    latitud: { type: 'number' },
+    longitud: { type: 'number' },
+    horario_apertura: { type: 'string', example: '09:00' },
+    horario_cierre: { type: 'string', example: '18:00' },
+    dias_funcionamiento: { type: 'string' },
+    sitio_web: { type: 'string' }
+};
+
+const CAMPOS_CONTACTO = {
+    telefono: { type: 'string' },
+    pais_origen: { type: 'string' },
+    ciudad_origen: { type: 'string' }
+};
+
+const PARADAS = {
+    type: 'array',
+    description: 'Visitas del itinerario; dentro de cada día se ordenan como en la lista',
+    items: {
+        type: 'object',
+        required: ['negocio_id', 'dia'],
+        properties: {
+            negocio_id: { type: 'integer' },
+            dia: { type: 'integer', minimum: 1, maximum: 60, description: '1 = primer día del viaje' },
+            hora_inicio: { type: 'string', example: '10:00', description: 'Hora local del negocio' },
+            hora_fin: { type: 'string', example: '11:30' },
+            notas: { type: 'string', maxLength: 500 }
+        }
+    }
+};
+
+const ITINERARIO = 'La respuesta incluye `avisos` para las visitas que caen fuera del horario del negocio, ' +
+    'en un día en que está cerrado (solo con fecha_inicio) o a negocios que ya no están activos.';
+
+const REPORTE = 'Rango con desde y hasta (YYYY-MM-DD, incluidos; por defecto los últimos 30 días). Con formato=csv se descarga como archivo.';
+
+module.exports = {
+    // Autenticación
+    'POST /api/auth/turista/login': { tag: 'Autenticación', resumen: 'Iniciar sesión como turista' },
+    'POST /api/auth/admin/login': { tag: 'Autenticación', resumen: 'Iniciar sesión como administrador de negocio' },
+    'POST /api/auth/super-admin/login': { tag: 'Autenticación', resumen: 'Iniciar sesión como super administrador' },
+    'POST /api/auth/refresh': { tag: 'Autenticación', resumen: 'Renovar el access token con un refresh token de un solo uso' },
+    'POST /api/auth/logout': { tag: 'Autenticación', resumen: 'Cerrar la sesión actual' },
+    'POST /api/auth/logout-all': { tag: 'Autenticación', resumen: 'Cerrar todas las sesiones del usuario' },
+    'GET /api/auth/permisos': { tag: 'Autenticación', resumen: 'Permisos efectivos del usuario autenticado' },
+    'POST /api/auth/turista/register': {
+        tag: 'Autenticación',
+        resumen: 'Registrar un turista y enviar el correo de verificación',
+        status: 201,
+        body: CAMPOS_CONTACTO
+    },
+    'POST /api/auth/turista/reenviar-verificacion': { tag: 'Autenticación', resumen: 'Reenviar el correo de verificación a un turista' },
+    'POST /api/auth/admin/reenviar-verificacion': { tag: 'Autenticación', resumen: 'Reenviar el correo de verificación a un administrador de negocio' },
+    'POST /api/auth/turista/recuperar-password': { tag: 'Autenticación', resumen: 'Solicitar el enlace para restablecer la contraseña de un turista' },
+    'POST /api/auth/admin/recuperar-password': { tag: 'Autenticación', resumen: 'Solicitar el enlace para restablecer la contraseña de un administrador' },
+    'POST /api/auth/verificar-email': { tag: 'Autenticación', resumen: 'Confirmar el email con el token recibido por correo' },
+    'POST /api/auth/restablecer-password': { tag: 'Autenticación', resumen: 'Establecer una contraseña nueva con el token recibido por correo' },
+
+    // Turistas
+    'GET /api/turista/perfil': { tag: 'Turistas', resumen: 'Perfil del turista autenticado' },
+    'PUT /api/turista/perfil': {
+        tag: 'Turistas',
+        resumen: 'Actualizar el perfil del turista autenticado',
+        body: {
+            ...CAMPOS_CONTACTO,
+            fecha_nacimiento: { type: 'string', format: 'date' },
+            genero: { type: 'string' },
+            preferencias_turisticas: { type: 'string' }
+        }
+    },
+
+    'PUT /api/turista/perfil/foto': { tag: 'Turistas', resumen: 'Subir o reemplazar la foto de perfil del turista autenticado' },
+    'DELETE /api/turista/perfil/foto': { tag: 'Turistas', resumen: 'Eliminar la foto de perfil del turista autenticado' },
+    'GET /api/turista/favoritos': { tag: 'Turistas', resumen: 'Negocios favoritos del turista autenticado' },
+    'PUT /api/turista/favoritos/:negocioId': {
+        tag: 'Turistas',
+        resumen: 'Añadir un negocio a favoritos',
+        descripcion: 'Responde 201 si se añadió y 200 si ya estaba en favoritos.'
+    },
+    'DELETE /api/turista/favoritos/:negocioId': { tag: 'Turistas', resumen: 'Quitar un negocio de favoritos' },
+    'GET /api/turista/recomendaciones': {
+        tag: 'Turistas',
+        resumen: 'Negocios recomendados para el turista autenticado',
+        descripcion: 'Combina preferencias_turisticas, las categorías que el turista calificó bien, las calificaciones de turistas ' +
+            'con gustos parecidos y, con lat/lng, la cercanía. Excluye los negocios que ya reseñó. Cada resultado incluye ' +
+            '`puntuacion` (0 a 1) y `motivos` con el aporte de cada señal.'
+    },
+    'GET /api/turista/mis-datos': {
+        tag: 'Turistas',
+        resumen: 'Exportar los datos personales del turista autenticado',
+        descripcion: 'Descarga un ZIP (application/zip) con archivos JSON: perfil, reseñas, reportes, favoritos, itinerarios, ' +
+            'reservas y actividad (sesiones y acciones registradas en la auditoría).'
+    },
+    'DELETE /api/turista/cuenta': {
+        tag: 'Turistas',
+        resumen: 'Pedir el borrado de la cuenta del turista autenticado',
+        descripcion: 'Pide de nuevo la contraseña. La cuenta se desactiva, se cierran sus sesiones y sus datos personales se ' +
+            'anonimizan pasados BORRADO_DIAS_GRACIA días; las reseñas se conservan a nombre de un seudónimo. Responde 409 ' +
+            'si ya estaba programado o si hay reservas pendientes o confirmadas por venir.',
+        body: { password: { type: 'string', format: 'password' } }
+    },
+
+    // Itinerarios
+    'GET /api/turista/itinerarios': { tag: 'Itinerarios', resumen: 'Itinerarios del turista autenticado' },
+    'POST /api/turista/itinerarios': {
+        tag: 'Itinerarios',
+        resumen: 'Crear un itinerario',
+        status: 201,
+        descripcion: ITINERARIO,
+        body: { paradas: PARADAS }
+    },
+    'GET /api/turista/itinerarios/:id': { tag: 'Itinerarios', resumen: 'Itinerario con sus paradas por día y los avisos de horario' },
+    'PUT /api/turista/itinerarios/:id': {
+        tag: 'Itinerarios',
+        resumen: 'Actualizar un itinerario',
+        descripcion: `${ITINERARIO} Si se envía \`paradas\`, reemplaza la lista completa.`,
+        body: { paradas: PARADAS }
+    },
+    'DELETE /api/turista/itinerarios/:id': { tag: 'Itinerarios', resumen: 'Eliminar un itinerario' },
+    'POST /api/turista/itinerarios/:id/compartir': {
+        tag: 'Itinerarios',
+        resumen: 'Obtener el enlace público de solo lectura del itinerario',
+        descripcion: 'Si el itinerario ya está compartido devuelve el mismo enlace.'
+    },
+    'DELETE /api/turista/itinerarios/:id/compartir': {
+        tag: 'Itinerarios',
+        resumen: 'Revocar el enlace público del itinerario',
+        descripcion: 'El enlace anterior deja de funcionar; si se vuelve a compartir se genera uno nuevo.'
+    },
+    'GET /api/itinerarios/compartidos/:token': { tag: 'Itinerarios', resumen: 'Ver un itinerario compartido (público, solo lectura)' },
+
+    // Reservas
+    'GET /api/negocios/:id/disponibilidad': {
+        tag: 'Reservas',
+        resumen: 'Plazas o habitaciones libres de un hotel o restaurante',
+        descripcion: 'Por defecto los próximos 14 días (máximo 92), en la fecha local del negocio. Los hoteles devuelven una franja por noche.'
+    },
+    'POST /api/reservas': {
+        tag: 'Reservas',
+        resumen: 'Solicitar una reserva',
+        status: 201,
+        descripcion: 'Restaurantes: fecha, hora y personas. Hoteles: fecha de llegada, fecha_salida, personas y habitaciones. ' +
+            'La reserva queda pendiente hasta que el negocio la confirme, pero ya ocupa su cupo. Responde 409 si no hay disponibilidad.'
+    },
+    'GET /api/turista/reservas': { tag: 'Reservas', resumen: 'Reservas del turista autenticado' },
+    'POST /api/turista/reservas/:id/cancelar': {
+        tag: 'Reservas',
+        resumen: 'Cancelar una reserva propia',
+        descripcion: 'Solo antes de que empiece; libera el cupo.'
+    },
+    'GET /api/negocio/disponibilidad': {
+        tag: 'Reservas',
+        resumen: 'Capacidad y ocupación de las franjas del negocio',
+        descripcion: 'Las rutas de /api/negocio reciben `negocio_id`, que puede omitirse si el administrador gestiona un solo negocio.'
+    },
+    'PUT /api/negocio/disponibilidad': {
+        tag: 'Reservas',
+        resumen: 'Definir la capacidad de las franjas de un rango de fechas',
+        descripcion: 'Restaurantes: horas de servicio y comensales por franja. Hoteles: habitaciones por noche, sin horas. ' +
+            'Las franjas con más reservas que la nueva capacidad no se modifican y se devuelven en `conflictos`.'
+    },
+    'GET /api/negocio/reservas': { tag: 'Reservas', resumen: 'Reservas de un negocio del administrador' },
+    'POST /api/negocio/reservas/:id': {
+        tag: 'Reservas',
+        resumen: 'Confirmar, rechazar, cancelar, completar o marcar como no presentada una reserva',
+        descripcion: 'Rechazar y cancelar liberan el cupo. Completar y no_presentado solo son posibles desde el inicio de la reserva.'
+    },
+
+    // Negocios
+    'GET /api/negocios': {
+        tag: 'Negocios',
+        resumen: 'Buscar negocios activos',
+        descripcion: 'Admite texto libre (q) ordenado por relevancia, varias categorías (separadas por comas), calificación mínima, ' +
+            'búsqueda por cercanía (lat, lng, radio_km), caja (bbox), filtro de horario y salida GeoJSON. ' +
+            '`meta` incluye el total, el recuento por categoría y `siguiente_cursor`, que se envía como `cursor` para pedir la página siguiente. ' +
+            'Con abierto_ahora o abierto_en, el total y el recuento son null y una página puede traer menos resultados aunque haya más.'
+    },
+    'GET /api/negocios/:id': { tag: 'Negocios', resumen: 'Detalle de un negocio con su horario' },
+    'POST /api/negocios': { tag: 'Negocios', resumen: 'Dar de alta un negocio', status: 201, body: CAMPOS_NEGOCIO },
+    'PUT /api/negocios/:id': {
+        tag: 'Negocios',
+        resumen: 'Actualizar un negocio, su horario semanal y sus excepciones',
+        body: {
+            ...CAMPOS_NEGOCIO,
+            nombre: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            categoria: { type: 'string' }
+        }
+    },
+    'GET /api/negocios/:id/imagenes': { tag: 'Imágenes', resumen: 'Galería de imágenes de un negocio, en orden' },
+    'POST /api/negocios/:id/imagenes': {
+        tag: 'Imágenes',
+        resumen: 'Subir imágenes a la galería del negocio',
+        status: 201,
+        descripcion: 'Se añaden al final de la galería (máximo 20 imágenes). La primera imagen del negocio pasa a ser su portada.'
+    },
+    'PUT /api/negocios/:id/imagenes/orden': {
+        tag: 'Imágenes',
+        resumen: 'Reordenar la galería del negocio',
+        body: { ids: { type: 'array', items: { type: 'integer' }, description: 'Todas las imágenes, en el orden deseado' } }
+    },
+    'PUT /api/negocios/:id/imagenes/:imagenId/portada': { tag: 'Imágenes', resumen: 'Elegir la portada del negocio (imagen_principal)' },
+    'DELETE /api/negocios/:id/imagenes/:imagenId': { tag: 'Imágenes', resumen: 'Eliminar una imagen de la galería' },
+
+    // Miembros de los negocios
+    'GET /api/negocio/negocios': { tag: 'Miembros', resumen: 'Negocios del administrador, con su rol y sus permisos en cada uno' },
+    'GET /api/negocios/:id/miembros': { tag: 'Miembros', resumen: 'Administradores del negocio y su rol' },
+    'POST /api/negocios/:id/miembros': {
+        tag: 'Miembros',
+        resumen: 'Añadir al negocio una cuenta de administrador existente',
+        status: 202,
+        descripcion: 'Roles: propietario (todo, incluidos los miembros), editor (datos, reseñas, reservas y estadísticas) y lector (estadísticas). ' +
+            'La respuesta es la misma si el email no tiene cuenta o ya es miembro.'
+    },
+    'PUT /api/negocios/:id/miembros/:adminId': {
+        tag: 'Miembros',
+        resumen: 'Cambiar el rol de un miembro',
+        descripcion: 'El negocio debe conservar al menos un propietario con la cuenta activa.'
+    },
+    'DELETE /api/negocios/:id/miembros/:adminId': {
+        tag: 'Miembros',
+        resumen: 'Quitar un administrador del negocio',
+        descripcion: 'El negocio debe conservar al menos un propietario con la cuenta activa.'
+    },
+        'GET /api/negocios/:id/resenas': { tag: 'Reseñas', resumen: 'Reseñas publicadas de un negocio, con desglose por estrellas' },
+
+    // Reseñas
+    'POST /api/resenas': {
+        tag: 'Reseñas',
+        resumen: 'Publicar una reseña',
+        status: 201,
+        descripcion: 'Con `reserva_id` de una reserva completada del turista en ese negocio, la reseña se muestra como estancia verificada.'
+    },
+    'PUT /api/resenas/:id': { tag: 'Reseñas', resumen: 'Editar una reseña propia' },
+    'DELETE /api/resenas/:id': { tag: 'Reseñas', resumen: 'Eliminar una reseña propia' },
+    'POST /api/resenas/:id/respuesta': { tag: 'Reseñas', resumen: 'Responder una reseña del negocio', status: 201 },
+    'PUT /api/resenas/:id/respuesta': { tag: 'Reseñas', resumen: 'Editar la respuesta de una reseña' },
+    'DELETE /api/resenas/:id/respuesta': { tag: 'Reseñas', resumen: 'Eliminar la respuesta de una reseña' },
+    'POST /api/resenas/:id/reportes': { tag: 'Reseñas', resumen: 'Reportar una reseña', status: 201 },
+
+    // Administración de cuentas
+    'GET /api/admin/turistas': { tag: 'Administración', resumen: 'Listar turistas' },
+    'PUT /api/admin/turistas/:id': { tag: 'Administración', resumen: 'Editar los datos de un turista' },
+    'PATCH /api/admin/turistas/:id/estado': { tag: 'Administración', resumen: 'Activar o suspender un turista' },
+    'DELETE /api/admin/turistas/:id': { tag: 'Administración', resumen: 'Eliminar (lógicamente) un turista' },
+    'POST /api/admin/turistas/:id/restaurar': {
+        tag: 'Administración',
+        resumen: 'Restaurar un turista eliminado',
+        descripcion: 'Cancela el borrado programado de sus datos personales. Las cuentas ya anonimizadas no se pueden restaurar.'
+    },
+    'GET /api/admin/turistas/:id/datos-personales': {
+        tag: 'Administración',
+        resumen: 'Exportar los datos personales de un turista',
+        descripcion: 'El mismo ZIP que GET /api/turista/mis-datos, en nombre del turista.'
+    },
+    'DELETE /api/admin/turistas/:id/datos-personales': {
+        tag: 'Administración',
+        resumen: 'Programar el borrado de los datos personales de un turista',
+        descripcion: 'Como DELETE /api/turista/cuenta pero sin contraseña, en nombre del turista; `motivo` queda en la auditoría.',
+        body: { motivo: { type: 'string' } }
+    },
+    'GET /api/admin/administradores-negocio': {
+        tag: 'Administración',
+        resumen: 'Listar administradores de negocio',
+        descripcion: 'Con `negocio_id`, solo los miembros de ese negocio.'
+    },
+    'PUT /api/admin/administradores-negocio/:id': { tag: 'Administración', resumen: 'Editar los datos de un administrador de negocio' },
+    'PATCH /api/admin/administradores-negocio/:id/estado': { tag: 'Administración', resumen: 'Activar o suspender un administrador de negocio' },
+    'DELETE /api/admin/administradores-negocio/:id': { tag: 'Administración', resumen: 'Eliminar (lógicamente) un administrador de negocio' },
+    'POST /api/admin/administradores-negocio/:id/restaurar': { tag: 'Administración', resumen: 'Restaurar un administrador de negocio eliminado' },
+    'PUT /api/admin/administradores-negocio/:id/permisos': { tag: 'Administración', resumen: 'Asignar los permisos de un administrador de negocio' },
+    'POST /api/admin/crear-admin-negocio': {
+        tag: 'Administración',
+        resumen: 'Crear un administrador de negocio',
+        status: 201,
+        descripcion: 'Queda como miembro de `negocio_id` con `rol` (propietario por defecto).',
+        body: { telefono: { type: 'string' }, cargo: { type: 'string' } }
+    },
+    'GET /api/admin/negocios': { tag: 'Administración', resumen: 'Listar negocios, incluidos los inactivos' },
+    'PATCH /api/admin/negocios/:id/estado': { tag: 'Administración', resumen: 'Activar o suspender un negocio' },
+    'DELETE /api/admin/negocios/:id': { tag: 'Administración', resumen: 'Eliminar (lógicamente) un negocio' },
+    'POST /api/admin/negocios/:id/restaurar': { tag: 'Administración', resumen: 'Restaurar un negocio eliminado' },
+    'POST /api/admin/bloqueos-login/desbloquear': { tag: 'Administración', resumen: 'Levantar el bloqueo de login de una cuenta' },
+    'GET /api/admin/permisos': { tag: 'Administración', resumen: 'Catálogo de permisos asignables a administradores de negocio' },
+    'POST /api/admin/calificaciones/recalcular': { tag: 'Administración', resumen: 'Reconstruir los agregados de calificación' },
+
+    // Moderación
+    'GET /api/admin/moderacion/resenas': { tag: 'Moderación', resumen: 'Cola de reseñas reportadas' },
+    'POST /api/admin/moderacion/resenas/:id': { tag: 'Moderación', resumen: 'Ocultar, rechazar o restaurar una reseña' },
+    'GET /api/admin/moderacion/resenas/:id/historial': { tag: 'Moderación', resumen: 'Historial de moderación y reportes de una reseña' },
+
+    // Auditoría y estadísticas
+    'GET /api/admin/auditoria': { tag: 'Auditoría', resumen: 'Consultar el registro de auditoría' },
+    'GET /api/admin/estadisticas': { tag: 'Estadísticas', resumen: 'Estadísticas generales' },
+    'GET /api/admin/estadisticas/resenas': {
+        tag: 'Estadísticas',
+        resumen: 'Evolución de reseñas y calificación de la plataforma',
+        descripcion: `Serie por día, semana o mes, opcionalmente de una categoría. ${REPORTE}`
+    },
+    'GET /api/admin/estadisticas/calificaciones': { tag: 'Estadísticas', resumen: 'Distribución de calificaciones de la plataforma', descripcion: REPORTE },
+    'GET /api/admin/estadisticas/paises': { tag: 'Estadísticas', resumen: 'País de origen de los autores de reseñas', descripcion: REPORTE },
+    'GET /api/admin/estadisticas/categorias': { tag: 'Estadísticas', resumen: 'Negocios, reseñas y calificación por categoría', descripcion: REPORTE },
+    'GET /api/admin/estadisticas/cohortes': {
+        tag: 'Estadísticas',
+        resumen: 'Turistas por mes de registro y su actividad en reseñas',
+        descripcion: 'El rango filtra la fecha de registro; por defecto, el último año. Con formato=csv se descarga como archivo.'
+    },
+    'GET /api/negocio/estadisticas': {
+        tag: 'Estadísticas',
+        resumen: 'Estadísticas de un negocio o de todos los del administrador',
+        descripcion: 'Sin `negocio_id` y con varios negocios devuelve los totales, con la calificación promedio ponderada por reseñas, ' +
+            'y el resumen de cada negocio en `negocios`. Los reportes de /api/negocio/estadisticas también suman todos los negocios sin `negocio_id`.'
+    },
+    'GET /api/negocio/estadisticas/resenas': {
+        tag: 'Estadísticas',
+        resumen: 'Evolución de reseñas y calificación del negocio',
+        descripcion: `Serie por día, semana (de lunes a domingo) o mes, con los valores acumulados. ${REPORTE}`
+    },
+    'GET /api/negocio/estadisticas/calificaciones': { tag: 'Estadísticas', resumen: 'Distribución de calificaciones del negocio', descripcion: REPORTE },
+    'GET /api/negocio/estadisticas/paises': { tag: 'Estadísticas', resumen: 'País de origen de quienes reseñan el negocio', descripcion: REPORTE },
+    'GET /api/negocio/estadisticas/comparacion': {
+        tag: 'Estadísticas',
+        resumen: 'El negocio frente al promedio de su categoría',
+        descripcion: `Un solo negocio: negocio_id es obligatorio si el administrador tiene varios. ${REPORTE}`
+    },
+
+    // Webhooks
+    'GET /api/webhooks/eventos': { tag: 'Webhooks', resumen: 'Eventos a los que se puede suscribir un webhook' },
+    'GET /api/webhooks': {
+        tag: 'Webhooks',
+        resumen: 'Webhooks registrados',
+        descripcion: 'Los administradores de negocio ven los de sus negocios; los super admins, todos. Ambos pueden filtrar por `negocio_id`.'
+    },
+    'POST /api/webhooks': {
+        tag: 'Webhooks',
+        resumen: 'Registrar un webhook',
+        status: 201,
+        descripcion: 'Devuelve el secreto de firma, que no se vuelve a mostrar. Un administrador con varios negocios debe indicar `negocio_id`; ' +
+            'un super admin sin `negocio_id` registra un webhook ' +
+            'de la plataforma, que recibe los eventos de todos los negocios. Cada entrega lleva la cabecera ' +
+            '`X-Webhook-Firma: t=<segundos>,v1=<HMAC-SHA256 de "<t>.<cuerpo>">`. La `url` debe resolver a una dirección ' +
+            'pública; localhost, las redes privadas y las link-local se rechazan.'
+    },
+    'GET /api/webhooks/:id': { tag: 'Webhooks', resumen: 'Detalle de un webhook' },
+    'PUT /api/webhooks/:id': {
+        tag: 'Webhooks',
+        resumen: 'Editar o pausar un webhook',
+        descripcion: 'Con activo=false las entregas quedan en cola hasta que se reactive.'
+    },
+    'DELETE /api/webhooks/:id': { tag: 'Webhooks', resumen: 'Eliminar un webhook y su registro de entregas' },
+    'POST /api/webhooks/:id/secreto': { tag: 'Webhooks', resumen: 'Rotar el secreto de firma' },
+    'POST /api/webhooks/:id/probar': { tag: 'Webhooks', resumen: 'Enviar un evento ping de prueba', status: 202 },
+    'GET /api/webhooks/:id/entregas': {
+        tag: 'Webhooks',
+        resumen: 'Registro de entregas del webhook',
+        descripcion: 'Con el estado, los intentos, el último código HTTP o error y el próximo reintento de cada entrega.'
+    },
+    'POST /api/webhooks/:id/entregas/:entregaId/reenviar': {
+        tag: 'Webhooks',
+        resumen: 'Reenviar una entrega',
+        status: 202,
+        descripcion: 'Encola una entrega nueva con el mismo cuerpo e id de evento, enlazada con `reenvio_de`.'
+    },
+
+    // Sistema
+    'GET /api/health': { tag: 'Sistema', resumen: 'Estado del servidor (equivale a /api/health/ready)' },
+    'GET /api/health/live': { tag: 'Sistema', resumen: 'Sonda de vida: el proceso responde' },
+    'GET /api/health/ready': {
+        tag: 'Sistema',
+        resumen: 'Sonda de disponibilidad: base de datos accesible, con su latencia',
+        descripcion: 'Responde 503 si la base de datos no contesta a tiempo o el servidor se está cerrando.'
+    },
+    'GET /metrics': {
+        tag: 'Sistema',
+        resumen: 'Métricas en formato de texto de Prometheus',
+        descripcion: 'Si METRICS_TOKEN está definido, requiere `Authorization: Bearer <METRICS_TOKEN>`.'
+    },
+    'GET /api/openapi.json': { tag: 'Sistema', resumen: 'Esta especificación OpenAPI' },
+    'GET /api/docs': { tag: 'Sistema', resumen: 'Documentación navegable de la API' }
+};
@@ -0,0 +1,117 @@
+// src/estadisticas/index.js
+// Reportes de estadísticas: rangos de fechas y series temporales de reseñas
+//
+// Las fechas son días locales en formato YYYY-MM-DD y los rangos incluyen
+// ambos extremos. Los repositorios devuelven totales por día; aquí se agrupan
+// por día, semana (de lunes a domingo) o mes y se rellenan los periodos vacíos.
+
+const { addDays, formatDateValue } = require('../utils/horarios');
+const { mensaje } = require('../i18n');
+
+const INTERVALOS = ['dia', 'semana', 'mes'];
+
+// Límite de días de un rango, para acotar el tamaño de las series
+const MAX_DIAS_RANGO = 731;
+
+const daysBetween = (desde, hasta) =>
+    Math.round((new Date(`${hasta}T00:00:00Z`) - new Date(`${desde}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+// Rango pedido con sus valores por defecto: hasta hoy y `diasPorDefecto` días hacia atrás.
+// Devuelve { desde, hasta } o { error }.
+const resolveRange = ({ desde, hasta }, { diasPorDefecto = 30, hoy = formatDateValue(new Date()) } = {}) => {
+    const fin = hasta || hoy;
+    const inicio = desde || addDays(fin, -(diasPorDefecto - 1));
+
+    if (inicio > fin) {
+        return { error: mensaje('RANGO_FECHAS_INVERTIDO') };
+    }
+    if (daysBetween(inicio, fin) + 1 > MAX_DIAS_RANGO) {
+        return { error: mensaje('RANGO_FECHAS_EXCEDIDO', { max: MAX_DIAS_RANGO }) };
+    }
+
+    return { desde: inicio, hasta: fin };
+};
+
+// Primer día del periodo que contiene `fecha`
+const periodStart = (fecha, intervalo) => {
+    if (intervalo === 'mes') {
+        return `${fecha.slice(0, 7)}-01`;
+    }
+    if (intervalo === 'semana') {
+        const diaSemana = new Date(`${fecha}T00:00:00Z`).getUTCDay();
+        return addDays(fecha, -((diaSemana + 6) % 7));
+    }
+    return fecha;
+};
+
+const nextPeriod = (inicio, intervalo) => {
+    if (intervalo === 'mes') {
+        const [y, m] = inicio.split('-').map(Number);
+        return m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+    }
+    return addDays(inicio, intervalo === 'semana' ? 7 : 1);
+};
+
+const promedio = (suma, total) => (total > 0 ? Math.round((suma / total) * 100) / 100 : null);
+
+// dias: [{ fecha, resenas, suma }] con los totales de cada día del rango.
+// previo: totales anteriores al rango, para el promedio acumulado.
+const buildSeries = (dias, { desde, hasta, intervalo, previo = { resenas: 0, suma: 0 } }) => {
+    const porPeriodo = new Map();
+    for (const dia of dias) {
+        const clave = periodStart(dia.fecha, intervalo);
+        const actual = porPeriodo.get(clave) || { resenas: 0, suma: 0 };
+        porPeriodo.set(clave, { resenas: actual.resenas + Number(dia.resenas), suma: actual.suma + Number(dia.suma) });
+    }
+
+    const serie = [];
+    let acumuladas = Number(previo.resenas);
+    let sumaAcumulada = Number(previo.suma);
+
+    for (let periodo = periodStart(desde, intervalo); periodo <= hasta; periodo = nextPeriod(periodo, intervalo)) {
+        const { resenas, suma } = porPeriodo.get(periodo) || { resenas: 0, suma: 0 };
+        acumuladas += resenas;
+        sumaAcumulada += suma;
+        serie.push({
+            periodo,
+            resenas,
+            calificacion_promedio: promedio(suma, resenas),
+            resenas_acumuladas: acumuladas,
+            calificacion_promedio_acumulada: promedio(sumaAcumulada, acumuladas)
+        });
+    }
+
+    return serie;
+};
+
+// { 1: n, ..., 5: n } a filas con porcentaje
+const distributionRows = (desglose) => {
+    const total = Object.values(desglose).reduce((sum, n) => sum + Number(n), 0);
+    return [5, 4, 3, 2, 1].map(estrellas => ({
+        estrellas,
+        resenas: Number(desglose[estrellas] || 0),
+        porcentaje: total > 0 ? Math.round((Number(desglose[estrellas] || 0) / total) * 1000) / 10 : 0
+    }));
+};
+
+// Añade el porcentaje de reseñas de cada país; los turistas sin país cuentan como "Sin especificar"
+const countryRows = (filas) => {
+    const total = filas.reduce((sum, fila) => sum + Number(fila.resenas), 0);
+    return filas.map(fila => ({
+        pais: fila.pais || 'Sin especificar',
+        resenas: Number(fila.resenas),
+        turistas: Number(fila.turistas),
+        porcentaje: total > 0 ? Math.round((Number(fila.resenas) / total) * 1000) / 10 : 0
+    }));
+};
+
+module.exports = {
+    INTERVALOS,
+    MAX_DIAS_RANGO,
+    resolveRange,
+    periodStart,
+    buildSeries,
+    distributionRows,
+    countryRows,
+    promedio
+};
@@ -0,0 +1,84 @@
+// src/i18n/index.js
+// Mensajes de la API en varios idiomas
+//
+// Cada mensaje tiene un código estable (NEGOCIO_NO_ENCONTRADO) que viaja en la
+// respuesta como `code`, junto al texto traducido en `message`, para que los
+// clientes no dependan del texto. Los catálogos están en src/i18n/mensajes;
+// el español es la referencia y el respaldo de las claves que falten en los
+// demás. Los textos admiten parámetros con llaves: 'Máximo {max} imágenes'.
+// Un parámetro puede ser a su vez un mensaje(), que se traduce al mismo idioma.
+//
+// El idioma de cada petición lo elige src/middleware/idioma.js.
+
+const CATALOGOS = {
+    es: require('./mensajes/es'),
+    en: require('./mensajes/en'),
+    fr: require('./mensajes/fr')
+};
+
+const IDIOMAS = Object.keys(CATALOGOS);
+const IDIOMA_POR_DEFECTO = 'es';
+
+// Mensaje pendiente de traducir; sirve como withMessage de express-validator
+// cuando el texto lleva parámetros (validateRequest lo traduce)
+const mensaje = (codigo, params = {}) => ({ codigo, params });
+
+const formatParam = (idioma, valor) => {
+    if (Array.isArray(valor)) {
+        return valor.join(', ');
+    }
+    if (valor && typeof valor === 'object' && valor.codigo) {
+        return translate(idioma, valor.codigo, valor.params);
+    }
+    return String(valor);
+};
+
+const translate = (idioma, codigo, params = {}) => {
+    const plantilla = CATALOGOS[idioma]?.[codigo] ?? CATALOGOS[IDIOMA_POR_DEFECTO][codigo];
+    if (plantilla === undefined) {
+        return codigo;
+    }
+    return plantilla.replace(/\{(\w+)\}/g, (marca, nombre) => (params[nombre] === undefined ? marca : formatParam(idioma, params[nombre])));
+};
+
+const isCodigo = (valor) => typeof valor === 'string' && Object.hasOwn(CATALOGOS[IDIOMA_POR_DEFECTO], valor);
+
+// Error con código de mensaje, para los parsers y reglas de negocio que
+// rechazan una entrada. `message` lleva el texto en español para los logs.
+class MensajeError extends Error {
+    constructor(codigo, params = {}) {
+        super(translate(IDIOMA_POR_DEFECTO, codigo, params));
+        this.name = 'MensajeError';
+        this.codigo = codigo;
+        this.params = params;
+    }
+}
+
+// Idioma soportado preferido según Accept-Language ('en-US,en;q=0.9,fr;q=0.8'),
+// o null si no hay ninguno. Las variantes regionales usan el idioma base.
+const negotiate = (cabecera) => {
+    if (!cabecera) {
+        return null;
+    }
+
+    const candidatos = String(cabecera).split(',')
+        .map((parte, orden) => {
+            const [etiqueta, ...opciones] = parte.trim().split(';');
+            const q = opciones.map(o => o.trim()).find(o => o.startsWith('q='));
+            return { idioma: etiqueta.trim().toLowerCase().split('-')[0], q: q ? Number(q.slice(2)) : 1, orden };
+        })
+        .filter(({ idioma, q }) => IDIOMAS.includes(idioma) && q > 0)
+        .sort((a, b) => b.q - a.q || a.orden - b.orden);
+
+    return candidatos[0]?.idioma ?? null;
+};
+
+module.exports = {
+    IDIOMAS,
+    IDIOMA_POR_DEFECTO,
+    MensajeError,
+    mensaje,
+    translate,
+    isCodigo,
+    negotiate
+};
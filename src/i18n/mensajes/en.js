@@ -0,0 +1,237 @@
+// src/i18n/mensajes/en.js
+
+module.exports = {
+    // Generales
+    ERROR_INTERNO: 'Internal server error',
+    RUTA_NO_ENCONTRADA: 'Route not found',
+    SIN_CAMPOS_PARA_ACTUALIZAR: 'There are no fields to update',
+    DEMASIADAS_SOLICITUDES: 'Too many requests, try again later',
+    API_FUNCIONANDO: 'API working correctly',
+    API_LISTA: 'API ready to receive traffic',
+    BASE_DE_DATOS_NO_DISPONIBLE: 'Database unavailable',
+    SERVIDOR_CERRANDO: 'The server is shutting down',
+    TOKEN_METRICAS_INVALIDO: 'Invalid metrics token',
+
+    // Validación
+    DATOS_INVALIDOS: 'Invalid input data',
+    VALOR_INVALIDO: 'Invalid value in {campo}',
+    CAMPO_REQUERIDO: '{campo} is required',
+    CAMPO_FECHA: '{campo} must be a YYYY-MM-DD date',
+    CAMPO_FECHA_ISO: '{campo} must be an ISO 8601 date',
+    CAMPO_HORA: '{campo} must use the HH:MM format',
+    CAMPO_BOOLEANO: '{campo} must be true or false',
+    CAMPO_LISTA: '{campo} must be a list',
+    CAMPO_LISTA_TAMANO: '{campo} must be a list of {min} to {max} items',
+    CAMPO_VALORES: '{campo} must be one of: {valores}',
+    CAMPO_VALORES_VARIOS: '{campo} must be one or more of: {valores}',
+    CAMPO_RANGO: '{campo} must be between {min} and {max}',
+    CAMPO_LONGITUD_MIN: '{campo} must be at least {min} characters long',
+    CAMPO_LONGITUD: '{campo} must be between {min} and {max} characters long',
+    CAMPO_LONGITUD_MAX: '{campo} allows up to {max} characters',
+    CAMPO_URL: '{campo} must be an http or https URL',
+    EMAIL_INVALIDO: 'Invalid email',
+    PAGINA_INVALIDA: 'Invalid page',
+    LATITUD_INVALIDA: 'Invalid latitude',
+    LONGITUD_INVALIDA: 'Invalid longitude',
+    ZONA_HORARIA_INVALIDA: 'Invalid time zone',
+    BBOX_INVALIDO: 'bbox must use the format minLng,minLat,maxLng,maxLat',
+    RANGO_FECHAS_INVALIDO: 'The range must go from desde to hasta and span at most {max} days',
+    RANGO_FECHAS_INVERTIDO: 'The desde date must be before or equal to hasta',
+    RANGO_FECHAS_EXCEDIDO: 'The range cannot exceed {max} days',
+
+    // Autenticación y sesiones
+    TOKEN_NO_PROPORCIONADO: 'Token not provided',
+    TOKEN_INVALIDO: 'Invalid token',
+    TOKEN_INVALIDO_O_EXPIRADO: 'Invalid or expired token',
+    SESION_REVOCADA: 'Session revoked',
+    CUENTA_INACTIVA: 'Inactive account',
+    ACCESO_DENEGADO: 'Access denied',
+    PERMISO_REQUERIDO: 'Permission required: {permisos}',
+    EMAIL_NO_VERIFICADO: 'You must verify your email to perform this action',
+    CREDENCIALES_INVALIDAS: 'Invalid credentials',
+    DEMASIADOS_INTENTOS_LOGIN: 'Too many login attempts, try again later',
+    CUENTA_BLOQUEADA: 'Account temporarily locked after failed attempts, try again later',
+    LOGIN_EXITOSO: 'Login successful',
+    TOKEN_RENOVADO: 'Token renewed',
+    REFRESH_TOKEN_INVALIDO: 'Invalid or expired refresh token',
+    SESION_CERRADA: 'Session closed',
+    SESIONES_CERRADAS: 'All sessions were closed',
+    TURISTA_REGISTRADO: 'Tourist registered successfully',
+    EMAIL_REGISTRADO: 'The email is already registered',
+    EMAIL_VERIFICADO: 'Email verified successfully',
+    VERIFICACION_REENVIADA: 'If the account exists and is not verified, you will receive a new link',
+    RECUPERACION_ENVIADA: 'If the email is registered, you will receive a link to reset your password',
+    PASSWORD_RESTABLECIDA: 'Password reset successfully',
+
+    // Turistas
+    USUARIO_NO_ENCONTRADO: 'User not found',
+    TURISTA_NO_ENCONTRADO: 'Tourist not found',
+    PERFIL_ACTUALIZADO: 'Profile updated successfully',
+    FAVORITO_AGREGADO: 'Business added to favorites',
+    FAVORITO_EXISTENTE: 'The business was already in favorites',
+    FAVORITO_QUITADO: 'Business removed from favorites',
+    FAVORITO_NO_ENCONTRADO: 'The business is not in favorites',
+    PASSWORD_INCORRECTA: 'The password is incorrect',
+    BORRADO_PROGRAMADO: 'Account deactivated; its personal data will be erased on {fecha}',
+    BORRADO_YA_PROGRAMADO: 'Deletion of this account is already scheduled',
+    RESERVAS_ABIERTAS: 'The account has {total} pending or confirmed reservation(s); they must be cancelled before deleting it',
+
+    // Recomendaciones
+    MOTIVO_PREFERENCIAS_CATEGORIA: 'Based on your preferences: you are interested in {categoria} ({palabras})',
+    MOTIVO_PREFERENCIAS_TEXTO: 'Based on your preferences: it mentions {terminos}',
+    MOTIVO_PREFERENCIAS_AMBAS: 'Based on your preferences: you are interested in {categoria} ({palabras}); it mentions {terminos}',
+    MOTIVO_CATEGORIA_UNA: 'You rated {categoria} {media} on average (1 review)',
+    MOTIVO_CATEGORIA_VARIAS: 'You rated {categoria} {media} on average ({total} reviews)',
+    MOTIVO_SIMILAR: 'A tourist with tastes similar to yours rated it well',
+    MOTIVO_SIMILARES: '{total} tourists with tastes similar to yours rated it well',
+    MOTIVO_CERCANIA: 'It is {distancia} km away',
+    MOTIVO_CALIDAD: 'Well rated by tourists ({calificacion} out of 5)',
+    CATEGORIA_RESTAURANTES: 'restaurants',
+    CATEGORIA_HOTELES: 'hotels',
+    CATEGORIA_TIENDAS: 'shops',
+    CATEGORIA_ENTRETENIMIENTO: 'entertainment venues',
+    CATEGORIA_SERVICIOS: 'services',
+    CATEGORIA_OTROS: 'other businesses',
+
+    // Negocios y horarios
+    NEGOCIO_NO_ENCONTRADO: 'Business not found',
+    SIN_PERMISOS_NEGOCIO: 'No permissions for this business',
+    NEGOCIO_REQUERIDO: 'You manage several businesses; specify negocio_id',
+    NEGOCIO_CREADO: 'Business created successfully',
+    NEGOCIO_ACTUALIZADO: 'Business updated successfully',
+    LAT_LNG_JUNTOS: 'lat and lng must be sent together',
+    RADIO_REQUIERE_UBICACION: 'radio_km requires lat and lng',
+    DISTANCIA_REQUIERE_UBICACION: 'radio_km and orden=distancia require lat and lng',
+    RELEVANCIA_REQUIERE_Q: 'orden=relevancia requires q',
+    CURSOR_INVALIDO: 'Invalid cursor for this search',
+    HORARIO_OBJETO: 'horarios must be an object keyed by day of the week',
+    HORARIO_DIA_INVALIDO: 'Invalid day of the week: {dia}',
+    HORARIO_RANGOS_LISTA: 'The ranges for {contexto} must be a list',
+    HORARIO_RANGO_INVALIDO: 'Invalid time range for {contexto}, use { abre: "HH:MM", cierra: "HH:MM" }',
+    HORARIO_RANGO_VACIO: 'The range for {contexto} opens and closes at the same time; use 00:00 to 24:00 for the whole day',
+    EXCEPCIONES_LISTA: 'excepciones_horario must be a list',
+    EXCEPCION_FECHAS: 'Exceptions require fecha_inicio and fecha_fin (YYYY-MM-DD) in order',
+    EXCEPCION_SIN_RANGOS: 'The exception on {fecha} must be closed or have ranges',
+
+    // Reseñas
+    RESENA_NO_ENCONTRADA: 'Review not found',
+    SIN_PERMISOS_RESENA: 'No permissions for this review',
+    RESENA_DUPLICADA: 'You have already reviewed this business',
+    RESENA_CREADA: 'Review created successfully',
+    RESENA_ACTUALIZADA: 'Review updated successfully',
+    RESENA_ELIMINADA: 'Review deleted successfully',
+    RESENA_MODERADA: 'Review moderated successfully',
+    RESENA_ACCION_NO_PERMITIDA: 'Cannot {accion} a review in state {estado}',
+    RESENA_RECHAZADA_NO_EDITABLE: 'A rejected review cannot be edited',
+    RESPUESTA_EXISTENTE: 'The review already has a reply',
+    RESPUESTA_NO_ENCONTRADA: 'The review has no reply',
+    RESPUESTA_PUBLICADA: 'Reply published successfully',
+    RESPUESTA_ACTUALIZADA: 'Reply updated successfully',
+    RESPUESTA_ELIMINADA: 'Reply deleted successfully',
+    REPORTE_DUPLICADO: 'You already reported this review',
+    REPORTE_PROPIO: 'You cannot report your own review',
+    REPORTE_ENVIADO: 'Report sent, a moderator will review it',
+
+    // Imágenes y archivos
+    MULTIPART_REQUERIDO: 'The request must be multipart/form-data',
+    FORMULARIO_INVALIDO: 'Invalid form',
+    ARCHIVO_REQUERIDO: 'Missing file in field {campo}',
+    ARCHIVO_DEMASIADO_GRANDE: 'The file exceeds the maximum of {mb} MB',
+    DEMASIADOS_ARCHIVOS: 'At most {max} files are allowed',
+    CAMPO_ARCHIVO_INESPERADO: 'Unexpected file field; use {campo}',
+    TIPO_ARCHIVO_NO_ADMITIDO: 'File type not allowed; use {tipos}',
+    ARCHIVO_INVALIDO: '{archivo}: {motivo}',
+    IMAGEN_INVALIDA: 'The file is not a valid image or is too large',
+    FORMATO_IMAGEN_NO_ADMITIDO: 'Format not allowed; use {formatos}',
+    GALERIA_LLENA: 'The gallery allows at most {max} images; it already has {actuales}',
+    IMAGENES_SUBIDAS: '{total} image(s) uploaded successfully',
+    IMAGEN_NO_ENCONTRADA: 'Image not found',
+    IMAGEN_ELIMINADA: 'Image deleted',
+    GALERIA_REORDENADA: 'Gallery reordered',
+    PORTADA_ACTUALIZADA: 'Cover updated',
+    ORDEN_IMAGENES_INCOMPLETO: 'ids must contain each image of the business exactly once',
+    FOTO_PERFIL_ACTUALIZADA: 'Profile photo updated',
+    FOTO_PERFIL_ELIMINADA: 'Profile photo deleted',
+    FOTO_PERFIL_NO_ENCONTRADA: 'The profile has no photo',
+
+    // Itinerarios
+    ITINERARIO_NO_ENCONTRADO: 'Itinerary not found',
+    ITINERARIO_CREADO: 'Itinerary created successfully',
+    ITINERARIO_ACTUALIZADO: 'Itinerary updated successfully',
+    ITINERARIO_ELIMINADO: 'Itinerary deleted successfully',
+    ITINERARIO_NO_COMPARTIDO: 'The itinerary is not shared',
+    ENLACE_PUBLICO_ITINERARIO: 'Public link of the itinerary',
+    ENLACE_PUBLICO_REVOCADO: 'The public link no longer works',
+    MAX_ITINERARIOS: 'At most {max} itineraries per tourist are allowed',
+    NEGOCIOS_NO_DISPONIBLES: 'Businesses not available: {ids}',
+    MAX_PARADAS: 'An itinerary allows at most {max} stops',
+    PARADA_NEGOCIO_INVALIDO: 'Invalid negocio_id in stop {parada}',
+    PARADA_DIA_INVALIDO: 'dia must be an integer between 1 and {max} in stop {parada}',
+    PARADA_HORA_INVALIDA: 'The times of stop {parada} must use the HH:MM format',
+    PARADA_HORA_FIN_SIN_INICIO: 'Stop {parada} has hora_fin without hora_inicio',
+    PARADA_NOTAS_INVALIDAS: 'The notes of stop {parada} must be text of up to {max} characters',
+    AVISO_NEGOCIO_INACTIVO: '{nombre} is currently not available',
+    AVISO_CERRADO: '{nombre} is closed on {fecha}',
+    AVISO_FUERA_DE_HORARIO: 'The visit to {nombre} ({hora_inicio} to {hora_fin}) is outside its opening hours',
+    AVISO_NO_ABIERTO: '{nombre} is not open at {hora_inicio}',
+
+    // Reservas
+    RESERVA_NO_ENCONTRADA: 'Reservation not found',
+    RESERVA_DE_OTRO_NEGOCIO: 'The reservation does not belong to this business',
+    RESERVA_NO_COMPLETADA: 'Only a completed reservation can be linked',
+    NEGOCIO_SIN_RESERVAS: 'This business does not accept reservations',
+    DISPONIBILIDAD_FECHAS_PASADAS: 'Availability cannot be set for past dates',
+    DISPONIBILIDAD_REQUIERE_HORAS: 'Restaurants must specify their service times',
+    DISPONIBILIDAD_SIN_HORAS: 'Hotels set availability per night, without times',
+    DISPONIBILIDAD_ACTUALIZADA: 'Availability updated successfully',
+    DISPONIBILIDAD_CON_CONFLICTOS: 'Availability updated; some slots have more reservations than the new capacity and were not changed',
+    SIN_DISPONIBILIDAD: 'There is no availability for the requested date',
+    RESERVA_RESTAURANTE_CAMPOS: 'Restaurant reservations specify date, time and party size',
+    RESERVA_HOTEL_CAMPOS: 'Hotel reservations specify arrival date and fecha_salida',
+    RESERVA_FECHA_PASADA: 'The reservation must be for a future date and time',
+    RESERVA_LLEGADA_PASADA: 'The arrival date cannot be in the past',
+    RESERVA_HABITACIONES: 'There cannot be more rooms than guests',
+    RESERVA_NOCHES: 'The stay must be from 1 to {max} nights',
+    RESERVA_SOLICITADA: 'Reservation requested; the business must confirm it',
+    RESERVA_CANCELADA: 'Reservation cancelled successfully',
+    RESERVA_ACTUALIZADA: 'Reservation updated successfully',
+    RESERVA_ACCION_NO_PERMITIDA: 'You cannot apply the action {accion} to this reservation',
+    RESERVA_ESTADO_INVALIDO: 'The action {accion} cannot be applied to a reservation in state {estado}',
+    RESERVA_YA_EMPEZADA: 'The reservation has already started; contact the business to cancel it',
+    RESERVA_NO_EMPEZADA: 'The reservation has not started yet',
+
+    // Webhooks
+    WEBHOOK_NO_ENCONTRADO: 'Webhook not found',
+    WEBHOOK_REGISTRADO: 'Webhook registered; store the secret, it will not be shown again',
+    WEBHOOK_ACTUALIZADO: 'Webhook updated successfully',
+    WEBHOOK_ELIMINADO: 'Webhook deleted successfully',
+    WEBHOOK_SECRETO_ROTADO: 'Secret rotated; store it, it will not be shown again',
+    WEBHOOK_HTTPS_REQUERIDO: 'In production the url must use https',
+    WEBHOOK_DESTINO_NO_RESUELTO: 'The url host could not be resolved',
+    WEBHOOK_DESTINO_NO_PERMITIDO: 'The url points to an internal address (localhost, private network or link-local)',
+    MAX_WEBHOOKS: 'At most {max} webhooks per business are allowed',
+    WEBHOOK_PRUEBA_ENCOLADA: 'Test event queued',
+    WEBHOOK_PRUEBA_ENCOLADA_PAUSADO: 'Test event queued; it will be sent when the webhook is activated',
+    ENTREGA_NO_ENCONTRADA: 'Delivery not found',
+    ENTREGA_REENCOLADA: 'Delivery queued again',
+
+    // Miembros de los negocios
+    MIEMBRO_NO_ENCONTRADO: 'The administrator is not a member of this business',
+    MIEMBRO_AGREGADO: 'If the email belongs to an administrator account, it has been added to the business',
+    MIEMBRO_ACTUALIZADO: 'Role updated successfully',
+    MIEMBRO_ELIMINADO: 'Administrator removed from the business',
+    ULTIMO_PROPIETARIO: 'The business must keep at least one owner with an active account',
+
+    // Administración
+    ADMINISTRADOR_NO_ENCONTRADO: 'Administrator not found',
+    ADMINISTRADOR_CREADO: 'Business administrator created successfully',
+    ELIMINADO_NO_ENCONTRADO: '{detalle} among the deleted',
+    PERMISOS_ACTUALIZADOS: 'Permissions updated successfully',
+    CUENTA_ACTUALIZADA: 'Account updated successfully',
+    ESTADO_ACTUALIZADO: 'Status updated successfully',
+    CUENTA_ELIMINADA: 'Deleted successfully',
+    CUENTA_RESTAURADA: 'Restored successfully',
+    CUENTA_NO_BLOQUEADA: 'The account is not locked',
+    CUENTA_DESBLOQUEADA: 'Account unlocked successfully',
+    CALIFICACIONES_RECALCULADAS: 'Ratings recalculated'
+};
@@ -0,0 +1,239 @@
+// src/i18n/mensajes/es.js
+// Catálogo de referencia: cada código nuevo se añade aquí primero y después
+// en los demás idiomas (las claves que falten se responden en español)
+
+module.exports = {
+    // Generales
+    ERROR_INTERNO: 'Error interno del servidor',
+    RUTA_NO_ENCONTRADA: 'Ruta no encontrada',
+    SIN_CAMPOS_PARA_ACTUALIZAR: 'No hay campos para actualizar',
+    DEMASIADAS_SOLICITUDES: 'Demasiadas solicitudes, intenta de nuevo más tarde',
+    API_FUNCIONANDO: 'API funcionando correctamente',
+    API_LISTA: 'API lista para recibir tráfico',
+    BASE_DE_DATOS_NO_DISPONIBLE: 'Base de datos no disponible',
+    SERVIDOR_CERRANDO: 'El servidor se está cerrando',
+    TOKEN_METRICAS_INVALIDO: 'Token de métricas inválido',
+
+    // Validación; {campo} es el nombre del campo de la petición
+    DATOS_INVALIDOS: 'Datos de entrada inválidos',
+    VALOR_INVALIDO: 'Valor inválido en {campo}',
+    CAMPO_REQUERIDO: '{campo} es obligatorio',
+    CAMPO_FECHA: '{campo} debe ser una fecha YYYY-MM-DD',
+    CAMPO_FECHA_ISO: '{campo} debe ser una fecha ISO 8601',
+    CAMPO_HORA: '{campo} debe tener formato HH:MM',
+    CAMPO_BOOLEANO: '{campo} debe ser true o false',
+    CAMPO_LISTA: '{campo} debe ser una lista',
+    CAMPO_LISTA_TAMANO: '{campo} debe ser una lista de {min} a {max} elementos',
+    CAMPO_VALORES: '{campo} debe ser uno de: {valores}',
+    CAMPO_VALORES_VARIOS: '{campo} debe ser una o varias de: {valores}',
+    CAMPO_RANGO: '{campo} debe estar entre {min} y {max}',
+    CAMPO_LONGITUD_MIN: '{campo} debe tener al menos {min} caracteres',
+    CAMPO_LONGITUD: '{campo} debe tener entre {min} y {max} caracteres',
+    CAMPO_LONGITUD_MAX: '{campo} admite hasta {max} caracteres',
+    CAMPO_URL: '{campo} debe ser una URL http o https',
+    EMAIL_INVALIDO: 'Email inválido',
+    PAGINA_INVALIDA: 'Página inválida',
+    LATITUD_INVALIDA: 'Latitud inválida',
+    LONGITUD_INVALIDA: 'Longitud inválida',
+    ZONA_HORARIA_INVALIDA: 'Zona horaria inválida',
+    BBOX_INVALIDO: 'bbox debe tener el formato minLng,minLat,maxLng,maxLat',
+    RANGO_FECHAS_INVALIDO: 'El rango debe ir de desde a hasta y abarcar como máximo {max} días',
+    RANGO_FECHAS_INVERTIDO: 'La fecha desde debe ser anterior o igual a hasta',
+    RANGO_FECHAS_EXCEDIDO: 'El rango no puede superar {max} días',
+
+    // Autenticación y sesiones
+    TOKEN_NO_PROPORCIONADO: 'Token no proporcionado',
+    TOKEN_INVALIDO: 'Token inválido',
+    TOKEN_INVALIDO_O_EXPIRADO: 'Token inválido o expirado',
+    SESION_REVOCADA: 'Sesión revocada',
+    CUENTA_INACTIVA: 'Cuenta inactiva',
+    ACCESO_DENEGADO: 'Acceso denegado',
+    PERMISO_REQUERIDO: 'Permiso requerido: {permisos}',
+    EMAIL_NO_VERIFICADO: 'Debes verificar tu email para realizar esta acción',
+    CREDENCIALES_INVALIDAS: 'Credenciales inválidas',
+    DEMASIADOS_INTENTOS_LOGIN: 'Demasiados intentos de inicio de sesión, intenta de nuevo más tarde',
+    CUENTA_BLOQUEADA: 'Cuenta bloqueada temporalmente por intentos fallidos, intenta de nuevo más tarde',
+    LOGIN_EXITOSO: 'Login exitoso',
+    TOKEN_RENOVADO: 'Token renovado',
+    REFRESH_TOKEN_INVALIDO: 'Refresh token inválido o expirado',
+    SESION_CERRADA: 'Sesión cerrada',
+    SESIONES_CERRADAS: 'Todas las sesiones fueron cerradas',
+    TURISTA_REGISTRADO: 'Turista registrado exitosamente',
+    EMAIL_REGISTRADO: 'El email ya está registrado',
+    EMAIL_VERIFICADO: 'Email verificado exitosamente',
+    VERIFICACION_REENVIADA: 'Si la cuenta existe y no está verificada, recibirás un nuevo enlace',
+    RECUPERACION_ENVIADA: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña',
+    PASSWORD_RESTABLECIDA: 'Contraseña restablecida exitosamente',
+
+    // Turistas
+    USUARIO_NO_ENCONTRADO: 'Usuario no encontrado',
+    TURISTA_NO_ENCONTRADO: 'Turista no encontrado',
+    PERFIL_ACTUALIZADO: 'Perfil actualizado exitosamente',
+    FAVORITO_AGREGADO: 'Negocio añadido a favoritos',
+    FAVORITO_EXISTENTE: 'El negocio ya estaba en favoritos',
+    FAVORITO_QUITADO: 'Negocio quitado de favoritos',
+    FAVORITO_NO_ENCONTRADO: 'El negocio no está en favoritos',
+    PASSWORD_INCORRECTA: 'La contraseña no es correcta',
+    BORRADO_PROGRAMADO: 'Cuenta desactivada; sus datos personales se borrarán el {fecha}',
+    BORRADO_YA_PROGRAMADO: 'El borrado de esta cuenta ya está programado',
+    RESERVAS_ABIERTAS: 'La cuenta tiene {total} reserva(s) pendiente(s) o confirmada(s); deben cancelarse antes de borrarla',
+
+    // Recomendaciones; {categoria} es uno de los CATEGORIA_* siguientes
+    MOTIVO_PREFERENCIAS_CATEGORIA: 'Según tus preferencias: te interesan los {categoria} ({palabras})',
+    MOTIVO_PREFERENCIAS_TEXTO: 'Según tus preferencias: menciona {terminos}',
+    MOTIVO_PREFERENCIAS_AMBAS: 'Según tus preferencias: te interesan los {categoria} ({palabras}); menciona {terminos}',
+    MOTIVO_CATEGORIA_UNA: 'Calificaste {categoria} con {media} de media (1 reseña)',
+    MOTIVO_CATEGORIA_VARIAS: 'Calificaste {categoria} con {media} de media ({total} reseñas)',
+    MOTIVO_SIMILAR: 'Un turista con gustos parecidos a los tuyos lo calificó bien',
+    MOTIVO_SIMILARES: '{total} turistas con gustos parecidos a los tuyos lo calificaron bien',
+    MOTIVO_CERCANIA: 'Está a {distancia} km',
+    MOTIVO_CALIDAD: 'Bien valorado por los turistas ({calificacion} de 5)',
+    CATEGORIA_RESTAURANTES: 'restaurantes',
+    CATEGORIA_HOTELES: 'hoteles',
+    CATEGORIA_TIENDAS: 'tiendas',
+    CATEGORIA_ENTRETENIMIENTO: 'lugares de entretenimiento',
+    CATEGORIA_SERVICIOS: 'servicios',
+    CATEGORIA_OTROS: 'otros negocios',
+
+    // Negocios y horarios
+    NEGOCIO_NO_ENCONTRADO: 'Negocio no encontrado',
+    SIN_PERMISOS_NEGOCIO: 'Sin permisos para este negocio',
+    NEGOCIO_REQUERIDO: 'Gestionas varios negocios; indica negocio_id',
+    NEGOCIO_CREADO: 'Negocio creado exitosamente',
+    NEGOCIO_ACTUALIZADO: 'Negocio actualizado exitosamente',
+    LAT_LNG_JUNTOS: 'lat y lng deben enviarse juntos',
+    RADIO_REQUIERE_UBICACION: 'radio_km requiere lat y lng',
+    DISTANCIA_REQUIERE_UBICACION: 'radio_km y orden=distancia requieren lat y lng',
+    RELEVANCIA_REQUIERE_Q: 'orden=relevancia requiere q',
+    CURSOR_INVALIDO: 'Cursor inválido para esta búsqueda',
+    HORARIO_OBJETO: 'horarios debe ser un objeto con los días de la semana',
+    HORARIO_DIA_INVALIDO: 'Día de la semana inválido: {dia}',
+    HORARIO_RANGOS_LISTA: 'Los rangos de {contexto} deben ser una lista',
+    HORARIO_RANGO_INVALIDO: 'Rango horario inválido en {contexto}, usa { abre: "HH:MM", cierra: "HH:MM" }',
+    HORARIO_RANGO_VACIO: 'El rango de {contexto} abre y cierra a la misma hora; usa 00:00 a 24:00 para todo el día',
+    EXCEPCIONES_LISTA: 'excepciones_horario debe ser una lista',
+    EXCEPCION_FECHAS: 'Las excepciones requieren fecha_inicio y fecha_fin (YYYY-MM-DD) en orden',
+    EXCEPCION_SIN_RANGOS: 'La excepción del {fecha} debe estar cerrada o tener rangos',
+
+    // Reseñas
+    RESENA_NO_ENCONTRADA: 'Reseña no encontrada',
+    SIN_PERMISOS_RESENA: 'Sin permisos para esta reseña',
+    RESENA_DUPLICADA: 'Ya has reseñado este negocio',
+    RESENA_CREADA: 'Reseña creada exitosamente',
+    RESENA_ACTUALIZADA: 'Reseña actualizada exitosamente',
+    RESENA_ELIMINADA: 'Reseña eliminada exitosamente',
+    RESENA_MODERADA: 'Reseña moderada exitosamente',
+    RESENA_ACCION_NO_PERMITIDA: 'No se puede {accion} una reseña en estado {estado}',
+    RESENA_RECHAZADA_NO_EDITABLE: 'No se puede editar una reseña rechazada',
+    RESPUESTA_EXISTENTE: 'La reseña ya tiene una respuesta',
+    RESPUESTA_NO_ENCONTRADA: 'La reseña no tiene respuesta',
+    RESPUESTA_PUBLICADA: 'Respuesta publicada exitosamente',
+    RESPUESTA_ACTUALIZADA: 'Respuesta actualizada exitosamente',
+    RESPUESTA_ELIMINADA: 'Respuesta eliminada exitosamente',
+    REPORTE_DUPLICADO: 'Ya reportaste esta reseña',
+    REPORTE_PROPIO: 'No puedes reportar tu propia reseña',
+    REPORTE_ENVIADO: 'Reporte enviado, será revisado por un moderador',
+
+    // Imágenes y archivos
+    MULTIPART_REQUERIDO: 'La petición debe ser multipart/form-data',
+    FORMULARIO_INVALIDO: 'Formulario inválido',
+    ARCHIVO_REQUERIDO: 'Falta el archivo en el campo {campo}',
+    ARCHIVO_DEMASIADO_GRANDE: 'El archivo supera el máximo de {mb} MB',
+    DEMASIADOS_ARCHIVOS: 'Se admiten como máximo {max} archivos',
+    CAMPO_ARCHIVO_INESPERADO: 'Campo de archivo inesperado; usa {campo}',
+    TIPO_ARCHIVO_NO_ADMITIDO: 'Tipo de archivo no admitido; usa {tipos}',
+    ARCHIVO_INVALIDO: '{archivo}: {motivo}',
+    IMAGEN_INVALIDA: 'El archivo no es una imagen válida o es demasiado grande',
+    FORMATO_IMAGEN_NO_ADMITIDO: 'Formato no admitido; usa {formatos}',
+    GALERIA_LLENA: 'La galería admite como máximo {max} imágenes; ya tiene {actuales}',
+    IMAGENES_SUBIDAS: '{total} imagen(es) subida(s) exitosamente',
+    IMAGEN_NO_ENCONTRADA: 'Imagen no encontrada',
+    IMAGEN_ELIMINADA: 'Imagen eliminada',
+    GALERIA_REORDENADA: 'Galería reordenada',
+    PORTADA_ACTUALIZADA: 'Portada actualizada',
+    ORDEN_IMAGENES_INCOMPLETO: 'ids debe contener cada imagen del negocio exactamente una vez',
+    FOTO_PERFIL_ACTUALIZADA: 'Foto de perfil actualizada',
+    FOTO_PERFIL_ELIMINADA: 'Foto de perfil eliminada',
+    FOTO_PERFIL_NO_ENCONTRADA: 'El perfil no tiene foto',
+
+    // Itinerarios
+    ITINERARIO_NO_ENCONTRADO: 'Itinerario no encontrado',
+    ITINERARIO_CREADO: 'Itinerario creado exitosamente',
+    ITINERARIO_ACTUALIZADO: 'Itinerario actualizado exitosamente',
+    ITINERARIO_ELIMINADO: 'Itinerario eliminado exitosamente',
+    ITINERARIO_NO_COMPARTIDO: 'El itinerario no está compartido',
+    ENLACE_PUBLICO_ITINERARIO: 'Enlace público del itinerario',
+    ENLACE_PUBLICO_REVOCADO: 'El enlace público dejó de funcionar',
+    MAX_ITINERARIOS: 'Se admiten como máximo {max} itinerarios por turista',
+    NEGOCIOS_NO_DISPONIBLES: 'Negocios no disponibles: {ids}',
+    MAX_PARADAS: 'Un itinerario admite como máximo {max} paradas',
+    PARADA_NEGOCIO_INVALIDO: 'negocio_id inválido en la parada {parada}',
+    PARADA_DIA_INVALIDO: 'dia debe ser un entero entre 1 y {max} en la parada {parada}',
+    PARADA_HORA_INVALIDA: 'Las horas de la parada {parada} deben tener el formato HH:MM',
+    PARADA_HORA_FIN_SIN_INICIO: 'La parada {parada} tiene hora_fin sin hora_inicio',
+    PARADA_NOTAS_INVALIDAS: 'Las notas de la parada {parada} deben ser texto de hasta {max} caracteres',
+    AVISO_NEGOCIO_INACTIVO: '{nombre} no está disponible actualmente',
+    AVISO_CERRADO: '{nombre} está cerrado el {fecha}',
+    AVISO_FUERA_DE_HORARIO: 'La visita a {nombre} ({hora_inicio} a {hora_fin}) queda fuera de su horario de apertura',
+    AVISO_NO_ABIERTO: '{nombre} no está abierto a las {hora_inicio}',
+
+    // Reservas
+    RESERVA_NO_ENCONTRADA: 'Reserva no encontrada',
+    RESERVA_DE_OTRO_NEGOCIO: 'La reserva no corresponde a este negocio',
+    RESERVA_NO_COMPLETADA: 'Solo se puede enlazar una reserva completada',
+    NEGOCIO_SIN_RESERVAS: 'Este negocio no admite reservas',
+    DISPONIBILIDAD_FECHAS_PASADAS: 'No se puede definir disponibilidad de fechas pasadas',
+    DISPONIBILIDAD_REQUIERE_HORAS: 'Los restaurantes deben indicar las horas de servicio',
+    DISPONIBILIDAD_SIN_HORAS: 'Los hoteles definen la disponibilidad por noche, sin horas',
+    DISPONIBILIDAD_ACTUALIZADA: 'Disponibilidad actualizada exitosamente',
+    DISPONIBILIDAD_CON_CONFLICTOS: 'Disponibilidad actualizada; algunas franjas tienen más reservas que la nueva capacidad y no se modificaron',
+    SIN_DISPONIBILIDAD: 'No hay disponibilidad para la fecha solicitada',
+    RESERVA_RESTAURANTE_CAMPOS: 'Las reservas de restaurante indican fecha, hora y personas',
+    RESERVA_HOTEL_CAMPOS: 'Las reservas de hotel indican fecha de llegada y fecha_salida',
+    RESERVA_FECHA_PASADA: 'La reserva debe ser para una fecha y hora futuras',
+    RESERVA_LLEGADA_PASADA: 'La fecha de llegada no puede ser pasada',
+    RESERVA_HABITACIONES: 'No puede haber más habitaciones que personas',
+    RESERVA_NOCHES: 'La estancia debe ser de 1 a {max} noches',
+    RESERVA_SOLICITADA: 'Reserva solicitada; el negocio debe confirmarla',
+    RESERVA_CANCELADA: 'Reserva cancelada exitosamente',
+    RESERVA_ACTUALIZADA: 'Reserva actualizada exitosamente',
+    RESERVA_ACCION_NO_PERMITIDA: 'No puedes aplicar la acción {accion} a esta reserva',
+    RESERVA_ESTADO_INVALIDO: 'No se puede aplicar la acción {accion} a una reserva en estado {estado}',
+    RESERVA_YA_EMPEZADA: 'La reserva ya empezó; contacta con el negocio para cancelarla',
+    RESERVA_NO_EMPEZADA: 'La reserva todavía no ha empezado',
+
+    // Webhooks
+    WEBHOOK_NO_ENCONTRADO: 'Webhook no encontrado',
+    WEBHOOK_REGISTRADO: 'Webhook registrado; guarda el secreto, no se volverá a mostrar',
+    WEBHOOK_ACTUALIZADO: 'Webhook actualizado exitosamente',
+    WEBHOOK_ELIMINADO: 'Webhook eliminado exitosamente',
+    WEBHOOK_SECRETO_ROTADO: 'Secreto rotado; guárdalo, no se volverá a mostrar',
+    WEBHOOK_HTTPS_REQUERIDO: 'En producción la url debe usar https',
+    WEBHOOK_DESTINO_NO_RESUELTO: 'No se pudo resolver el host de la url',
+    WEBHOOK_DESTINO_NO_PERMITIDO: 'La url apunta a una dirección interna (localhost, red privada o link-local)',
+    MAX_WEBHOOKS: 'Se admiten como máximo {max} webhooks por negocio',
+    WEBHOOK_PRUEBA_ENCOLADA: 'Evento de prueba encolado',
+    WEBHOOK_PRUEBA_ENCOLADA_PAUSADO: 'Evento de prueba encolado; se enviará cuando el webhook se active',
+    ENTREGA_NO_ENCONTRADA: 'Entrega no encontrada',
+    ENTREGA_REENCOLADA: 'Entrega encolada de nuevo',
+
+    // Miembros de los negocios
+    MIEMBRO_NO_ENCONTRADO: 'El administrador no es miembro de este negocio',
+    MIEMBRO_AGREGADO: 'Si el email pertenece a una cuenta de administrador, se ha añadido al negocio',
+    MIEMBRO_ACTUALIZADO: 'Rol actualizado exitosamente',
+    MIEMBRO_ELIMINADO: 'Administrador quitado del negocio',
+    ULTIMO_PROPIETARIO: 'El negocio debe conservar al menos un propietario con la cuenta activa',
+
+    // Administración
+    ADMINISTRADOR_NO_ENCONTRADO: 'Administrador no encontrado',
+    ADMINISTRADOR_CREADO: 'Administrador de negocio creado exitosamente',
+    ELIMINADO_NO_ENCONTRADO: '{detalle} entre los eliminados',
+    PERMISOS_ACTUALIZADOS: 'Permisos actualizados exitosamente',
+    CUENTA_ACTUALIZADA: 'Cuenta actualizada exitosamente',
+    ESTADO_ACTUALIZADO: 'Estado actualizado exitosamente',
+    CUENTA_ELIMINADA: 'Eliminado exitosamente',
+    CUENTA_RESTAURADA: 'Restaurado exitosamente',
+    CUENTA_NO_BLOQUEADA: 'La cuenta no está bloqueada',
+    CUENTA_DESBLOQUEADA: 'Cuenta desbloqueada exitosamente',
+    CALIFICACIONES_RECALCULADAS: 'Calificaciones recalculadas'
+};
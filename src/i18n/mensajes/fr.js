@@ -0,0 +1,237 @@
+// src/i18n/mensajes/fr.js
+
+module.exports = {
+    // Generales
+    ERROR_INTERNO: 'Erreur interne du serveur',
+    RUTA_NO_ENCONTRADA: 'Route introuvable',
+    SIN_CAMPOS_PARA_ACTUALIZAR: 'Aucun champ à mettre à jour',
+    DEMASIADAS_SOLICITUDES: 'Trop de requêtes, réessayez plus tard',
+    API_FUNCIONANDO: 'API opérationnelle',
+    API_LISTA: 'API prête à recevoir du trafic',
+    BASE_DE_DATOS_NO_DISPONIBLE: 'Base de données indisponible',
+    SERVIDOR_CERRANDO: 'Le serveur est en cours d\'arrêt',
+    TOKEN_METRICAS_INVALIDO: 'Jeton de métriques invalide',
+
+    // Validación
+    DATOS_INVALIDOS: 'Données d\'entrée invalides',
+    VALOR_INVALIDO: 'Valeur invalide dans {campo}',
+    CAMPO_REQUERIDO: '{campo} est obligatoire',
+    CAMPO_FECHA: '{campo} doit être une date AAAA-MM-JJ',
+    CAMPO_FECHA_ISO: '{campo} doit être une date ISO 8601',
+    CAMPO_HORA: '{campo} doit avoir le format HH:MM',
+    CAMPO_BOOLEANO: '{campo} doit être true ou false',
+    CAMPO_LISTA: '{campo} doit être une liste',
+    CAMPO_LISTA_TAMANO: '{campo} doit être une liste de {min} à {max} éléments',
+    CAMPO_VALORES: '{campo} doit être l\'une des valeurs : {valores}',
+    CAMPO_VALORES_VARIOS: '{campo} doit être une ou plusieurs des valeurs : {valores}',
+    CAMPO_RANGO: '{campo} doit être compris entre {min} et {max}',
+    CAMPO_LONGITUD_MIN: '{campo} doit contenir au moins {min} caractères',
+    CAMPO_LONGITUD: '{campo} doit contenir entre {min} et {max} caractères',
+    CAMPO_LONGITUD_MAX: '{campo} accepte jusqu\'à {max} caractères',
+    CAMPO_URL: '{campo} doit être une URL http ou https',
+    EMAIL_INVALIDO: 'E-mail invalide',
+    PAGINA_INVALIDA: 'Page invalide',
+    LATITUD_INVALIDA: 'Latitude invalide',
+    LONGITUD_INVALIDA: 'Longitude invalide',
+    ZONA_HORARIA_INVALIDA: 'Fuseau horaire invalide',
+    BBOX_INVALIDO: 'bbox doit avoir le format minLng,minLat,maxLng,maxLat',
+    RANGO_FECHAS_INVALIDO: 'La période doit aller de desde à hasta et couvrir au plus {max} jours',
+    RANGO_FECHAS_INVERTIDO: 'La date desde doit être antérieure ou égale à hasta',
+    RANGO_FECHAS_EXCEDIDO: 'La période ne peut pas dépasser {max} jours',
+
+    // Autenticación y sesiones
+    TOKEN_NO_PROPORCIONADO: 'Jeton non fourni',
+    TOKEN_INVALIDO: 'Jeton invalide',
+    TOKEN_INVALIDO_O_EXPIRADO: 'Jeton invalide ou expiré',
+    SESION_REVOCADA: 'Session révoquée',
+    CUENTA_INACTIVA: 'Compte inactif',
+    ACCESO_DENEGADO: 'Accès refusé',
+    PERMISO_REQUERIDO: 'Permission requise : {permisos}',
+    EMAIL_NO_VERIFICADO: 'Vous devez vérifier votre e-mail pour effectuer cette action',
+    CREDENCIALES_INVALIDAS: 'Identifiants invalides',
+    DEMASIADOS_INTENTOS_LOGIN: 'Trop de tentatives de connexion, réessayez plus tard',
+    CUENTA_BLOQUEADA: 'Compte temporairement bloqué après des tentatives échouées, réessayez plus tard',
+    LOGIN_EXITOSO: 'Connexion réussie',
+    TOKEN_RENOVADO: 'Jeton renouvelé',
+    REFRESH_TOKEN_INVALIDO: 'Jeton de rafraîchissement invalide ou expiré',
+    SESION_CERRADA: 'Session fermée',
+    SESIONES_CERRADAS: 'Toutes les sessions ont été fermées',
+    TURISTA_REGISTRADO: 'Touriste inscrit avec succès',
+    EMAIL_REGISTRADO: 'L\'e-mail est déjà enregistré',
+    EMAIL_VERIFICADO: 'E-mail vérifié avec succès',
+    VERIFICACION_REENVIADA: 'Si le compte existe et n\'est pas vérifié, vous recevrez un nouveau lien',
+    RECUPERACION_ENVIADA: 'Si l\'e-mail est enregistré, vous recevrez un lien pour réinitialiser votre mot de passe',
+    PASSWORD_RESTABLECIDA: 'Mot de passe réinitialisé avec succès',
+
+    // Turistas
+    USUARIO_NO_ENCONTRADO: 'Utilisateur introuvable',
+    TURISTA_NO_ENCONTRADO: 'Touriste introuvable',
+    PERFIL_ACTUALIZADO: 'Profil mis à jour avec succès',
+    FAVORITO_AGREGADO: 'Établissement ajouté aux favoris',
+    FAVORITO_EXISTENTE: 'L\'établissement était déjà dans les favoris',
+    FAVORITO_QUITADO: 'Établissement retiré des favoris',
+    FAVORITO_NO_ENCONTRADO: 'L\'établissement n\'est pas dans les favoris',
+    PASSWORD_INCORRECTA: 'Le mot de passe est incorrect',
+    BORRADO_PROGRAMADO: 'Compte désactivé ; ses données personnelles seront effacées le {fecha}',
+    BORRADO_YA_PROGRAMADO: 'La suppression de ce compte est déjà programmée',
+    RESERVAS_ABIERTAS: 'Le compte a {total} réservation(s) en attente ou confirmée(s) ; elles doivent être annulées avant de le supprimer',
+
+    // Recomendaciones
+    MOTIVO_PREFERENCIAS_CATEGORIA: 'Selon vos préférences : les {categoria} vous intéressent ({palabras})',
+    MOTIVO_PREFERENCIAS_TEXTO: 'Selon vos préférences : mentionne {terminos}',
+    MOTIVO_PREFERENCIAS_AMBAS: 'Selon vos préférences : les {categoria} vous intéressent ({palabras}) ; mentionne {terminos}',
+    MOTIVO_CATEGORIA_UNA: 'Vous avez noté les {categoria} {media} en moyenne (1 avis)',
+    MOTIVO_CATEGORIA_VARIAS: 'Vous avez noté les {categoria} {media} en moyenne ({total} avis)',
+    MOTIVO_SIMILAR: 'Un touriste aux goûts proches des vôtres l\'a bien noté',
+    MOTIVO_SIMILARES: '{total} touristes aux goûts proches des vôtres l\'ont bien noté',
+    MOTIVO_CERCANIA: 'À {distancia} km',
+    MOTIVO_CALIDAD: 'Bien noté par les touristes ({calificacion} sur 5)',
+    CATEGORIA_RESTAURANTES: 'restaurants',
+    CATEGORIA_HOTELES: 'hôtels',
+    CATEGORIA_TIENDAS: 'boutiques',
+    CATEGORIA_ENTRETENIMIENTO: 'lieux de divertissement',
+    CATEGORIA_SERVICIOS: 'services',
+    CATEGORIA_OTROS: 'autres établissements',
+
+    // Negocios y horarios
+    NEGOCIO_NO_ENCONTRADO: 'Établissement introuvable',
+    SIN_PERMISOS_NEGOCIO: 'Aucune permission pour cet établissement',
+    NEGOCIO_REQUERIDO: 'Vous gérez plusieurs établissements ; indiquez negocio_id',
+    NEGOCIO_CREADO: 'Établissement créé avec succès',
+    NEGOCIO_ACTUALIZADO: 'Établissement mis à jour avec succès',
+    LAT_LNG_JUNTOS: 'lat et lng doivent être envoyés ensemble',
+    RADIO_REQUIERE_UBICACION: 'radio_km nécessite lat et lng',
+    DISTANCIA_REQUIERE_UBICACION: 'radio_km et orden=distancia nécessitent lat et lng',
+    RELEVANCIA_REQUIERE_Q: 'orden=relevancia nécessite q',
+    CURSOR_INVALIDO: 'Curseur invalide pour cette recherche',
+    HORARIO_OBJETO: 'horarios doit être un objet avec les jours de la semaine',
+    HORARIO_DIA_INVALIDO: 'Jour de la semaine invalide : {dia}',
+    HORARIO_RANGOS_LISTA: 'Les plages de {contexto} doivent être une liste',
+    HORARIO_RANGO_INVALIDO: 'Plage horaire invalide pour {contexto}, utilisez { abre: "HH:MM", cierra: "HH:MM" }',
+    HORARIO_RANGO_VACIO: 'La plage de {contexto} ouvre et ferme à la même heure ; utilisez 00:00 à 24:00 pour toute la journée',
+    EXCEPCIONES_LISTA: 'excepciones_horario doit être une liste',
+    EXCEPCION_FECHAS: 'Les exceptions nécessitent fecha_inicio et fecha_fin (AAAA-MM-JJ) dans l\'ordre',
+    EXCEPCION_SIN_RANGOS: 'L\'exception du {fecha} doit être fermée ou avoir des plages',
+
+    // Reseñas
+    RESENA_NO_ENCONTRADA: 'Avis introuvable',
+    SIN_PERMISOS_RESENA: 'Aucune permission pour cet avis',
+    RESENA_DUPLICADA: 'Vous avez déjà donné votre avis sur cet établissement',
+    RESENA_CREADA: 'Avis créé avec succès',
+    RESENA_ACTUALIZADA: 'Avis mis à jour avec succès',
+    RESENA_ELIMINADA: 'Avis supprimé avec succès',
+    RESENA_MODERADA: 'Avis modéré avec succès',
+    RESENA_ACCION_NO_PERMITIDA: 'Impossible d\'appliquer {accion} à un avis à l\'état {estado}',
+    RESENA_RECHAZADA_NO_EDITABLE: 'Un avis rejeté ne peut pas être modifié',
+    RESPUESTA_EXISTENTE: 'L\'avis a déjà une réponse',
+    RESPUESTA_NO_ENCONTRADA: 'L\'avis n\'a pas de réponse',
+    RESPUESTA_PUBLICADA: 'Réponse publiée avec succès',
+    RESPUESTA_ACTUALIZADA: 'Réponse mise à jour avec succès',
+    RESPUESTA_ELIMINADA: 'Réponse supprimée avec succès',
+    REPORTE_DUPLICADO: 'Vous avez déjà signalé cet avis',
+    REPORTE_PROPIO: 'Vous ne pouvez pas signaler votre propre avis',
+    REPORTE_ENVIADO: 'Signalement envoyé, il sera examiné par un modérateur',
+
+    // Imágenes y archivos
+    MULTIPART_REQUERIDO: 'La requête doit être multipart/form-data',
+    FORMULARIO_INVALIDO: 'Formulaire invalide',
+    ARCHIVO_REQUERIDO: 'Fichier manquant dans le champ {campo}',
+    ARCHIVO_DEMASIADO_GRANDE: 'Le fichier dépasse le maximum de {mb} Mo',
+    DEMASIADOS_ARCHIVOS: '{max} fichiers au maximum sont acceptés',
+    CAMPO_ARCHIVO_INESPERADO: 'Champ de fichier inattendu ; utilisez {campo}',
+    TIPO_ARCHIVO_NO_ADMITIDO: 'Type de fichier non accepté ; utilisez {tipos}',
+    ARCHIVO_INVALIDO: '{archivo} : {motivo}',
+    IMAGEN_INVALIDA: 'Le fichier n\'est pas une image valide ou est trop volumineux',
+    FORMATO_IMAGEN_NO_ADMITIDO: 'Format non accepté ; utilisez {formatos}',
+    GALERIA_LLENA: 'La galerie accepte au maximum {max} images ; elle en a déjà {actuales}',
+    IMAGENES_SUBIDAS: '{total} image(s) téléversée(s) avec succès',
+    IMAGEN_NO_ENCONTRADA: 'Image introuvable',
+    IMAGEN_ELIMINADA: 'Image supprimée',
+    GALERIA_REORDENADA: 'Galerie réordonnée',
+    PORTADA_ACTUALIZADA: 'Couverture mise à jour',
+    ORDEN_IMAGENES_INCOMPLETO: 'ids doit contenir chaque image de l\'établissement exactement une fois',
+    FOTO_PERFIL_ACTUALIZADA: 'Photo de profil mise à jour',
+    FOTO_PERFIL_ELIMINADA: 'Photo de profil supprimée',
+    FOTO_PERFIL_NO_ENCONTRADA: 'Le profil n\'a pas de photo',
+
+    // Itinerarios
+    ITINERARIO_NO_ENCONTRADO: 'Itinéraire introuvable',
+    ITINERARIO_CREADO: 'Itinéraire créé avec succès',
+    ITINERARIO_ACTUALIZADO: 'Itinéraire mis à jour avec succès',
+    ITINERARIO_ELIMINADO: 'Itinéraire supprimé avec succès',
+    ITINERARIO_NO_COMPARTIDO: 'L\'itinéraire n\'est pas partagé',
+    ENLACE_PUBLICO_ITINERARIO: 'Lien public de l\'itinéraire',
+    ENLACE_PUBLICO_REVOCADO: 'Le lien public ne fonctionne plus',
+    MAX_ITINERARIOS: '{max} itinéraires au maximum sont acceptés par touriste',
+    NEGOCIOS_NO_DISPONIBLES: 'Établissements non disponibles : {ids}',
+    MAX_PARADAS: 'Un itinéraire accepte au maximum {max} étapes',
+    PARADA_NEGOCIO_INVALIDO: 'negocio_id invalide à l\'étape {parada}',
+    PARADA_DIA_INVALIDO: 'dia doit être un entier entre 1 et {max} à l\'étape {parada}',
+    PARADA_HORA_INVALIDA: 'Les heures de l\'étape {parada} doivent avoir le format HH:MM',
+    PARADA_HORA_FIN_SIN_INICIO: 'L\'étape {parada} a hora_fin sans hora_inicio',
+    PARADA_NOTAS_INVALIDAS: 'Les notes de l\'étape {parada} doivent être un texte de {max} caractères au maximum',
+    AVISO_NEGOCIO_INACTIVO: '{nombre} n\'est pas disponible actuellement',
+    AVISO_CERRADO: '{nombre} est fermé le {fecha}',
+    AVISO_FUERA_DE_HORARIO: 'La visite à {nombre} ({hora_inicio} à {hora_fin}) est en dehors de ses horaires d\'ouverture',
+    AVISO_NO_ABIERTO: '{nombre} n\'est pas ouvert à {hora_inicio}',
+
+    // Reservas
+    RESERVA_NO_ENCONTRADA: 'Réservation introuvable',
+    RESERVA_DE_OTRO_NEGOCIO: 'La réservation ne correspond pas à cet établissement',
+    RESERVA_NO_COMPLETADA: 'Seule une réservation terminée peut être liée',
+    NEGOCIO_SIN_RESERVAS: 'Cet établissement n\'accepte pas de réservations',
+    DISPONIBILIDAD_FECHAS_PASADAS: 'Impossible de définir la disponibilité de dates passées',
+    DISPONIBILIDAD_REQUIERE_HORAS: 'Les restaurants doivent indiquer les heures de service',
+    DISPONIBILIDAD_SIN_HORAS: 'Les hôtels définissent la disponibilité par nuit, sans heures',
+    DISPONIBILIDAD_ACTUALIZADA: 'Disponibilité mise à jour avec succès',
+    DISPONIBILIDAD_CON_CONFLICTOS: 'Disponibilité mise à jour ; certains créneaux ont plus de réservations que la nouvelle capacité et n\'ont pas été modifiés',
+    SIN_DISPONIBILIDAD: 'Aucune disponibilité pour la date demandée',
+    RESERVA_RESTAURANTE_CAMPOS: 'Les réservations de restaurant indiquent la date, l\'heure et le nombre de personnes',
+    RESERVA_HOTEL_CAMPOS: 'Les réservations d\'hôtel indiquent la date d\'arrivée et fecha_salida',
+    RESERVA_FECHA_PASADA: 'La réservation doit être pour une date et une heure futures',
+    RESERVA_LLEGADA_PASADA: 'La date d\'arrivée ne peut pas être passée',
+    RESERVA_HABITACIONES: 'Il ne peut pas y avoir plus de chambres que de personnes',
+    RESERVA_NOCHES: 'Le séjour doit être de 1 à {max} nuits',
+    RESERVA_SOLICITADA: 'Réservation demandée ; l\'établissement doit la confirmer',
+    RESERVA_CANCELADA: 'Réservation annulée avec succès',
+    RESERVA_ACTUALIZADA: 'Réservation mise à jour avec succès',
+    RESERVA_ACCION_NO_PERMITIDA: 'Vous ne pouvez pas appliquer l\'action {accion} à cette réservation',
+    RESERVA_ESTADO_INVALIDO: 'L\'action {accion} ne peut pas être appliquée à une réservation à l\'état {estado}',
+    RESERVA_YA_EMPEZADA: 'La réservation a déjà commencé ; contactez l\'établissement pour l\'annuler',
+    RESERVA_NO_EMPEZADA: 'La réservation n\'a pas encore commencé',
+
+    // Webhooks
+    WEBHOOK_NO_ENCONTRADO: 'Webhook introuvable',
+    WEBHOOK_REGISTRADO: 'Webhook enregistré ; conservez le secret, il ne sera plus affiché',
+    WEBHOOK_ACTUALIZADO: 'Webhook mis à jour avec succès',
+    WEBHOOK_ELIMINADO: 'Webhook supprimé avec succès',
+    WEBHOOK_SECRETO_ROTADO: 'Secret renouvelé ; conservez-le, il ne sera plus affiché',
+    WEBHOOK_HTTPS_REQUERIDO: 'En production, l\'url doit utiliser https',
+    WEBHOOK_DESTINO_NO_RESUELTO: 'Impossible de résoudre l\'hôte de l\'url',
+    WEBHOOK_DESTINO_NO_PERMITIDO: 'L\'url pointe vers une adresse interne (localhost, réseau privé ou link-local)',
+    MAX_WEBHOOKS: '{max} webhooks au maximum sont acceptés par établissement',
+    WEBHOOK_PRUEBA_ENCOLADA: 'Événement de test mis en file d\'attente',
+    WEBHOOK_PRUEBA_ENCOLADA_PAUSADO: 'Événement de test mis en file d\'attente ; il sera envoyé quand le webhook sera activé',
+    ENTREGA_NO_ENCONTRADA: 'Livraison introuvable',
+    ENTREGA_REENCOLADA: 'Livraison remise en file d\'attente',
+
+    // Miembros de los negocios
+    MIEMBRO_NO_ENCONTRADO: 'L\'administrateur n\'est pas membre de cet établissement',
+    MIEMBRO_AGREGADO: 'Si l\'e-mail appartient à un compte administrateur, il a été ajouté à l\'établissement',
+    MIEMBRO_ACTUALIZADO: 'Rôle mis à jour avec succès',
+    MIEMBRO_ELIMINADO: 'Administrateur retiré de l\'établissement',
+    ULTIMO_PROPIETARIO: 'L\'établissement doit conserver au moins un propriétaire avec un compte actif',
+
+    // Administración
+    ADMINISTRADOR_NO_ENCONTRADO: 'Administrateur introuvable',
+    ADMINISTRADOR_CREADO: 'Administrateur d\'établissement créé avec succès',
+    ELIMINADO_NO_ENCONTRADO: '{detalle} parmi les éléments supprimés',
+    PERMISOS_ACTUALIZADOS: 'Permissions mises à jour avec succès',
+    CUENTA_ACTUALIZADA: 'Compte mis à jour avec succès',
+    ESTADO_ACTUALIZADO: 'Statut mis à jour avec succès',
+    CUENTA_ELIMINADA: 'Supprimé avec succès',
+    CUENTA_RESTAURADA: 'Restauré avec succès',
+    CUENTA_NO_BLOQUEADA: 'Le compte n\'est pas bloqué',
+    CUENTA_DESBLOQUEADA: 'Compte débloqué avec succès',
+    CALIFICACIONES_RECALCULADAS: 'Notes recalculées'
+};
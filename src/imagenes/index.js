@@ -0,0 +1,120 @@
+// src/imagenes/index.js
+// Validación y procesamiento de las imágenes subidas
+//
+// El tipo se comprueba con el contenido del archivo, no con la extensión ni el
+// Content-Type que envía el cliente. Cada imagen se reescala a varias
+// variantes en WebP, con la orientación EXIF aplicada y sin metadatos.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { MensajeError } = require('../i18n');
+
+const TIPOS_PERMITIDOS = ['image/jpeg', 'image/png', 'image/webp'];
+const FORMATOS_PERMITIDOS = ['jpeg', 'png', 'webp'];
+
+// Imágenes más grandes que esto (en píxeles) se rechazan antes de decodificarlas
+const MAX_PIXELES = 40 * 1000 * 1000;
+
+// Variantes de cada perfil. `cover` recorta para llenar el tamaño; `inside` solo reduce.
+const PERFILES = {
+    galeria: [
+        { nombre: 'original', ancho: 1600, alto: 1600, fit: 'inside' },
+        { nombre: 'mediana', ancho: 800, alto: 800, fit: 'inside' },
+        { nombre: 'miniatura', ancho: 320, alto: 240, fit: 'cover' }
+    ],
+    avatar: [
+        { nombre: 'original', ancho: 512, alto: 512, fit: 'cover' },
+        { nombre: 'miniatura', ancho: 128, alto: 128, fit: 'cover' }
+    ]
+};
+
+// Los archivos nunca cambian de contenido (cada subida usa una carpeta nueva),
+// así que se pueden cachear indefinidamente
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+class ImagenInvalidaError extends MensajeError {
+    constructor(codigo, params) {
+        super(codigo, params);
+        this.name = 'ImagenInvalidaError';
+    }
+}
+
+// Devuelve { ancho, alto, variantes: [{ nombre, buffer, ancho, alto }] }
+const processImage = async (buffer, perfil) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELES }).metadata();
+    } catch (error) {
+        throw new ImagenInvalidaError('IMAGEN_INVALIDA');
+    }
+
+    if (!FORMATOS_PERMITIDOS.includes(metadata.format)) {
+        throw new ImagenInvalidaError('FORMATO_IMAGEN_NO_ADMITIDO', { formatos: FORMATOS_PERMITIDOS });
+    }
+
+    const variantes = [];
+    for (const variante of PERFILES[perfil]) {
+        const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PIXELES })
+            .rotate()
+            .resize({ width: variante.ancho, height: variante.alto, fit: variante.fit, withoutEnlargement: variante.fit === 'inside' })
+            .webp({ quality: 82 })
+            .toBuffer({ resolveWithObject: true });
+        variantes.push({ nombre: variante.nombre, buffer: data, ancho: info.width, alto: info.height });
+    }
+
+    const original = variantes[0];
+    return { ancho: original.ancho, alto: original.alto, variantes };
+};
+
+// Guarda las variantes en `prefijo/<id aleatorio>/<variante>.webp`.
+// Devuelve { carpeta, urls: { variante: url }, ancho, alto, bytes }.
+const storeImage = async (storage, prefijo, procesada) => {
+    const carpeta = `${prefijo}/${crypto.randomUUID()}`;
+    const urls = {};
+
+    try {
+        for (const variante of procesada.variantes) {
+            const clave = `${carpeta}/${variante.nombre}.webp`;
+            await storage.put(clave, variante.buffer, { contentType: 'image/webp', cacheControl: CACHE_CONTROL });
+            urls[variante.nombre] = storage.url(clave);
+        }
+    } catch (error) {
+        await removeImage(storage, carpeta, procesada.variantes.map(v => v.nombre)).catch(() => {});
+        throw error;
+    }
+
+    return {
+        carpeta,
+        urls,
+        ancho: procesada.ancho,
+        alto: procesada.alto,
+        bytes: procesada.variantes[0].buffer.length
+    };
+};
+
+const removeImage = async (storage, carpeta, variantes) => {
+    await Promise.all(variantes.map(nombre => storage.delete(`${carpeta}/${nombre}.webp`)));
+};
+
+// Carpeta de una imagen a partir de la URL de una de sus variantes, o null si no está en `storage`
+const imageFolder = (storage, url) => {
+    const clave = storage.keyFromUrl(url);
+    return clave ? clave.slice(0, clave.lastIndexOf('/')) : null;
+};
+
+// URLs de todas las variantes de una imagen guardada
+const imageUrls = (storage, carpeta, perfil) => Object.fromEntries(
+    PERFILES[perfil].map(({ nombre }) => [nombre, storage.url(`${carpeta}/${nombre}.webp`)])
+);
+
+module.exports = {
+    TIPOS_PERMITIDOS,
+    PERFILES,
+    CACHE_CONTROL,
+    ImagenInvalidaError,
+    processImage,
+    storeImage,
+    removeImage,
+    imageFolder,
+    imageUrls
+};
@@ -0,0 +1,129 @@
+// src/itinerarios/index.js
+// Itinerarios de viaje: validación de paradas, enlaces públicos y avisos de horario
+//
+// Una parada es una visita a un negocio un día del itinerario (1 = primer día),
+// con hora de llegada y de salida opcionales en la hora local del negocio. Si el
+// itinerario tiene fecha_inicio, cada día corresponde a una fecha concreta y los
+// avisos tienen en cuenta las excepciones del horario (feriados, cierres).
+
+const crypto = require('crypto');
+const horarios = require('../utils/horarios');
+const { MensajeError, mensaje } = require('../i18n');
+
+const MAX_DIAS = 60;
+const MAX_PARADAS = 150;
+const MAX_NOTAS = 500;
+
+// Convierte [{ negocio_id, dia, hora_inicio, hora_fin, notas }] en filas de
+// paradas_itinerario; el orden dentro de cada día es el de la lista. Lanza un
+// MensajeError con el mensaje de validación.
+const parseParadas = (paradas) => {
+    if (!Array.isArray(paradas)) {
+        throw new MensajeError('CAMPO_LISTA', { campo: 'paradas' });
+    }
+    if (paradas.length > MAX_PARADAS) {
+        throw new MensajeError('MAX_PARADAS', { max: MAX_PARADAS });
+    }
+
+    const ordenes = new Map();
+    return paradas.map((parada, i) => {
+        const { negocio_id, dia, hora_inicio = null, hora_fin = null, notas = null } = parada || {};
+        const posicion = { parada: i + 1 };
+
+        if (!Number.isInteger(negocio_id) || negocio_id < 1) {
+            throw new MensajeError('PARADA_NEGOCIO_INVALIDO', posicion);
+        }
+        if (!Number.isInteger(dia) || dia < 1 || dia > MAX_DIAS) {
+            throw new MensajeError('PARADA_DIA_INVALIDO', { ...posicion, max: MAX_DIAS });
+        }
+
+        const inicio = hora_inicio === null ? null : horarios.parseTime(hora_inicio);
+        const fin = hora_fin === null ? null : horarios.parseTime(hora_fin);
+        if ((hora_inicio !== null && (inicio === null || inicio === 24 * 60)) || (hora_fin !== null && fin === null)) {
+            throw new MensajeError('PARADA_HORA_INVALIDA', posicion);
+        }
+        if (fin !== null && inicio === null) {
+            throw new MensajeError('PARADA_HORA_FIN_SIN_INICIO', posicion);
+        }
+        if (notas !== null && (typeof notas !== 'string' || notas.length > MAX_NOTAS)) {
+            throw new MensajeError('PARADA_NOTAS_INVALIDAS', { ...posicion, max: MAX_NOTAS });
+        }
+
+        const orden = ordenes.get(dia) ?? 0;
+        ordenes.set(dia, orden + 1);
+
+        return {
+            negocio_id,
+            dia,
+            orden,
+            hora_inicio: inicio === null ? null : horarios.formatTime(inicio),
+            hora_fin: fin === null ? null : horarios.formatTime(fin),
+            notas: notas ? notas.trim() || null : null
+        };
+    });
+};
+
+// MySQL devuelve TIME como 'HH:MM:SS'; la API usa 'HH:MM'
+const formatTimeValue = (value) => (value === null || value === undefined ? null : String(value).slice(0, 5));
+
+// Fecha (YYYY-MM-DD) de un día del itinerario, o null si no tiene fecha_inicio
+const fechaDelDia = (fechaInicio, dia) =>
+    (fechaInicio ? horarios.addDays(horarios.formatDateValue(fechaInicio), dia - 1) : null);
+
+// Token del enlace público: 32 caracteres aleatorios, no derivables del id
+const createShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+const MENSAJES_AVISO = {
+    negocio_inactivo: (p) => mensaje('AVISO_NEGOCIO_INACTIVO', { nombre: p.nombre }),
+    cerrado: (p, fecha) => mensaje('AVISO_CERRADO', { nombre: p.nombre, fecha }),
+    fuera_de_horario: (p) => (p.hora_fin
+        ? mensaje('AVISO_FUERA_DE_HORARIO', { nombre: p.nombre, hora_inicio: p.hora_inicio, hora_fin: p.hora_fin })
+        : mensaje('AVISO_NO_ABIERTO', { nombre: p.nombre, hora_inicio: p.hora_inicio }))
+};
+
+// Avisos de las paradas cuya visita no encaja con el estado o el horario del
+// negocio. `paradas` llevan las columnas del negocio (nombre, estado) y
+// `schedules` es un Map negocio_id → horario (ver utils/horarios.buildSchedule).
+// `mensaje` es un i18n.mensaje() que la ruta traduce al idioma de la petición.
+const visitWarnings = (itinerario, paradas, schedules) => {
+    const avisos = [];
+
+    for (const parada of paradas) {
+        const fecha = fechaDelDia(itinerario.fecha_inicio, parada.dia);
+        const hora_inicio = formatTimeValue(parada.hora_inicio);
+        const hora_fin = formatTimeValue(parada.hora_fin);
+
+        let codigo = null;
+        if (parada.estado !== 'activo') {
+            codigo = 'negocio_inactivo';
+        } else if (hora_inicio) {
+            codigo = horarios.checkVisit(schedules.get(parada.negocio_id), {
+                fecha,
+                inicio: horarios.parseTime(hora_inicio),
+                fin: hora_fin ? horarios.parseTime(hora_fin) : undefined
+            });
+        }
+
+        if (codigo) {
+            avisos.push({
+                parada_id: parada.id,
+                negocio_id: parada.negocio_id,
+                dia: parada.dia,
+                codigo,
+                mensaje: MENSAJES_AVISO[codigo]({ nombre: parada.nombre, hora_inicio, hora_fin }, fecha)
+            });
+        }
+    }
+
+    return avisos;
+};
+
+module.exports = {
+    MAX_DIAS,
+    MAX_PARADAS,
+    parseParadas,
+    formatTimeValue,
+    fechaDelDia,
+    createShareToken,
+    visitWarnings
+};
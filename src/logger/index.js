@@ -0,0 +1,67 @@
+// src/logger/index.js
+// Logs estructurados: una línea JSON por evento en la salida estándar
+//
+// Cada método recibe un mensaje y, opcionalmente, un Error o un objeto con
+// campos adicionales, igual que console.error('mensaje', error). Los campos
+// cuyo nombre sugiere un secreto (contraseñas, tokens, cabeceras de
+// autorización...) se sustituyen por [REDACTADO] a cualquier profundidad.
+
+const NIVELES = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const CLAVES_SENSIBLES = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+const REDACTADO = '[REDACTADO]';
+const PROFUNDIDAD_MAXIMA = 8;
+
+// Solo lo útil para diagnosticar; `sql` se omite porque puede llevar datos de la consulta
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    stack: error.stack
+});
+
+const redact = (value, profundidad = 0) => {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (profundidad >= PROFUNDIDAD_MAXIMA) {
+        return '[...]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, profundidad + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([clave, valor]) => [
+        clave,
+        CLAVES_SENSIBLES.test(clave) ? REDACTADO : redact(valor, profundidad + 1)
+    ]));
+};
+
+// `campos` se añaden a todas las líneas; child() crea un logger con campos extra
+const createLogger = ({ nivel = 'info', destino = process.stdout, campos = {} } = {}) => {
+    if (!(nivel in NIVELES)) {
+        throw new Error(`Nivel de log desconocido: ${nivel}`);
+    }
+
+    const write = (level, msg, extra) => {
+        if (NIVELES[level] < NIVELES[nivel]) {
+            return;
+        }
+
+        const detalle = extra instanceof Error ? { err: extra } : extra;
+        const linea = redact({ time: new Date().toISOString(), level, msg, ...campos, ...detalle });
+        destino.write(`${JSON.stringify(linea)}\n`);
+    };
+
+    return {
+        debug: (msg, extra) => write('debug', msg, extra),
+        info: (msg, extra) => write('info', msg, extra),
+        warn: (msg, extra) => write('warn', msg, extra),
+        error: (msg, extra) => write('error', msg, extra),
+        child: (extra) => createLogger({ nivel, destino, campos: { ...campos, ...extra } })
+    };
+};
+
+module.exports = { createLogger, redact, NIVELES };
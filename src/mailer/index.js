@@ -0,0 +1,43 @@
+// src/mailer/index.js
+// Envío de correos con transportes intercambiables
+//
+// Un transporte es cualquier objeto con `send(message)` que devuelva una
+// promesa; así se puede conectar SMTP o un proveedor externo sin tocar las
+// rutas. Por defecto se usan los transportes de consola y archivo.
+
+const createConsoleTransport = require('./transports/console');
+const createFileTransport = require('./transports/file');
+
+const TRANSPORTS = {
+    console: createConsoleTransport,
+    file: createFileTransport
+};
+
+const createMailer = ({ transport, from }) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('El transporte de correo debe implementar send(message)');
+    }
+
+    const send = async ({ to, subject, text, html }) => {
+        const message = { from, to, subject, text, html, date: new Date().toISOString() };
+        await transport.send(message);
+        return message;
+    };
+
+    return { send };
+};
+
+const REMITENTE_POR_DEFECTO = 'Sistema Turismo <no-reply@sistema-turismo.local>';
+
+// Construye el mailer a partir de `config.mail` (ver src/config.js)
+const createMailerFromConfig = ({ transport = 'console', dir, from = REMITENTE_POR_DEFECTO } = {}) => {
+    const factory = TRANSPORTS[transport];
+
+    if (!factory) {
+        throw new Error(`Transporte de correo desconocido: ${transport}`);
+    }
+
+    return createMailer({ transport: factory(dir ? { dir } : {}), from });
+};
+
+module.exports = { createMailer, createMailerFromConfig, TRANSPORTS, REMITENTE_POR_DEFECTO };
@@ -0,0 +1,22 @@
+// src/mailer/templates.js
+// Plantillas de los correos transaccionales
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const verificationEmail = ({ nombre, enlace }) => ({
+    subject: 'Confirma tu correo electrónico',
+    text: `Hola ${nombre},\n\nConfirma tu correo electrónico abriendo el siguiente enlace:\n${enlace}\n\nSi no creaste esta cuenta, ignora este mensaje.`,
+    html: `<p>Hola ${escapeHtml(nombre)},</p><p>Confirma tu correo electrónico abriendo el siguiente enlace:</p><p><a href="${escapeHtml(enlace)}">${escapeHtml(enlace)}</a></p><p>Si no creaste esta cuenta, ignora este mensaje.</p>`
+});
+
+const passwordResetEmail = ({ nombre, enlace, minutos }) => ({
+    subject: 'Restablece tu contraseña',
+    text: `Hola ${nombre},\n\nRecibimos una solicitud para restablecer tu contraseña. El enlace vence en ${minutos} minutos:\n${enlace}\n\nSi no lo solicitaste, ignora este mensaje.`,
+    html: `<p>Hola ${escapeHtml(nombre)},</p><p>Recibimos una solicitud para restablecer tu contraseña. El enlace vence en ${minutos} minutos:</p><p><a href="${escapeHtml(enlace)}">${escapeHtml(enlace)}</a></p><p>Si no lo solicitaste, ignora este mensaje.</p>`
+});
+
+module.exports = { verificationEmail, passwordResetEmail };
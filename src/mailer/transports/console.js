@@ -0,0 +1,8 @@
+// src/mailer/transports/console.js
+// Escribe los correos en la salida estándar, útil en desarrollo
+
+module.exports = ({ logger = console } = {}) => ({
+    send: async (message) => {
+        logger.log(`[correo] Para: ${message.to} | Asunto: ${message.subject}\n${message.text}`);
+    }
+});
@@ -0,0 +1,15 @@
+// src/mailer/transports/file.js
+// Guarda cada correo como JSON en un directorio, útil en pruebas y CI
+
+const fs = require('fs/promises');
+const path = require('path');
+
+module.exports = ({ dir = path.join(process.cwd(), 'tmp', 'correos') } = {}) => ({
+    dir,
+    send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const safeTo = String(message.to).replace(/[^\w.@-]/g, '_');
+        const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+        await fs.writeFile(file, JSON.stringify(message, null, 2));
+    }
+});
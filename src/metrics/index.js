@@ -0,0 +1,107 @@
+// src/metrics/index.js
+// Métricas de la API para Prometheus (GET /metrics)
+//
+// - http_requests_total y http_request_duration_seconds por método, ruta y status.
+//   La ruta es el patrón de Express (/api/negocios/:id), no la URL, para no
+//   crear una serie por id; las peticiones sin ruta cuentan como "sin_ruta".
+// - db_pool_*: uso del pool de conexiones, si los repositorios lo exponen.
+// - login_attempts_total por tipo de cuenta y resultado (exito, fallo, bloqueado).
+
+const { createRegistry } = require('./registry');
+
+const BUCKETS_DURACION = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Patrón de la ruta que atendió la petición
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'sin_ruta');
+
+const createMetrics = ({ repositories }) => {
+    const registry = createRegistry();
+    const inicioProceso = Date.now() / 1000 - process.uptime();
+
+    const peticiones = registry.counter({
+        name: 'http_requests_total',
+        help: 'Peticiones HTTP atendidas',
+        labelNames: ['method', 'ruta', 'status']
+    });
+
+    const duracion = registry.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'Duración de las peticiones HTTP en segundos',
+        labelNames: ['method', 'ruta', 'status'],
+        buckets: BUCKETS_DURACION
+    });
+
+    const logins = registry.counter({
+        name: 'login_attempts_total',
+        help: 'Intentos de inicio de sesión por tipo de cuenta y resultado',
+        labelNames: ['tipo', 'resultado']
+    });
+
+    const poolStats = () => (repositories.poolStats ? repositories.poolStats() : null);
+
+    registry.gauge({
+        name: 'db_pool_connections',
+        help: 'Conexiones del pool de la base de datos por estado',
+        labelNames: ['estado'],
+        collect: (gauge) => {
+            const stats = poolStats();
+            if (stats) {
+                gauge.set({ estado: 'en_uso' }, stats.en_uso);
+                gauge.set({ estado: 'libres' }, stats.libres);
+            }
+        }
+    });
+
+    registry.gauge({
+        name: 'db_pool_max_connections',
+        help: 'Conexiones máximas del pool de la base de datos',
+        collect: (gauge) => {
+            const stats = poolStats();
+            if (stats) {
+                gauge.set({}, stats.limite);
+            }
+        }
+    });
+
+    registry.gauge({
+        name: 'db_pool_pending_requests',
+        help: 'Peticiones esperando una conexión libre del pool',
+        collect: (gauge) => {
+            const stats = poolStats();
+            if (stats) {
+                gauge.set({}, stats.en_espera);
+            }
+        }
+    });
+
+    registry.gauge({
+        name: 'process_start_time_seconds',
+        help: 'Inicio del proceso en segundos desde la época Unix',
+        collect: (gauge) => gauge.set({}, Math.round(inicioProceso))
+    });
+
+    registry.gauge({
+        name: 'process_resident_memory_bytes',
+        help: 'Memoria residente del proceso en bytes',
+        collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+    });
+
+    // Mide cada petición al terminar de enviarse la respuesta
+    const middleware = (req, res, next) => {
+        const inicio = process.hrtime.bigint();
+        res.on('finish', () => {
+            const labels = { method: req.method, ruta: routeLabel(req), status: res.statusCode };
+            peticiones.inc(labels);
+            duracion.observe(labels, Number(process.hrtime.bigint() - inicio) / 1e9);
+        });
+        next();
+    };
+
+    return {
+        middleware,
+        recordLogin: (tipo, resultado) => logins.inc({ tipo, resultado }),
+        render: registry.render
+    };
+};
+
+module.exports = { createMetrics, routeLabel };
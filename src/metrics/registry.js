@@ -0,0 +1,108 @@
+// src/metrics/registry.js
+// Registro mínimo de métricas con salida en el formato de texto de Prometheus
+// (contadores, gauges e histogramas con etiquetas)
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const pares = Object.entries(labels).map(([nombre, valor]) => `${nombre}="${escapeLabel(valor)}"`);
+    return pares.length > 0 ? `{${pares.join(',')}}` : '';
+};
+
+// Las series se guardan por la combinación de valores de sus etiquetas
+const createSeries = (labelNames) => {
+    const series = new Map();
+
+    const get = (labels, init) => {
+        const valores = labelNames.map(nombre => String(labels[nombre] ?? ''));
+        const key = JSON.stringify(valores);
+        if (!series.has(key)) {
+            series.set(key, { labels: Object.fromEntries(labelNames.map((nombre, i) => [nombre, valores[i]])), ...init() });
+        }
+        return series.get(key);
+    };
+
+    return { get, values: () => series.values(), clear: () => series.clear() };
+};
+
+const createRegistry = () => {
+    const metricas = [];
+
+    const counter = ({ name, help, labelNames = [] }) => {
+        const series = createSeries(labelNames);
+        metricas.push({
+            name,
+            help,
+            type: 'counter',
+            lines: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`)
+        });
+        return {
+            inc: (labels = {}, value = 1) => {
+                series.get(labels, () => ({ value: 0 })).value += value;
+            }
+        };
+    };
+
+    // `collect(gauge)` se llama antes de cada lectura para tomar el valor actual
+    const gauge = ({ name, help, labelNames = [], collect = null }) => {
+        const series = createSeries(labelNames);
+        const metrica = {
+            set: (labels, value) => {
+                series.get(labels, () => ({ value: 0 })).value = value;
+            }
+        };
+        metricas.push({
+            name,
+            help,
+            type: 'gauge',
+            collect: collect && (async () => {
+                series.clear();
+                await collect(metrica);
+            }),
+            lines: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`)
+        });
+        return metrica;
+    };
+
+    const histogram = ({ name, help, labelNames = [], buckets }) => {
+        const series = createSeries(labelNames);
+        metricas.push({
+            name,
+            help,
+            type: 'histogram',
+            lines: () => [...series.values()].flatMap(s => [
+                ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+                `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+                `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+                `${name}_count${formatLabels(s.labels)} ${s.count}`
+            ])
+        });
+        return {
+            observe: (labels, value) => {
+                const s = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((le, i) => {
+                    if (value <= le) {
+                        s.counts[i] += 1;
+                    }
+                });
+                s.sum += value;
+                s.count += 1;
+            }
+        };
+    };
+
+    const render = async () => {
+        const salida = [];
+        for (const metrica of metricas) {
+            if (metrica.collect) {
+                await metrica.collect();
+            }
+            salida.push(`# HELP ${metrica.name} ${metrica.help}`, `# TYPE ${metrica.name} ${metrica.type}`, ...metrica.lines());
+        }
+        return `${salida.join('\n')}\n`;
+    };
+
+    return { counter, gauge, histogram, render };
+};
+
+module.exports = { createRegistry };
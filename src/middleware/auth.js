@@ -0,0 +1,167 @@
+// src/middleware/auth.js
+// Autenticación y autorización de las rutas
+//
+// Los middlewares exponen `docs` para que la especificación OpenAPI sepa qué
+// roles y permisos exige cada ruta (ver src/docs/openapi.js).
+
+const jwt = require('jsonwebtoken');
+const { resolvePermisos, resolvePermisosNegocio } = require('../auth/permisos');
+const { setIdioma } = require('./idioma');
+
+const createAuthMiddleware = ({ sessions, repositories, secret }) => {
+    // Verifica el JWT y la sesión; con `roles` restringe los tipos de usuario admitidos
+    const verifyToken = (roles = []) => {
+        const middleware = async (req, res, next) => {
+            const token = req.headers.authorization?.split(' ')[1];
+            
+            if (!token) {
+                return res.status(401).json({ success: false, ...req.msg('TOKEN_NO_PROPORCIONADO') });
+            }
+
+            let decoded;
+            try {
+                decoded = jwt.verify(token, secret);
+            } catch (error) {
+                return res.status(401).json({ success: false, ...req.msg('TOKEN_INVALIDO') });
+            }
+
+            let session;
+            try {
+                // La sesión puede haberse revocado o la cuenta suspendida después de emitir el token
+                session = await sessions.checkSession(decoded);
+                if (session.error) {
+                    return res.status(401).json({ success: false, ...req.msg(session.error) });
+                }
+            } catch (error) {
+                req.log.error('Error al validar sesión', error);
+                return res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+            }
+
+            // Los permisos se leen de la cuenta en cada petición para que los cambios apliquen de inmediato
+            req.user = { ...decoded, permisos: resolvePermisos(decoded.tipo, session.account) };
+
+            // El idioma preferido de la cuenta, si lo eligió, manda sobre Accept-Language
+            if (session.account.idioma) {
+                setIdioma(req, res, session.account.idioma);
+            }
+
+            if (roles.length > 0 && !roles.includes(decoded.tipo)) {
+                return res.status(403).json({ success: false, ...req.msg('ACCESO_DENEGADO') });
+            }
+
+            next();
+        };
+        middleware.docs = { roles };
+        return middleware;
+    };
+
+    // Exige todos los permisos indicados (usar después de verifyToken)
+    const requirePermission = (...permisos) => {
+        const middleware = (req, res, next) => {
+            const faltantes = permisos.filter(p => !req.user.permisos.includes(p));
+            if (faltantes.length > 0) {
+                return res.status(403).json({ success: false, ...req.msg('PERMISO_REQUERIDO', { permisos: faltantes }) });
+            }
+            next();
+        };
+        middleware.docs = { permisos };
+        return middleware;
+    };
+
+    // Negocios activos del administrador autenticado con sus permisos en cada uno
+    const negociosDelAdmin = async (req) => {
+        const negocios = await repositories.miembrosNegocio.listByAdmin(req.user.id);
+        return negocios.map(negocio => ({ ...negocio, permisos: resolvePermisosNegocio(negocio.rol, req.user.permisos) }));
+    };
+
+    // Si el usuario autenticado tiene `permiso` en el negocio. Los super admins
+    // lo tienen en todos si su cuenta lo tiene; un administrador, si es miembro
+    // de un negocio activo y su rol lo incluye.
+    const canInNegocio = async (req, negocioId, permiso) => {
+        if (req.user.tipo === 'super_admin') {
+            return req.user.permisos.includes(permiso);
+        }
+        if (req.user.tipo !== 'admin_negocio') {
+            return false;
+        }
+
+        const miembro = await repositories.miembrosNegocio.find(negocioId, req.user.id);
+        return Boolean(miembro) && miembro.estado_negocio === 'activo' &&
+            resolvePermisosNegocio(miembro.rol, req.user.permisos).includes(permiso);
+    };
+
+    // Exige `permiso` en el negocio de la petición (por defecto req.params.id) y
+    // lo deja en req.negocioId. Si el administrador no lo indica y tiene el
+    // permiso en un solo negocio, se usa ese; con `todos`, req.negocioIds recibe
+    // todos en los que lo tiene. Un super admin sin negocio sigue con req.negocioId
+    // undefined, para que la ruta decida (p. ej. toda la plataforma).
+    const requireNegocioPermission = (permiso, { negocioId = (req) => req.params.id, todos = false } = {}) => {
+        const middleware = async (req, res, next) => {
+            try {
+                const id = negocioId(req);
+
+                if (id !== undefined && id !== null) {
+                    if (!(await canInNegocio(req, id, permiso))) {
+                        return res.status(403).json({ success: false, ...req.msg('SIN_PERMISOS_NEGOCIO') });
+                    }
+                    req.negocioId = Number(id);
+                    return next();
+                }
+
+                if (req.user.tipo === 'super_admin') {
+                    if (!req.user.permisos.includes(permiso)) {
+                        return res.status(403).json({ success: false, ...req.msg('PERMISO_REQUERIDO', { permisos: [permiso] }) });
+                    }
+                    return next();
+                }
+
+                const ids = (await negociosDelAdmin(req))
+                    .filter(negocio => negocio.permisos.includes(permiso))
+                    .map(negocio => negocio.id);
+
+                if (ids.length === 0) {
+                    return res.status(403).json({ success: false, ...req.msg('PERMISO_REQUERIDO', { permisos: [permiso] }) });
+                }
+                if (todos) {
+                    req.negocioIds = ids;
+                    return next();
+                }
+                if (ids.length > 1) {
+                    return res.status(400).json({ success: false, ...req.msg('NEGOCIO_REQUERIDO') });
+                }
+
+                req.negocioId = ids[0];
+                next();
+            } catch (error) {
+                req.log.error('Error al comprobar permisos en el negocio', error);
+                res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+            }
+        };
+        middleware.docs = { permisos: [permiso] };
+        return middleware;
+    };
+
+    // Exige email verificado al turista autenticado (si `enabled`)
+    const requireVerifiedEmail = (enabled) => {
+        return async (req, res, next) => {
+            if (!enabled) {
+                return next();
+            }
+
+            try {
+                const turista = await repositories.turistas.findAccount(req.user.id);
+                if (!turista?.verificado) {
+                    return res.status(403).json({ success: false, ...req.msg('EMAIL_NO_VERIFICADO') });
+                }
+                next();
+            } catch (error) {
+                req.log.error('Error al comprobar verificación', error);
+                res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+            }
+        };
+    };
+
+    return { verifyToken, requirePermission, requireNegocioPermission, requireVerifiedEmail, canInNegocio, negociosDelAdmin };
+};
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,32 @@
+// src/middleware/idioma.js
+// Idioma de los mensajes de cada petición
+//
+// Se toma de Accept-Language y, si el usuario autenticado tiene un idioma
+// preferido, verifyToken lo sustituye por ese (ver setIdioma). Los handlers
+// responden con `...req.msg(codigo, params)`, que añade `code` y `message`
+// traducido, y usan `req.t` cuando solo necesitan el texto.
+
+const { IDIOMA_POR_DEFECTO, translate, negotiate } = require('../i18n');
+
+const setIdioma = (req, res, idioma) => {
+    req.idioma = idioma;
+    res.set('Content-Language', idioma);
+};
+
+const createIdiomaMiddleware = () => (req, res, next) => {
+    setIdioma(req, res, negotiate(req.get('accept-language')) || IDIOMA_POR_DEFECTO);
+    res.vary('Accept-Language');
+
+    // Admite un código con sus parámetros o un mensaje de i18n.mensaje()
+    req.t = (codigo, params) => (typeof codigo === 'object'
+        ? translate(req.idioma, codigo.codigo, codigo.params)
+        : translate(req.idioma, codigo, params));
+    req.msg = (codigo, params) => ({
+        code: typeof codigo === 'object' ? codigo.codigo : codigo,
+        message: req.t(codigo, params)
+    });
+
+    next();
+};
+
+module.exports = { createIdiomaMiddleware, setIdioma };
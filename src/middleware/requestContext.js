@@ -0,0 +1,41 @@
+// src/middleware/requestContext.js
+// Identificador por petición y log de acceso
+//
+// Cada petición recibe `req.id` (el X-Request-Id entrante si es válido, o uno
+// nuevo) y `req.log`, un logger que añade request_id a todas sus líneas. El
+// id se devuelve en la cabecera X-Request-Id para poder correlacionar errores.
+
+const crypto = require('crypto');
+const { routeLabel } = require('../metrics');
+
+// Se acepta el id de un proxy o cliente solo si es corto y sin caracteres raros
+const ID_VALIDO = /^[\w.:-]{1,128}$/;
+
+const createRequestContext = ({ logger }) => (req, res, next) => {
+    const entrante = req.get('x-request-id');
+    req.id = entrante && ID_VALIDO.test(entrante) ? entrante : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const inicio = process.hrtime.bigint();
+    res.on('finish', () => {
+        const campos = {
+            method: req.method,
+            path: req.path,
+            ruta: routeLabel(req),
+            status: res.statusCode,
+            duracion_ms: Number(process.hrtime.bigint() - inicio) / 1e6,
+            ip: req.ip,
+            ...(req.user ? { usuario: { tipo: req.user.tipo, id: req.user.id } } : {})
+        };
+        if (res.statusCode >= 500) {
+            req.log.warn('Petición con error', campos);
+        } else {
+            req.log.info('Petición atendida', campos);
+        }
+    });
+
+    next();
+};
+
+module.exports = { createRequestContext };
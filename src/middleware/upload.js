@@ -0,0 +1,63 @@
+// src/middleware/upload.js
+// Subida de archivos multipart/form-data en memoria
+//
+// Los archivos se limitan por tamaño y por Content-Type declarado; el tipo real
+// se comprueba después al procesar la imagen (ver src/imagenes).
+
+const multer = require('multer');
+const { MensajeError } = require('../i18n');
+
+const createUpload = ({ maxBytes, tipos }) => {
+    // `campo` es el nombre del campo del formulario; con `maxArchivos` > 1 admite varios
+    const upload = (campo, maxArchivos = 1) => {
+        const parser = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: maxBytes, files: maxArchivos, fields: 20 },
+            fileFilter: (req, file, cb) => {
+                if (!tipos.includes(file.mimetype)) {
+                    return cb(Object.assign(new MensajeError('TIPO_ARCHIVO_NO_ADMITIDO', { tipos }), { status: 415 }));
+                }
+                cb(null, true);
+            }
+        }).array(campo, maxArchivos);
+
+        const middleware = (req, res, next) => {
+            if (!req.is('multipart/form-data')) {
+                return res.status(415).json({ success: false, ...req.msg('MULTIPART_REQUERIDO') });
+            }
+
+            parser(req, res, (error) => {
+                if (!error) {
+                    if (!req.files || req.files.length === 0) {
+                        return res.status(400).json({ success: false, ...req.msg('ARCHIVO_REQUERIDO', { campo }) });
+                    }
+                    return next();
+                }
+
+                if (error instanceof multer.MulterError) {
+                    const mensajes = {
+                        LIMIT_FILE_SIZE: ['ARCHIVO_DEMASIADO_GRANDE', { mb: Math.floor(maxBytes / 1024 / 1024 * 10) / 10 }],
+                        LIMIT_FILE_COUNT: ['DEMASIADOS_ARCHIVOS', { max: maxArchivos }],
+                        LIMIT_UNEXPECTED_FILE: ['CAMPO_ARCHIVO_INESPERADO', { campo }]
+                    };
+                    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                    return res.status(status).json({ success: false, ...req.msg(...(mensajes[error.code] || ['FORMULARIO_INVALIDO'])) });
+                }
+
+                if (error.status) {
+                    return res.status(error.status).json({ success: false, ...req.msg(error.codigo, error.params) });
+                }
+
+                req.log.error('Error al recibir archivos', error);
+                res.status(400).json({ success: false, ...req.msg('FORMULARIO_INVALIDO') });
+            });
+        };
+        // Lo usa la especificación OpenAPI para documentar el cuerpo multipart
+        middleware.docs = { archivos: { campo, maxArchivos, tipos, maxBytes } };
+        return middleware;
+    };
+
+    return { upload };
+};
+
+module.exports = { createUpload };
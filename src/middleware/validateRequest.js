@@ -0,0 +1,42 @@
+// src/middleware/validateRequest.js
+
+const { validationResult } = require('express-validator');
+const { MensajeError, mensaje, isCodigo } = require('../i18n');
+
+// El mensaje de un error de express-validator: un código del catálogo, un
+// mensaje() con parámetros o, sin withMessage, el 'Invalid value' por defecto.
+// El nombre del campo se pasa siempre como parámetro {campo}.
+const localizeError = (req, error) => {
+    const { codigo, params } = typeof error.msg === 'object' && error.msg !== null
+        ? error.msg
+        : mensaje(isCodigo(error.msg) ? error.msg : 'VALOR_INVALIDO');
+    const traducido = req.msg(codigo, { campo: error.path, ...params });
+    return { ...error, msg: traducido.message, code: traducido.code };
+};
+
+// Responde 400 con los errores de express-validator, si los hay
+const validateRequest = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            ...req.msg('DATOS_INVALIDOS'),
+            errors: errors.array().map(error => localizeError(req, error))
+        });
+    }
+    next();
+};
+
+// Validador de express-validator a partir de un parser que lanza errores. Un
+// MensajeError se relanza como mensaje() para que validateRequest lo traduzca
+// (express-validator solo conserva el texto de los Error).
+const parsesWith = (parser) => (value) => {
+    try {
+        parser(value);
+    } catch (error) {
+        throw error instanceof MensajeError ? mensaje(error.codigo, error.params) : error;
+    }
+    return true;
+};
+
+module.exports = { validateRequest, parsesWith };
@@ -0,0 +1,90 @@
+// src/negocios/busqueda.js
+// Búsqueda pública de negocios: términos de texto libre, órdenes y cursores
+//
+// La paginación es por cursor (keyset): cada orden tiene una lista de claves
+// que desempata hasta el id, y el cursor guarda los valores de esas claves en
+// el último resultado de la página. La página siguiente son las filas que van
+// después de esos valores, así que el coste no crece con la profundidad.
+
+const CATEGORIAS_NEGOCIO = ['restaurante', 'hotel', 'tienda', 'entretenimiento', 'servicios', 'otro'];
+
+// Claves de cada orden: [columna, 'asc' | 'desc']. En `distancia` los negocios
+// sin coordenadas (distancia null) van al final.
+const ORDENES = {
+    calificacion: [['calificacion_ponderada', 'desc'], ['total_resenas', 'desc'], ['id', 'desc']],
+    relevancia: [['relevancia', 'desc'], ['calificacion_ponderada', 'desc'], ['id', 'desc']],
+    distancia: [['distancia_km', 'asc'], ['id', 'asc']]
+};
+
+const MAX_TERMINOS = 10;
+
+// Minúsculas y sin acentos, para comparar como lo hace la colación de MySQL
+const normalize = (texto) => String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Términos de búsqueda de `q`, sin los operadores del modo booleano de MySQL
+const parseTerms = (q) => String(q || '')
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, MAX_TERMINOS);
+
+// `categoria` admite una lista separada por comas o el parámetro repetido
+const parseCategorias = (value) => {
+    if (value === undefined) {
+        return [];
+    }
+    const lista = (Array.isArray(value) ? value : [value]).flatMap(v => String(v).split(','));
+    return [...new Set(lista.map(v => v.trim()).filter(Boolean))];
+};
+
+// Valores de las claves del orden en la fila: la posición que guarda el cursor
+const cursorValues = (fila, orden) => ORDENES[orden].map(([columna]) => fila[columna] ?? null);
+
+const encodeCursor = (fila, orden) => Buffer
+    .from(JSON.stringify({ o: orden, v: cursorValues(fila, orden) }))
+    .toString('base64url');
+
+// Valores del cursor, o null si no es válido para el orden pedido
+const decodeCursor = (token, orden) => {
+    try {
+        const { o, v } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        const valido = o === orden && Array.isArray(v) && v.length === ORDENES[orden].length &&
+            v.every(valor => valor === null || ['number', 'string'].includes(typeof valor));
+        return valido ? v : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Compara dos filas según el orden; null se considera mayor que cualquier valor
+const compareRows = (orden) => (a, b) => {
+    for (const [columna, direccion] of ORDENES[orden]) {
+        const x = a[columna] ?? null;
+        const y = b[columna] ?? null;
+        if (x === y || (x !== null && y !== null && Number(x) === Number(y))) {
+            continue;
+        }
+        const menor = x === null ? false : y === null ? true : Number(x) < Number(y);
+        return (menor ? -1 : 1) * (direccion === 'asc' || x === null || y === null ? 1 : -1);
+    }
+    return 0;
+};
+
+// Si la fila va después de la posición del cursor
+const isAfterCursor = (fila, orden, valores) => {
+    const posicion = Object.fromEntries(ORDENES[orden].map(([columna], i) => [columna, valores[i]]));
+    return compareRows(orden)(fila, posicion) > 0;
+};
+
+module.exports = {
+    CATEGORIAS_NEGOCIO,
+    ORDENES,
+    normalize,
+    parseTerms,
+    parseCategorias,
+    cursorValues,
+    encodeCursor,
+    decodeCursor,
+    compareRows,
+    isAfterCursor
+};
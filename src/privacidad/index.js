@@ -0,0 +1,174 @@
+// src/privacidad/index.js
+// Exportación y borrado de los datos personales de los turistas
+//
+// La exportación reúne en un ZIP, como archivos JSON, el perfil, las reseñas,
+// los reportes, los favoritos, los itinerarios, las reservas y la actividad
+// (sesiones y acciones registradas en la auditoría) del turista.
+//
+// El borrado se hace en dos pasos. Al pedirlo, la cuenta se desactiva y se
+// programa su anonimización para dentro de `diasGracia` días; mientras tanto un
+// super admin puede cancelarlo restaurando la cuenta. Pasado el plazo,
+// anonymizeDue (scripts/anonimizar-turistas.js) sustituye los datos personales
+// por un seudónimo, borra favoritos, itinerarios, sesiones y foto de perfil, y
+// deja las reseñas y reservas a nombre del seudónimo. En la auditoría, que por
+// lo demás es de solo inserción, se depuran los valores personales de sus
+// entradas (ver scrubEntry en src/auditoria).
+
+const { createZip } = require('../utils/zip');
+const { formatDateValue } = require('../utils/horarios');
+const { PERFILES, removeImage, imageFolder } = require('../imagenes');
+const { scrubEntry } = require('../auditoria');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Reservas que impiden pedir el borrado: el negocio todavía cuenta con ellas
+const ESTADOS_RESERVA_ABIERTA = ['pendiente', 'confirmada'];
+
+// Entradas de auditoría que se leen por consulta al exportar la actividad
+const PAGINA_AUDITORIA = 500;
+
+// Cuentas vencidas que se leen por consulta en anonymizeDue
+const LOTE = 100;
+
+const LEEME = `Datos personales exportados del Sistema de Turismo.
+
+perfil.json       Datos de la cuenta y del perfil
+resenas.json      Reseñas publicadas, con la respuesta del negocio
+reportes.json     Reseñas que reportaste
+favoritos.json    Negocios favoritos
+itinerarios.json  Itinerarios con sus paradas
+reservas.json     Reservas en hoteles y restaurantes
+actividad.json    Sesiones iniciadas y acciones registradas en tu cuenta
+
+Las fechas con hora están en UTC (ISO 8601).
+`;
+
+const toJson = (datos) => `${JSON.stringify(datos, null, 2)}\n`;
+
+const createPrivacidad = ({ repositories, storage, auditLog, diasGracia, logger = console }) => {
+    // Todas las entradas de auditoría en las que el turista es el actor, de la más reciente a la más antigua
+    const listActividad = async (turistaId) => {
+        const entradas = [];
+        for (let offset = 0; ; offset += PAGINA_AUDITORIA) {
+            const { rows, total } = await repositories.auditoria.list(
+                { actor_tipo: 'turista', actor_id: turistaId },
+                { limite: PAGINA_AUDITORIA, offset }
+            );
+            entradas.push(...rows.map(({ actor_tipo, actor_id, ...entrada }) => entrada));
+            if (offset + PAGINA_AUDITORIA >= total) {
+                return entradas;
+            }
+        }
+    };
+
+    // ZIP con los datos del turista, o null si no existe
+    const exportData = async (turistaId, fecha = new Date()) => {
+        const { turistas, privacidad, favoritos, itinerarios, reservas } = repositories;
+
+        const cuenta = await turistas.findById(turistaId, { incluirEliminados: true });
+        if (!cuenta) {
+            return null;
+        }
+        const perfil = { ...(await turistas.getProfile(turistaId)), ...cuenta };
+
+        const resumenItinerarios = await itinerarios.listByTurista(turistaId);
+        const listaItinerarios = [];
+        for (const { id } of resumenItinerarios) {
+            const { turista_id, ...itinerario } = await itinerarios.findById(id);
+            listaItinerarios.push({ ...itinerario, paradas: await itinerarios.listParadas(id) });
+        }
+
+        const archivos = {
+            'perfil.json': perfil,
+            'resenas.json': await privacidad.listResenas(turistaId),
+            'reportes.json': await privacidad.listReportes(turistaId),
+            'favoritos.json': await favoritos.listByTurista(turistaId),
+            'itinerarios.json': listaItinerarios,
+            'reservas.json': await reservas.listByTurista(turistaId),
+            'actividad.json': {
+                sesiones: await privacidad.listSesiones(turistaId),
+                acciones: await listActividad(turistaId)
+            }
+        };
+
+        return createZip([
+            { nombre: 'LEEME.txt', contenido: LEEME },
+            ...Object.entries(archivos).map(([nombre, datos]) => ({ nombre, contenido: toJson(datos) }))
+        ], fecha);
+    };
+
+    // Reservas pendientes o confirmadas que todavía no terminaron
+    const openReservations = async (turistaId, ahora = new Date()) => {
+        const hoy = ahora.toISOString().slice(0, 10);
+        const lista = await repositories.reservas.listByTurista(turistaId);
+        return lista.filter(reserva => ESTADOS_RESERVA_ABIERTA.includes(reserva.estado) &&
+            formatDateValue(reserva.fecha_salida || reserva.fecha) >= hoy);
+    };
+
+    // Fecha en que se anonimizará una cuenta cuyo borrado se pide ahora
+    const deletionDate = (ahora = new Date()) => new Date(ahora.getTime() + diasGracia * DIA_MS);
+
+    // Anonimiza una cuenta, depura sus datos en la auditoría y borra su foto de
+    // perfil; devuelve false si ya estaba anonimizada
+    const anonymize = async (turistaId) => {
+        const perfil = await repositories.turistas.getProfile(turistaId);
+
+        const anonimizada = await repositories.transaction(async (repos) => {
+            // El email se lee antes de sustituirlo por el seudónimo
+            const cuenta = await repos.turistas.findById(turistaId, { incluirEliminados: true });
+            if (!cuenta || !(await repos.privacidad.anonymize(turistaId))) {
+                return false;
+            }
+            const entradas = await repos.auditoria.listPersonales(turistaId, cuenta.email);
+            await repos.auditoria.scrub(entradas.map(entrada => ({ id: entrada.id, ...scrubEntry(entrada) })));
+            await auditLog.record({
+                actor: { tipo: 'sistema', id: null },
+                accion: 'turista.anonimizar',
+                entidad: 'turistas',
+                entidad_id: turistaId
+            }, repos);
+            return true;
+        });
+
+        // Los archivos se borran después de confirmar; un fallo solo deja archivos huérfanos
+        const carpeta = anonimizada && perfil?.foto_perfil ? imageFolder(storage, perfil.foto_perfil) : null;
+        if (carpeta) {
+            try {
+                await removeImage(storage, carpeta, PERFILES.avatar.map(v => v.nombre));
+            } catch (error) {
+                logger.error('Error al borrar la foto de perfil anonimizada', error);
+            }
+        }
+
+        return anonimizada;
+    };
+
+    // Anonimiza las cuentas cuyo periodo de gracia terminó; devuelve cuántas.
+    // Un fallo en una cuenta se registra, no detiene las demás y se reintenta en
+    // la siguiente ejecución.
+    const anonymizeDue = async () => {
+        const fallidas = new Set();
+        let total = 0;
+        for (;;) {
+            const pendientes = (await repositories.privacidad.listDue(LOTE)).filter(id => !fallidas.has(id));
+            if (pendientes.length === 0) {
+                return total;
+            }
+            for (const turistaId of pendientes) {
+                try {
+                    if (await anonymize(turistaId)) {
+                        total += 1;
+                        logger.info('Turista anonimizado', { turista_id: turistaId });
+                    }
+                } catch (error) {
+                    fallidas.add(turistaId);
+                    logger.error(`Error al anonimizar el turista ${turistaId}`, error);
+                }
+            }
+        }
+    };
+
+    return { exportData, openReservations, deletionDate, anonymize, anonymizeDue };
+};
+
+module.exports = { createPrivacidad };
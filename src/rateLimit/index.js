@@ -0,0 +1,173 @@
+// src/rateLimit/index.js
+// Límites de peticiones y bloqueo progresivo de logins
+//
+// Los contadores viven en un almacén con interfaz de Redis (incr, pexpire,
+// pttl, get, set ... PX, del), así que se puede pasar directamente un cliente
+// Redis (p. ej. ioredis) para compartir los límites entre instancias. Por
+// defecto se usa el almacén en memoria.
+
+const createMemoryStore = require('./stores/memory');
+
+const STORES = {
+    memory: createMemoryStore
+};
+
+const UNIDADES_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Duración con unidad ('30s', '15m', '1h', '1d') a milisegundos
+const parseDuracion = (value) => {
+    const match = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Duración inválida: ${value}`);
+    }
+    return parseInt(match[1]) * UNIDADES_MS[match[2]];
+};
+
+// Límite con formato 'máximo/ventana', p. ej. '20/15m'
+const parseLimite = (value) => {
+    const [max, ventana] = String(value).split('/');
+    if (!/^\d+$/.test(max || '') || !ventana) {
+        throw new Error(`Límite inválido: ${value}. Usa el formato máximo/ventana, p. ej. 20/15m`);
+    }
+    return { max: parseInt(max), windowMs: parseDuracion(ventana) };
+};
+
+// Ventana fija: el primer incremento fija el vencimiento de la clave
+const hit = async (store, key, windowMs) => {
+    const total = await store.incr(key);
+    let resetMs = await store.pttl(key);
+    if (total === 1 || resetMs < 0) {
+        await store.pexpire(key, windowMs);
+        resetMs = windowMs;
+    }
+    return { total, resetMs };
+};
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+// `codigo` es el código del mensaje en src/i18n
+const sendTooManyRequests = (req, res, retryAfterMs, codigo) => {
+    res.set('Retry-After', String(toSeconds(retryAfterMs)));
+    return res.status(429).json({ success: false, ...req.msg(codigo) });
+};
+
+// Middleware que limita las peticiones por la clave que devuelve `key(req)`
+// (por defecto la IP). Si `key` devuelve null la petición no se cuenta.
+const createRateLimiter = ({
+    store,
+    name,
+    max,
+    windowMs,
+    key = (req) => req.ip,
+    codigo = 'DEMASIADAS_SOLICITUDES'
+}) => {
+    const middleware = async (req, res, next) => {
+        const id = key(req);
+        if (id === null || id === undefined) {
+            return next();
+        }
+
+        let resultado;
+        try {
+            resultado = await hit(store, `limite:${name}:${id}`, windowMs);
+        } catch (error) {
+            // Si el almacén falla se deja pasar la petición antes que tumbar la API
+            (req.log || console).error('Error en el limitador de peticiones', error);
+            return next();
+        }
+
+        const restantes = Math.max(0, max - resultado.total);
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(restantes));
+        res.set('RateLimit-Reset', String(toSeconds(resultado.resetMs)));
+        res.set('RateLimit-Policy', `${max};w=${Math.round(windowMs / 1000)}`);
+
+        if (resultado.total > max) {
+            return sendTooManyRequests(req, res, resultado.resetMs, codigo);
+        }
+
+        next();
+    };
+    // Lo usa la especificación OpenAPI para documentar la respuesta 429
+    middleware.docs = { limite: { max, windowMs } };
+    return middleware;
+};
+
+// Bloqueo progresivo por cuenta: tras `maxIntentos` fallos dentro de `ventanaMs`
+// la cuenta se bloquea `bloqueoBaseMs`, y cada bloqueo siguiente dentro de
+// `memoriaMs` dura el doble, hasta `bloqueoMaxMs`.
+const createLoginGuard = ({
+    store,
+    maxIntentos = 5,
+    ventanaMs = 15 * 60 * 1000,
+    bloqueoBaseMs = 60 * 1000,
+    bloqueoMaxMs = 60 * 60 * 1000,
+    memoriaMs = 24 * 60 * 60 * 1000
+}) => {
+    const keys = (id) => ({
+        fallos: `login:fallos:${id}`,
+        nivel: `login:nivel:${id}`,
+        bloqueo: `login:bloqueo:${id}`
+    });
+
+    // Devuelve { bloqueado, retryAfterMs }
+    const check = async (id) => {
+        const restante = await store.pttl(keys(id).bloqueo);
+        return restante > 0 ? { bloqueado: true, retryAfterMs: restante } : { bloqueado: false };
+    };
+
+    // Devuelve { bloqueado: false, intentosRestantes } o { bloqueado: true, nivel, retryAfterMs } si este fallo bloquea la cuenta
+    const registerFailure = async (id) => {
+        const k = keys(id);
+        const { total } = await hit(store, k.fallos, ventanaMs);
+        if (total < maxIntentos) {
+            return { bloqueado: false, intentosRestantes: maxIntentos - total };
+        }
+
+        const nivel = await store.incr(k.nivel);
+        await store.pexpire(k.nivel, memoriaMs);
+        const duracion = Math.min(bloqueoBaseMs * 2 ** (nivel - 1), bloqueoMaxMs);
+
+        await store.set(k.bloqueo, String(nivel), 'PX', duracion);
+        await store.del(k.fallos);
+
+        return { bloqueado: true, nivel, retryAfterMs: duracion };
+    };
+
+    // Un login correcto olvida los fallos. Devuelve true si la cuenta venía de un bloqueo.
+    const registerSuccess = async (id) => {
+        const k = keys(id);
+        const [, nivelesBorrados] = await Promise.all([store.del(k.fallos), store.del(k.nivel)]);
+        return nivelesBorrados > 0;
+    };
+
+    // Desbloqueo manual. Devuelve true si la cuenta estaba bloqueada.
+    const unlock = async (id) => {
+        const k = keys(id);
+        const bloqueada = (await store.pttl(k.bloqueo)) > 0;
+        await store.del(k.bloqueo, k.fallos, k.nivel);
+        return bloqueada;
+    };
+
+    return { check, registerFailure, registerSuccess, unlock };
+};
+
+const createStore = (name = 'memory') => {
+    const factory = STORES[name];
+
+    if (!factory) {
+        throw new Error(`Almacén de límites desconocido: ${name}`);
+    }
+
+    return factory();
+};
+
+module.exports = {
+    createRateLimiter,
+    createLoginGuard,
+    createStore,
+    sendTooManyRequests,
+    parseDuracion,
+    parseLimite,
+    STORES
+};
@@ -0,0 +1,83 @@
+// src/rateLimit/stores/memory.js
+// Almacén en memoria con el subconjunto de comandos de Redis que usan los
+// limitadores (incr, pexpire, pttl, get, set ... PX, del). Solo sirve para
+// una instancia del servidor; con varias, conectar un cliente Redis.
+
+module.exports = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const entries = new Map();
+
+    const isExpired = (entry, now = Date.now()) => entry.expiresAt !== null && entry.expiresAt <= now;
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (isExpired(entry)) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    // Las claves vencidas se borran al leerlas; el barrido evita que se acumulen las que nadie vuelve a leer
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (isExpired(entry, now)) {
+                entries.delete(key);
+            }
+        }
+    }, sweepIntervalMs);
+    timer.unref();
+
+    return {
+        async incr(key) {
+            const entry = read(key);
+            if (!entry) {
+                entries.set(key, { value: '1', expiresAt: null });
+                return 1;
+            }
+            entry.value = String(parseInt(entry.value) + 1);
+            return parseInt(entry.value);
+        },
+
+        async pexpire(key, ms) {
+            const entry = read(key);
+            if (!entry) {
+                return 0;
+            }
+            entry.expiresAt = Date.now() + ms;
+            return 1;
+        },
+
+        // Igual que Redis: -2 si la clave no existe, -1 si no tiene vencimiento
+        async pttl(key) {
+            const entry = read(key);
+            if (!entry) {
+                return -2;
+            }
+            return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+        },
+
+        async get(key) {
+            return read(key)?.value ?? null;
+        },
+
+        // Solo admite la forma set(key, value) y set(key, value, 'PX', ms)
+        async set(key, value, mode, ms) {
+            const expiresAt = mode === 'PX' ? Date.now() + ms : null;
+            entries.set(key, { value: String(value), expiresAt });
+            return 'OK';
+        },
+
+        async del(...keys) {
+            return keys.filter(key => read(key) && entries.delete(key)).length;
+        },
+
+        close() {
+            clearInterval(timer);
+            entries.clear();
+        }
+    };
+};
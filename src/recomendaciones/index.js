@@ -0,0 +1,247 @@
+// src/recomendaciones/index.js
+// Recomendaciones de negocios para un turista, calculadas en el proceso
+//
+// Cada negocio candidato recibe una puntuación entre 0 y 1 por señal:
+// - preferencias: categorías y palabras de preferencias_turisticas.
+// - categorias: categorías que el turista calificó bien en sus reseñas.
+// - similares: filtrado colaborativo por usuarios. Son turistas que calificaron
+//   los mismos negocios de forma parecida (correlación de sus calificaciones
+//   centradas en 3), con lo que opinaron de los demás negocios.
+// - cercania: distancia al punto indicado, si lo hay.
+// - calidad: calificación ponderada del negocio, para desempatar y para
+//   turistas sin historial.
+// La puntuación final es la media ponderada por PESOS, y cada señal que aporta
+// deja un motivo legible en la respuesta (un i18n.mensaje() que la ruta traduce).
+
+const { normalize } = require('../negocios/busqueda');
+const { mensaje } = require('../i18n');
+
+const PESOS = { preferencias: 3, categorias: 2, similares: 3, cercania: 2, calidad: 1 };
+
+// Palabras de las preferencias que apuntan a cada categoría (sin acentos)
+const SINONIMOS_CATEGORIA = {
+    restaurante: ['restaurante', 'restaurantes', 'comida', 'comer', 'gastronomia', 'gastronomica', 'cocina', 'cafe', 'cafeteria', 'bar', 'bares'],
+    hotel: ['hotel', 'hoteles', 'hospedaje', 'alojamiento', 'hostal', 'cabanas'],
+    tienda: ['tienda', 'tiendas', 'compras', 'artesania', 'artesanias', 'mercado', 'mercados', 'souvenirs'],
+    entretenimiento: ['entretenimiento', 'cultura', 'cultural', 'museo', 'museos', 'nocturna', 'fiesta', 'aventura', 'tours', 'naturaleza', 'ecoturismo'],
+    servicios: ['servicios', 'transporte', 'spa', 'guia', 'guias']
+};
+
+// Nombre en plural de cada categoría en los motivos
+const NOMBRES_CATEGORIA = {
+    restaurante: 'CATEGORIA_RESTAURANTES',
+    hotel: 'CATEGORIA_HOTELES',
+    tienda: 'CATEGORIA_TIENDAS',
+    entretenimiento: 'CATEGORIA_ENTRETENIMIENTO',
+    servicios: 'CATEGORIA_SERVICIOS',
+    otro: 'CATEGORIA_OTROS'
+};
+
+const nombreCategoria = (categoria) => (NOMBRES_CATEGORIA[categoria] ? mensaje(NOMBRES_CATEGORIA[categoria]) : categoria);
+
+// Calificación neutra: por encima cuenta como gusto y por debajo como disgusto
+const NEUTRA = 3;
+const MAX_VECINOS = 30;
+// Distancia a la que la señal de cercanía vale 0.5
+const DISTANCIA_MEDIA_KM = 5;
+const MIN_LONGITUD_TERMINO = 4;
+
+const clamp = (valor) => Math.max(0, Math.min(1, valor));
+const redondear = (valor, decimales = 2) => Math.round(valor * 10 ** decimales) / 10 ** decimales;
+
+// Palabras frecuentes en las preferencias que no sirven para buscar en el texto de los negocios
+const PALABRAS_VACIAS = new Set(['para', 'como', 'todo', 'todos', 'mucho', 'muchos', 'vida', 'lugares', 'sitios', 'cosas',
+    'buena', 'bueno', 'gusta', 'gustan', 'encanta', 'visitar', 'conocer', 'tambien']);
+
+// preferencias_turisticas es texto libre ("gastronomía, museos y vida nocturna");
+// devuelve las palabras reconocidas por categoría y los términos que se buscan
+// en el nombre y la descripción de los negocios
+const parsePreferencias = (texto) => {
+    const palabras = [...new Set(normalize(texto || '').split(/[^a-z0-9ñ]+/).filter(Boolean))];
+    const categorias = new Map();
+    const terminos = [];
+    for (const palabra of palabras) {
+        const categoria = Object.keys(SINONIMOS_CATEGORIA).find(c => SINONIMOS_CATEGORIA[c].includes(palabra));
+        if (categoria) {
+            categorias.set(categoria, [...(categorias.get(categoria) || []), palabra]);
+        }
+        if (palabra.length >= MIN_LONGITUD_TERMINO && !PALABRAS_VACIAS.has(palabra)) {
+            terminos.push(palabra);
+        }
+    }
+    return { categorias, terminos };
+};
+
+// Afinidad por categoría según las reseñas propias: media centrada en 0..1,
+// atenuada cuando hay pocas reseñas de esa categoría
+const categoryAffinity = (historial) => {
+    const porCategoria = new Map();
+    for (const { categoria, calificacion } of historial) {
+        const actual = porCategoria.get(categoria) || { suma: 0, total: 0 };
+        porCategoria.set(categoria, { suma: actual.suma + calificacion, total: actual.total + 1 });
+    }
+
+    return new Map([...porCategoria].map(([categoria, { suma, total }]) => {
+        const media = suma / total;
+        return [categoria, { media, total, afinidad: clamp((media - NEUTRA) / 2) * total / (total + 1) }];
+    }));
+};
+
+// Similitud entre el turista y cada vecino: coseno de las calificaciones centradas
+// sobre los negocios en común, atenuado cuando tienen pocos en común
+const similarities = (propias, vecinos) => {
+    const resultado = [];
+    for (const [turistaId, calificaciones] of vecinos) {
+        let producto = 0;
+        let normaA = 0;
+        let normaB = 0;
+        let comunes = 0;
+        for (const [negocioId, calificacion] of calificaciones) {
+            if (!propias.has(negocioId)) {
+                continue;
+            }
+            const a = propias.get(negocioId) - NEUTRA;
+            const b = calificacion - NEUTRA;
+            producto += a * b;
+            normaA += a * a;
+            normaB += b * b;
+            comunes += 1;
+        }
+        if (producto > 0) {
+            resultado.push({ turistaId, similitud: producto / Math.sqrt(normaA * normaB) * comunes / (comunes + 2) });
+        }
+    }
+    return resultado.sort((a, b) => b.similitud - a.similitud).slice(0, MAX_VECINOS);
+};
+
+// Para cada negocio: opinión media de los vecinos (-1..1) ponderada por similitud
+// y cuántos de ellos lo calificaron bien
+const collaborativeScores = (historial, calificacionesVecinos) => {
+    const propias = new Map(historial.map(r => [r.negocio_id, r.calificacion]));
+    const vecinos = new Map();
+    for (const { turista_id, negocio_id, calificacion } of calificacionesVecinos) {
+        if (!vecinos.has(turista_id)) {
+            vecinos.set(turista_id, new Map());
+        }
+        vecinos.get(turista_id).set(negocio_id, calificacion);
+    }
+
+    const puntuaciones = new Map();
+    for (const { turistaId, similitud } of similarities(propias, vecinos)) {
+        for (const [negocioId, calificacion] of vecinos.get(turistaId)) {
+            if (propias.has(negocioId)) {
+                continue;
+            }
+            const actual = puntuaciones.get(negocioId) || { suma: 0, pesos: 0, aFavor: 0 };
+            actual.suma += similitud * (calificacion - NEUTRA) / 2;
+            actual.pesos += similitud;
+            actual.aFavor += calificacion > NEUTRA ? 1 : 0;
+            puntuaciones.set(negocioId, actual);
+        }
+    }
+
+    return new Map([...puntuaciones].map(([negocioId, { suma, pesos, aFavor }]) =>
+        [negocioId, { prediccion: suma / pesos, apoyo: pesos, aFavor }]));
+};
+
+// Señales de un negocio: { señal: { valor (0..1), motivo } }
+const scoreNegocio = (negocio, { preferencias, afinidades, colaborativas }) => {
+    const senales = {};
+
+    const palabrasCategoria = preferencias.categorias.get(negocio.categoria);
+    const texto = normalize(`${negocio.nombre} ${negocio.descripcion || ''}`);
+    const coincidencias = preferencias.terminos.filter(termino => texto.includes(termino));
+    if (palabrasCategoria || coincidencias.length > 0) {
+        const params = { categoria: nombreCategoria(negocio.categoria), palabras: palabrasCategoria, terminos: coincidencias };
+        let codigo = 'MOTIVO_PREFERENCIAS_TEXTO';
+        if (palabrasCategoria) {
+            codigo = coincidencias.length > 0 ? 'MOTIVO_PREFERENCIAS_AMBAS' : 'MOTIVO_PREFERENCIAS_CATEGORIA';
+        }
+        senales.preferencias = {
+            valor: (palabrasCategoria ? 0.6 : 0) + 0.4 * clamp(coincidencias.length / 2),
+            motivo: mensaje(codigo, params)
+        };
+    }
+
+    const afinidad = afinidades.get(negocio.categoria);
+    if (afinidad && afinidad.afinidad > 0) {
+        senales.categorias = {
+            valor: afinidad.afinidad,
+            motivo: mensaje(afinidad.total === 1 ? 'MOTIVO_CATEGORIA_UNA' : 'MOTIVO_CATEGORIA_VARIAS', {
+                categoria: nombreCategoria(negocio.categoria),
+                media: redondear(afinidad.media, 1),
+                total: afinidad.total
+            })
+        };
+    }
+
+    const colaborativa = colaborativas.get(negocio.id);
+    if (colaborativa && colaborativa.prediccion > 0) {
+        senales.similares = {
+            valor: clamp(colaborativa.prediccion) * colaborativa.apoyo / (colaborativa.apoyo + 0.5),
+            motivo: colaborativa.aFavor === 1
+                ? mensaje('MOTIVO_SIMILAR')
+                : mensaje('MOTIVO_SIMILARES', { total: colaborativa.aFavor })
+        };
+    }
+
+    if (negocio.distancia_km !== undefined && negocio.distancia_km !== null) {
+        const distancia = Number(negocio.distancia_km);
+        senales.cercania = {
+            valor: 1 / (1 + distancia / DISTANCIA_MEDIA_KM),
+            motivo: mensaje('MOTIVO_CERCANIA', { distancia: redondear(distancia, 1) })
+        };
+    }
+
+    const ponderada = Number(negocio.calificacion_ponderada) || 0;
+    if (ponderada > 0) {
+        senales.calidad = {
+            valor: ponderada / 5,
+            motivo: mensaje('MOTIVO_CALIDAD', { calificacion: redondear(ponderada, 1) })
+        };
+    }
+
+    return senales;
+};
+
+// Ordena los candidatos para el turista. `historial` son sus reseñas activas
+// ({ negocio_id, categoria, calificacion }) y `calificacionesVecinos` las de los
+// turistas que reseñaron alguno de los mismos negocios. Los candidatos ya
+// reseñados se deben excluir antes. Devuelve [{ negocio, puntuacion, motivos }],
+// sin los negocios que no tienen ningún motivo para recomendarse.
+const recommend = ({ candidatos, preferenciasTuristicas, historial, calificacionesVecinos }) => {
+    const contexto = {
+        preferencias: parsePreferencias(preferenciasTuristicas),
+        afinidades: categoryAffinity(historial),
+        colaborativas: collaborativeScores(historial, calificacionesVecinos)
+    };
+    const pesoTotal = Object.values(PESOS).reduce((suma, peso) => suma + peso, 0);
+
+    return candidatos
+        .map(negocio => {
+            const senales = scoreNegocio(negocio, contexto);
+            const aportes = Object.entries(senales)
+                .map(([tipo, { valor, motivo }]) => ({ tipo, aporte: PESOS[tipo] * valor / pesoTotal, mensaje: motivo }))
+                .sort((a, b) => b.aporte - a.aporte);
+
+            // La calidad solo se explica si no hay motivos más personales
+            const motivos = aportes.filter(m => m.tipo !== 'calidad' || aportes.length === 1);
+
+            return {
+                negocio,
+                puntuacion: aportes.reduce((suma, m) => suma + m.aporte, 0),
+                motivos: motivos.map(({ tipo, aporte, mensaje }) => ({ tipo, mensaje, aporte: redondear(aporte, 3) }))
+            };
+        })
+        .filter(r => r.motivos.length > 0)
+        .sort((a, b) => b.puntuacion - a.puntuacion ||
+            (Number(b.negocio.calificacion_ponderada) || 0) - (Number(a.negocio.calificacion_ponderada) || 0) ||
+            a.negocio.id - b.negocio.id)
+        .map(r => ({ ...r, puntuacion: redondear(r.puntuacion, 3) }));
+};
+
+module.exports = {
+    PESOS,
+    parsePreferencias,
+    recommend
+};
@@ -0,0 +1,21 @@
+// src/repositories/errors.js
+// Errores comunes a todos los drivers de repositorios, para que las rutas no
+// dependan de los códigos de error de MySQL
+
+// Se viola una clave única (email repetido, segunda respuesta a una reseña...)
+class DuplicateEntryError extends Error {
+    constructor(message = 'Registro duplicado') {
+        super(message);
+        this.name = 'DuplicateEntryError';
+    }
+}
+
+// Se referencia una fila que no existe (p. ej. un negocio_id inexistente)
+class InvalidReferenceError extends Error {
+    constructor(message = 'Referencia inválida') {
+        super(message);
+        this.name = 'InvalidReferenceError';
+    }
+}
+
+module.exports = { DuplicateEntryError, InvalidReferenceError };
@@ -0,0 +1,30 @@
+// src/repositories/index.js
+// Capa de acceso a datos
+//
+// Las rutas no usan SQL directamente: reciben un objeto `repositories` con un
+// repositorio por tabla (turistas, administradores, superAdministradores,
+// negocios, horarios, imagenes, favoritos, itinerarios, reservas, resenas, respuestas, reportes,
+// moderaciones, sesiones, tokensUnUso, auditoria, webhooks, entregasWebhook, estadisticas)
+// y `transaction(fn)`, que ejecuta `fn(repos)` con repositorios que confirman
+// o deshacen juntos. Además,
+// `ping()` comprueba la conexión (sonda de disponibilidad) y `close()` la
+// cierra al apagar el servidor. La implementación MySQL añade `poolStats()`
+// para las métricas del pool.
+//
+// Hay dos implementaciones con la misma interfaz:
+// - mysql: sobre un pool de mysql2/promise (producción).
+// - memory: tablas en memoria, para pruebas sin base de datos.
+//
+// Los errores de integridad se traducen a DuplicateEntryError (clave única)
+// e InvalidReferenceError (clave foránea) en ambas.
+
+const { createMysqlRepositories } = require('./mysql');
+const { createMemoryRepositories } = require('./memory');
+const { DuplicateEntryError, InvalidReferenceError } = require('./errors');
+
+module.exports = {
+    createMysqlRepositories,
+    createMemoryRepositories,
+    DuplicateEntryError,
+    InvalidReferenceError
+};
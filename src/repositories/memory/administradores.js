@@ -0,0 +1,53 @@
+// src/repositories/memory/administradores.js
+
+const { accountTable, insert, findRow, pick } = require('./db');
+
+module.exports = (db) => ({
+    ...accountTable(db, {
+        tabla: 'administradores_negocios',
+        columnas: ['id', 'nombre', 'apellido', 'email', 'telefono', 'cargo', 'permisos', 'verificado',
+            'estado', 'fecha_creacion', 'ultima_conexion', 'fecha_eliminacion'],
+        busqueda: ['nombre', 'apellido', 'email'],
+        orden: 'fecha_creacion',
+        filtrosFila: {
+            negocio_id: (fila, negocioId) => db.tablas.miembros_negocio
+                .some(miembro => miembro.admin_id === fila.id && miembro.negocio_id === Number(negocioId))
+        }
+    }),
+
+    findByEmail: async (email) => pick(
+        db.tablas.administradores_negocios.find(fila => fila.email === email),
+        ['id', 'nombre', 'apellido', 'email', 'password_hash', 'estado', 'permisos', 'verificado']
+    ),
+
+    findAccount: async (id) => pick(
+        findRow(db, 'administradores_negocios', id),
+        ['id', 'email', 'permisos', 'verificado', 'estado']
+    ),
+
+    create: async ({ permisos, ...datos }) => insert(db, 'administradores_negocios', {
+        ...datos,
+        permisos: permisos === undefined || permisos === null ? null : JSON.stringify(permisos)
+    }).id,
+
+    setPermisos: async (id, permisos) => {
+        const fila = findRow(db, 'administradores_negocios', id);
+        if (!fila) {
+            return false;
+        }
+        fila.permisos = JSON.stringify(permisos);
+        return true;
+    },
+
+    touchLastLogin: async (id) => {
+        Object.assign(findRow(db, 'administradores_negocios', id) || {}, { ultima_conexion: new Date() });
+    },
+
+    markVerified: async (id) => {
+        Object.assign(findRow(db, 'administradores_negocios', id) || {}, { verificado: 1 });
+    },
+
+    resetPassword: async (id, passwordHash) => {
+        Object.assign(findRow(db, 'administradores_negocios', id) || {}, { password_hash: passwordHash, verificado: 1 });
+    }
+});
@@ -0,0 +1,38 @@
+// src/repositories/memory/auditoria.js
+
+const { insert, findRow, pick, byDateDesc } = require('./db');
+
+const COLUMNAS = ['id', 'actor_tipo', 'actor_id', 'accion', 'entidad', 'entidad_id', 'cambios', 'metadatos', 'ip', 'user_agent', 'fecha'];
+
+module.exports = (db) => ({
+    // cambios y metadatos se guardan como objetos, igual que los devuelve la columna JSON de MySQL
+    insert: async (entrada) => {
+        insert(db, 'auditoria', structuredClone(entrada));
+    },
+
+    list: async (filtros, { limite, offset }) => {
+        const filas = db.tablas.auditoria
+            .filter(fila => ['actor_tipo', 'actor_id', 'entidad', 'entidad_id']
+                .every(filtro => filtros[filtro] === undefined || String(fila[filtro]) === String(filtros[filtro])))
+            .filter(fila => filtros.accion === undefined || (filtros.accion.endsWith('.')
+                ? fila.accion.startsWith(filtros.accion)
+                : fila.accion === filtros.accion))
+            .filter(fila => !filtros.desde || fila.fecha >= filtros.desde)
+            .filter(fila => !filtros.hasta || fila.fecha <= filtros.hasta)
+            .sort(byDateDesc('fecha'));
+
+        return { rows: filas.slice(offset, offset + limite).map(fila => pick(fila, COLUMNAS)), total: filas.length };
+    },
+
+    listPersonales: async (turistaId, email) => db.tablas.auditoria
+        .filter(fila => (fila.actor_tipo === 'turista' && fila.actor_id === Number(turistaId)) ||
+            (fila.entidad === 'turistas' && fila.entidad_id === String(turistaId)) ||
+            (fila.metadatos?.tipo === 'turista' && String(fila.metadatos.identificador).toLowerCase() === email.toLowerCase()))
+        .map(fila => structuredClone(pick(fila, ['id', 'actor_tipo', 'cambios', 'metadatos', 'ip', 'user_agent']))),
+
+    scrub: async (entradas) => {
+        for (const { id, cambios, metadatos, ip, user_agent } of entradas) {
+            Object.assign(findRow(db, 'auditoria', id), structuredClone({ cambios, metadatos, ip, user_agent }));
+        }
+    }
+});
@@ -0,0 +1,313 @@
+// src/repositories/memory/db.js
+// Base de datos en memoria: una lista de filas por tabla, con ids
+// autoincrementales, valores por defecto y las claves únicas y foráneas del
+// esquema que la aplicación necesita respetar.
+
+const { DuplicateEntryError, InvalidReferenceError } = require('../errors');
+const { PRIOR_POR_DEFECTO } = require('../../resenas/calificaciones');
+
+const ESTADO_ACTIVO = () => ({ estado: 'activo', fecha_eliminacion: null });
+
+// Por tabla: valores por defecto de una fila nueva, claves únicas y referencias (columna → tabla)
+const TABLAS = {
+    turistas: {
+        defaults: () => ({
+            telefono: null, fecha_nacimiento: null, genero: null, pais_origen: null, ciudad_origen: null,
+            preferencias_turisticas: null, idioma: null, foto_perfil: null, verificado: 0, ...ESTADO_ACTIVO(),
+            fecha_borrado_programado: null, fecha_anonimizacion: null, fecha_registro: new Date(), ultima_conexion: null
+        }),
+        unicas: [['email']]
+    },
+    negocios: {
+        defaults: () => ({
+            descripcion: null, direccion: null, telefono: null, latitud: null, longitud: null,
+            horario_apertura: null, horario_cierre: null, dias_funcionamiento: null,
+            zona_horaria: 'America/Mexico_City', imagen_principal: null, sitio_web: null,
+            calificacion_promedio: 0, calificacion_ponderada: PRIOR_POR_DEFECTO.mediaPrevia, total_resenas: 0, ...ESTADO_ACTIVO(),
+            fecha_registro: new Date(), fecha_actualizacion: new Date()
+        }),
+        unicas: []
+    },
+    administradores_negocios: {
+        defaults: () => ({
+            telefono: null, cargo: null, permisos: null, verificado: 0, ...ESTADO_ACTIVO(),
+            fecha_creacion: new Date(), ultima_conexion: null
+        }),
+        unicas: [['email']]
+    },
+    miembros_negocio: {
+        defaults: () => ({ rol: 'editor', fecha_creacion: new Date() }),
+        unicas: [['negocio_id', 'admin_id']],
+        referencias: { negocio_id: 'negocios', admin_id: 'administradores_negocios' }
+    },
+    super_administradores: {
+        defaults: () => ({
+            nivel_acceso: 'total', permisos: null, estado: 'activo', fecha_creacion: new Date(), ultima_conexion: null
+        }),
+        unicas: [['usuario'], ['email']]
+    },
+    horarios_negocio: { defaults: () => ({}), unicas: [], referencias: { negocio_id: 'negocios' } },
+    excepciones_horario: {
+        defaults: () => ({ cerrado: 1, hora_apertura: null, hora_cierre: null, motivo: null }),
+        unicas: [],
+        referencias: { negocio_id: 'negocios' }
+    },
+    imagenes_negocio: {
+        defaults: () => ({ orden: 0, es_portada: 0, fecha_creacion: new Date() }),
+        unicas: [],
+        referencias: { negocio_id: 'negocios' }
+    },
+    favoritos: {
+        defaults: () => ({ fecha_creacion: new Date() }),
+        unicas: [['turista_id', 'negocio_id']],
+        referencias: { turista_id: 'turistas', negocio_id: 'negocios' }
+    },
+    itinerarios: {
+        defaults: () => ({
+            descripcion: null, fecha_inicio: null, token_publico: null, fecha_creacion: new Date(), fecha_actualizacion: new Date()
+        }),
+        unicas: [['token_publico']],
+        referencias: { turista_id: 'turistas' }
+    },
+    paradas_itinerario: {
+        defaults: () => ({ orden: 0, hora_inicio: null, hora_fin: null, notas: null }),
+        unicas: [],
+        referencias: { itinerario_id: 'itinerarios', negocio_id: 'negocios' }
+    },
+    franjas_reserva: {
+        defaults: () => ({ ocupadas: 0 }),
+        unicas: [['negocio_id', 'fecha', 'hora']],
+        referencias: { negocio_id: 'negocios' }
+    },
+    reservas: {
+        defaults: () => ({
+            estado: 'pendiente', hora: null, fecha_salida: null, notas: null, motivo: null,
+            fecha_creacion: new Date(), fecha_actualizacion: new Date()
+        }),
+        unicas: [],
+        referencias: { negocio_id: 'negocios', turista_id: 'turistas' }
+    },
+    reservas_franjas: {
+        defaults: () => ({}),
+        unicas: [['reserva_id', 'franja_id']],
+        referencias: { reserva_id: 'reservas', franja_id: 'franjas_reserva' }
+    },
+    webhooks: {
+        defaults: () => ({ descripcion: null, activo: 1, fecha_creacion: new Date(), fecha_actualizacion: new Date() }),
+        unicas: [],
+        referencias: { negocio_id: 'negocios' }
+    },
+    entregas_webhook: {
+        defaults: () => ({
+            estado: 'pendiente', intentos: 0, proximo_intento: new Date(), ultimo_intento: null, ultimo_status: null,
+            ultimo_error: null, reenvio_de: null, fecha_creacion: new Date(), fecha_entrega: null
+        }),
+        unicas: [],
+        referencias: { webhook_id: 'webhooks' }
+    },
+    resenas: {
+        defaults: () => ({ reserva_id: null, comentario: null, estado: 'activa', fecha_creacion: new Date(), fecha_edicion: null }),
+        unicas: [['turista_id', 'negocio_id'], ['reserva_id']],
+        referencias: { turista_id: 'turistas', negocio_id: 'negocios', reserva_id: 'reservas' }
+    },
+    respuestas_resenas: {
+        defaults: () => ({ admin_id: null, fecha_creacion: new Date() }),
+        unicas: [['resena_id']],
+        referencias: { resena_id: 'resenas' }
+    },
+    reportes_resenas: {
+        defaults: () => ({ comentario: null, estado: 'pendiente', fecha_creacion: new Date(), fecha_resolucion: null }),
+        unicas: [['resena_id', 'tipo_usuario', 'usuario_id']],
+        referencias: { resena_id: 'resenas' }
+    },
+    moderaciones_resenas: {
+        defaults: () => ({ super_admin_id: null, fecha: new Date() }),
+        unicas: [],
+        referencias: { resena_id: 'resenas' }
+    },
+    sesiones: {
+        defaults: () => ({
+            ip: null, user_agent: null, fecha_creacion: new Date(), ultima_actividad: null,
+            revocada_en: null, motivo_revocacion: null
+        }),
+        unicas: []
+    },
+    tokens_refresco: {
+        defaults: () => ({ usado_en: null, fecha_creacion: new Date() }),
+        unicas: [['token_hash']],
+        referencias: { sesion_id: 'sesiones' }
+    },
+    tokens_un_uso: {
+        defaults: () => ({ usado_en: null, fecha_creacion: new Date() }),
+        unicas: [['jti']]
+    },
+    auditoria: {
+        defaults: () => ({
+            actor_id: null, entidad_id: null, cambios: null, metadatos: null, ip: null, user_agent: null, fecha: new Date()
+        }),
+        unicas: []
+    }
+};
+
+// Crea la base de datos, opcionalmente con filas iniciales: { turistas: [{ ... }], ... }
+const createDatabase = (datos = {}) => {
+    const db = {
+        tablas: Object.fromEntries(Object.keys(TABLAS).map(tabla => [tabla, []])),
+        ultimosIds: Object.fromEntries(Object.keys(TABLAS).map(tabla => [tabla, 0]))
+    };
+
+    for (const tabla of Object.keys(TABLAS)) {
+        for (const fila of datos[tabla] || []) {
+            insert(db, tabla, fila);
+        }
+    }
+
+    return db;
+};
+
+// Como en MySQL, una clave única con algún NULL no choca con ninguna otra
+const sameKey = (a, b, columnas) => columnas.every(columna =>
+    a[columna] !== null && a[columna] !== undefined && a[columna] === b[columna]);
+
+// Comprueba las claves únicas de `fila` contra el resto de filas de la tabla
+const checkUnique = (db, tabla, fila) => {
+    for (const columnas of TABLAS[tabla].unicas) {
+        if (db.tablas[tabla].some(otra => otra !== fila && otra.id !== fila.id && sameKey(otra, fila, columnas))) {
+            throw new DuplicateEntryError(`Entrada duplicada en ${tabla} (${columnas.join(', ')})`);
+        }
+    }
+};
+
+const checkReferences = (db, tabla, fila) => {
+    for (const [columna, referida] of Object.entries(TABLAS[tabla].referencias || {})) {
+        if (fila[columna] !== null && fila[columna] !== undefined && !findRow(db, referida, fila[columna])) {
+            throw new InvalidReferenceError(`${columna} no existe en ${referida}`);
+        }
+    }
+};
+
+// Inserta una fila aplicando los valores por defecto; devuelve la fila guardada
+const insert = (db, tabla, valores) => {
+    const id = valores.id ?? db.ultimosIds[tabla] + 1;
+    const fila = { id, ...TABLAS[tabla].defaults(), ...withoutUndefined(valores) };
+
+    checkUnique(db, tabla, fila);
+    checkReferences(db, tabla, fila);
+
+    db.ultimosIds[tabla] = Math.max(db.ultimosIds[tabla], fila.id);
+    db.tablas[tabla].push(fila);
+    return fila;
+};
+
+// Aplica `cambios` a la fila validando las claves; si no son válidas la fila queda intacta
+const update = (db, tabla, fila, cambios) => {
+    const nueva = { ...fila, ...cambios };
+    checkUnique(db, tabla, nueva);
+    checkReferences(db, tabla, nueva);
+    Object.assign(fila, cambios);
+    return fila;
+};
+
+const remove = (db, tabla, predicate) => {
+    const antes = db.tablas[tabla].length;
+    db.tablas[tabla] = db.tablas[tabla].filter(fila => !predicate(fila));
+    return antes - db.tablas[tabla].length;
+};
+
+// Los ids llegan como texto desde los parámetros de ruta; se comparan como en MySQL
+const findRow = (db, tabla, id) => db.tablas[tabla].find(fila => fila.id === Number(id)) || null;
+
+const withoutUndefined = (valores) => Object.fromEntries(
+    Object.entries(valores).filter(([, valor]) => valor !== undefined)
+);
+
+// Copia de las columnas indicadas (todas si no se indican), para no exponer las filas guardadas
+const pick = (fila, columnas) => {
+    if (!fila) {
+        return null;
+    }
+    return columnas ? Object.fromEntries(columnas.map(columna => [columna, fila[columna] ?? null])) : { ...fila };
+};
+
+const includesText = (value, texto) => String(value ?? '').toLowerCase().includes(texto.toLowerCase());
+
+const byDateDesc = (campo) => (a, b) => b[campo] - a[campo] || b.id - a.id;
+
+// Métodos de administración comunes a las tablas de cuentas con borrado lógico,
+// equivalentes a los de ../mysql/db.js. `filtrosFila` es el equivalente de
+// `filtrosSql`: { filtro: (fila, valor) => boolean }
+const accountTable = (db, { tabla, columnas, detalle = columnas, busqueda, orden, filtrosFila = {} }) => ({
+    list: async ({ estado, q, eliminados = 'excluir', filtros = {} }, { limite, offset }) => {
+        const filas = db.tablas[tabla]
+            .filter(fila => eliminados !== 'excluir' || fila.fecha_eliminacion === null)
+            .filter(fila => eliminados !== 'solo' || fila.fecha_eliminacion !== null)
+            .filter(fila => !estado || fila.estado === estado)
+            .filter(fila => !q || busqueda.some(columna => includesText(fila[columna], q)))
+            .filter(fila => Object.entries(filtros).every(([columna, valor]) => (filtrosFila[columna]
+                ? filtrosFila[columna](fila, valor)
+                : String(fila[columna]) === String(valor))))
+            .sort(byDateDesc(orden));
+
+        return { rows: filas.slice(offset, offset + limite).map(fila => pick(fila, columnas)), total: filas.length };
+    },
+
+    findById: async (id, { incluirEliminados = false } = {}) => {
+        const fila = findRow(db, tabla, id);
+        return fila && (incluirEliminados || fila.fecha_eliminacion === null) ? pick(fila, detalle) : null;
+    },
+
+    update: async (id, campos) => {
+        const fila = findRow(db, tabla, id);
+        if (!fila || fila.fecha_eliminacion !== null) {
+            return false;
+        }
+        update(db, tabla, fila, campos);
+        return true;
+    },
+
+    setEstado: async (id, estado) => {
+        const fila = findRow(db, tabla, id);
+        if (!fila || fila.fecha_eliminacion !== null) {
+            return false;
+        }
+        fila.estado = estado;
+        return true;
+    },
+
+    softDelete: async (id) => {
+        const fila = findRow(db, tabla, id);
+        if (!fila || fila.fecha_eliminacion !== null) {
+            return false;
+        }
+        Object.assign(fila, { fecha_eliminacion: new Date(), estado: 'inactivo' });
+        return true;
+    },
+
+    restore: async (id) => {
+        const fila = findRow(db, tabla, id);
+        if (!fila || fila.fecha_eliminacion === null) {
+            return false;
+        }
+        Object.assign(fila, { fecha_eliminacion: null, estado: 'activo' });
+        return true;
+    }
+});
+
+// Equivalente de COALESCE(?, columna): solo cambian los valores enviados
+const coalesce = (campos) => Object.fromEntries(
+    Object.entries(campos).filter(([, valor]) => valor !== undefined && valor !== null)
+);
+
+module.exports = {
+    TABLAS,
+    createDatabase,
+    insert,
+    update,
+    remove,
+    findRow,
+    pick,
+    coalesce,
+    includesText,
+    byDateDesc,
+    accountTable
+};
@@ -0,0 +1,73 @@
+// src/repositories/memory/entregasWebhook.js
+
+const { insert, findRow, pick } = require('./db');
+
+const COLUMNAS = ['id', 'webhook_id', 'evento', 'evento_id', 'cuerpo', 'estado', 'intentos', 'proximo_intento',
+    'ultimo_intento', 'ultimo_status', 'ultimo_error', 'reenvio_de', 'fecha_creacion', 'fecha_entrega'];
+
+module.exports = (db) => ({
+    enqueue: async ({ webhook_id, evento, evento_id, cuerpo, reenvio_de }) => insert(db, 'entregas_webhook', {
+        webhook_id: Number(webhook_id),
+        evento,
+        evento_id,
+        cuerpo,
+        reenvio_de: reenvio_de ?? null
+    }).id,
+
+    findById: async (id) => pick(findRow(db, 'entregas_webhook', id), COLUMNAS),
+
+    listByWebhook: async (webhookId, { estado }, { limite, offset }) => {
+        const filas = db.tablas.entregas_webhook
+            .filter(e => e.webhook_id === Number(webhookId) && (!estado || e.estado === estado))
+            .sort((a, b) => b.id - a.id);
+        return { rows: filas.slice(offset, offset + limite).map(e => pick(e, COLUMNAS)), total: filas.length };
+    },
+
+    claimDue: async ({ limite, bloqueoMs }) => {
+        const ahora = new Date();
+        return db.tablas.entregas_webhook
+            .filter(e => e.estado === 'pendiente' && e.proximo_intento <= ahora)
+            .map(e => ({ entrega: e, webhook: findRow(db, 'webhooks', e.webhook_id) }))
+            .filter(({ webhook }) => webhook.activo === 1)
+            .sort((a, b) => a.entrega.proximo_intento - b.entrega.proximo_intento || a.entrega.id - b.entrega.id)
+            .slice(0, limite)
+            .map(({ entrega, webhook }) => {
+                const reclamada = { ...pick(entrega, COLUMNAS), url: webhook.url, secreto: webhook.secreto };
+                entrega.proximo_intento = new Date(ahora.getTime() + bloqueoMs);
+                return reclamada;
+            });
+    },
+
+    markDelivered: async (id, { status }) => {
+        const entrega = findRow(db, 'entregas_webhook', id);
+        Object.assign(entrega, {
+            estado: 'entregada',
+            intentos: entrega.intentos + 1,
+            ultimo_intento: new Date(),
+            ultimo_status: status,
+            ultimo_error: null,
+            fecha_entrega: new Date()
+        });
+    },
+
+    release: async (ids) => {
+        const ahora = new Date();
+        db.tablas.entregas_webhook
+            .filter(e => ids.includes(e.id) && e.estado === 'pendiente')
+            .forEach(e => {
+                e.proximo_intento = ahora;
+            });
+    },
+
+    markFailed: async (id, { status, error, proximoIntento }) => {
+        const entrega = findRow(db, 'entregas_webhook', id);
+        Object.assign(entrega, {
+            estado: proximoIntento ? 'pendiente' : 'fallida',
+            intentos: entrega.intentos + 1,
+            ultimo_intento: new Date(),
+            ultimo_status: status ?? null,
+            ultimo_error: error,
+            proximo_intento: proximoIntento ?? entrega.proximo_intento
+        });
+    }
+});
@@ -0,0 +1,149 @@
+// src/repositories/memory/estadisticas.js
+
+const { findRow } = require('./db');
+const { formatDateValue } = require('../../utils/horarios');
+
+const MES_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Reseñas activas que cumplen los filtros de los reportes (ver la versión MySQL)
+const filterResenas = (db, { negocioIds, categoria, desde, hasta, antesDe } = {}) => {
+    const negocios = new Map(db.tablas.negocios.map(n => [n.id, n]));
+    return db.tablas.resenas.filter(r => {
+        const fecha = formatDateValue(r.fecha_creacion);
+        return r.estado === 'activa'
+            && (!negocioIds || negocioIds.map(Number).includes(r.negocio_id))
+            && (!categoria || negocios.get(r.negocio_id)?.categoria === categoria)
+            && (!desde || fecha >= desde)
+            && (!hasta || fecha <= hasta)
+            && (!antesDe || fecha < antesDe);
+    });
+};
+
+const sumCalificaciones = (resenas) => resenas.reduce((sum, r) => sum + Number(r.calificacion), 0);
+
+// Agrupa una lista en un Map por la clave que devuelve `key`
+const groupBy = (items, key) => {
+    const grupos = new Map();
+    for (const item of items) {
+        const clave = key(item);
+        grupos.set(clave, [...(grupos.get(clave) || []), item]);
+    }
+    return grupos;
+};
+
+const compare = (a, b) => (a === b ? 0 : a === null ? 1 : b === null ? -1 : a < b ? -1 : 1);
+
+module.exports = (db) => ({
+    general: async () => {
+        const negociosActivos = db.tablas.negocios.filter(n => n.estado === 'activo');
+        return {
+            total_turistas: db.tablas.turistas.filter(t => t.estado === 'activo').length,
+            total_negocios: negociosActivos.length,
+            total_admins: db.tablas.administradores_negocios.filter(a => a.estado === 'activo').length,
+            total_resenas: db.tablas.resenas.filter(r => r.estado === 'activa').length,
+            calificacion_promedio_general: negociosActivos.length > 0
+                ? negociosActivos.reduce((sum, n) => sum + Number(n.calificacion_promedio), 0) / negociosActivos.length
+                : null
+        };
+    },
+
+    negocio: async (negocioId) => {
+        const negocio = findRow(db, 'negocios', negocioId);
+        if (!negocio) {
+            return null;
+        }
+        const desde = new Date(Date.now() - MES_MS);
+        return {
+            nombre: negocio.nombre,
+            calificacion_promedio: negocio.calificacion_promedio,
+            total_resenas: negocio.total_resenas,
+            resenas_mes_actual: db.tablas.resenas.filter(r =>
+                r.negocio_id === negocio.id && r.estado === 'activa' && r.fecha_creacion >= desde).length
+        };
+    },
+
+    resenasPorDia: async (filtros) => {
+        const porDia = groupBy(filterResenas(db, filtros), r => formatDateValue(r.fecha_creacion));
+        return [...porDia.entries()]
+            .sort(([a], [b]) => compare(a, b))
+            .map(([fecha, resenas]) => ({ fecha, resenas: resenas.length, suma: sumCalificaciones(resenas) }));
+    },
+
+    resumenResenas: async (filtros) => {
+        const resenas = filterResenas(db, filtros);
+        return { resenas: resenas.length, suma: sumCalificaciones(resenas) };
+    },
+
+    distribucion: async (filtros) => {
+        const desglose = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        for (const resena of filterResenas(db, filtros)) {
+            desglose[resena.calificacion] += 1;
+        }
+        return desglose;
+    },
+
+    paises: async (filtros) => {
+        const turistas = new Map(db.tablas.turistas.map(t => [t.id, t]));
+        const porPais = groupBy(filterResenas(db, filtros), r => turistas.get(r.turista_id)?.pais_origen?.trim() || null);
+        return [...porPais.entries()]
+            .map(([pais, resenas]) => ({ pais, resenas: resenas.length, turistas: new Set(resenas.map(r => r.turista_id)).size }))
+            .sort((a, b) => b.resenas - a.resenas || compare(a.pais, b.pais));
+    },
+
+    comparacionCategoria: async (negocioId) => {
+        const negocio = findRow(db, 'negocios', negocioId);
+        if (!negocio) {
+            return null;
+        }
+
+        const categoria = db.tablas.negocios.filter(n => n.categoria === negocio.categoria && n.estado === 'activo');
+        const conResenas = categoria.filter(n => n.total_resenas > 0);
+        const promedio = (valores) => (valores.length > 0 ? valores.reduce((sum, v) => sum + Number(v), 0) / valores.length : null);
+
+        return {
+            negocio: {
+                id: negocio.id,
+                nombre: negocio.nombre,
+                categoria: negocio.categoria,
+                calificacion_promedio: Number(negocio.calificacion_promedio),
+                total_resenas: Number(negocio.total_resenas)
+            },
+            categoria: {
+                nombre: negocio.categoria,
+                negocios: categoria.length,
+                calificacion_promedio: promedio(conResenas.map(n => n.calificacion_promedio)),
+                resenas_promedio: promedio(categoria.map(n => n.total_resenas))
+            },
+            posicion: negocio.total_resenas > 0
+                ? conResenas.filter(n => Number(n.calificacion_promedio) > Number(negocio.calificacion_promedio)).length + 1
+                : null
+        };
+    },
+
+    porCategoria: async ({ desde, hasta }) => {
+        const resenas = groupBy(filterResenas(db, { desde, hasta }), r => r.negocio_id);
+        const porCategoria = groupBy(db.tablas.negocios.filter(n => n.estado === 'activo'), n => n.categoria);
+        return [...porCategoria.entries()]
+            .map(([categoria, negocios]) => {
+                const delRango = negocios.flatMap(n => resenas.get(n.id) || []);
+                return { categoria, negocios: negocios.length, resenas: delRango.length, suma: sumCalificaciones(delRango) };
+            })
+            .sort((a, b) => b.resenas - a.resenas || compare(a.categoria, b.categoria));
+    },
+
+    cohortes: async ({ desde, hasta }) => {
+        const resenasPorTurista = groupBy(filterResenas(db), r => r.turista_id);
+        const registrados = db.tablas.turistas.filter(t => {
+            const fecha = formatDateValue(t.fecha_registro);
+            return t.fecha_eliminacion === null && fecha >= desde && fecha <= hasta;
+        });
+        return [...groupBy(registrados, t => formatDateValue(t.fecha_registro).slice(0, 7)).entries()]
+            .sort(([a], [b]) => compare(a, b))
+            .map(([cohorte, turistas]) => ({
+                cohorte,
+                turistas: turistas.length,
+                con_resenas: turistas.filter(t => resenasPorTurista.has(t.id)).length,
+                resenas: turistas.reduce((sum, t) => sum + (resenasPorTurista.get(t.id) || []).length, 0)
+            }));
+    }
+});
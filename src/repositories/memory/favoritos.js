@@ -0,0 +1,31 @@
+// src/repositories/memory/favoritos.js
+
+const { insert, remove, findRow, pick } = require('./db');
+
+const COLUMNAS_NEGOCIO = ['id', 'nombre', 'categoria', 'direccion', 'latitud', 'longitud', 'imagen_principal',
+    'calificacion_promedio', 'total_resenas'];
+
+module.exports = (db) => {
+    const find = (turistaId, negocioId) => db.tablas.favoritos
+        .find(fila => fila.turista_id === Number(turistaId) && fila.negocio_id === Number(negocioId));
+
+    return {
+        listByTurista: async (turistaId) => db.tablas.favoritos
+            .filter(fila => fila.turista_id === Number(turistaId))
+            .map(fila => ({ fila, negocio: findRow(db, 'negocios', fila.negocio_id) }))
+            .filter(({ negocio }) => negocio && negocio.estado === 'activo' && negocio.fecha_eliminacion === null)
+            .sort((a, b) => b.fila.fecha_creacion - a.fila.fecha_creacion || b.negocio.id - a.negocio.id)
+            .map(({ fila, negocio }) => ({ ...pick(negocio, COLUMNAS_NEGOCIO), fecha_favorito: fila.fecha_creacion })),
+
+        add: async (turistaId, negocioId) => {
+            if (find(turistaId, negocioId)) {
+                return false;
+            }
+            insert(db, 'favoritos', { turista_id: Number(turistaId), negocio_id: Number(negocioId) });
+            return true;
+        },
+
+        remove: async (turistaId, negocioId) => remove(db, 'favoritos', fila =>
+            fila.turista_id === Number(turistaId) && fila.negocio_id === Number(negocioId)) > 0
+    };
+};
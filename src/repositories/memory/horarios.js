@@ -0,0 +1,32 @@
+// src/repositories/memory/horarios.js
+
+const { insert, remove, pick } = require('./db');
+const { formatDateValue } = require('../../utils/horarios');
+
+const COLUMNAS_EXCEPCION = ['negocio_id', 'fecha_inicio', 'fecha_fin', 'cerrado', 'hora_apertura', 'hora_cierre', 'motivo'];
+
+module.exports = (db) => ({
+    listWeekly: async (negocioIds) => db.tablas.horarios_negocio
+        .filter(fila => negocioIds.includes(fila.negocio_id))
+        .map(fila => pick(fila, ['negocio_id', 'dia_semana', 'hora_apertura', 'hora_cierre'])),
+
+    listExceptions: async (negocioIds, { desde, hasta }) => db.tablas.excepciones_horario
+        .filter(fila => negocioIds.includes(fila.negocio_id))
+        .filter(fila => formatDateValue(fila.fecha_fin) >= desde && formatDateValue(fila.fecha_inicio) <= hasta)
+        .sort((a, b) => formatDateValue(a.fecha_inicio).localeCompare(formatDateValue(b.fecha_inicio)))
+        .map(fila => pick(fila, COLUMNAS_EXCEPCION)),
+
+    replaceWeekly: async (negocioId, rows) => {
+        remove(db, 'horarios_negocio', fila => fila.negocio_id === Number(negocioId));
+        for (const row of rows) {
+            insert(db, 'horarios_negocio', { ...row, negocio_id: Number(negocioId) });
+        }
+    },
+
+    replaceExceptions: async (negocioId, rows) => {
+        remove(db, 'excepciones_horario', fila => fila.negocio_id === Number(negocioId));
+        for (const row of rows) {
+            insert(db, 'excepciones_horario', { ...row, negocio_id: Number(negocioId) });
+        }
+    }
+});
@@ -0,0 +1,41 @@
+// src/repositories/memory/imagenes.js
+
+const { insert, remove, pick } = require('./db');
+
+const COLUMNAS = ['id', 'negocio_id', 'carpeta', 'orden', 'es_portada', 'ancho', 'alto', 'bytes', 'fecha_creacion'];
+
+module.exports = (db) => {
+    const delNegocio = (negocioId) => db.tablas.imagenes_negocio.filter(fila => fila.negocio_id === Number(negocioId));
+
+    return {
+        listByNegocio: async (negocioId) => delNegocio(negocioId)
+            .sort((a, b) => a.orden - b.orden || a.id - b.id)
+            .map(fila => pick(fila, COLUMNAS)),
+
+        findById: async (negocioId, id) =>
+            pick(delNegocio(negocioId).find(fila => fila.id === Number(id)), COLUMNAS),
+
+        create: async (negocioId, { carpeta, ancho, alto, bytes }) => {
+            const orden = Math.max(-1, ...delNegocio(negocioId).map(fila => fila.orden)) + 1;
+            return insert(db, 'imagenes_negocio', { negocio_id: Number(negocioId), carpeta, orden, ancho, alto, bytes }).id;
+        },
+
+        reorder: async (negocioId, ids) => {
+            for (const [orden, id] of ids.entries()) {
+                const fila = delNegocio(negocioId).find(f => f.id === Number(id));
+                if (fila) {
+                    fila.orden = orden;
+                }
+            }
+        },
+
+        setCover: async (negocioId, id) => {
+            for (const fila of delNegocio(negocioId)) {
+                fila.es_portada = id !== null && fila.id === Number(id) ? 1 : 0;
+            }
+        },
+
+        delete: async (negocioId, id) =>
+            remove(db, 'imagenes_negocio', fila => fila.negocio_id === Number(negocioId) && fila.id === Number(id)) > 0
+    };
+};
@@ -0,0 +1,70 @@
+// src/repositories/memory/index.js
+// Repositorios en memoria, con la misma interfaz que los de MySQL. Sirven
+// para levantar la aplicación completa en pruebas sin base de datos.
+
+const { createDatabase } = require('./db');
+const { PRIOR_POR_DEFECTO } = require('../../resenas/calificaciones');
+
+const FACTORIES = {
+    turistas: require('./turistas'),
+    administradores: require('./administradores'),
+    miembrosNegocio: require('./miembrosNegocio'),
+    superAdministradores: require('./superAdministradores'),
+    negocios: require('./negocios'),
+    horarios: require('./horarios'),
+    imagenes: require('./imagenes'),
+    favoritos: require('./favoritos'),
+    itinerarios: require('./itinerarios'),
+    reservas: require('./reservas'),
+    resenas: require('./resenas'),
+    respuestas: require('./respuestas'),
+    reportes: require('./reportes'),
+    moderaciones: require('./moderaciones'),
+    sesiones: require('./sesiones'),
+    tokensUnUso: require('./tokensUnUso'),
+    privacidad: require('./privacidad'),
+    auditoria: require('./auditoria'),
+    webhooks: require('./webhooks'),
+    entregasWebhook: require('./entregasWebhook'),
+    estadisticas: require('./estadisticas')
+};
+
+// `datos` son las filas iniciales por tabla, p. ej. { turistas: [{ nombre, email, password_hash, ... }] },
+// y `calificaciones`, config.calificaciones
+const createMemoryRepositories = ({ datos, calificaciones = PRIOR_POR_DEFECTO } = {}) => {
+    const db = createDatabase(datos);
+    const repositories = Object.fromEntries(
+        Object.entries(FACTORIES).map(([name, factory]) => [name, factory(db, { calificaciones })])
+    );
+
+    // Las transacciones se ejecutan de una en una; si `fn` lanza se restauran
+    // todas las tablas al estado previo
+    let cola = Promise.resolve();
+    repositories.transaction = (fn) => {
+        const run = async () => {
+            const snapshot = structuredClone({ tablas: db.tablas, ultimosIds: db.ultimosIds });
+            const txRepositories = { ...repositories, transaction: (inner) => inner(txRepositories) };
+            try {
+                return await fn(txRepositories);
+            } catch (error) {
+                db.tablas = snapshot.tablas;
+                db.ultimosIds = snapshot.ultimosIds;
+                throw error;
+            }
+        };
+
+        const result = cola.then(run);
+        cola = result.catch(() => {});
+        return result;
+    };
+
+    repositories.ping = async () => {};
+    repositories.close = async () => {};
+
+    // Acceso directo a las tablas, para preparar y comprobar datos en las pruebas
+    repositories.db = db;
+
+    return repositories;
+};
+
+module.exports = { createMemoryRepositories };
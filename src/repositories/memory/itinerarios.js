@@ -0,0 +1,63 @@
+// src/repositories/memory/itinerarios.js
+
+const { insert, remove, findRow, pick } = require('./db');
+
+const COLUMNAS = ['id', 'turista_id', 'nombre', 'descripcion', 'fecha_inicio', 'token_publico', 'fecha_creacion', 'fecha_actualizacion'];
+
+const COLUMNAS_NEGOCIO = ['nombre', 'categoria', 'direccion', 'latitud', 'longitud', 'imagen_principal', 'estado',
+    'horario_apertura', 'horario_cierre', 'dias_funcionamiento', 'zona_horaria'];
+
+module.exports = (db) => {
+    const paradasDe = (itinerarioId) => db.tablas.paradas_itinerario
+        .filter(fila => fila.itinerario_id === Number(itinerarioId));
+
+    return {
+        listByTurista: async (turistaId) => db.tablas.itinerarios
+            .filter(fila => fila.turista_id === Number(turistaId))
+            .sort((a, b) => b.fecha_actualizacion - a.fecha_actualizacion || b.id - a.id)
+            .map(fila => ({
+                ...pick(fila, ['id', 'nombre', 'fecha_inicio', 'token_publico', 'fecha_creacion', 'fecha_actualizacion']),
+                total_paradas: paradasDe(fila.id).length,
+                dias: Math.max(0, ...paradasDe(fila.id).map(p => p.dia))
+            })),
+
+        findById: async (id) => pick(findRow(db, 'itinerarios', id), COLUMNAS),
+
+        findByToken: async (token) =>
+            pick(db.tablas.itinerarios.find(fila => fila.token_publico !== null && fila.token_publico === token), COLUMNAS),
+
+        create: async (turistaId, { nombre, descripcion, fecha_inicio }) =>
+            insert(db, 'itinerarios', { turista_id: Number(turistaId), nombre, descripcion, fecha_inicio }).id,
+
+        update: async (id, campos) => {
+            const fila = findRow(db, 'itinerarios', id);
+            if (fila) {
+                Object.assign(fila, campos, { fecha_actualizacion: new Date() });
+            }
+        },
+
+        setToken: async (id, token) => {
+            Object.assign(findRow(db, 'itinerarios', id) || {}, { token_publico: token });
+        },
+
+        // Las paradas se borran con el itinerario, como ON DELETE CASCADE
+        delete: async (id) => {
+            remove(db, 'paradas_itinerario', fila => fila.itinerario_id === Number(id));
+            return remove(db, 'itinerarios', fila => fila.id === Number(id)) > 0;
+        },
+
+        listParadas: async (itinerarioId) => paradasDe(itinerarioId)
+            .sort((a, b) => a.dia - b.dia || a.orden - b.orden || a.id - b.id)
+            .map(fila => ({
+                ...pick(fila, ['id', 'negocio_id', 'dia', 'orden', 'hora_inicio', 'hora_fin', 'notas']),
+                ...pick(findRow(db, 'negocios', fila.negocio_id), COLUMNAS_NEGOCIO)
+            })),
+
+        replaceParadas: async (itinerarioId, paradas) => {
+            remove(db, 'paradas_itinerario', fila => fila.itinerario_id === Number(itinerarioId));
+            for (const parada of paradas) {
+                insert(db, 'paradas_itinerario', { ...parada, itinerario_id: Number(itinerarioId) });
+            }
+        }
+    };
+};
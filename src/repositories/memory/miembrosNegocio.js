@@ -0,0 +1,62 @@
+// src/repositories/memory/miembrosNegocio.js
+
+const { insert, remove, findRow, pick } = require('./db');
+
+// Los propietarios primero
+const ordenRol = (fila) => (fila.rol === 'propietario' ? 0 : 1);
+
+module.exports = (db) => {
+    const find = (negocioId, adminId) => db.tablas.miembros_negocio
+        .find(fila => fila.negocio_id === Number(negocioId) && fila.admin_id === Number(adminId));
+
+    return {
+        listByNegocio: async (negocioId) => db.tablas.miembros_negocio
+            .filter(fila => fila.negocio_id === Number(negocioId))
+            .map(fila => ({ fila, admin: findRow(db, 'administradores_negocios', fila.admin_id) }))
+            .filter(({ admin }) => admin && admin.fecha_eliminacion === null)
+            .sort((a, b) => ordenRol(a.fila) - ordenRol(b.fila) || a.fila.fecha_creacion - b.fila.fecha_creacion || a.admin.id - b.admin.id)
+            .map(({ fila, admin }) => ({
+                admin_id: admin.id,
+                ...pick(admin, ['nombre', 'apellido', 'email', 'cargo', 'estado', 'permisos']),
+                rol: fila.rol,
+                fecha_creacion: fila.fecha_creacion
+            })),
+
+        listByAdmin: async (adminId) => db.tablas.miembros_negocio
+            .filter(fila => fila.admin_id === Number(adminId))
+            .map(fila => ({ fila, negocio: findRow(db, 'negocios', fila.negocio_id) }))
+            .filter(({ negocio }) => negocio && negocio.estado === 'activo' && negocio.fecha_eliminacion === null)
+            .sort((a, b) => a.negocio.nombre.localeCompare(b.negocio.nombre) || a.negocio.id - b.negocio.id)
+            .map(({ fila, negocio }) => ({ ...pick(negocio, ['id', 'nombre', 'categoria']), rol: fila.rol })),
+
+        find: async (negocioId, adminId) => {
+            const fila = find(negocioId, adminId);
+            const negocio = fila && findRow(db, 'negocios', fila.negocio_id);
+            if (!negocio || negocio.fecha_eliminacion !== null) {
+                return null;
+            }
+            return { ...pick(fila, ['negocio_id', 'admin_id', 'rol']), estado_negocio: negocio.estado };
+        },
+
+        countPropietariosActivos: async (negocioId, excluirAdminId = null) => db.tablas.miembros_negocio
+            .filter(fila => fila.negocio_id === Number(negocioId) && fila.rol === 'propietario' && fila.admin_id !== Number(excluirAdminId))
+            .map(fila => findRow(db, 'administradores_negocios', fila.admin_id))
+            .filter(admin => admin && admin.estado === 'activo' && admin.fecha_eliminacion === null).length,
+
+        add: async ({ negocio_id, admin_id, rol }) => {
+            insert(db, 'miembros_negocio', { negocio_id: Number(negocio_id), admin_id: Number(admin_id), rol });
+        },
+
+        setRol: async (negocioId, adminId, rol) => {
+            const fila = find(negocioId, adminId);
+            if (!fila) {
+                return false;
+            }
+            fila.rol = rol;
+            return true;
+        },
+
+        remove: async (negocioId, adminId) => remove(db, 'miembros_negocio', fila =>
+            fila.negocio_id === Number(negocioId) && fila.admin_id === Number(adminId)) > 0
+    };
+};
@@ -0,0 +1,17 @@
+// src/repositories/memory/moderaciones.js
+
+const { insert, findRow, pick, byDateDesc } = require('./db');
+
+module.exports = (db) => ({
+    create: async (datos) => {
+        insert(db, 'moderaciones_resenas', { ...datos, resena_id: Number(datos.resena_id) });
+    },
+
+    listByResena: async (resenaId) => db.tablas.moderaciones_resenas
+        .filter(fila => fila.resena_id === Number(resenaId))
+        .sort(byDateDesc('fecha'))
+        .map(fila => ({
+            ...pick(fila, ['id', 'accion', 'motivo', 'estado_anterior', 'estado_nuevo', 'fecha', 'super_admin_id']),
+            super_admin: findRow(db, 'super_administradores', fila.super_admin_id)?.usuario ?? null
+        }))
+});
@@ -0,0 +1,132 @@
+// src/repositories/memory/negocios.js
+
+const { accountTable, insert, findRow, pick, coalesce } = require('./db');
+const { haversineKm } = require('../../utils/geo');
+const { weightedRating } = require('../../resenas/calificaciones');
+const { parseTerms, normalize, compareRows, isAfterCursor } = require('../../negocios/busqueda');
+
+const COLUMNAS_LISTADO = ['id', 'nombre', 'descripcion', 'direccion', 'telefono', 'email', 'categoria',
+    'latitud', 'longitud', 'horario_apertura', 'horario_cierre', 'dias_funcionamiento', 'zona_horaria',
+    'imagen_principal', 'sitio_web', 'calificacion_promedio', 'calificacion_ponderada', 'total_resenas', 'estado'];
+
+const CAMPOS_EDITABLES = ['nombre', 'descripcion', 'direccion', 'telefono', 'email', 'categoria', 'latitud', 'longitud',
+    'horario_apertura', 'horario_cierre', 'dias_funcionamiento', 'zona_horaria', 'sitio_web'];
+
+const inBox = (fila, box) => fila.latitud !== null && fila.longitud !== null &&
+    fila.latitud >= box.minLat && fila.latitud <= box.maxLat &&
+    fila.longitud >= box.minLng && fila.longitud <= box.maxLng;
+
+// Peso de cada columna en la relevancia de la búsqueda por texto
+const PESOS_TEXTO = { nombre: 3, descripcion: 1, direccion: 1 };
+
+// Relevancia de una fila: cada término debe ser prefijo de alguna palabra
+// (como `+termino*` en MySQL); null si falta alguno
+const textScore = (fila, terminos) => {
+    const palabras = Object.fromEntries(Object.keys(PESOS_TEXTO).map(columna =>
+        [columna, normalize(fila[columna] || '').split(/[^a-z0-9ñ]+/).filter(Boolean)]));
+    let score = 0;
+    for (const termino of terminos.map(normalize)) {
+        const coincidencias = Object.entries(PESOS_TEXTO).reduce((sum, [columna, peso]) =>
+            sum + peso * palabras[columna].filter(palabra => palabra.startsWith(termino)).length, 0);
+        if (coincidencias === 0) {
+            return null;
+        }
+        score += coincidencias;
+    }
+    return score;
+};
+
+// Filas de la búsqueda pública sin ordenar (ver la versión MySQL)
+const searchRows = (db, { q, categorias = [], calificacionMin, bbox, cerca }) => {
+    const terminos = parseTerms(q);
+    let filas = db.tablas.negocios
+        .filter(fila => fila.fecha_eliminacion === null && fila.estado === 'activo')
+        .filter(fila => categorias.length === 0 || categorias.includes(fila.categoria))
+        .filter(fila => calificacionMin === undefined || Number(fila.calificacion_promedio) >= calificacionMin)
+        .filter(fila => !bbox || inBox(fila, bbox))
+        .filter(fila => !cerca?.box || inBox(fila, cerca.box))
+        .map(fila => ({ ...pick(fila, COLUMNAS_LISTADO), ...(terminos.length > 0 ? { relevancia: textScore(fila, terminos) } : {}) }))
+        .filter(fila => terminos.length === 0 || fila.relevancia !== null);
+
+    if (cerca) {
+        for (const fila of filas) {
+            fila.distancia_km = fila.latitud === null || fila.longitud === null
+                ? null
+                : haversineKm(cerca.lat, cerca.lng, Number(fila.latitud), Number(fila.longitud));
+        }
+        if (cerca.radioKm !== undefined) {
+            filas = filas.filter(fila => fila.distancia_km !== null && fila.distancia_km <= cerca.radioKm);
+        }
+    }
+
+    return filas;
+};
+
+module.exports = (db, { calificaciones }) => {
+    const recalcular = (negocio) => {
+        const resenas = db.tablas.resenas.filter(r => r.negocio_id === negocio.id && r.estado === 'activa');
+        const promedio = resenas.length > 0
+            ? resenas.reduce((sum, r) => sum + r.calificacion, 0) / resenas.length
+            : 0;
+
+        Object.assign(negocio, {
+            total_resenas: resenas.length,
+            calificacion_promedio: Math.round(promedio * 100) / 100,
+            calificacion_ponderada: Math.round(weightedRating(resenas.length, promedio, calificaciones) * 1000) / 1000
+        });
+    };
+
+    return {
+        ...accountTable(db, {
+            tabla: 'negocios',
+            columnas: ['id', 'nombre', 'email', 'categoria', 'direccion', 'calificacion_promedio', 'total_resenas',
+                'estado', 'fecha_registro', 'fecha_eliminacion'],
+            detalle: null,
+            busqueda: ['nombre', 'email', 'direccion'],
+            orden: 'fecha_registro'
+        }),
+
+        search: async ({ orden = 'calificacion', despues, limite, ...filtros }) => {
+            let filas = searchRows(db, filtros).sort(compareRows(orden));
+            if (despues) {
+                filas = filas.filter(fila => isAfterCursor(fila, orden, despues));
+            }
+            return limite === undefined ? filas : filas.slice(0, limite);
+        },
+
+        searchFacets: async (filtros) => {
+            const categorias = {};
+            for (const fila of searchRows(db, { ...filtros, categorias: [] })) {
+                categorias[fila.categoria] = (categorias[fila.categoria] || 0) + 1;
+            }
+            return { total: searchRows(db, filtros).length, categorias };
+        },
+
+        // Sin reseñas, la calificación ponderada es la media previa
+        create: async (datos) => insert(db, 'negocios', {
+            ...pick(datos, CAMPOS_EDITABLES), calificacion_ponderada: calificaciones.mediaPrevia, estado: 'activo'
+        }).id,
+
+        updateDetails: async (id, datos) => {
+            const fila = findRow(db, 'negocios', id);
+            if (fila) {
+                Object.assign(fila, coalesce(pick(datos, CAMPOS_EDITABLES)), { fecha_actualizacion: new Date() });
+            }
+        },
+
+        setImagenPrincipal: async (id, url) => {
+            Object.assign(findRow(db, 'negocios', id) || {}, { imagen_principal: url, fecha_actualizacion: new Date() });
+        },
+
+        getAuditado: async (id) => pick(findRow(db, 'negocios', id), CAMPOS_EDITABLES),
+
+        // Sin concurrencia real no hay nada que bloquear; solo se devuelve su estado
+        lockForUpdate: async (id) => pick(findRow(db, 'negocios', id), ['id', 'estado', 'fecha_eliminacion']),
+
+        refreshRatings: async (id = null) => {
+            const negocios = id === null ? db.tablas.negocios : [findRow(db, 'negocios', id)].filter(Boolean);
+            negocios.forEach(recalcular);
+            return negocios.length;
+        }
+    };
+};
@@ -0,0 +1,91 @@
+// src/repositories/memory/privacidad.js
+
+const { remove, findRow, pick, byDateDesc } = require('./db');
+
+const esDelTurista = (turistaId) => (fila) => fila.tipo_usuario === 'turista' && fila.usuario_id === Number(turistaId);
+
+module.exports = (db) => ({
+    listResenas: async (turistaId) => db.tablas.resenas
+        .filter(fila => fila.turista_id === Number(turistaId))
+        .sort(byDateDesc('fecha_creacion'))
+        .map(fila => {
+            const respuesta = db.tablas.respuestas_resenas.find(rr => rr.resena_id === fila.id);
+            return {
+                ...pick(fila, ['id', 'negocio_id']),
+                nombre_negocio: findRow(db, 'negocios', fila.negocio_id).nombre,
+                ...pick(fila, ['reserva_id', 'calificacion', 'comentario', 'estado', 'fecha_creacion', 'fecha_edicion']),
+                respuesta: respuesta?.respuesta ?? null,
+                fecha_respuesta: respuesta?.fecha_creacion ?? null
+            };
+        }),
+
+    listReportes: async (turistaId) => db.tablas.reportes_resenas
+        .filter(esDelTurista(turistaId))
+        .sort(byDateDesc('fecha_creacion'))
+        .map(fila => pick(fila, ['id', 'resena_id', 'motivo', 'comentario', 'estado', 'fecha_creacion', 'fecha_resolucion'])),
+
+    listSesiones: async (turistaId) => db.tablas.sesiones
+        .filter(esDelTurista(turistaId))
+        .sort(byDateDesc('fecha_creacion'))
+        .map(fila => pick(fila, ['id', 'ip', 'user_agent', 'fecha_creacion', 'ultima_actividad', 'expira_en', 'revocada_en', 'motivo_revocacion'])),
+
+    scheduleDeletion: async (turistaId, fecha) => {
+        const fila = findRow(db, 'turistas', turistaId);
+        if (!fila || fila.fecha_borrado_programado !== null || fila.fecha_anonimizacion !== null) {
+            return false;
+        }
+        Object.assign(fila, { fecha_borrado_programado: fecha, fecha_eliminacion: fila.fecha_eliminacion ?? new Date(), estado: 'inactivo' });
+        return true;
+    },
+
+    listDue: async (limite) => db.tablas.turistas
+        .filter(fila => fila.fecha_borrado_programado !== null && fila.fecha_borrado_programado <= new Date() && fila.fecha_anonimizacion === null)
+        .sort((a, b) => a.fecha_borrado_programado - b.fecha_borrado_programado || a.id - b.id)
+        .slice(0, limite)
+        .map(fila => fila.id),
+
+    anonymize: async (turistaId) => {
+        const fila = findRow(db, 'turistas', turistaId);
+        if (!fila || fila.fecha_anonimizacion !== null) {
+            return false;
+        }
+        Object.assign(fila, {
+            nombre: 'Turista',
+            apellido: 'anónimo',
+            email: `anonimo-${fila.id}@turistas.invalid`,
+            password_hash: '!',
+            telefono: null,
+            fecha_nacimiento: null,
+            genero: null,
+            pais_origen: null,
+            ciudad_origen: null,
+            preferencias_turisticas: null,
+            idioma: null,
+            foto_perfil: null,
+            verificado: 0,
+            estado: 'inactivo',
+            ultima_conexion: null,
+            fecha_eliminacion: fila.fecha_eliminacion ?? new Date(),
+            fecha_borrado_programado: null,
+            fecha_anonimizacion: new Date()
+        });
+
+        const itinerarios = new Set(db.tablas.itinerarios.filter(i => i.turista_id === fila.id).map(i => i.id));
+        remove(db, 'paradas_itinerario', parada => itinerarios.has(parada.itinerario_id));
+        remove(db, 'itinerarios', itinerario => itinerarios.has(itinerario.id));
+        remove(db, 'favoritos', favorito => favorito.turista_id === fila.id);
+
+        for (const reserva of db.tablas.reservas.filter(r => r.turista_id === fila.id)) {
+            reserva.notas = null;
+        }
+        for (const reporte of db.tablas.reportes_resenas.filter(esDelTurista(fila.id))) {
+            reporte.comentario = null;
+        }
+
+        const sesiones = new Set(db.tablas.sesiones.filter(esDelTurista(fila.id)).map(s => s.id));
+        remove(db, 'tokens_refresco', token => sesiones.has(token.sesion_id));
+        remove(db, 'sesiones', sesion => sesiones.has(sesion.id));
+        remove(db, 'tokens_un_uso', esDelTurista(fila.id));
+        return true;
+    }
+});
@@ -0,0 +1,22 @@
+// src/repositories/memory/reportes.js
+
+const { insert, pick, byDateDesc } = require('./db');
+
+module.exports = (db) => ({
+    create: async ({ resena_id, tipo_usuario, usuario_id, motivo, comentario }) => {
+        insert(db, 'reportes_resenas', { resena_id: Number(resena_id), tipo_usuario, usuario_id, motivo, comentario: comentario ?? null });
+    },
+
+    resolvePending: async (resenaId, estado) => {
+        for (const fila of db.tablas.reportes_resenas) {
+            if (fila.resena_id === Number(resenaId) && fila.estado === 'pendiente') {
+                Object.assign(fila, { estado, fecha_resolucion: new Date() });
+            }
+        }
+    },
+
+    listByResena: async (resenaId) => db.tablas.reportes_resenas
+        .filter(fila => fila.resena_id === Number(resenaId))
+        .sort(byDateDesc('fecha_creacion'))
+        .map(fila => pick(fila, ['id', 'tipo_usuario', 'usuario_id', 'motivo', 'comentario', 'estado', 'fecha_creacion', 'fecha_resolucion']))
+});
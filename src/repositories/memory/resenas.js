@@ -0,0 +1,139 @@
+// src/repositories/memory/resenas.js
+
+const { insert, update, findRow, pick, coalesce } = require('./db');
+const { ORDEN_RESENAS } = require('../../resenas/moderacion');
+
+const compareBy = (criterios) => (a, b) => {
+    for (const [campo, direccion] of criterios) {
+        const diferencia = a[campo] < b[campo] ? -1 : a[campo] > b[campo] ? 1 : 0;
+        if (diferencia !== 0) {
+            return direccion === 'desc' ? -diferencia : diferencia;
+        }
+    }
+    return b.id - a.id;
+};
+
+module.exports = (db) => ({
+    findById: async (id) => pick(findRow(db, 'resenas', id),
+        ['id', 'turista_id', 'negocio_id', 'calificacion', 'comentario', 'estado']),
+
+    findByAuthor: async (turistaId, negocioId) => pick(
+        db.tablas.resenas.find(fila => fila.turista_id === Number(turistaId) && fila.negocio_id === Number(negocioId)),
+        ['id', 'estado']
+    ),
+
+    create: async ({ turista_id, negocio_id, reserva_id, calificacion, comentario }) => insert(db, 'resenas', {
+        turista_id: Number(turista_id),
+        negocio_id: Number(negocio_id),
+        reserva_id: reserva_id ? Number(reserva_id) : null,
+        calificacion: Number(calificacion),
+        comentario: comentario ?? null
+    }).id,
+
+    republish: async (id, { reserva_id, calificacion, comentario }) => {
+        const resena = findRow(db, 'resenas', id);
+        update(db, 'resenas', resena, { reserva_id: reserva_id ? Number(reserva_id) : null });
+        Object.assign(resena, {
+            calificacion: Number(calificacion),
+            comentario: comentario ?? null,
+            estado: 'activa',
+            fecha_creacion: new Date(),
+            fecha_edicion: null
+        });
+    },
+
+    update: async (id, { calificacion, comentario }) => {
+        Object.assign(findRow(db, 'resenas', id), coalesce({
+            calificacion: calificacion === undefined ? undefined : Number(calificacion),
+            comentario
+        }), { fecha_edicion: new Date() });
+    },
+
+    setEstado: async (id, estado) => {
+        findRow(db, 'resenas', id).estado = estado;
+    },
+
+    listPublished: async (negocioId, { calificacion, orden = 'recientes', limite, offset }) => db.tablas.resenas
+        .filter(r => r.negocio_id === Number(negocioId) && r.estado === 'activa')
+        .filter(r => calificacion === undefined || r.calificacion === Number(calificacion))
+        .sort(compareBy(ORDEN_RESENAS[orden]))
+        .slice(offset, offset + limite)
+        .map(r => {
+            const turista = findRow(db, 'turistas', r.turista_id);
+            const respuesta = db.tablas.respuestas_resenas.find(rr => rr.resena_id === r.id);
+            return {
+                ...pick(r, ['id', 'calificacion', 'comentario', 'fecha_creacion', 'fecha_edicion']),
+                estancia_verificada: r.reserva_id !== null ? 1 : 0,
+                nombre: turista.nombre,
+                apellido: turista.apellido,
+                respuesta: respuesta?.respuesta ?? null,
+                fecha_respuesta: respuesta?.fecha_creacion ?? null
+            };
+        }),
+
+    countByRating: async (negocioId) => {
+        const desglose = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        for (const r of db.tablas.resenas) {
+            if (r.negocio_id === Number(negocioId) && r.estado === 'activa') {
+                desglose[r.calificacion]++;
+            }
+        }
+        return desglose;
+    },
+
+    moderationQueue: async ({ estado, limite, offset }) => {
+        const filas = db.tablas.resenas
+            .filter(r => estado ? r.estado === estado : r.estado !== 'eliminada')
+            .map(r => {
+                const pendientes = db.tablas.reportes_resenas.filter(rr => rr.resena_id === r.id && rr.estado === 'pendiente');
+                const negocio = findRow(db, 'negocios', r.negocio_id);
+                const turista = findRow(db, 'turistas', r.turista_id);
+                return {
+                    ...pick(r, ['id', 'negocio_id']),
+                    nombre_negocio: negocio.nombre,
+                    turista_id: r.turista_id,
+                    nombre: turista.nombre,
+                    apellido: turista.apellido,
+                    ...pick(r, ['calificacion', 'comentario', 'estado', 'fecha_creacion']),
+                    reportes_pendientes: pendientes.length,
+                    motivos: [...new Set(pendientes.map(rr => rr.motivo))],
+                    primer_reporte: pendientes.length > 0 ? new Date(Math.min(...pendientes.map(rr => rr.fecha_creacion))) : null
+                };
+            })
+            .filter(r => estado || r.reportes_pendientes > 0);
+
+        filas.sort((a, b) => b.reportes_pendientes - a.reportes_pendientes ||
+            (a.primer_reporte ?? Infinity) - (b.primer_reporte ?? Infinity) ||
+            b.fecha_creacion - a.fecha_creacion);
+
+        return filas.slice(offset, offset + limite);
+    },
+
+    listByTurista: async (turistaId) => db.tablas.resenas
+        .filter(r => r.turista_id === Number(turistaId))
+        .map(r => ({
+            negocio_id: r.negocio_id,
+            categoria: findRow(db, 'negocios', r.negocio_id).categoria,
+            ...pick(r, ['calificacion', 'estado'])
+        })),
+
+    coReviewerRatings: async (turistaId, maxTuristas) => {
+        const activas = db.tablas.resenas.filter(r => r.estado === 'activa');
+        const propias = new Set(activas.filter(r => r.turista_id === Number(turistaId)).map(r => r.negocio_id));
+
+        const compartidos = new Map();
+        for (const r of activas) {
+            if (r.turista_id !== Number(turistaId) && propias.has(r.negocio_id)) {
+                compartidos.set(r.turista_id, (compartidos.get(r.turista_id) || 0) + 1);
+            }
+        }
+        const vecinos = new Set([...compartidos]
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .slice(0, maxTuristas)
+            .map(([id]) => id));
+
+        return activas
+            .filter(r => vecinos.has(r.turista_id))
+            .map(r => pick(r, ['turista_id', 'negocio_id', 'calificacion']));
+    }
+});
@@ -0,0 +1,123 @@
+// src/repositories/memory/reservas.js
+
+const { insert, remove, findRow, pick } = require('./db');
+
+const COLUMNAS = ['id', 'negocio_id', 'turista_id', 'estado', 'fecha', 'hora', 'fecha_salida', 'personas', 'unidades',
+    'notas', 'motivo', 'fecha_creacion', 'fecha_actualizacion'];
+
+const matches = ({ estado, desde, hasta }) => (r) =>
+    (!estado || r.estado === estado) && (!desde || r.fecha >= desde) && (!hasta || r.fecha <= hasta);
+
+const byFechaHora = (a, b) => a.fecha.localeCompare(b.fecha) || (a.hora ?? '').localeCompare(b.hora ?? '') || a.id - b.id;
+
+module.exports = (db) => {
+    const findFranja = (negocioId, fecha, hora) => db.tablas.franjas_reserva
+        .find(f => f.negocio_id === Number(negocioId) && f.fecha === fecha && f.hora === hora);
+
+    return {
+        listFranjas: async (negocioId, { desde, hasta }) => db.tablas.franjas_reserva
+            .filter(f => f.negocio_id === Number(negocioId) && f.fecha >= desde && f.fecha <= hasta)
+            .sort(byFechaHora)
+            .map(f => pick(f, ['id', 'fecha', 'hora', 'capacidad', 'ocupadas'])),
+
+        upsertFranja: async (negocioId, { fecha, hora, capacidad }) => {
+            const actual = findFranja(negocioId, fecha, hora);
+            if (!actual) {
+                insert(db, 'franjas_reserva', { negocio_id: Number(negocioId), fecha, hora, capacidad });
+                return 'creada';
+            }
+            if (actual.ocupadas > capacidad) {
+                return 'conflicto';
+            }
+            actual.capacidad = capacidad;
+            return 'actualizada';
+        },
+
+        occupyFranja: async (negocioId, { fecha, hora }, unidades) => {
+            const franja = findFranja(negocioId, fecha, hora);
+            if (!franja || franja.capacidad - franja.ocupadas < unidades) {
+                return null;
+            }
+            franja.ocupadas += unidades;
+            return franja.id;
+        },
+
+        create: async ({ negocio_id, turista_id, fecha, hora, fecha_salida, personas, unidades, notas }, franjas) => {
+            const reserva = insert(db, 'reservas', {
+                negocio_id: Number(negocio_id),
+                turista_id: Number(turista_id),
+                fecha,
+                hora: hora ?? null,
+                fecha_salida: fecha_salida ?? null,
+                personas,
+                unidades,
+                notas: notas ?? null
+            });
+            for (const franja of franjas) {
+                insert(db, 'reservas_franjas', { reserva_id: reserva.id, franja_id: franja.id, unidades: franja.unidades });
+            }
+            return reserva.id;
+        },
+
+        findById: async (id) => {
+            const reserva = findRow(db, 'reservas', id);
+            if (!reserva) {
+                return null;
+            }
+            const negocio = findRow(db, 'negocios', reserva.negocio_id);
+            return {
+                ...pick(reserva, COLUMNAS),
+                nombre_negocio: negocio.nombre,
+                categoria: negocio.categoria,
+                zona_horaria: negocio.zona_horaria
+            };
+        },
+
+        lockForUpdate: async (id) => pick(findRow(db, 'reservas', id), ['id', 'estado']),
+
+        setEstado: async (id, { desde, hacia, motivo }) => {
+            const reserva = findRow(db, 'reservas', id);
+            if (!reserva || reserva.estado !== desde) {
+                return false;
+            }
+            Object.assign(reserva, { estado: hacia, motivo: motivo ?? reserva.motivo, fecha_actualizacion: new Date() });
+            return true;
+        },
+
+        releaseFranjas: async (reservaId) => {
+            for (const rf of db.tablas.reservas_franjas.filter(rf => rf.reserva_id === Number(reservaId))) {
+                const franja = findRow(db, 'franjas_reserva', rf.franja_id);
+                franja.ocupadas = Math.max(franja.ocupadas - rf.unidades, 0);
+            }
+            remove(db, 'reservas_franjas', rf => rf.reserva_id === Number(reservaId));
+        },
+
+        listByTurista: async (turistaId, opciones = {}) => db.tablas.reservas
+            .filter(r => r.turista_id === Number(turistaId))
+            .filter(matches(opciones))
+            .sort((a, b) => byFechaHora(b, a))
+            .map(r => {
+                const negocio = findRow(db, 'negocios', r.negocio_id);
+                return {
+                    ...pick(r, COLUMNAS),
+                    nombre_negocio: negocio.nombre,
+                    ...pick(negocio, ['categoria', 'direccion', 'telefono'])
+                };
+            }),
+
+        listByNegocio: async (negocioId, opciones, { limite, offset }) => {
+            const filas = db.tablas.reservas
+                .filter(r => r.negocio_id === Number(negocioId))
+                .filter(matches(opciones))
+                .sort(byFechaHora);
+
+            return {
+                total: filas.length,
+                rows: filas.slice(offset, offset + limite).map(r => ({
+                    ...pick(r, COLUMNAS),
+                    ...pick(findRow(db, 'turistas', r.turista_id), ['nombre', 'apellido', 'email', 'telefono'])
+                }))
+            };
+        }
+    };
+};
@@ -0,0 +1,26 @@
+// src/repositories/memory/respuestas.js
+
+const { insert, remove, pick } = require('./db');
+
+module.exports = (db) => {
+    const byResena = (resenaId) => db.tablas.respuestas_resenas.find(fila => fila.resena_id === Number(resenaId));
+
+    return {
+        findByResena: async (resenaId) => pick(byResena(resenaId), ['respuesta', 'admin_id']),
+
+        create: async ({ resena_id, admin_id, respuesta }) => {
+            insert(db, 'respuestas_resenas', { resena_id: Number(resena_id), admin_id, respuesta });
+        },
+
+        update: async (resenaId, { admin_id, respuesta }) => {
+            const fila = byResena(resenaId);
+            if (!fila) {
+                return false;
+            }
+            Object.assign(fila, { admin_id, respuesta });
+            return true;
+        },
+
+        deleteByResena: async (resenaId) => remove(db, 'respuestas_resenas', fila => fila.resena_id === Number(resenaId)) > 0
+    };
+};
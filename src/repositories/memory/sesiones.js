@@ -0,0 +1,70 @@
+// src/repositories/memory/sesiones.js
+
+const { insert, findRow, pick } = require('./db');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+module.exports = (db) => ({
+    create: async ({ tipo_usuario, usuario_id, ip, user_agent, ttlDias }) => insert(db, 'sesiones', {
+        tipo_usuario,
+        usuario_id,
+        ip,
+        user_agent,
+        ultima_actividad: new Date(),
+        expira_en: new Date(Date.now() + ttlDias * DIA_MS)
+    }).id,
+
+    findById: async (id) => pick(findRow(db, 'sesiones', id), ['tipo_usuario', 'usuario_id', 'revocada_en']),
+
+    touch: async (id) => {
+        Object.assign(findRow(db, 'sesiones', id) || {}, { ultima_actividad: new Date() });
+    },
+
+    revoke: async (id, motivo) => {
+        const fila = findRow(db, 'sesiones', id);
+        if (!fila || fila.revocada_en) {
+            return false;
+        }
+        Object.assign(fila, { revocada_en: new Date(), motivo_revocacion: motivo });
+        return true;
+    },
+
+    revokeAll: async (tipo, usuarioId, motivo) => {
+        const activas = db.tablas.sesiones.filter(fila =>
+            fila.tipo_usuario === tipo && fila.usuario_id === Number(usuarioId) && !fila.revocada_en);
+        for (const fila of activas) {
+            Object.assign(fila, { revocada_en: new Date(), motivo_revocacion: motivo });
+        }
+        return activas.length;
+    },
+
+    addRefreshToken: async (sesionId, tokenHash) => {
+        insert(db, 'tokens_refresco', { sesion_id: sesionId, token_hash: tokenHash });
+    },
+
+    findRefreshToken: async (tokenHash) => {
+        const token = db.tablas.tokens_refresco.find(fila => fila.token_hash === tokenHash);
+        const sesion = token && findRow(db, 'sesiones', token.sesion_id);
+        if (!sesion) {
+            return null;
+        }
+        return {
+            id: token.id,
+            usado_en: token.usado_en,
+            sesion_id: sesion.id,
+            tipo_usuario: sesion.tipo_usuario,
+            usuario_id: sesion.usuario_id,
+            revocada_en: sesion.revocada_en,
+            expirada: sesion.expira_en < new Date() ? 1 : 0
+        };
+    },
+
+    markRefreshTokenUsed: async (id) => {
+        const fila = findRow(db, 'tokens_refresco', id);
+        if (!fila || fila.usado_en) {
+            return false;
+        }
+        fila.usado_en = new Date();
+        return true;
+    }
+});
@@ -0,0 +1,19 @@
+// src/repositories/memory/superAdministradores.js
+
+const { findRow, pick } = require('./db');
+
+module.exports = (db) => ({
+    findActiveByUsuario: async (usuario) => pick(
+        db.tablas.super_administradores.find(fila => fila.usuario === usuario && fila.estado === 'activo'),
+        ['id', 'usuario', 'nombre', 'email', 'password_hash', 'nivel_acceso', 'permisos']
+    ),
+
+    findAccount: async (id) => pick(
+        findRow(db, 'super_administradores', id),
+        ['id', 'usuario', 'nivel_acceso', 'permisos', 'estado']
+    ),
+
+    touchLastLogin: async (id) => {
+        Object.assign(findRow(db, 'super_administradores', id) || {}, { ultima_conexion: new Date() });
+    }
+});
@@ -0,0 +1,32 @@
+// src/repositories/memory/tokensUnUso.js
+
+const { insert } = require('./db');
+
+module.exports = (db) => ({
+    create: async ({ jti, tipo_usuario, usuario_id, proposito, ttlSegundos }) => {
+        insert(db, 'tokens_un_uso', {
+            jti,
+            tipo_usuario,
+            usuario_id,
+            proposito,
+            expira_en: new Date(Date.now() + ttlSegundos * 1000)
+        });
+    },
+
+    consume: async (jti, proposito) => {
+        const fila = db.tablas.tokens_un_uso.find(t => t.jti === jti && t.proposito === proposito);
+        if (!fila || fila.usado_en || fila.expira_en <= new Date()) {
+            return false;
+        }
+        fila.usado_en = new Date();
+        return true;
+    },
+
+    invalidateAll: async (tipo, usuarioId, proposito) => {
+        for (const fila of db.tablas.tokens_un_uso) {
+            if (fila.tipo_usuario === tipo && fila.usuario_id === Number(usuarioId) && fila.proposito === proposito && !fila.usado_en) {
+                fila.usado_en = new Date();
+            }
+        }
+    }
+});
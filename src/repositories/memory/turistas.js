@@ -0,0 +1,64 @@
+// src/repositories/memory/turistas.js
+
+const { accountTable, insert, findRow, pick, coalesce } = require('./db');
+
+const PERFIL = ['id', 'nombre', 'apellido', 'email', 'telefono', 'fecha_nacimiento', 'genero',
+    'pais_origen', 'ciudad_origen', 'preferencias_turisticas', 'idioma', 'foto_perfil', 'verificado', 'fecha_registro'];
+
+module.exports = (db) => {
+    const byEmail = (email) => db.tablas.turistas.find(fila => fila.email === email);
+
+    return {
+        ...accountTable(db, {
+            tabla: 'turistas',
+            columnas: ['id', 'nombre', 'apellido', 'email', 'telefono', 'pais_origen', 'ciudad_origen', 'verificado',
+                'estado', 'fecha_registro', 'ultima_conexion', 'fecha_eliminacion', 'fecha_borrado_programado', 'fecha_anonimizacion'],
+            busqueda: ['nombre', 'apellido', 'email'],
+            orden: 'fecha_registro'
+        }),
+
+        restore: async (id) => {
+            const fila = findRow(db, 'turistas', id);
+            if (!fila || fila.fecha_eliminacion === null || fila.fecha_anonimizacion !== null) {
+                return false;
+            }
+            Object.assign(fila, { fecha_eliminacion: null, estado: 'activo', fecha_borrado_programado: null });
+            return true;
+        },
+
+        findByEmail: async (email) => pick(byEmail(email),
+            ['id', 'nombre', 'apellido', 'email', 'password_hash', 'verificado', 'estado']),
+
+        findAccount: async (id) => pick(findRow(db, 'turistas', id), ['id', 'email', 'verificado', 'estado', 'idioma']),
+
+        getPasswordHash: async (id) => findRow(db, 'turistas', id)?.password_hash ?? null,
+
+        getProfile: async (id) => pick(findRow(db, 'turistas', id), PERFIL),
+
+        create: async (datos) => insert(db, 'turistas', datos).id,
+
+        updateProfile: async (id, datos) => {
+            const fila = findRow(db, 'turistas', id);
+            if (fila) {
+                Object.assign(fila, coalesce(pick(datos, ['nombre', 'apellido', 'telefono', 'fecha_nacimiento', 'genero',
+                    'pais_origen', 'ciudad_origen', 'preferencias_turisticas', 'idioma'])));
+            }
+        },
+
+        setFotoPerfil: async (id, url) => {
+            Object.assign(findRow(db, 'turistas', id) || {}, { foto_perfil: url });
+        },
+
+        touchLastLogin: async (id) => {
+            Object.assign(findRow(db, 'turistas', id) || {}, { ultima_conexion: new Date() });
+        },
+
+        markVerified: async (id) => {
+            Object.assign(findRow(db, 'turistas', id) || {}, { verificado: 1 });
+        },
+
+        resetPassword: async (id, passwordHash) => {
+            Object.assign(findRow(db, 'turistas', id) || {}, { password_hash: passwordHash, verificado: 1 });
+        }
+    };
+};
@@ -0,0 +1,45 @@
+// src/repositories/memory/webhooks.js
+
+const { insert, update, remove, findRow, pick } = require('./db');
+
+const COLUMNAS = ['id', 'negocio_id', 'url', 'eventos', 'descripcion', 'activo', 'creado_por_tipo', 'creado_por_id',
+    'fecha_creacion', 'fecha_actualizacion'];
+
+module.exports = (db) => ({
+    list: async ({ negocioIds } = {}) => db.tablas.webhooks
+        .filter(w => negocioIds === undefined || negocioIds.map(Number).includes(w.negocio_id))
+        .map(w => pick(w, COLUMNAS)),
+
+    countByNegocio: async (negocioId) => db.tablas.webhooks
+        .filter(w => (negocioId === null ? w.negocio_id === null : w.negocio_id === Number(negocioId))).length,
+
+    findById: async (id) => pick(findRow(db, 'webhooks', id), [...COLUMNAS, 'secreto']),
+
+    listSubscribed: async (evento, negocioId) => db.tablas.webhooks
+        .filter(w => w.activo === 1 && w.eventos.includes(evento))
+        .filter(w => w.negocio_id === null || (negocioId !== null && negocioId !== undefined && w.negocio_id === Number(negocioId)))
+        .map(w => pick(w, ['id', 'negocio_id'])),
+
+    create: async ({ negocio_id, url, secreto, eventos, descripcion, creado_por_tipo, creado_por_id }) => insert(db, 'webhooks', {
+        negocio_id: negocio_id === null || negocio_id === undefined ? null : Number(negocio_id),
+        url,
+        secreto,
+        eventos: [...eventos],
+        descripcion: descripcion ?? null,
+        creado_por_tipo,
+        creado_por_id
+    }).id,
+
+    update: async (id, campos) => {
+        update(db, 'webhooks', findRow(db, 'webhooks', id), {
+            ...campos,
+            ...(campos.eventos ? { eventos: [...campos.eventos] } : {}),
+            fecha_actualizacion: new Date()
+        });
+    },
+
+    delete: async (id) => {
+        remove(db, 'entregas_webhook', e => e.webhook_id === Number(id));
+        return remove(db, 'webhooks', w => w.id === Number(id)) > 0;
+    }
+});
@@ -0,0 +1,54 @@
+// src/repositories/mysql/administradores.js
+
+const { accountTable, nullable } = require('./db');
+
+module.exports = (db) => ({
+    ...accountTable(db, {
+        tabla: 'administradores_negocios',
+        columnas: `id, nombre, apellido, email, telefono, cargo, permisos, verificado,
+                   estado, fecha_creacion, ultima_conexion, fecha_eliminacion`,
+        busqueda: ['nombre', 'apellido', 'email'],
+        orden: 'fecha_creacion DESC',
+        // Administradores miembros del negocio
+        filtrosSql: { negocio_id: 'id IN (SELECT admin_id FROM miembros_negocio WHERE negocio_id = ?)' }
+    }),
+
+    findByEmail: (email) => db.first(`
+        SELECT id, nombre, apellido, email, password_hash, estado, permisos, verificado
+        FROM administradores_negocios
+        WHERE email = ?
+    `, [email]),
+
+    // Datos mínimos para validar sesiones; el acceso a cada negocio se comprueba con miembros_negocio
+    findAccount: (id) => db.first(
+        'SELECT id, email, permisos, verificado, estado FROM administradores_negocios WHERE id = ?',
+        [id]
+    ),
+
+    create: async ({ nombre, apellido, email, password_hash, telefono, cargo, permisos }) => {
+        const [result] = await db.execute(`
+            INSERT INTO administradores_negocios
+            (nombre, apellido, email, password_hash, telefono, cargo, permisos)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, nullable([nombre, apellido, email, password_hash, telefono, cargo,
+            permisos === undefined || permisos === null ? null : JSON.stringify(permisos)]));
+        return result.insertId;
+    },
+
+    setPermisos: async (id, permisos) => {
+        const [result] = await db.execute(
+            'UPDATE administradores_negocios SET permisos = ? WHERE id = ?',
+            [JSON.stringify(permisos), id]
+        );
+        return result.affectedRows > 0;
+    },
+
+    touchLastLogin: (id) => db.execute('UPDATE administradores_negocios SET ultima_conexion = NOW() WHERE id = ?', [id]),
+
+    markVerified: (id) => db.execute('UPDATE administradores_negocios SET verificado = 1 WHERE id = ?', [id]),
+
+    resetPassword: (id, passwordHash) => db.execute(
+        'UPDATE administradores_negocios SET password_hash = ?, verificado = 1 WHERE id = ?',
+        [passwordHash, id]
+    )
+});
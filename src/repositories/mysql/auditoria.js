@@ -0,0 +1,97 @@
+// src/repositories/mysql/auditoria.js
+// Tabla auditoria: solo inserción (los triggers impiden UPDATE y DELETE). La
+// excepción es scrub, que depura los datos personales de un turista anonimizado.
+
+module.exports = (db) => ({
+    insert: ({ actor_tipo, actor_id, accion, entidad, entidad_id, cambios, metadatos, ip, user_agent }) => db.execute(`
+        INSERT INTO auditoria (actor_tipo, actor_id, accion, entidad, entidad_id, cambios, metadatos, ip, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        actor_tipo,
+        actor_id ?? null,
+        accion,
+        entidad,
+        entidad_id ?? null,
+        cambios ? JSON.stringify(cambios) : null,
+        metadatos ? JSON.stringify(metadatos) : null,
+        ip ?? null,
+        user_agent ?? null
+    ]),
+
+    // filtros: actor_tipo, actor_id, entidad, entidad_id exactos; `accion` exacta o
+    // prefijo terminado en punto; `desde` y `hasta` como Date. Lo más reciente primero.
+    list: async (filtros, { limite, offset }) => {
+        const condiciones = [];
+        const params = [];
+
+        for (const filtro of ['actor_tipo', 'actor_id', 'entidad', 'entidad_id']) {
+            if (filtros[filtro] !== undefined) {
+                condiciones.push(`${filtro} = ?`);
+                params.push(filtros[filtro]);
+            }
+        }
+
+        if (filtros.accion !== undefined) {
+            if (filtros.accion.endsWith('.')) {
+                condiciones.push('accion LIKE ?');
+                params.push(`${filtros.accion}%`);
+            } else {
+                condiciones.push('accion = ?');
+                params.push(filtros.accion);
+            }
+        }
+
+        if (filtros.desde) {
+            condiciones.push('fecha >= ?');
+            params.push(filtros.desde);
+        }
+        if (filtros.hasta) {
+            condiciones.push('fecha <= ?');
+            params.push(filtros.hasta);
+        }
+
+        const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM auditoria ${where}`, params);
+        const [rows] = await db.execute(`
+            SELECT id, actor_tipo, actor_id, accion, entidad, entidad_id, cambios, metadatos, ip, user_agent, fecha
+            FROM auditoria ${where}
+            ORDER BY fecha DESC, id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limite, offset]);
+
+        return { rows, total };
+    },
+
+    // Entradas con datos personales del turista: las que hizo, las que tratan de
+    // su cuenta y los logins con su email, aunque no hubiera cuenta todavía
+    listPersonales: async (turistaId, email) => {
+        const [rows] = await db.execute(`
+            SELECT id, actor_tipo, cambios, metadatos, ip, user_agent
+            FROM auditoria
+            WHERE (actor_tipo = 'turista' AND actor_id = ?)
+               OR (entidad = 'turistas' AND entidad_id = ?)
+               OR (JSON_UNQUOTE(JSON_EXTRACT(metadatos, '$.tipo')) = 'turista'
+                   AND LOWER(JSON_UNQUOTE(JSON_EXTRACT(metadatos, '$.identificador'))) = LOWER(?))
+            ORDER BY id
+        `, [turistaId, String(turistaId), email]);
+        return rows;
+    },
+
+    // Sustituye cambios, metadatos, ip y user_agent de las entradas indicadas. El
+    // trigger de la migración 018 solo admite el UPDATE con @auditoria_depuracion = 1
+    // y sin tocar el resto de columnas. Usar dentro de una transacción.
+    scrub: async (entradas) => {
+        await db.query('SET @auditoria_depuracion = 1');
+        try {
+            for (const { id, cambios, metadatos, ip, user_agent } of entradas) {
+                await db.execute(
+                    'UPDATE auditoria SET cambios = ?, metadatos = ?, ip = ?, user_agent = ? WHERE id = ?',
+                    [cambios ? JSON.stringify(cambios) : null, metadatos ? JSON.stringify(metadatos) : null, ip ?? null, user_agent ?? null, id]
+                );
+            }
+        } finally {
+            await db.query('SET @auditoria_depuracion = NULL');
+        }
+    }
+});
@@ -0,0 +1,130 @@
+// src/repositories/mysql/db.js
+// Utilidades compartidas por los repositorios MySQL
+
+const { DuplicateEntryError, InvalidReferenceError } = require('../errors');
+
+const translateError = (error) => {
+    switch (error.code) {
+        case 'ER_DUP_ENTRY':
+            return new DuplicateEntryError(error.message);
+        case 'ER_NO_REFERENCED_ROW':
+        case 'ER_NO_REFERENCED_ROW_2':
+            return new InvalidReferenceError(error.message);
+        default:
+            return error;
+    }
+};
+
+// Envuelve un pool o una conexión de mysql2: traduce los errores de integridad
+// y añade `first`, que devuelve la primera fila o null
+const wrap = (db) => {
+    const execute = async (sql, params) => {
+        try {
+            return await db.execute(sql, params);
+        } catch (error) {
+            throw translateError(error);
+        }
+    };
+
+    const query = async (sql, params) => {
+        try {
+            return await db.query(sql, params);
+        } catch (error) {
+            throw translateError(error);
+        }
+    };
+
+    const first = async (sql, params) => {
+        const [rows] = await execute(sql, params);
+        return rows[0] || null;
+    };
+
+    return { raw: db, execute, query, first };
+};
+
+// Métodos de administración comunes a las tablas de cuentas con borrado lógico
+// (listar, ver, editar, cambiar estado, eliminar y restaurar). `filtrosSql`
+// define los filtros que no son una columna de la tabla: { filtro: 'condición con un ?' }
+const accountTable = (db, { tabla, columnas, detalle = columnas, busqueda, orden, filtrosSql = {} }) => ({
+    // filtros: { estado, q, eliminados: excluir|incluir|solo, ...columnas exactas o filtrosSql }
+    list: async ({ estado, q, eliminados = 'excluir', filtros = {} }, { limite, offset }) => {
+        const condiciones = [];
+        const params = [];
+
+        if (eliminados === 'excluir') {
+            condiciones.push('fecha_eliminacion IS NULL');
+        } else if (eliminados === 'solo') {
+            condiciones.push('fecha_eliminacion IS NOT NULL');
+        }
+
+        if (estado) {
+            condiciones.push('estado = ?');
+            params.push(estado);
+        }
+
+        if (q) {
+            condiciones.push(`(${busqueda.map(columna => `${columna} LIKE ?`).join(' OR ')})`);
+            params.push(...busqueda.map(() => `%${q}%`));
+        }
+
+        for (const [columna, valor] of Object.entries(filtros)) {
+            condiciones.push(filtrosSql[columna] ?? `${columna} = ?`);
+            params.push(valor);
+        }
+
+        const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM ${tabla} ${where}`, params);
+        const [rows] = await db.execute(`
+            SELECT ${columnas} FROM ${tabla} ${where}
+            ORDER BY ${orden}
+            LIMIT ? OFFSET ?
+        `, [...params, limite, offset]);
+
+        return { rows, total };
+    },
+
+    findById: (id, { incluirEliminados = false } = {}) => db.first(
+        `SELECT ${detalle} FROM ${tabla} WHERE id = ?${incluirEliminados ? '' : ' AND fecha_eliminacion IS NULL'}`,
+        [id]
+    ),
+
+    // Solo filas no eliminadas; devuelve si se actualizó
+    update: async (id, campos) => {
+        const columnasEditadas = Object.keys(campos);
+        const [result] = await db.execute(
+            `UPDATE ${tabla} SET ${columnasEditadas.map(c => `${c} = ?`).join(', ')} WHERE id = ? AND fecha_eliminacion IS NULL`,
+            [...columnasEditadas.map(c => campos[c]), id]
+        );
+        return result.affectedRows > 0;
+    },
+
+    setEstado: async (id, estado) => {
+        const [result] = await db.execute(
+            `UPDATE ${tabla} SET estado = ? WHERE id = ? AND fecha_eliminacion IS NULL`,
+            [estado, id]
+        );
+        return result.affectedRows > 0;
+    },
+
+    softDelete: async (id) => {
+        const [result] = await db.execute(
+            `UPDATE ${tabla} SET fecha_eliminacion = NOW(), estado = 'inactivo' WHERE id = ? AND fecha_eliminacion IS NULL`,
+            [id]
+        );
+        return result.affectedRows > 0;
+    },
+
+    restore: async (id) => {
+        const [result] = await db.execute(
+            `UPDATE ${tabla} SET fecha_eliminacion = NULL, estado = 'activo' WHERE id = ? AND fecha_eliminacion IS NOT NULL`,
+            [id]
+        );
+        return result.affectedRows > 0;
+    }
+});
+
+// Parámetros con undefined rompen execute(); se envían como NULL
+const nullable = (values) => values.map(value => value ?? null);
+
+module.exports = { wrap, accountTable, nullable, translateError };
@@ -0,0 +1,85 @@
+// src/repositories/mysql/entregasWebhook.js
+// Cola y registro de entregas de webhooks (entregas_webhook)
+
+const COLUMNAS = `e.id, e.webhook_id, e.evento, e.evento_id, e.cuerpo, e.estado, e.intentos, e.proximo_intento,
+    e.ultimo_intento, e.ultimo_status, e.ultimo_error, e.reenvio_de, e.fecha_creacion, e.fecha_entrega`;
+
+module.exports = (db) => ({
+    enqueue: async ({ webhook_id, evento, evento_id, cuerpo, reenvio_de }) => {
+        const [result] = await db.execute(`
+            INSERT INTO entregas_webhook (webhook_id, evento, evento_id, cuerpo, reenvio_de)
+            VALUES (?, ?, ?, ?, ?)
+        `, [webhook_id, evento, evento_id, cuerpo, reenvio_de ?? null]);
+        return result.insertId;
+    },
+
+    findById: (id) => db.first(`SELECT ${COLUMNAS} FROM entregas_webhook e WHERE e.id = ?`, [id]),
+
+    // Entregas de un webhook, las más recientes primero
+    listByWebhook: async (webhookId, { estado }, { limite, offset }) => {
+        const condiciones = ['e.webhook_id = ?'];
+        const params = [webhookId];
+        if (estado) {
+            condiciones.push('e.estado = ?');
+            params.push(estado);
+        }
+        const where = condiciones.join(' AND ');
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM entregas_webhook e WHERE ${where}`, params);
+        const [rows] = await db.execute(`
+            SELECT ${COLUMNAS} FROM entregas_webhook e
+            WHERE ${where}
+            ORDER BY e.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limite, offset]);
+        return { rows, total };
+    },
+
+    // Reclama hasta `limite` entregas pendientes y vencidas de webhooks activos,
+    // aplazando su próximo intento `bloqueoMs`. Una entrega reclamada por otra
+    // instancia ya no cumple la condición del UPDATE y se salta.
+    claimDue: async ({ limite, bloqueoMs }) => {
+        const [candidatas] = await db.execute(`
+            SELECT ${COLUMNAS}, w.url, w.secreto
+            FROM entregas_webhook e
+            INNER JOIN webhooks w ON w.id = e.webhook_id
+            WHERE e.estado = 'pendiente' AND e.proximo_intento <= NOW(3) AND w.activo = 1
+            ORDER BY e.proximo_intento, e.id
+            LIMIT ?
+        `, [limite]);
+
+        const reclamadas = [];
+        for (const entrega of candidatas) {
+            const [result] = await db.execute(`
+                UPDATE entregas_webhook SET proximo_intento = NOW(3) + INTERVAL ? MICROSECOND
+                WHERE id = ? AND estado = 'pendiente' AND proximo_intento <= NOW(3)
+            `, [bloqueoMs * 1000, entrega.id]);
+            if (result.affectedRows > 0) {
+                reclamadas.push(entrega);
+            }
+        }
+        return reclamadas;
+    },
+
+    markDelivered: (id, { status }) => db.execute(`
+        UPDATE entregas_webhook
+        SET estado = 'entregada', intentos = intentos + 1, ultimo_intento = NOW(3), ultimo_status = ?,
+            ultimo_error = NULL, fecha_entrega = NOW(3)
+        WHERE id = ?
+    `, [status, id]),
+
+    // Devuelve a la cola, sin contar un intento, entregas reclamadas que no se llegaron a enviar
+    release: async (ids) => {
+        if (ids.length > 0) {
+            await db.query(`UPDATE entregas_webhook SET proximo_intento = NOW(3) WHERE id IN (?) AND estado = 'pendiente'`, [ids]);
+        }
+    },
+
+    // Sin `proximoIntento` la entrega queda fallida definitivamente
+    markFailed: (id, { status, error, proximoIntento }) => db.execute(`
+        UPDATE entregas_webhook
+        SET estado = ?, intentos = intentos + 1, ultimo_intento = NOW(3), ultimo_status = ?, ultimo_error = ?,
+            proximo_intento = COALESCE(?, proximo_intento)
+        WHERE id = ?
+    `, [proximoIntento ? 'pendiente' : 'fallida', status ?? null, error, proximoIntento ?? null, id])
+});
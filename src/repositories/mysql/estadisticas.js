@@ -0,0 +1,194 @@
+// src/repositories/mysql/estadisticas.js
+
+// Condiciones comunes de los reportes de reseñas. Solo cuentan las reseñas
+// activas; `desde` y `hasta` son días (YYYY-MM-DD) incluidos en el rango y
+// `antesDe` deja solo las reseñas anteriores a ese día. `negocioIds` acota a
+// uno o varios negocios.
+const filtroResenas = ({ negocioIds, categoria, desde, hasta, antesDe } = {}) => {
+    const condiciones = ["r.estado = 'activa'"];
+    const params = [];
+
+    if (negocioIds) {
+        condiciones.push(`r.negocio_id IN (${negocioIds.map(() => '?').join(', ')})`);
+        params.push(...negocioIds);
+    }
+    if (categoria) {
+        condiciones.push('n.categoria = ?');
+        params.push(categoria);
+    }
+    if (desde) {
+        condiciones.push('r.fecha_creacion >= ?');
+        params.push(desde);
+    }
+    if (hasta) {
+        condiciones.push('r.fecha_creacion < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(hasta);
+    }
+    if (antesDe) {
+        condiciones.push('r.fecha_creacion < ?');
+        params.push(antesDe);
+    }
+
+    return { where: condiciones.join(' AND '), params };
+};
+
+module.exports = (db) => ({
+    general: () => db.first(`
+        SELECT
+            (SELECT COUNT(*) FROM turistas WHERE estado = 'activo') as total_turistas,
+            (SELECT COUNT(*) FROM negocios WHERE estado = 'activo') as total_negocios,
+            (SELECT COUNT(*) FROM administradores_negocios WHERE estado = 'activo') as total_admins,
+            (SELECT COUNT(*) FROM resenas WHERE estado = 'activa') as total_resenas,
+            (SELECT AVG(calificacion_promedio) FROM negocios WHERE estado = 'activo') as calificacion_promedio_general
+    `),
+
+    negocio: (negocioId) => db.first(`
+        SELECT
+            n.nombre,
+            n.calificacion_promedio,
+            n.total_resenas,
+            (SELECT COUNT(*) FROM resenas WHERE negocio_id = ? AND estado = 'activa' AND fecha_creacion >= DATE_SUB(NOW(), INTERVAL 30 DAY)) as resenas_mes_actual
+        FROM negocios n
+        WHERE n.id = ?
+    `, [negocioId, negocioId]),
+
+    // Totales por día: [{ fecha, resenas, suma }]
+    resenasPorDia: async (filtros) => {
+        const { where, params } = filtroResenas(filtros);
+        const [rows] = await db.execute(`
+            SELECT DATE_FORMAT(r.fecha_creacion, '%Y-%m-%d') AS fecha, COUNT(*) AS resenas, SUM(r.calificacion) AS suma
+            FROM resenas r
+            JOIN negocios n ON n.id = r.negocio_id
+            WHERE ${where}
+            GROUP BY fecha
+            ORDER BY fecha
+        `, params);
+        return rows.map(row => ({ fecha: row.fecha, resenas: Number(row.resenas), suma: Number(row.suma) }));
+    },
+
+    // { resenas, suma }
+    resumenResenas: async (filtros) => {
+        const { where, params } = filtroResenas(filtros);
+        const row = await db.first(`
+            SELECT COUNT(*) AS resenas, COALESCE(SUM(r.calificacion), 0) AS suma
+            FROM resenas r
+            JOIN negocios n ON n.id = r.negocio_id
+            WHERE ${where}
+        `, params);
+        return { resenas: Number(row.resenas), suma: Number(row.suma) };
+    },
+
+    // Reseñas por número de estrellas: { 1: n, ..., 5: n }
+    distribucion: async (filtros) => {
+        const { where, params } = filtroResenas(filtros);
+        const [rows] = await db.execute(`
+            SELECT r.calificacion, COUNT(*) AS total
+            FROM resenas r
+            JOIN negocios n ON n.id = r.negocio_id
+            WHERE ${where}
+            GROUP BY r.calificacion
+        `, params);
+        const desglose = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        for (const row of rows) {
+            desglose[row.calificacion] = Number(row.total);
+        }
+        return desglose;
+    },
+
+    // País de origen de los autores: [{ pais, resenas, turistas }], pais null si no lo indicaron
+    paises: async (filtros) => {
+        const { where, params } = filtroResenas(filtros);
+        const [rows] = await db.execute(`
+            SELECT NULLIF(TRIM(t.pais_origen), '') AS pais, COUNT(*) AS resenas, COUNT(DISTINCT r.turista_id) AS turistas
+            FROM resenas r
+            JOIN negocios n ON n.id = r.negocio_id
+            JOIN turistas t ON t.id = r.turista_id
+            WHERE ${where}
+            GROUP BY pais
+            ORDER BY resenas DESC, pais
+        `, params);
+        return rows.map(row => ({ pais: row.pais, resenas: Number(row.resenas), turistas: Number(row.turistas) }));
+    },
+
+    // Agregados históricos del negocio frente a los negocios activos de su categoría
+    comparacionCategoria: async (negocioId) => {
+        const negocio = await db.first(
+            'SELECT id, nombre, categoria, calificacion_promedio, total_resenas FROM negocios WHERE id = ?',
+            [negocioId]
+        );
+        if (!negocio) {
+            return null;
+        }
+
+        const categoria = await db.first(`
+            SELECT
+                COUNT(*) AS negocios,
+                AVG(CASE WHEN total_resenas > 0 THEN calificacion_promedio END) AS calificacion_promedio,
+                AVG(total_resenas) AS resenas_promedio,
+                SUM(CASE WHEN total_resenas > 0 AND calificacion_promedio > ? THEN 1 ELSE 0 END) AS mejores
+            FROM negocios
+            WHERE categoria = ? AND estado = 'activo'
+        `, [negocio.calificacion_promedio, negocio.categoria]);
+
+        return {
+            negocio: {
+                ...negocio,
+                calificacion_promedio: Number(negocio.calificacion_promedio),
+                total_resenas: Number(negocio.total_resenas)
+            },
+            categoria: {
+                nombre: negocio.categoria,
+                negocios: Number(categoria.negocios),
+                calificacion_promedio: categoria.calificacion_promedio === null ? null : Number(categoria.calificacion_promedio),
+                resenas_promedio: categoria.resenas_promedio === null ? null : Number(categoria.resenas_promedio)
+            },
+            // Puesto por calificación entre los negocios con reseñas de la categoría
+            posicion: Number(negocio.total_resenas) > 0 ? Number(categoria.mejores) + 1 : null
+        };
+    },
+
+    // Negocios activos por categoría con las reseñas del rango: [{ categoria, negocios, resenas, suma }]
+    porCategoria: async ({ desde, hasta }) => {
+        const [rows] = await db.execute(`
+            SELECT n.categoria, COUNT(DISTINCT n.id) AS negocios, COUNT(r.id) AS resenas, COALESCE(SUM(r.calificacion), 0) AS suma
+            FROM negocios n
+            LEFT JOIN resenas r ON r.negocio_id = n.id AND r.estado = 'activa'
+                AND r.fecha_creacion >= ? AND r.fecha_creacion < DATE_ADD(?, INTERVAL 1 DAY)
+            WHERE n.estado = 'activo'
+            GROUP BY n.categoria
+            ORDER BY resenas DESC, n.categoria
+        `, [desde, hasta]);
+        return rows.map(row => ({
+            categoria: row.categoria,
+            negocios: Number(row.negocios),
+            resenas: Number(row.resenas),
+            suma: Number(row.suma)
+        }));
+    },
+
+    // Turistas registrados en el rango agrupados por mes de registro, con las
+    // reseñas activas que han escrito desde entonces: [{ cohorte, turistas, con_resenas, resenas }]
+    cohortes: async ({ desde, hasta }) => {
+        const [rows] = await db.execute(`
+            SELECT
+                DATE_FORMAT(t.fecha_registro, '%Y-%m') AS cohorte,
+                COUNT(*) AS turistas,
+                COUNT(r.turista_id) AS con_resenas,
+                COALESCE(SUM(r.resenas), 0) AS resenas
+            FROM turistas t
+            LEFT JOIN (
+                SELECT turista_id, COUNT(*) AS resenas FROM resenas WHERE estado = 'activa' GROUP BY turista_id
+            ) r ON r.turista_id = t.id
+            WHERE t.fecha_eliminacion IS NULL
+                AND t.fecha_registro >= ? AND t.fecha_registro < DATE_ADD(?, INTERVAL 1 DAY)
+            GROUP BY cohorte
+            ORDER BY cohorte
+        `, [desde, hasta]);
+        return rows.map(row => ({
+            cohorte: row.cohorte,
+            turistas: Number(row.turistas),
+            con_resenas: Number(row.con_resenas),
+            resenas: Number(row.resenas)
+        }));
+    }
+});
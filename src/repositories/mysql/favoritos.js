@@ -0,0 +1,33 @@
+// src/repositories/mysql/favoritos.js
+
+module.exports = (db) => ({
+    // Negocios favoritos activos del turista, del más reciente al más antiguo
+    listByTurista: async (turistaId) => {
+        const [rows] = await db.execute(`
+            SELECT n.id, n.nombre, n.categoria, n.direccion, n.latitud, n.longitud, n.imagen_principal,
+                   n.calificacion_promedio, n.total_resenas, f.fecha_creacion AS fecha_favorito
+            FROM favoritos f
+            INNER JOIN negocios n ON n.id = f.negocio_id
+            WHERE f.turista_id = ? AND n.estado = 'activo' AND n.fecha_eliminacion IS NULL
+            ORDER BY f.fecha_creacion DESC, n.id DESC
+        `, [turistaId]);
+        return rows;
+    },
+
+    // Devuelve si se añadió (false si ya era favorito)
+    add: async (turistaId, negocioId) => {
+        const [result] = await db.execute(
+            'INSERT IGNORE INTO favoritos (turista_id, negocio_id) VALUES (?, ?)',
+            [turistaId, negocioId]
+        );
+        return result.affectedRows > 0;
+    },
+
+    remove: async (turistaId, negocioId) => {
+        const [result] = await db.execute(
+            'DELETE FROM favoritos WHERE turista_id = ? AND negocio_id = ?',
+            [turistaId, negocioId]
+        );
+        return result.affectedRows > 0;
+    }
+});
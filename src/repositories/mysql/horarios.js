@@ -0,0 +1,44 @@
+// src/repositories/mysql/horarios.js
+// Horario semanal (horarios_negocio) y excepciones (excepciones_horario)
+
+module.exports = (db) => ({
+    listWeekly: async (negocioIds) => {
+        const [rows] = await db.query(
+            'SELECT negocio_id, dia_semana, hora_apertura, hora_cierre FROM horarios_negocio WHERE negocio_id IN (?)',
+            [negocioIds]
+        );
+        return rows;
+    },
+
+    // Excepciones que se solapan con el intervalo [desde, hasta] (fechas YYYY-MM-DD)
+    listExceptions: async (negocioIds, { desde, hasta }) => {
+        const [rows] = await db.query(`
+            SELECT negocio_id, fecha_inicio, fecha_fin, cerrado, hora_apertura, hora_cierre, motivo
+            FROM excepciones_horario
+            WHERE negocio_id IN (?) AND fecha_fin >= ? AND fecha_inicio <= ?
+            ORDER BY fecha_inicio
+        `, [negocioIds, desde, hasta]);
+        return rows;
+    },
+
+    replaceWeekly: async (negocioId, rows) => {
+        await db.execute('DELETE FROM horarios_negocio WHERE negocio_id = ?', [negocioId]);
+        for (const row of rows) {
+            await db.execute(
+                'INSERT INTO horarios_negocio (negocio_id, dia_semana, hora_apertura, hora_cierre) VALUES (?, ?, ?, ?)',
+                [negocioId, row.dia_semana, row.hora_apertura, row.hora_cierre]
+            );
+        }
+    },
+
+    replaceExceptions: async (negocioId, rows) => {
+        await db.execute('DELETE FROM excepciones_horario WHERE negocio_id = ?', [negocioId]);
+        for (const row of rows) {
+            await db.execute(`
+                INSERT INTO excepciones_horario
+                (negocio_id, fecha_inicio, fecha_fin, cerrado, hora_apertura, hora_cierre, motivo)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [negocioId, row.fecha_inicio, row.fecha_fin, row.cerrado, row.hora_apertura, row.hora_cierre, row.motivo]);
+        }
+    }
+});
@@ -0,0 +1,45 @@
+// src/repositories/mysql/imagenes.js
+
+const COLUMNAS = 'id, negocio_id, carpeta, orden, es_portada, ancho, alto, bytes, fecha_creacion';
+
+module.exports = (db) => ({
+    listByNegocio: async (negocioId) => {
+        const [rows] = await db.execute(
+            `SELECT ${COLUMNAS} FROM imagenes_negocio WHERE negocio_id = ? ORDER BY orden, id`,
+            [negocioId]
+        );
+        return rows;
+    },
+
+    findById: (negocioId, id) => db.first(
+        `SELECT ${COLUMNAS} FROM imagenes_negocio WHERE negocio_id = ? AND id = ?`,
+        [negocioId, id]
+    ),
+
+    // Las nuevas imágenes van al final de la galería
+    create: async (negocioId, { carpeta, ancho, alto, bytes }) => {
+        const [result] = await db.execute(`
+            INSERT INTO imagenes_negocio (negocio_id, carpeta, orden, ancho, alto, bytes)
+            SELECT ?, ?, COALESCE(MAX(orden), -1) + 1, ?, ?, ? FROM imagenes_negocio WHERE negocio_id = ?
+        `, [negocioId, carpeta, ancho, alto, bytes, negocioId]);
+        return result.insertId;
+    },
+
+    // `ids` en el orden deseado
+    reorder: async (negocioId, ids) => {
+        for (const [orden, id] of ids.entries()) {
+            await db.execute('UPDATE imagenes_negocio SET orden = ? WHERE negocio_id = ? AND id = ?', [orden, negocioId, id]);
+        }
+    },
+
+    // Marca `id` como portada y desmarca las demás; con null no queda ninguna
+    setCover: (negocioId, id) => db.execute(
+        'UPDATE imagenes_negocio SET es_portada = (id <=> ?) WHERE negocio_id = ?',
+        [id, negocioId]
+    ),
+
+    delete: async (negocioId, id) => {
+        const [result] = await db.execute('DELETE FROM imagenes_negocio WHERE negocio_id = ? AND id = ?', [negocioId, id]);
+        return result.affectedRows > 0;
+    }
+});
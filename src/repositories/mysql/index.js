@@ -0,0 +1,90 @@
+// src/repositories/mysql/index.js
+// Repositorios sobre un pool de mysql2/promise
+
+const { wrap } = require('./db');
+const { PRIOR_POR_DEFECTO } = require('../../resenas/calificaciones');
+
+const FACTORIES = {
+    turistas: require('./turistas'),
+    administradores: require('./administradores'),
+    miembrosNegocio: require('./miembrosNegocio'),
+    superAdministradores: require('./superAdministradores'),
+    negocios: require('./negocios'),
+    horarios: require('./horarios'),
+    imagenes: require('./imagenes'),
+    favoritos: require('./favoritos'),
+    itinerarios: require('./itinerarios'),
+    reservas: require('./reservas'),
+    resenas: require('./resenas'),
+    respuestas: require('./respuestas'),
+    reportes: require('./reportes'),
+    moderaciones: require('./moderaciones'),
+    sesiones: require('./sesiones'),
+    tokensUnUso: require('./tokensUnUso'),
+    privacidad: require('./privacidad'),
+    auditoria: require('./auditoria'),
+    webhooks: require('./webhooks'),
+    entregasWebhook: require('./entregasWebhook'),
+    estadisticas: require('./estadisticas')
+};
+
+// Instancia todos los repositorios sobre un pool o una conexión
+const bind = (db, opciones) => {
+    const wrapped = wrap(db);
+    return Object.fromEntries(Object.entries(FACTORIES).map(([name, factory]) => [name, factory(wrapped, opciones)]));
+};
+
+// `calificaciones` es config.calificaciones: la media y el peso previos de calificacion_ponderada
+const createMysqlRepositories = (pool, { calificaciones = PRIOR_POR_DEFECTO } = {}) => {
+    const opciones = { calificaciones };
+    const repositories = bind(pool, opciones);
+
+    // Ejecuta `fn(repos)` con repositorios ligados a una conexión en transacción;
+    // confirma si `fn` termina bien y deshace si lanza
+    repositories.transaction = async (fn) => {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const txRepositories = bind(connection, opciones);
+            // Las transacciones anidadas reutilizan la conexión en curso
+            txRepositories.transaction = (inner) => inner(txRepositories);
+
+            const result = await fn(txRepositories);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    };
+
+    // Comprueba que el pool puede obtener una conexión y ejecutar una consulta
+    repositories.ping = async () => {
+        await pool.query('SELECT 1');
+    };
+
+    // Uso del pool para las métricas. mysql2 no expone estas cifras en su API
+    // pública; se leen de su pool interno (probado con mysql2 3.x)
+    repositories.poolStats = () => {
+        const interno = pool.pool;
+        const total = interno._allConnections.length;
+        const libres = interno._freeConnections.length;
+        return {
+            total,
+            libres,
+            en_uso: total - libres,
+            en_espera: interno._connectionQueue.length,
+            limite: interno.config.connectionLimit
+        };
+    };
+
+    // Espera a que terminen las consultas en curso y cierra las conexiones del pool
+    repositories.close = () => pool.end();
+
+    return repositories;
+};
+
+module.exports = { createMysqlRepositories };
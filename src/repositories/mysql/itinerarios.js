@@ -0,0 +1,75 @@
+// src/repositories/mysql/itinerarios.js
+// Itinerarios (itinerarios) y sus paradas (paradas_itinerario)
+
+const { nullable } = require('./db');
+
+const COLUMNAS = 'id, turista_id, nombre, descripcion, fecha_inicio, token_publico, fecha_creacion, fecha_actualizacion';
+
+module.exports = (db) => ({
+    // Resumen de los itinerarios del turista, del último modificado al primero
+    listByTurista: async (turistaId) => {
+        const [rows] = await db.execute(`
+            SELECT i.id, i.nombre, i.fecha_inicio, i.token_publico, i.fecha_creacion, i.fecha_actualizacion,
+                   COUNT(p.id) AS total_paradas, COALESCE(MAX(p.dia), 0) AS dias
+            FROM itinerarios i
+            LEFT JOIN paradas_itinerario p ON p.itinerario_id = i.id
+            WHERE i.turista_id = ?
+            GROUP BY i.id
+            ORDER BY i.fecha_actualizacion DESC, i.id DESC
+        `, [turistaId]);
+        return rows;
+    },
+
+    findById: (id) => db.first(`SELECT ${COLUMNAS} FROM itinerarios WHERE id = ?`, [id]),
+
+    findByToken: (token) => db.first(`SELECT ${COLUMNAS} FROM itinerarios WHERE token_publico = ?`, [token]),
+
+    create: async (turistaId, { nombre, descripcion, fecha_inicio }) => {
+        const [result] = await db.execute(
+            'INSERT INTO itinerarios (turista_id, nombre, descripcion, fecha_inicio) VALUES (?, ?, ?, ?)',
+            [turistaId, ...nullable([nombre, descripcion, fecha_inicio])]
+        );
+        return result.insertId;
+    },
+
+    // Solo los campos presentes; null borra descripcion o fecha_inicio.
+    // Siempre actualiza fecha_actualizacion, también al cambiar solo las paradas.
+    update: async (id, campos) => {
+        const columnas = Object.keys(campos);
+        await db.execute(
+            `UPDATE itinerarios SET ${[...columnas.map(c => `${c} = ?`), 'fecha_actualizacion = NOW()'].join(', ')} WHERE id = ?`,
+            [...nullable(columnas.map(c => campos[c])), id]
+        );
+    },
+
+    setToken: (id, token) => db.execute('UPDATE itinerarios SET token_publico = ? WHERE id = ?', [token, id]),
+
+    delete: async (id) => {
+        const [result] = await db.execute('DELETE FROM itinerarios WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    },
+
+    // Paradas por día y orden, con los datos del negocio necesarios para mostrarlas y comprobar su horario
+    listParadas: async (itinerarioId) => {
+        const [rows] = await db.execute(`
+            SELECT p.id, p.negocio_id, p.dia, p.orden, p.hora_inicio, p.hora_fin, p.notas,
+                   n.nombre, n.categoria, n.direccion, n.latitud, n.longitud, n.imagen_principal, n.estado,
+                   n.horario_apertura, n.horario_cierre, n.dias_funcionamiento, n.zona_horaria
+            FROM paradas_itinerario p
+            INNER JOIN negocios n ON n.id = p.negocio_id
+            WHERE p.itinerario_id = ?
+            ORDER BY p.dia, p.orden, p.id
+        `, [itinerarioId]);
+        return rows;
+    },
+
+    replaceParadas: async (itinerarioId, paradas) => {
+        await db.execute('DELETE FROM paradas_itinerario WHERE itinerario_id = ?', [itinerarioId]);
+        for (const parada of paradas) {
+            await db.execute(`
+                INSERT INTO paradas_itinerario (itinerario_id, negocio_id, dia, orden, hora_inicio, hora_fin, notas)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [itinerarioId, ...nullable([parada.negocio_id, parada.dia, parada.orden, parada.hora_inicio, parada.hora_fin, parada.notas])]);
+        }
+    }
+});
@@ -0,0 +1,74 @@
+// src/repositories/mysql/miembrosNegocio.js
+// Administradores de cada negocio (miembros_negocio) y su rol en él
+
+module.exports = (db) => ({
+    // Administradores no eliminados del negocio, los propietarios primero
+    listByNegocio: async (negocioId) => {
+        const [rows] = await db.execute(`
+            SELECT an.id AS admin_id, an.nombre, an.apellido, an.email, an.cargo, an.estado, an.permisos,
+                   mn.rol, mn.fecha_creacion
+            FROM miembros_negocio mn
+            INNER JOIN administradores_negocios an ON an.id = mn.admin_id
+            WHERE mn.negocio_id = ? AND an.fecha_eliminacion IS NULL
+            ORDER BY mn.rol = 'propietario' DESC, mn.fecha_creacion, an.id
+        `, [negocioId]);
+        return rows;
+    },
+
+    // Negocios activos que gestiona el administrador, con su rol en cada uno
+    listByAdmin: async (adminId) => {
+        const [rows] = await db.execute(`
+            SELECT n.id, n.nombre, n.categoria, mn.rol
+            FROM miembros_negocio mn
+            INNER JOIN negocios n ON n.id = mn.negocio_id
+            WHERE mn.admin_id = ? AND n.estado = 'activo' AND n.fecha_eliminacion IS NULL
+            ORDER BY n.nombre, n.id
+        `, [adminId]);
+        return rows;
+    },
+
+    // Membresía con el estado del negocio, que debe estar activo para gestionarlo
+    find: (negocioId, adminId) => db.first(`
+        SELECT mn.negocio_id, mn.admin_id, mn.rol, n.estado AS estado_negocio
+        FROM miembros_negocio mn
+        INNER JOIN negocios n ON n.id = mn.negocio_id
+        WHERE mn.negocio_id = ? AND mn.admin_id = ? AND n.fecha_eliminacion IS NULL
+    `, [negocioId, adminId]),
+
+    // Propietarios del negocio con la cuenta activa y no eliminada, sin contar a
+    // `excluirAdminId`. Bloquea las membresías del negocio y sus cuentas hasta el
+    // final de la transacción, para que dos cambios simultáneos no lo dejen sin propietario.
+    countPropietariosActivos: async (negocioId, excluirAdminId = null) => {
+        const [rows] = await db.execute(`
+            SELECT mn.admin_id, mn.rol, an.estado, an.fecha_eliminacion
+            FROM miembros_negocio mn
+            INNER JOIN administradores_negocios an ON an.id = mn.admin_id
+            WHERE mn.negocio_id = ?
+            FOR UPDATE
+        `, [negocioId]);
+        return rows.filter(row => row.rol === 'propietario' && row.estado === 'activo' && row.fecha_eliminacion === null &&
+            row.admin_id !== Number(excluirAdminId)).length;
+    },
+
+    // Lanza DuplicateEntryError si ya es miembro
+    add: ({ negocio_id, admin_id, rol }) => db.execute(
+        'INSERT INTO miembros_negocio (negocio_id, admin_id, rol) VALUES (?, ?, ?)',
+        [negocio_id, admin_id, rol]
+    ),
+
+    setRol: async (negocioId, adminId, rol) => {
+        const [result] = await db.execute(
+            'UPDATE miembros_negocio SET rol = ? WHERE negocio_id = ? AND admin_id = ?',
+            [rol, negocioId, adminId]
+        );
+        return result.affectedRows > 0;
+    },
+
+    remove: async (negocioId, adminId) => {
+        const [result] = await db.execute(
+            'DELETE FROM miembros_negocio WHERE negocio_id = ? AND admin_id = ?',
+            [negocioId, adminId]
+        );
+        return result.affectedRows > 0;
+    }
+});
@@ -0,0 +1,21 @@
+// src/repositories/mysql/moderaciones.js
+// Historial de decisiones de moderación sobre reseñas
+
+module.exports = (db) => ({
+    create: ({ resena_id, super_admin_id, accion, motivo, estado_anterior, estado_nuevo }) => db.execute(`
+        INSERT INTO moderaciones_resenas (resena_id, super_admin_id, accion, motivo, estado_anterior, estado_nuevo)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [resena_id, super_admin_id, accion, motivo, estado_anterior, estado_nuevo]),
+
+    listByResena: async (resenaId) => {
+        const [rows] = await db.execute(`
+            SELECT m.id, m.accion, m.motivo, m.estado_anterior, m.estado_nuevo, m.fecha,
+                   m.super_admin_id, sa.usuario AS super_admin
+            FROM moderaciones_resenas m
+            LEFT JOIN super_administradores sa ON m.super_admin_id = sa.id
+            WHERE m.resena_id = ?
+            ORDER BY m.fecha DESC
+        `, [resenaId]);
+        return rows;
+    }
+});
@@ -0,0 +1,184 @@
+// src/repositories/mysql/negocios.js
+
+const { accountTable, nullable } = require('./db');
+const { distanceSql } = require('../../utils/geo');
+const { refreshRatings } = require('../../resenas/calificaciones');
+const { ORDENES, parseTerms } = require('../../negocios/busqueda');
+
+const COLUMNAS_LISTADO = `id, nombre, descripcion, direccion, telefono, email, categoria,
+                   latitud, longitud, horario_apertura, horario_cierre, dias_funcionamiento, zona_horaria,
+                   imagen_principal, sitio_web, calificacion_promedio, calificacion_ponderada, total_resenas, estado`;
+
+const CAMPOS_EDITABLES = ['nombre', 'descripcion', 'direccion', 'telefono', 'email', 'categoria', 'latitud', 'longitud',
+    'horario_apertura', 'horario_cierre', 'dias_funcionamiento', 'zona_horaria', 'sitio_web'];
+
+const COLUMNAS_TEXTO = 'nombre, descripcion, direccion';
+
+// Consulta base de la búsqueda, sin ORDER BY ni LIMIT. `extra` es una condición
+// sobre las columnas calculadas ({ sql, params }), como la posición de un cursor.
+const searchQuery = ({ q, categorias = [], calificacionMin, bbox, cerca }, extra = null) => {
+    const select = [COLUMNAS_LISTADO];
+    const selectParams = [];
+    const condiciones = ['fecha_eliminacion IS NULL', "estado = 'activo'"];
+    const params = [];
+    const having = [];
+    const havingParams = [];
+
+    const terminos = parseTerms(q);
+    if (terminos.length > 0) {
+        // Modo booleano: todos los términos, cada uno como prefijo de palabra
+        const busqueda = terminos.map(termino => `+${termino}*`).join(' ');
+        select.push(`MATCH(${COLUMNAS_TEXTO}) AGAINST (? IN BOOLEAN MODE) AS relevancia`);
+        selectParams.push(busqueda);
+        condiciones.push(`MATCH(${COLUMNAS_TEXTO}) AGAINST (? IN BOOLEAN MODE)`);
+        params.push(busqueda);
+    }
+
+    if (cerca) {
+        select.push(`${distanceSql()} AS distancia_km`);
+        selectParams.push(cerca.lat, cerca.lat, cerca.lng);
+    }
+
+    if (categorias.length > 0) {
+        condiciones.push(`categoria IN (${categorias.map(() => '?').join(', ')})`);
+        params.push(...categorias);
+    }
+
+    if (calificacionMin !== undefined) {
+        condiciones.push('calificacion_promedio >= ?');
+        params.push(calificacionMin);
+    }
+
+    for (const box of [bbox, cerca?.box]) {
+        if (box) {
+            // Prefiltro por rectángulo (usa el índice de ubicación)
+            condiciones.push('latitud BETWEEN ? AND ? AND longitud BETWEEN ? AND ?');
+            params.push(box.minLat, box.maxLat, box.minLng, box.maxLng);
+        }
+    }
+
+    if (cerca?.radioKm !== undefined) {
+        having.push('distancia_km <= ?');
+        havingParams.push(cerca.radioKm);
+    }
+
+    if (extra) {
+        having.push(extra.sql);
+        havingParams.push(...extra.params);
+    }
+
+    return {
+        sql: `SELECT ${select.join(', ')} FROM negocios WHERE ${condiciones.join(' AND ')}` +
+            (having.length > 0 ? ` HAVING ${having.join(' AND ')}` : ''),
+        params: [...selectParams, ...params, ...havingParams]
+    };
+};
+
+// Filas posteriores a la posición del cursor: (c1 después de v1) OR (c1 = v1 AND c2 después de v2) ...
+// Una distancia null va al final.
+const cursorCondition = (orden, valores) => {
+    const alternativas = [];
+    const params = [];
+    const iguales = [];
+    const igualesParams = [];
+
+    ORDENES[orden].forEach(([columna, direccion], i) => {
+        const valor = valores[i];
+        if (valor !== null) {
+            const despues = `${columna} ${direccion === 'asc' ? '>' : '<'} ?`;
+            alternativas.push(`(${[...iguales, columna === 'distancia_km' ? `(${despues} OR ${columna} IS NULL)` : despues].join(' AND ')})`);
+            params.push(...igualesParams, valor);
+        }
+        iguales.push(valor === null ? `${columna} IS NULL` : `${columna} = ?`);
+        if (valor !== null) {
+            igualesParams.push(valor);
+        }
+    });
+
+    return { sql: `(${alternativas.join(' OR ') || 'FALSE'})`, params };
+};
+
+module.exports = (db, { calificaciones }) => ({
+    ...accountTable(db, {
+        tabla: 'negocios',
+        columnas: `id, nombre, email, categoria, direccion, calificacion_promedio, total_resenas,
+                   estado, fecha_registro, fecha_eliminacion`,
+        detalle: '*',
+        busqueda: ['nombre', 'email', 'direccion'],
+        orden: 'fecha_registro DESC'
+    }),
+
+    // Búsqueda pública: solo negocios activos. Filtros: `q` (texto libre sobre nombre,
+    // descripción y dirección; añade `relevancia`), `categorias`, `calificacionMin`,
+    // `bbox` ({ minLat, maxLat, minLng, maxLng }) y `cerca` ({ lat, lng, radioKm? },
+    // añade distancia_km). `despues` son los valores de un cursor del mismo orden.
+    // Sin `limite` devuelve todos los resultados.
+    search: async ({ orden = 'calificacion', despues, limite, ...filtros }) => {
+        const { sql, params } = searchQuery(filtros, despues ? cursorCondition(orden, despues) : null);
+        const orderBy = ORDENES[orden].map(([columna, direccion]) =>
+            (columna === 'distancia_km' ? 'distancia_km IS NULL, ' : '') + `${columna} ${direccion.toUpperCase()}`);
+
+        const [rows] = await db.execute(
+            `${sql} ORDER BY ${orderBy.join(', ')}${limite !== undefined ? ' LIMIT ?' : ''}`,
+            limite !== undefined ? [...params, limite] : params
+        );
+        return rows;
+    },
+
+    // Total de resultados de la búsqueda y cuántos hay por categoría; el recuento
+    // por categoría ignora el filtro de categorías para poder ampliarlo
+    searchFacets: async (filtros) => {
+        const conFiltro = searchQuery(filtros);
+        const sinCategorias = searchQuery({ ...filtros, categorias: [] });
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM (${conFiltro.sql}) AS resultados`, conFiltro.params);
+        const [rows] = await db.execute(`
+            SELECT categoria, COUNT(*) AS total FROM (${sinCategorias.sql}) AS resultados
+            GROUP BY categoria
+        `, sinCategorias.params);
+
+        return {
+            total: Number(total),
+            categorias: Object.fromEntries(rows.map(row => [row.categoria, Number(row.total)]))
+        };
+    },
+
+    // Sin reseñas, la calificación ponderada es la media previa
+    create: async (datos) => {
+        const [result] = await db.execute(`
+            INSERT INTO negocios
+            (nombre, descripcion, direccion, telefono, email, categoria, latitud, longitud,
+             horario_apertura, horario_cierre, dias_funcionamiento, sitio_web, calificacion_ponderada, estado)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'activo')
+        `, [
+            ...nullable(['nombre', 'descripcion', 'direccion', 'telefono', 'email', 'categoria', 'latitud', 'longitud',
+                'horario_apertura', 'horario_cierre', 'dias_funcionamiento', 'sitio_web'].map(campo => datos[campo])),
+            calificaciones.mediaPrevia
+        ]);
+        return result.insertId;
+    },
+
+    // Los campos ausentes conservan su valor
+    updateDetails: async (id, datos) => {
+        await db.execute(`
+            UPDATE negocios
+            SET ${CAMPOS_EDITABLES.map(campo => `${campo} = COALESCE(?, ${campo})`).join(', ')}
+            WHERE id = ?
+        `, [...nullable(CAMPOS_EDITABLES.map(campo => datos[campo])), id]);
+    },
+
+    // URL de la portada de la galería, o null si no tiene
+    setImagenPrincipal: (id, url) => db.execute(
+        'UPDATE negocios SET imagen_principal = ? WHERE id = ?',
+        [url, id]
+    ),
+
+    // Columnas que se comparan en la auditoría de cambios
+    getAuditado: (id) => db.first(`SELECT ${CAMPOS_EDITABLES.join(', ')} FROM negocios WHERE id = ?`, [id]),
+
+    // Bloquea la fila hasta el final de la transacción; devuelve su estado o null si no existe
+    lockForUpdate: (id) => db.first('SELECT id, estado, fecha_eliminacion FROM negocios WHERE id = ? FOR UPDATE', [id]),
+
+    // Recalcula los agregados de calificación de un negocio, o de todos con null
+    refreshRatings: (id = null) => refreshRatings(db, id, calificaciones)
+});
@@ -0,0 +1,92 @@
+// src/repositories/mysql/privacidad.js
+// Exportación de los datos de un turista y borrado programado de su cuenta
+
+module.exports = (db) => ({
+    // Reseñas del turista en cualquier estado, con la respuesta del negocio
+    listResenas: async (turistaId) => {
+        const [rows] = await db.execute(`
+            SELECT r.id, r.negocio_id, n.nombre AS nombre_negocio, r.reserva_id, r.calificacion, r.comentario,
+                   r.estado, r.fecha_creacion, r.fecha_edicion, rr.respuesta, rr.fecha_creacion AS fecha_respuesta
+            FROM resenas r
+            INNER JOIN negocios n ON n.id = r.negocio_id
+            LEFT JOIN respuestas_resenas rr ON rr.resena_id = r.id
+            WHERE r.turista_id = ?
+            ORDER BY r.fecha_creacion DESC, r.id DESC
+        `, [turistaId]);
+        return rows;
+    },
+
+    // Reportes de reseñas hechos por el turista
+    listReportes: async (turistaId) => {
+        const [rows] = await db.execute(`
+            SELECT id, resena_id, motivo, comentario, estado, fecha_creacion, fecha_resolucion
+            FROM reportes_resenas
+            WHERE tipo_usuario = 'turista' AND usuario_id = ?
+            ORDER BY fecha_creacion DESC, id DESC
+        `, [turistaId]);
+        return rows;
+    },
+
+    listSesiones: async (turistaId) => {
+        const [rows] = await db.execute(`
+            SELECT id, ip, user_agent, fecha_creacion, ultima_actividad, expira_en, revocada_en, motivo_revocacion
+            FROM sesiones
+            WHERE tipo_usuario = 'turista' AND usuario_id = ?
+            ORDER BY fecha_creacion DESC, id DESC
+        `, [turistaId]);
+        return rows;
+    },
+
+    // Desactiva la cuenta y programa su anonimización; false si no existe, ya
+    // está programada o ya se anonimizó
+    scheduleDeletion: async (turistaId, fecha) => {
+        const [result] = await db.execute(`
+            UPDATE turistas
+            SET fecha_borrado_programado = ?, fecha_eliminacion = COALESCE(fecha_eliminacion, NOW()), estado = 'inactivo'
+            WHERE id = ? AND fecha_borrado_programado IS NULL AND fecha_anonimizacion IS NULL
+        `, [fecha, turistaId]);
+        return result.affectedRows > 0;
+    },
+
+    // Ids de las cuentas cuyo periodo de gracia ya terminó, las más antiguas primero
+    listDue: async (limite) => {
+        const [rows] = await db.execute(`
+            SELECT id FROM turistas
+            WHERE fecha_borrado_programado <= NOW() AND fecha_anonimizacion IS NULL
+            ORDER BY fecha_borrado_programado, id
+            LIMIT ?
+        `, [limite]);
+        return rows.map(row => row.id);
+    },
+
+    // Sustituye los datos personales por un seudónimo y borra lo que solo le
+    // sirve al turista. Las reseñas y reservas se conservan (son del negocio y
+    // de sus calificaciones) pero quedan a nombre del seudónimo. Usar dentro de
+    // una transacción; devuelve false si la cuenta no existe o ya se anonimizó.
+    anonymize: async (turistaId) => {
+        const [result] = await db.execute(`
+            UPDATE turistas
+            SET nombre = 'Turista', apellido = 'anónimo', email = CONCAT('anonimo-', id, '@turistas.invalid'),
+                password_hash = '!', telefono = NULL, fecha_nacimiento = NULL, genero = NULL,
+                pais_origen = NULL, ciudad_origen = NULL, preferencias_turisticas = NULL, idioma = NULL,
+                foto_perfil = NULL, verificado = 0, estado = 'inactivo', ultima_conexion = NULL,
+                fecha_eliminacion = COALESCE(fecha_eliminacion, NOW()), fecha_borrado_programado = NULL,
+                fecha_anonimizacion = NOW()
+            WHERE id = ? AND fecha_anonimizacion IS NULL
+        `, [turistaId]);
+        if (result.affectedRows === 0) {
+            return false;
+        }
+
+        await db.execute('DELETE FROM favoritos WHERE turista_id = ?', [turistaId]);
+        await db.execute('DELETE FROM itinerarios WHERE turista_id = ?', [turistaId]);
+        await db.execute('UPDATE reservas SET notas = NULL WHERE turista_id = ?', [turistaId]);
+        await db.execute(
+            "UPDATE reportes_resenas SET comentario = NULL WHERE tipo_usuario = 'turista' AND usuario_id = ?",
+            [turistaId]
+        );
+        await db.execute("DELETE FROM sesiones WHERE tipo_usuario = 'turista' AND usuario_id = ?", [turistaId]);
+        await db.execute("DELETE FROM tokens_un_uso WHERE tipo_usuario = 'turista' AND usuario_id = ?", [turistaId]);
+        return true;
+    }
+});
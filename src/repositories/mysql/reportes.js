@@ -0,0 +1,26 @@
+// src/repositories/mysql/reportes.js
+// Reportes de reseñas (uno por usuario y reseña)
+
+module.exports = (db) => ({
+    // Lanza DuplicateEntryError si el usuario ya reportó la reseña
+    create: ({ resena_id, tipo_usuario, usuario_id, motivo, comentario }) => db.execute(`
+        INSERT INTO reportes_resenas (resena_id, tipo_usuario, usuario_id, motivo, comentario)
+        VALUES (?, ?, ?, ?, ?)
+    `, [resena_id, tipo_usuario, usuario_id, motivo, comentario ?? null]),
+
+    // Cierra los reportes pendientes de una reseña con el estado indicado
+    resolvePending: (resenaId, estado) => db.execute(`
+        UPDATE reportes_resenas SET estado = ?, fecha_resolucion = NOW()
+        WHERE resena_id = ? AND estado = 'pendiente'
+    `, [estado, resenaId]),
+
+    listByResena: async (resenaId) => {
+        const [rows] = await db.execute(`
+            SELECT id, tipo_usuario, usuario_id, motivo, comentario, estado, fecha_creacion, fecha_resolucion
+            FROM reportes_resenas
+            WHERE resena_id = ?
+            ORDER BY fecha_creacion DESC
+        `, [resenaId]);
+        return rows;
+    }
+});
@@ -0,0 +1,147 @@
+// src/repositories/mysql/resenas.js
+
+const { ORDEN_RESENAS } = require('../../resenas/moderacion');
+
+const orderBy = (orden) => ORDEN_RESENAS[orden]
+    .map(([campo, direccion]) => `r.${campo} ${direccion.toUpperCase()}`)
+    .join(', ');
+
+module.exports = (db) => ({
+    findById: (id) => db.first(
+        'SELECT id, turista_id, negocio_id, calificacion, comentario, estado FROM resenas WHERE id = ?',
+        [id]
+    ),
+
+    // Reseña de un turista sobre un negocio, en cualquier estado
+    findByAuthor: (turistaId, negocioId) => db.first(
+        'SELECT id, estado FROM resenas WHERE turista_id = ? AND negocio_id = ?',
+        [turistaId, negocioId]
+    ),
+
+    // `reserva_id`: reserva completada que respalda la reseña, si la hay
+    create: async ({ turista_id, negocio_id, reserva_id, calificacion, comentario }) => {
+        const [result] = await db.execute(`
+            INSERT INTO resenas (turista_id, negocio_id, reserva_id, calificacion, comentario)
+            VALUES (?, ?, ?, ?, ?)
+        `, [turista_id, negocio_id, reserva_id ?? null, calificacion, comentario ?? null]);
+        return result.insertId;
+    },
+
+    // Vuelve a publicar una reseña borrada por su autor, como si fuera nueva
+    republish: (id, { reserva_id, calificacion, comentario }) => db.execute(`
+        UPDATE resenas
+        SET reserva_id = ?, calificacion = ?, comentario = ?, estado = 'activa', fecha_creacion = NOW(), fecha_edicion = NULL
+        WHERE id = ?
+    `, [reserva_id ?? null, calificacion, comentario ?? null, id]),
+
+    // Los campos ausentes conservan su valor
+    update: (id, { calificacion, comentario }) => db.execute(`
+        UPDATE resenas
+        SET calificacion = COALESCE(?, calificacion), comentario = COALESCE(?, comentario), fecha_edicion = NOW()
+        WHERE id = ?
+    `, [calificacion ?? null, comentario ?? null, id]),
+
+    setEstado: (id, estado) => db.execute('UPDATE resenas SET estado = ? WHERE id = ?', [estado, id]),
+
+    // Reseñas activas de un negocio con el autor, la respuesta del negocio y si respaldan una reserva completada
+    listPublished: async (negocioId, { calificacion, orden = 'recientes', limite, offset }) => {
+        const params = [negocioId];
+        let filtro = "r.negocio_id = ? AND r.estado = 'activa'";
+        if (calificacion !== undefined) {
+            filtro += ' AND r.calificacion = ?';
+            params.push(calificacion);
+        }
+
+        const [rows] = await db.execute(`
+            SELECT r.id, r.calificacion, r.comentario, r.fecha_creacion, r.fecha_edicion,
+                   r.reserva_id IS NOT NULL AS estancia_verificada, t.nombre, t.apellido,
+                   rr.respuesta, rr.fecha_creacion AS fecha_respuesta
+            FROM resenas r
+            INNER JOIN turistas t ON r.turista_id = t.id
+            LEFT JOIN respuestas_resenas rr ON rr.resena_id = r.id
+            WHERE ${filtro}
+            ORDER BY ${orderBy(orden)}
+            LIMIT ? OFFSET ?
+        `, [...params, limite, offset]);
+        return rows;
+    },
+
+    // Reseñas activas por estrellas: { 1: n, ..., 5: n }
+    countByRating: async (negocioId) => {
+        const [conteos] = await db.execute(`
+            SELECT calificacion, COUNT(*) AS total
+            FROM resenas
+            WHERE negocio_id = ? AND estado = 'activa'
+            GROUP BY calificacion
+        `, [negocioId]);
+
+        const desglose = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        for (const { calificacion, total } of conteos) {
+            desglose[calificacion] = total;
+        }
+        return desglose;
+    },
+
+    // Cola de moderación: reseñas con reportes pendientes, las más reportadas primero.
+    // Con `estado` lista las reseñas en ese estado aunque no tengan reportes.
+    moderationQueue: async ({ estado, limite, offset }) => {
+        const params = [];
+
+        let joinReportes = "INNER JOIN reportes_resenas rr ON rr.resena_id = r.id AND rr.estado = 'pendiente'";
+        let filtro = "r.estado <> 'eliminada'";
+        if (estado) {
+            joinReportes = "LEFT JOIN reportes_resenas rr ON rr.resena_id = r.id AND rr.estado = 'pendiente'";
+            filtro = 'r.estado = ?';
+            params.push(estado);
+        }
+
+        const [rows] = await db.execute(`
+            SELECT r.id, r.negocio_id, n.nombre AS nombre_negocio, r.turista_id,
+                   t.nombre, t.apellido, r.calificacion, r.comentario, r.estado, r.fecha_creacion,
+                   COUNT(rr.id) AS reportes_pendientes,
+                   GROUP_CONCAT(DISTINCT rr.motivo) AS motivos,
+                   MIN(rr.fecha_creacion) AS primer_reporte
+            FROM resenas r
+            ${joinReportes}
+            INNER JOIN negocios n ON r.negocio_id = n.id
+            INNER JOIN turistas t ON r.turista_id = t.id
+            WHERE ${filtro}
+            GROUP BY r.id
+            ORDER BY reportes_pendientes DESC, primer_reporte ASC, r.fecha_creacion DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limite, offset]);
+
+        return rows.map(r => ({ ...r, motivos: r.motivos ? r.motivos.split(',') : [] }));
+    },
+
+    // Reseñas de un turista en cualquier estado, con la categoría del negocio
+    listByTurista: async (turistaId) => {
+        const [rows] = await db.execute(`
+            SELECT r.negocio_id, n.categoria, r.calificacion, r.estado
+            FROM resenas r
+            INNER JOIN negocios n ON r.negocio_id = n.id
+            WHERE r.turista_id = ?
+        `, [turistaId]);
+        return rows;
+    },
+
+    // Reseñas activas de los turistas que reseñaron alguno de los mismos negocios que
+    // `turistaId`; como máximo `maxTuristas`, los que más negocios comparten con él
+    coReviewerRatings: async (turistaId, maxTuristas) => {
+        const [rows] = await db.execute(`
+            SELECT r.turista_id, r.negocio_id, r.calificacion
+            FROM resenas r
+            INNER JOIN (
+                SELECT o.turista_id
+                FROM resenas propia
+                INNER JOIN resenas o ON o.negocio_id = propia.negocio_id AND o.turista_id <> propia.turista_id
+                WHERE propia.turista_id = ? AND propia.estado = 'activa' AND o.estado = 'activa'
+                GROUP BY o.turista_id
+                ORDER BY COUNT(*) DESC, o.turista_id
+                LIMIT ?
+            ) vecinos ON vecinos.turista_id = r.turista_id
+            WHERE r.estado = 'activa'
+        `, [turistaId, maxTuristas]);
+        return rows;
+    }
+});
@@ -0,0 +1,163 @@
+// src/repositories/mysql/reservas.js
+// Franjas con cupo (franjas_reserva), reservas (reservas) y lo que ocupa
+// cada reserva en cada franja (reservas_franjas)
+
+const { nullable } = require('./db');
+
+const COLUMNAS = `r.id, r.negocio_id, r.turista_id, r.estado, r.fecha, r.hora, r.fecha_salida, r.personas, r.unidades,
+    r.notas, r.motivo, r.fecha_creacion, r.fecha_actualizacion`;
+
+// Filtros comunes de los listados: estado y rango de fechas (de la reserva o de llegada)
+const filtros = ({ estado, desde, hasta }, condiciones, params) => {
+    if (estado) {
+        condiciones.push('r.estado = ?');
+        params.push(estado);
+    }
+    if (desde) {
+        condiciones.push('r.fecha >= ?');
+        params.push(desde);
+    }
+    if (hasta) {
+        condiciones.push('r.fecha <= ?');
+        params.push(hasta);
+    }
+};
+
+module.exports = (db) => ({
+    // Franjas del negocio entre dos fechas, por fecha y hora
+    listFranjas: async (negocioId, { desde, hasta }) => {
+        const [rows] = await db.execute(`
+            SELECT id, fecha, TIME_FORMAT(hora, '%H:%i') AS hora, capacidad, ocupadas
+            FROM franjas_reserva
+            WHERE negocio_id = ? AND fecha BETWEEN ? AND ?
+            ORDER BY fecha, hora
+        `, [negocioId, desde, hasta]);
+        return rows;
+    },
+
+    // Crea la franja o cambia su capacidad. Devuelve 'creada', 'actualizada' o
+    // 'conflicto' si la nueva capacidad es menor que lo ya reservado. Se debe
+    // llamar dentro de una transacción para que el bloqueo dure hasta el final.
+    upsertFranja: async (negocioId, { fecha, hora, capacidad }) => {
+        const actual = await db.first(
+            'SELECT id, ocupadas FROM franjas_reserva WHERE negocio_id = ? AND fecha = ? AND hora = ? FOR UPDATE',
+            [negocioId, fecha, hora]
+        );
+
+        if (!actual) {
+            await db.execute(
+                'INSERT INTO franjas_reserva (negocio_id, fecha, hora, capacidad) VALUES (?, ?, ?, ?)',
+                [negocioId, fecha, hora, capacidad]
+            );
+            return 'creada';
+        }
+
+        if (actual.ocupadas > capacidad) {
+            return 'conflicto';
+        }
+
+        await db.execute('UPDATE franjas_reserva SET capacidad = ? WHERE id = ?', [capacidad, actual.id]);
+        return 'actualizada';
+    },
+
+    // Ocupa `unidades` de la franja si queda cupo; devuelve el id de la franja o
+    // null si no existe o no alcanza. El UPDATE condicionado es atómico, así que
+    // dos reservas simultáneas no pueden superar la capacidad.
+    occupyFranja: async (negocioId, { fecha, hora }, unidades) => {
+        const [result] = await db.execute(`
+            UPDATE franjas_reserva SET ocupadas = ocupadas + ?
+            WHERE negocio_id = ? AND fecha = ? AND hora = ? AND capacidad - ocupadas >= ?
+        `, [unidades, negocioId, fecha, hora, unidades]);
+
+        if (result.affectedRows === 0) {
+            return null;
+        }
+
+        const franja = await db.first(
+            'SELECT id FROM franjas_reserva WHERE negocio_id = ? AND fecha = ? AND hora = ?',
+            [negocioId, fecha, hora]
+        );
+        return franja.id;
+    },
+
+    // `franjas`: [{ id, unidades }] ya ocupadas con occupyFranja
+    create: async ({ negocio_id, turista_id, fecha, hora, fecha_salida, personas, unidades, notas }, franjas) => {
+        const [result] = await db.execute(`
+            INSERT INTO reservas (negocio_id, turista_id, fecha, hora, fecha_salida, personas, unidades, notas)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [negocio_id, turista_id, ...nullable([fecha, hora, fecha_salida]), personas, unidades, notas ?? null]);
+
+        for (const franja of franjas) {
+            await db.execute(
+                'INSERT INTO reservas_franjas (reserva_id, franja_id, unidades) VALUES (?, ?, ?)',
+                [result.insertId, franja.id, franja.unidades]
+            );
+        }
+        return result.insertId;
+    },
+
+    findById: (id) => db.first(`
+        SELECT ${COLUMNAS}, n.nombre AS nombre_negocio, n.categoria, n.zona_horaria
+        FROM reservas r
+        INNER JOIN negocios n ON n.id = r.negocio_id
+        WHERE r.id = ?
+    `, [id]),
+
+    // Bloquea la reserva hasta el final de la transacción; devuelve su estado actual o null
+    lockForUpdate: (id) => db.first('SELECT id, estado FROM reservas WHERE id = ? FOR UPDATE', [id]),
+
+    // Cambia el estado solo si sigue en `desde`; devuelve si se cambió
+    setEstado: async (id, { desde, hacia, motivo }) => {
+        const [result] = await db.execute(
+            'UPDATE reservas SET estado = ?, motivo = COALESCE(?, motivo) WHERE id = ? AND estado = ?',
+            [hacia, motivo ?? null, id, desde]
+        );
+        return result.affectedRows > 0;
+    },
+
+    // Devuelve a las franjas el cupo que ocupaba la reserva
+    releaseFranjas: async (reservaId) => {
+        await db.execute(`
+            UPDATE franjas_reserva f
+            INNER JOIN reservas_franjas rf ON rf.franja_id = f.id
+            SET f.ocupadas = GREATEST(f.ocupadas - rf.unidades, 0)
+            WHERE rf.reserva_id = ?
+        `, [reservaId]);
+        await db.execute('DELETE FROM reservas_franjas WHERE reserva_id = ?', [reservaId]);
+    },
+
+    // Reservas del turista, las próximas primero
+    listByTurista: async (turistaId, opciones = {}) => {
+        const condiciones = ['r.turista_id = ?'];
+        const params = [turistaId];
+        filtros(opciones, condiciones, params);
+
+        const [rows] = await db.execute(`
+            SELECT ${COLUMNAS}, n.nombre AS nombre_negocio, n.categoria, n.direccion, n.telefono
+            FROM reservas r
+            INNER JOIN negocios n ON n.id = r.negocio_id
+            WHERE ${condiciones.join(' AND ')}
+            ORDER BY r.fecha DESC, r.hora DESC, r.id DESC
+        `, params);
+        return rows;
+    },
+
+    // Reservas del negocio por fecha, con los datos de contacto del turista
+    listByNegocio: async (negocioId, opciones, { limite, offset }) => {
+        const condiciones = ['r.negocio_id = ?'];
+        const params = [negocioId];
+        filtros(opciones, condiciones, params);
+        const where = condiciones.join(' AND ');
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM reservas r WHERE ${where}`, params);
+        const [rows] = await db.execute(`
+            SELECT ${COLUMNAS}, t.nombre, t.apellido, t.email, t.telefono
+            FROM reservas r
+            INNER JOIN turistas t ON t.id = r.turista_id
+            WHERE ${where}
+            ORDER BY r.fecha, r.hora, r.id
+            LIMIT ? OFFSET ?
+        `, [...params, limite, offset]);
+        return { rows, total };
+    }
+});
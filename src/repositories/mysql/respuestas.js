@@ -0,0 +1,28 @@
+// src/repositories/mysql/respuestas.js
+// Respuestas públicas de los negocios a las reseñas (una por reseña)
+
+module.exports = (db) => ({
+    findByResena: (resenaId) => db.first(
+        'SELECT respuesta, admin_id FROM respuestas_resenas WHERE resena_id = ?',
+        [resenaId]
+    ),
+
+    // Lanza DuplicateEntryError si la reseña ya tiene respuesta
+    create: ({ resena_id, admin_id, respuesta }) => db.execute(
+        'INSERT INTO respuestas_resenas (resena_id, admin_id, respuesta) VALUES (?, ?, ?)',
+        [resena_id, admin_id, respuesta]
+    ),
+
+    update: async (resenaId, { admin_id, respuesta }) => {
+        const [result] = await db.execute(
+            'UPDATE respuestas_resenas SET respuesta = ?, admin_id = ? WHERE resena_id = ?',
+            [respuesta, admin_id, resenaId]
+        );
+        return result.affectedRows > 0;
+    },
+
+    deleteByResena: async (resenaId) => {
+        const [result] = await db.execute('DELETE FROM respuestas_resenas WHERE resena_id = ?', [resenaId]);
+        return result.affectedRows > 0;
+    }
+});
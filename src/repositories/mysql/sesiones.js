@@ -0,0 +1,57 @@
+// src/repositories/mysql/sesiones.js
+// Sesiones de login y sus refresh tokens (tokens_refresco)
+
+module.exports = (db) => ({
+    create: async ({ tipo_usuario, usuario_id, ip, user_agent, ttlDias }) => {
+        const [result] = await db.execute(`
+            INSERT INTO sesiones (tipo_usuario, usuario_id, ip, user_agent, ultima_actividad, expira_en)
+            VALUES (?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))
+        `, [tipo_usuario, usuario_id, ip ?? null, user_agent ?? null, ttlDias]);
+        return result.insertId;
+    },
+
+    findById: (id) => db.first('SELECT tipo_usuario, usuario_id, revocada_en FROM sesiones WHERE id = ?', [id]),
+
+    touch: (id) => db.execute('UPDATE sesiones SET ultima_actividad = NOW() WHERE id = ?', [id]),
+
+    // Devuelve si la sesión estaba activa
+    revoke: async (id, motivo) => {
+        const [result] = await db.execute(
+            'UPDATE sesiones SET revocada_en = NOW(), motivo_revocacion = ? WHERE id = ? AND revocada_en IS NULL',
+            [motivo, id]
+        );
+        return result.affectedRows > 0;
+    },
+
+    // Devuelve el número de sesiones revocadas
+    revokeAll: async (tipo, usuarioId, motivo) => {
+        const [result] = await db.execute(`
+            UPDATE sesiones SET revocada_en = NOW(), motivo_revocacion = ?
+            WHERE tipo_usuario = ? AND usuario_id = ? AND revocada_en IS NULL
+        `, [motivo, tipo, usuarioId]);
+        return result.affectedRows;
+    },
+
+    addRefreshToken: (sesionId, tokenHash) => db.execute(
+        'INSERT INTO tokens_refresco (sesion_id, token_hash) VALUES (?, ?)',
+        [sesionId, tokenHash]
+    ),
+
+    // Refresh token con los datos de su sesión
+    findRefreshToken: (tokenHash) => db.first(`
+        SELECT rt.id, rt.usado_en, s.id AS sesion_id, s.tipo_usuario, s.usuario_id,
+               s.revocada_en, s.expira_en < NOW() AS expirada
+        FROM tokens_refresco rt
+        INNER JOIN sesiones s ON rt.sesion_id = s.id
+        WHERE rt.token_hash = ?
+    `, [tokenHash]),
+
+    // Marca el refresh token como usado de forma atómica; false si ya lo estaba
+    markRefreshTokenUsed: async (id) => {
+        const [result] = await db.execute(
+            'UPDATE tokens_refresco SET usado_en = NOW() WHERE id = ? AND usado_en IS NULL',
+            [id]
+        );
+        return result.affectedRows > 0;
+    }
+});
@@ -0,0 +1,16 @@
+// src/repositories/mysql/superAdministradores.js
+
+module.exports = (db) => ({
+    findActiveByUsuario: (usuario) => db.first(`
+        SELECT id, usuario, nombre, email, password_hash, nivel_acceso, permisos
+        FROM super_administradores WHERE usuario = ? AND estado = 'activo'
+    `, [usuario]),
+
+    // Datos mínimos para validar sesiones
+    findAccount: (id) => db.first(
+        'SELECT id, usuario, nivel_acceso, permisos, estado FROM super_administradores WHERE id = ?',
+        [id]
+    ),
+
+    touchLastLogin: (id) => db.execute('UPDATE super_administradores SET ultima_conexion = NOW() WHERE id = ?', [id])
+});
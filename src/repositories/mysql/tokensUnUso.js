@@ -0,0 +1,23 @@
+// src/repositories/mysql/tokensUnUso.js
+// Registro de los tokens de un solo uso enviados por correo
+
+module.exports = (db) => ({
+    create: ({ jti, tipo_usuario, usuario_id, proposito, ttlSegundos }) => db.execute(`
+        INSERT INTO tokens_un_uso (jti, tipo_usuario, usuario_id, proposito, expira_en)
+        VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+    `, [jti, tipo_usuario, usuario_id, proposito, ttlSegundos]),
+
+    // Marca el token como usado si sigue vigente; devuelve false si no existe, expiró o ya se usó
+    consume: async (jti, proposito) => {
+        const [result] = await db.execute(`
+            UPDATE tokens_un_uso SET usado_en = NOW()
+            WHERE jti = ? AND proposito = ? AND usado_en IS NULL AND expira_en > NOW()
+        `, [jti, proposito]);
+        return result.affectedRows > 0;
+    },
+
+    invalidateAll: (tipo, usuarioId, proposito) => db.execute(`
+        UPDATE tokens_un_uso SET usado_en = NOW()
+        WHERE tipo_usuario = ? AND usuario_id = ? AND proposito = ? AND usado_en IS NULL
+    `, [tipo, usuarioId, proposito])
+});
@@ -0,0 +1,72 @@
+// src/repositories/mysql/turistas.js
+
+const { accountTable, nullable } = require('./db');
+
+const PERFIL = `id, nombre, apellido, email, telefono, fecha_nacimiento, genero,
+               pais_origen, ciudad_origen, preferencias_turisticas, idioma, foto_perfil,
+               verificado, fecha_registro`;
+
+module.exports = (db) => ({
+    ...accountTable(db, {
+        tabla: 'turistas',
+        columnas: `id, nombre, apellido, email, telefono, pais_origen, ciudad_origen, verificado,
+                   estado, fecha_registro, ultima_conexion, fecha_eliminacion, fecha_borrado_programado, fecha_anonimizacion`,
+        busqueda: ['nombre', 'apellido', 'email'],
+        orden: 'fecha_registro DESC'
+    }),
+
+    // Restaurar cancela el borrado programado; las cuentas anonimizadas no se pueden restaurar
+    restore: async (id) => {
+        const [result] = await db.execute(`
+            UPDATE turistas SET fecha_eliminacion = NULL, estado = 'activo', fecha_borrado_programado = NULL
+            WHERE id = ? AND fecha_eliminacion IS NOT NULL AND fecha_anonimizacion IS NULL
+        `, [id]);
+        return result.affectedRows > 0;
+    },
+
+    findByEmail: (email) => db.first(
+        'SELECT id, nombre, apellido, email, password_hash, verificado, estado FROM turistas WHERE email = ?',
+        [email]
+    ),
+
+    // Datos mínimos para validar sesiones y elegir el idioma de las respuestas
+    findAccount: (id) => db.first('SELECT id, email, verificado, estado, idioma FROM turistas WHERE id = ?', [id]),
+
+    // Para pedir la contraseña de nuevo antes de una acción irreversible
+    getPasswordHash: async (id) => (await db.first('SELECT password_hash FROM turistas WHERE id = ?', [id]))?.password_hash ?? null,
+
+    getProfile: (id) => db.first(`SELECT ${PERFIL} FROM turistas WHERE id = ?`, [id]),
+
+    create: async ({ nombre, apellido, email, password_hash, telefono, pais_origen, ciudad_origen, idioma }) => {
+        const [result] = await db.execute(`
+            INSERT INTO turistas (nombre, apellido, email, password_hash, telefono, pais_origen, ciudad_origen, idioma)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, nullable([nombre, apellido, email, password_hash, telefono, pais_origen, ciudad_origen, idioma]));
+        return result.insertId;
+    },
+
+    // Los campos ausentes conservan su valor
+    updateProfile: async (id, { nombre, apellido, telefono, fecha_nacimiento, genero, pais_origen, ciudad_origen, preferencias_turisticas, idioma }) => {
+        await db.execute(`
+            UPDATE turistas
+            SET nombre = COALESCE(?, nombre), apellido = COALESCE(?, apellido),
+                telefono = COALESCE(?, telefono), fecha_nacimiento = COALESCE(?, fecha_nacimiento),
+                genero = COALESCE(?, genero), pais_origen = COALESCE(?, pais_origen),
+                ciudad_origen = COALESCE(?, ciudad_origen), preferencias_turisticas = COALESCE(?, preferencias_turisticas),
+                idioma = COALESCE(?, idioma)
+            WHERE id = ?
+        `, [...nullable([nombre, apellido, telefono, fecha_nacimiento, genero, pais_origen, ciudad_origen, preferencias_turisticas, idioma]), id]);
+    },
+
+    setFotoPerfil: (id, url) => db.execute('UPDATE turistas SET foto_perfil = ? WHERE id = ?', [url, id]),
+
+    touchLastLogin: (id) => db.execute('UPDATE turistas SET ultima_conexion = NOW() WHERE id = ?', [id]),
+
+    markVerified: (id) => db.execute('UPDATE turistas SET verificado = 1 WHERE id = ?', [id]),
+
+    // Abrir el enlace de recuperación demuestra la propiedad del email, así que también lo verifica
+    resetPassword: (id, passwordHash) => db.execute(
+        'UPDATE turistas SET password_hash = ?, verificado = 1 WHERE id = ?',
+        [passwordHash, id]
+    )
+});
@@ -0,0 +1,61 @@
+// src/repositories/mysql/webhooks.js
+// Webhooks registrados (webhooks); el secreto solo se devuelve con findById
+
+const COLUMNAS = 'id, negocio_id, url, eventos, descripcion, activo, creado_por_tipo, creado_por_id, fecha_creacion, fecha_actualizacion';
+
+module.exports = (db) => ({
+    // Con negocioIds, solo los de esos negocios; sin ellos, todos (también los de la plataforma)
+    list: async ({ negocioIds } = {}) => {
+        if (negocioIds?.length === 0) {
+            return [];
+        }
+        const [rows] = negocioIds === undefined
+            ? await db.execute(`SELECT ${COLUMNAS} FROM webhooks ORDER BY id`)
+            : await db.query(`SELECT ${COLUMNAS} FROM webhooks WHERE negocio_id IN (?) ORDER BY id`, [negocioIds]);
+        return rows;
+    },
+
+    countByNegocio: async (negocioId) => {
+        const [[{ total }]] = negocioId === null
+            ? await db.execute('SELECT COUNT(*) AS total FROM webhooks WHERE negocio_id IS NULL')
+            : await db.execute('SELECT COUNT(*) AS total FROM webhooks WHERE negocio_id = ?', [negocioId]);
+        return total;
+    },
+
+    findById: (id) => db.first(`SELECT ${COLUMNAS}, secreto FROM webhooks WHERE id = ?`, [id]),
+
+    // Webhooks activos suscritos a `evento`: los del negocio y los de la plataforma
+    listSubscribed: async (evento, negocioId) => {
+        const [rows] = await db.execute(`
+            SELECT id, negocio_id FROM webhooks
+            WHERE activo = 1 AND JSON_CONTAINS(eventos, JSON_QUOTE(?)) AND (negocio_id IS NULL OR negocio_id = ?)
+        `, [evento, negocioId ?? null]);
+        return rows;
+    },
+
+    create: async ({ negocio_id, url, secreto, eventos, descripcion, creado_por_tipo, creado_por_id }) => {
+        const [result] = await db.execute(`
+            INSERT INTO webhooks (negocio_id, url, secreto, eventos, descripcion, creado_por_tipo, creado_por_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [negocio_id ?? null, url, secreto, JSON.stringify(eventos), descripcion ?? null, creado_por_tipo, creado_por_id]);
+        return result.insertId;
+    },
+
+    // Solo los campos presentes: url, eventos, descripcion, activo o secreto
+    update: async (id, campos) => {
+        const columnas = Object.keys(campos);
+        if (columnas.length === 0) {
+            return;
+        }
+        await db.execute(
+            `UPDATE webhooks SET ${columnas.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...columnas.map(c => (c === 'eventos' ? JSON.stringify(campos[c]) : campos[c] ?? null)), id]
+        );
+    },
+
+    // Borra también sus entregas (ON DELETE CASCADE)
+    delete: async (id) => {
+        const [result] = await db.execute('DELETE FROM webhooks WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+});
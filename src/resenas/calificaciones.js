@@ -0,0 +1,60 @@
+// src/resenas/calificaciones.js
+// Mantiene calificacion_promedio, total_resenas y calificacion_ponderada de
+// negocios sincronizados con las reseñas activas.
+//
+// calificacion_ponderada es un promedio bayesiano: parte de una media previa
+// con un peso equivalente a N reseñas, de modo que un negocio con una sola
+// reseña de 5 estrellas no supera a uno con cientos de reseñas de 4.7.
+// El listado de negocios ordena por esta columna.
+//
+// La media y el peso previos salen de config.calificaciones
+// (CALIFICACION_MEDIA_PREVIA y CALIFICACION_PESO_PREVIO) y llegan a los
+// repositorios al crearlos.
+
+// Valores por defecto de config.calificaciones
+const PRIOR_POR_DEFECTO = Object.freeze({ mediaPrevia: 3.5, pesoPrevio: 5 });
+
+// Misma fórmula que el UPDATE de refreshRatings, para los repositorios en memoria
+const weightedRating = (total, promedio, { mediaPrevia, pesoPrevio }) =>
+    (pesoPrevio * mediaPrevia + total * promedio) / (pesoPrevio + total);
+
+// Recalcula los agregados de un negocio, o de todos si negocioId es null
+const refreshRatings = async (connection, negocioId, { mediaPrevia, pesoPrevio }) => {
+    const filtroResenas = negocioId === null ? '' : 'AND negocio_id = ?';
+    const filtroNegocios = negocioId === null ? '' : 'WHERE n.id = ?';
+    const ids = negocioId === null ? [] : [negocioId];
+
+    const [result] = await connection.query(`
+        UPDATE negocios n
+        LEFT JOIN (
+            SELECT negocio_id, COUNT(*) AS total, AVG(calificacion) AS promedio
+            FROM resenas
+            WHERE estado = 'activa' ${filtroResenas}
+            GROUP BY negocio_id
+        ) r ON r.negocio_id = n.id
+        SET n.total_resenas = COALESCE(r.total, 0),
+            n.calificacion_promedio = COALESCE(r.promedio, 0),
+            n.calificacion_ponderada = (? * ? + COALESCE(r.total, 0) * COALESCE(r.promedio, 0)) / (? + COALESCE(r.total, 0))
+        ${filtroNegocios}
+    `, [...ids, pesoPrevio, mediaPrevia, pesoPrevio, ...ids]);
+
+    return result.affectedRows;
+};
+
+// Ejecuta `fn(repos)` en una transacción que bloquea la fila del negocio
+// y recalcula sus agregados antes de confirmar. El bloqueo serializa las
+// escrituras de reseñas de un mismo negocio para que el conteo no se pierda.
+// Devuelve undefined sin ejecutar `fn` si el negocio no existe o, con
+// `soloActivo` (reseñas nuevas), si está eliminado o no está activo.
+const withReviewTransaction = (repositories, negocioId, fn, { soloActivo = false } = {}) => repositories.transaction(async (repos) => {
+    const negocio = await repos.negocios.lockForUpdate(negocioId);
+    if (!negocio || (soloActivo && (negocio.estado !== 'activo' || negocio.fecha_eliminacion !== null))) {
+        return undefined;
+    }
+
+    const result = await fn(repos);
+    await repos.negocios.refreshRatings(negocioId);
+    return result;
+});
+
+module.exports = { PRIOR_POR_DEFECTO, refreshRatings, weightedRating, withReviewTransaction };
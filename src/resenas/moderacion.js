@@ -0,0 +1,21 @@
+// src/resenas/moderacion.js
+// Transiciones de estado de las reseñas durante la moderación
+
+// Por cada acción: estados de origen permitidos, estado resultante y cómo quedan los reportes pendientes
+const ACCIONES_MODERACION = {
+    ocultar: { desde: ['activa'], hacia: 'oculta', reportes: 'resuelto' },
+    rechazar: { desde: ['activa', 'oculta'], hacia: 'rechazada', reportes: 'resuelto' },
+    restaurar: { desde: ['activa', 'oculta', 'rechazada'], hacia: 'activa', reportes: 'descartado' }
+};
+
+const MOTIVOS_REPORTE = ['spam', 'ofensivo', 'falso', 'conflicto_interes', 'otro'];
+
+// Criterios de orden aceptados por el listado público de reseñas: [columna, dirección]
+const ORDEN_RESENAS = {
+    recientes: [['fecha_creacion', 'desc']],
+    antiguas: [['fecha_creacion', 'asc']],
+    mejor_calificadas: [['calificacion', 'desc'], ['fecha_creacion', 'desc']],
+    peor_calificadas: [['calificacion', 'asc'], ['fecha_creacion', 'desc']]
+};
+
+module.exports = { ACCIONES_MODERACION, MOTIVOS_REPORTE, ORDEN_RESENAS };
@@ -0,0 +1,118 @@
+// src/reservas/index.js
+// Reservas en hoteles y restaurantes: modos de reserva, franjas que ocupa cada
+// reserva y transiciones de estado
+//
+// Los restaurantes reservan una franja horaria (capacidad en comensales) y los
+// hoteles una franja por noche, de la llegada a la noche anterior a la salida
+// (capacidad en habitaciones). Las fechas y horas son locales del negocio.
+
+const horarios = require('../utils/horarios');
+const { MensajeError, mensaje } = require('../i18n');
+
+// Categoría del negocio → modo de reserva. Las demás categorías no admiten reservas.
+const MODOS_RESERVA = { restaurante: 'mesa', hotel: 'noche' };
+
+// Hora de las franjas de hotel, que representan la noche completa
+const HORA_NOCHE = '00:00';
+
+const MAX_PERSONAS = 50;
+const MAX_NOCHES = 30;
+const MAX_DIAS_DISPONIBILIDAD = 366;
+
+const ESTADOS_RESERVA = ['pendiente', 'confirmada', 'rechazada', 'cancelada', 'completada', 'no_presentado'];
+
+// Por cada acción: estados de origen, estado resultante, quién puede aplicarla y
+// cuándo. `libera` devuelve el cupo a las franjas. `antesDelInicio` solo aplica
+// a los turistas: el negocio puede cancelar en cualquier momento.
+const ACCIONES_RESERVA = {
+    confirmar: { desde: ['pendiente'], hacia: 'confirmada', actores: ['admin_negocio'] },
+    rechazar: { desde: ['pendiente'], hacia: 'rechazada', actores: ['admin_negocio'], libera: true },
+    cancelar: { desde: ['pendiente', 'confirmada'], hacia: 'cancelada', actores: ['turista', 'admin_negocio'], libera: true, antesDelInicio: true },
+    completar: { desde: ['confirmada'], hacia: 'completada', actores: ['admin_negocio'], despuesDelInicio: true },
+    no_presentado: { desde: ['confirmada'], hacia: 'no_presentado', actores: ['admin_negocio'], despuesDelInicio: true }
+};
+
+// No hay cupo en alguna de las franjas; se lanza dentro de la transacción para deshacerla
+class SinDisponibilidadError extends MensajeError {
+    constructor() {
+        super('SIN_DISPONIBILIDAD');
+        this.name = 'SinDisponibilidadError';
+    }
+}
+
+const modoReserva = (negocio) => MODOS_RESERVA[negocio.categoria] || null;
+
+// Fecha y hora local del negocio ahora mismo
+const ahoraLocal = (negocio, ahora = new Date()) => {
+    const { fecha, minutos } = horarios.getZonedParts(ahora, negocio.zona_horaria || horarios.ZONA_HORARIA_POR_DEFECTO);
+    return { fecha, hora: horarios.formatTime(minutos) };
+};
+
+// Si la reserva ya empezó: restaurantes a su hora, hoteles desde el día de llegada
+const haEmpezado = (reserva, negocio, ahora = new Date()) => {
+    const local = ahoraLocal(negocio, ahora);
+    const fecha = horarios.formatDateValue(reserva.fecha);
+    const hora = reserva.hora ? String(reserva.hora).slice(0, 5) : HORA_NOCHE;
+    return `${fecha} ${hora}` <= `${local.fecha} ${local.hora}`;
+};
+
+// Comprueba una acción sobre la reserva; devuelve el mensaje() del error o null
+const checkAction = (accion, reserva, negocio, tipoActor, ahora = new Date()) => {
+    const transicion = ACCIONES_RESERVA[accion];
+
+    if (!transicion.actores.includes(tipoActor)) {
+        return mensaje('RESERVA_ACCION_NO_PERMITIDA', { accion });
+    }
+    if (!transicion.desde.includes(reserva.estado)) {
+        return mensaje('RESERVA_ESTADO_INVALIDO', { accion, estado: reserva.estado });
+    }
+    if (transicion.antesDelInicio && tipoActor === 'turista' && haEmpezado(reserva, negocio, ahora)) {
+        return mensaje('RESERVA_YA_EMPEZADA');
+    }
+    if (transicion.despuesDelInicio && !haEmpezado(reserva, negocio, ahora)) {
+        return mensaje('RESERVA_NO_EMPEZADA');
+    }
+    return null;
+};
+
+// Franjas (fecha y hora) que ocupa una reserva
+const franjasDeReserva = (modo, { fecha, hora, fecha_salida }) => {
+    if (modo === 'mesa') {
+        return [{ fecha, hora }];
+    }
+
+    const noches = [];
+    for (let noche = fecha; noche < fecha_salida; noche = horarios.addDays(noche, 1)) {
+        noches.push({ fecha: noche, hora: HORA_NOCHE });
+    }
+    return noches;
+};
+
+// Fechas de un rango (incluidos ambos extremos), opcionalmente solo ciertos días de la semana
+const fechasDelRango = (desde, hasta, diasSemana = null) => {
+    const fechas = [];
+    for (let fecha = desde; fecha <= hasta; fecha = horarios.addDays(fecha, 1)) {
+        const dia = horarios.DIAS[new Date(`${fecha}T00:00:00Z`).getUTCDay()];
+        if (!diasSemana || diasSemana.includes(dia)) {
+            fechas.push(fecha);
+        }
+    }
+    return fechas;
+};
+
+module.exports = {
+    MODOS_RESERVA,
+    HORA_NOCHE,
+    MAX_PERSONAS,
+    MAX_NOCHES,
+    MAX_DIAS_DISPONIBILIDAD,
+    ESTADOS_RESERVA,
+    ACCIONES_RESERVA,
+    SinDisponibilidadError,
+    modoReserva,
+    ahoraLocal,
+    haEmpezado,
+    checkAction,
+    franjasDeReserva,
+    fechasDelRango
+};
@@ -0,0 +1,524 @@
+// src/routes/admin.js
+// Administración de cuentas, permisos, moderación y auditoría
+
+const bcrypt = require('bcryptjs');
+const { body, query } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+const { CATALOGO_PERMISOS, PERMISOS_ADMIN_NEGOCIO, ROLES_NEGOCIO, parsePermisos } = require('../auth/permisos');
+const { LOGIN_TABLES } = require('../auth/loginAttempts');
+const { withReviewTransaction } = require('../resenas/calificaciones');
+const { ACCIONES_MODERACION } = require('../resenas/moderacion');
+const { CATEGORIAS_NEGOCIO } = require('../negocios/busqueda');
+const { DuplicateEntryError, InvalidReferenceError } = require('../repositories/errors');
+
+// Configuración de cada entidad administrable. `tipoSesion` indica qué sesiones se
+// revocan al suspenderla o eliminarla; los administradores de un negocio inactivo
+// pierden el acceso a él porque requireNegocioPermission solo admite negocios activos.
+// Los administradores se filtran por negocio_id entre los miembros de ese negocio.
+const ENTIDADES_ADMIN = {
+    turistas: {
+        repositorio: 'turistas',
+        tabla: 'turistas',
+        tipoSesion: 'turista',
+        filtros: [],
+        editables: ['nombre', 'apellido', 'email', 'telefono', 'pais_origen', 'ciudad_origen'],
+        noEncontrado: 'TURISTA_NO_ENCONTRADO'
+    },
+    administradores: {
+        repositorio: 'administradores',
+        tabla: 'administradores_negocios',
+        tipoSesion: 'admin_negocio',
+        filtros: ['negocio_id'],
+        editables: ['nombre', 'apellido', 'email', 'telefono', 'cargo'],
+        noEncontrado: 'ADMINISTRADOR_NO_ENCONTRADO'
+    },
+    negocios: {
+        repositorio: 'negocios',
+        tabla: 'negocios',
+        tipoSesion: null,
+        filtros: ['categoria'],
+        noEncontrado: 'NEGOCIO_NO_ENCONTRADO'
+    }
+};
+
+const ESTADOS_CUENTA = ['activo', 'inactivo', 'suspendido'];
+
+const listValidation = [
+    query('estado').optional().isIn(ESTADOS_CUENTA).withMessage('VALOR_INVALIDO'),
+    query('eliminados').optional().isIn(['excluir', 'incluir', 'solo']).withMessage(mensaje('CAMPO_VALORES', { valores: ['excluir', 'incluir', 'solo'] })),
+    query('q').optional().isLength({ max: 100 }),
+    query('negocio_id').optional().isInt({ min: 1 }),
+    query('categoria').optional().isIn(CATEGORIAS_NEGOCIO),
+    query('pagina').optional().isInt({ min: 1 }),
+    query('limite').optional().isInt({ min: 1, max: 100 })
+];
+
+const estadoValidation = [body('estado').isIn(ESTADOS_CUENTA).withMessage(mensaje('CAMPO_VALORES', { valores: ESTADOS_CUENTA }))];
+const contactoValidation = [
+    body('nombre').optional().isLength({ min: 2 }),
+    body('apellido').optional().isLength({ min: 2 }),
+    body('email').optional().isEmail().withMessage('EMAIL_INVALIDO'),
+    body('telefono').optional().isLength({ min: 10 })
+];
+
+// Validación de una lista de permisos asignables a un administrador de negocio
+const permisosValidation = (optional = false) => {
+    const lista = body('permisos');
+    return [
+        (optional ? lista.optional() : lista).isArray().withMessage('CAMPO_LISTA'),
+        body('permisos.*').isIn(PERMISOS_ADMIN_NEGOCIO)
+            .withMessage(mensaje('CAMPO_VALORES', { valores: PERMISOS_ADMIN_NEGOCIO }))
+    ];
+};
+
+module.exports = (app, { repositories, sessions, auditLog, webhooks, emails, loginAttempts, verifyToken, requirePermission }) => {
+    // ===================== RUTAS DE ADMINISTRACIÓN =====================
+
+    // ----- Administración de cuentas (turistas, administradores de negocio y negocios) -----
+
+    const listEntities = (entidad) => async (req, res) => {
+        try {
+            const { estado, q, eliminados = 'excluir', pagina = 1, limite = 20 } = req.query;
+            const filtros = Object.fromEntries(entidad.filtros
+                .filter(filtro => req.query[filtro] !== undefined)
+                .map(filtro => [filtro, req.query[filtro]]));
+
+            const { rows, total } = await repositories[entidad.repositorio].list(
+                { estado, q, eliminados, filtros },
+                { limite: parseInt(limite), offset: (parseInt(pagina) - 1) * parseInt(limite) }
+            );
+
+            res.json({
+                success: true,
+                data: rows,
+                meta: {
+                    total,
+                    pagina: parseInt(pagina),
+                    limite: parseInt(limite),
+                    total_paginas: Math.ceil(total / parseInt(limite))
+                }
+            });
+        } catch (error) {
+            req.log.error(`Error al listar ${entidad.tabla}`, error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const updateEntity = (entidad) => async (req, res) => {
+        try {
+            const repo = repositories[entidad.repositorio];
+            const campos = entidad.editables.filter(campo => req.body[campo] !== undefined);
+
+            if (campos.length === 0) {
+                return res.status(400).json({ success: false, ...req.msg('SIN_CAMPOS_PARA_ACTUALIZAR') });
+            }
+
+            const anterior = await repo.findById(req.params.id);
+            const cambios = Object.fromEntries(campos.map(campo => [campo, req.body[campo]]));
+
+            // Un email nuevo debe volver a verificarse
+            const actualizado = await repo.update(req.params.id, {
+                ...cambios,
+                ...(campos.includes('email') ? { verificado: 0 } : {})
+            });
+
+            if (!actualizado) {
+                return res.status(404).json({ success: false, ...req.msg(entidad.noEncontrado) });
+            }
+
+            await auditLog.fromRequest(req, {
+                accion: 'cuenta.actualizar',
+                entidad: entidad.tabla,
+                entidad_id: req.params.id,
+                antes: anterior && Object.fromEntries(campos.map(campo => [campo, anterior[campo]])),
+                despues: cambios
+            });
+
+            res.json({ success: true, ...req.msg('CUENTA_ACTUALIZADA') });
+        } catch (error) {
+            if (error instanceof DuplicateEntryError) {
+                return res.status(400).json({ success: false, ...req.msg('EMAIL_REGISTRADO') });
+            }
+            req.log.error(`Error al actualizar ${entidad.tabla}`, error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const changeEntityState = (entidad) => async (req, res) => {
+        try {
+            const repo = repositories[entidad.repositorio];
+            const { estado } = req.body;
+
+            const anterior = await repo.findById(req.params.id);
+
+            if (!(await repo.setEstado(req.params.id, estado))) {
+                return res.status(404).json({ success: false, ...req.msg(entidad.noEncontrado) });
+            }
+
+            await auditLog.fromRequest(req, {
+                accion: 'cuenta.cambiar_estado',
+                entidad: entidad.tabla,
+                entidad_id: req.params.id,
+                antes: anterior && { estado: anterior.estado },
+                despues: { estado }
+            });
+
+            if (estado !== 'activo' && entidad.tipoSesion) {
+                await sessions.revokeAllSessions(entidad.tipoSesion, req.params.id, `cuenta_${estado}`);
+            }
+
+            res.json({ success: true, ...req.msg('ESTADO_ACTUALIZADO'), data: { estado } });
+        } catch (error) {
+            req.log.error(`Error al cambiar estado en ${entidad.tabla}`, error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    // Borrado lógico: la fila se conserva y se puede restaurar
+    const softDeleteEntity = (entidad) => async (req, res) => {
+        try {
+            if (!(await repositories[entidad.repositorio].softDelete(req.params.id))) {
+                return res.status(404).json({ success: false, ...req.msg(entidad.noEncontrado) });
+            }
+
+            await auditLog.fromRequest(req, { accion: 'cuenta.eliminar', entidad: entidad.tabla, entidad_id: req.params.id });
+
+            if (entidad.tipoSesion) {
+                await sessions.revokeAllSessions(entidad.tipoSesion, req.params.id, 'cuenta_eliminada');
+            }
+
+            res.json({ success: true, ...req.msg('CUENTA_ELIMINADA') });
+        } catch (error) {
+            req.log.error(`Error al eliminar en ${entidad.tabla}`, error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const restoreEntity = (entidad) => async (req, res) => {
+        try {
+            if (!(await repositories[entidad.repositorio].restore(req.params.id))) {
+                return res.status(404).json({ success: false, ...req.msg('ELIMINADO_NO_ENCONTRADO', { detalle: req.t(entidad.noEncontrado) }) });
+            }
+
+            await auditLog.fromRequest(req, { accion: 'cuenta.restaurar', entidad: entidad.tabla, entidad_id: req.params.id });
+
+            res.json({ success: true, ...req.msg('CUENTA_RESTAURADA') });
+        } catch (error) {
+            req.log.error(`Error al restaurar en ${entidad.tabla}`, error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const adminCuentas = [verifyToken(['super_admin']), requirePermission('cuentas.administrar')];
+
+    app.get('/api/admin/turistas', adminCuentas, listValidation, validateRequest, listEntities(ENTIDADES_ADMIN.turistas));
+    app.put('/api/admin/turistas/:id', adminCuentas, contactoValidation, validateRequest, updateEntity(ENTIDADES_ADMIN.turistas));
+    app.patch('/api/admin/turistas/:id/estado', adminCuentas, estadoValidation, validateRequest, changeEntityState(ENTIDADES_ADMIN.turistas));
+    app.delete('/api/admin/turistas/:id', adminCuentas, softDeleteEntity(ENTIDADES_ADMIN.turistas));
+    app.post('/api/admin/turistas/:id/restaurar', adminCuentas, restoreEntity(ENTIDADES_ADMIN.turistas));
+
+    app.get('/api/admin/administradores-negocio', adminCuentas, listValidation, validateRequest, listEntities(ENTIDADES_ADMIN.administradores));
+    app.put('/api/admin/administradores-negocio/:id', adminCuentas, contactoValidation, validateRequest, updateEntity(ENTIDADES_ADMIN.administradores));
+    app.patch('/api/admin/administradores-negocio/:id/estado', adminCuentas, estadoValidation, validateRequest, changeEntityState(ENTIDADES_ADMIN.administradores));
+    app.delete('/api/admin/administradores-negocio/:id', adminCuentas, softDeleteEntity(ENTIDADES_ADMIN.administradores));
+    app.post('/api/admin/administradores-negocio/:id/restaurar', adminCuentas, restoreEntity(ENTIDADES_ADMIN.administradores));
+
+    // Los datos del negocio se editan con PUT /api/negocios/:id
+    app.get('/api/admin/negocios', adminCuentas, listValidation, validateRequest, listEntities(ENTIDADES_ADMIN.negocios));
+    app.patch('/api/admin/negocios/:id/estado', adminCuentas, estadoValidation, validateRequest, changeEntityState(ENTIDADES_ADMIN.negocios));
+    app.delete('/api/admin/negocios/:id', adminCuentas, softDeleteEntity(ENTIDADES_ADMIN.negocios));
+    app.post('/api/admin/negocios/:id/restaurar', adminCuentas, restoreEntity(ENTIDADES_ADMIN.negocios));
+
+    // Levantar el bloqueo de login de una cuenta (identificador: email o usuario del super admin)
+    app.post('/api/admin/bloqueos-login/desbloquear', adminCuentas, [
+        body('tipo').isIn(Object.keys(LOGIN_TABLES)).withMessage(mensaje('CAMPO_VALORES', { valores: Object.keys(LOGIN_TABLES) })),
+        body('identificador', 'CAMPO_REQUERIDO').isString().trim().notEmpty()
+    ], validateRequest, async (req, res) => {
+        try {
+            const { tipo, identificador } = req.body;
+            const estabaBloqueada = await loginAttempts.unlock(tipo, identificador);
+
+            if (!estabaBloqueada) {
+                return res.status(404).json({ success: false, ...req.msg('CUENTA_NO_BLOQUEADA') });
+            }
+
+            await auditLog.fromRequest(req, {
+                accion: 'auth.desbloqueo',
+                entidad: LOGIN_TABLES[tipo],
+                metadatos: { tipo, identificador, motivo: 'manual' }
+            });
+
+            res.json({ success: true, ...req.msg('CUENTA_DESBLOQUEADA') });
+        } catch (error) {
+            req.log.error('Error al desbloquear cuenta', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Catálogo de permisos asignables a administradores de negocio (super admin)
+    app.get('/api/admin/permisos', verifyToken(['super_admin']), requirePermission('permisos.asignar'), (req, res) => {
+        res.json({
+            success: true,
+            data: PERMISOS_ADMIN_NEGOCIO.map(permiso => ({ permiso, descripcion: CATALOGO_PERMISOS[permiso] }))
+        });
+    });
+
+    // Asignar permisos a un administrador de negocio (reemplaza los anteriores)
+    app.put('/api/admin/administradores-negocio/:id/permisos', verifyToken(['super_admin']), requirePermission('permisos.asignar'), [
+        ...permisosValidation()
+    ], validateRequest, async (req, res) => {
+        try {
+            const permisos = [...new Set(req.body.permisos)];
+
+            const anterior = await repositories.administradores.findById(req.params.id, { incluirEliminados: true });
+
+            if (!(await repositories.administradores.setPermisos(req.params.id, permisos))) {
+                return res.status(404).json({ success: false, ...req.msg('ADMINISTRADOR_NO_ENCONTRADO') });
+            }
+
+            await auditLog.fromRequest(req, {
+                accion: 'admin_negocio.asignar_permisos',
+                entidad: 'administradores_negocios',
+                entidad_id: req.params.id,
+                antes: { permisos: parsePermisos(anterior?.permisos) },
+                despues: { permisos }
+            });
+
+            res.json({ success: true, ...req.msg('PERMISOS_ACTUALIZADOS'), data: { permisos } });
+        } catch (error) {
+            req.log.error('Error al asignar permisos', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Crear administrador de negocio (solo super admin). Queda como miembro de
+    // negocio_id con `rol` (propietario por defecto); otros negocios lo añaden
+    // después con POST /api/negocios/:id/miembros.
+    app.post('/api/admin/crear-admin-negocio', verifyToken(['super_admin']), requirePermission('admins.crear'), [
+        body('negocio_id').isInt({ min: 1 }),
+        body('rol').optional().isIn(Object.keys(ROLES_NEGOCIO))
+            .withMessage(mensaje('CAMPO_VALORES', { valores: Object.keys(ROLES_NEGOCIO) })),
+        body('nombre').isLength({ min: 2 }),
+        body('apellido').isLength({ min: 2 }),
+        body('email').isEmail(),
+        body('password').isLength({ min: 6 }),
+        ...permisosValidation(true)
+    ], validateRequest, async (req, res) => {
+        try {
+            const { negocio_id, rol = 'propietario', nombre, apellido, email, password, telefono, cargo, permisos } = req.body;
+
+            if (permisos !== undefined && !req.user.permisos.includes('permisos.asignar')) {
+                return res.status(403).json({ success: false, ...req.msg('PERMISO_REQUERIDO', { permisos: ['permisos.asignar'] }) });
+            }
+
+            // Verificar si el email ya existe
+            if (await repositories.administradores.findByEmail(email)) {
+                return res.status(400).json({ success: false, ...req.msg('EMAIL_REGISTRADO') });
+            }
+
+            const hashedPassword = await bcrypt.hash(password, 10);
+
+            const id = await repositories.transaction(async (repos) => {
+                const adminId = await repos.administradores.create({
+                    nombre,
+                    apellido,
+                    email,
+                    password_hash: hashedPassword,
+                    telefono,
+                    cargo,
+                    permisos: permisos === undefined ? null : [...new Set(permisos)]
+                });
+                await repos.miembrosNegocio.add({ negocio_id, admin_id: adminId, rol });
+
+                await auditLog.fromRequest(req, {
+                    accion: 'admin_negocio.crear',
+                    entidad: 'administradores_negocios',
+                    entidad_id: adminId,
+                    despues: { negocio_id, rol, nombre, apellido, email, telefono, cargo, permisos: permisos ?? null }
+                }, repos);
+                await webhooks.fromRequest(req, 'admin.creado', {
+                    negocio_id,
+                    datos: { administrador: { id: adminId, nombre, apellido, email, telefono: telefono ?? null, cargo: cargo ?? null, rol } }
+                }, repos);
+
+                return adminId;
+            });
+
+            try {
+                await emails.sendVerification('admin_negocio', { id, nombre, email });
+            } catch (mailError) {
+                req.log.error('Error al enviar correo de verificación', mailError);
+            }
+
+            res.status(201).json({
+                success: true,
+                ...req.msg('ADMINISTRADOR_CREADO'),
+                data: { id }
+            });
+        } catch (error) {
+            if (error instanceof DuplicateEntryError) {
+                return res.status(400).json({ success: false, ...req.msg('EMAIL_REGISTRADO') });
+            }
+            if (error instanceof InvalidReferenceError) {
+                return res.status(400).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+            req.log.error('Error al crear admin negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Recalcular los agregados de calificación de todos los negocios (super admin)
+    app.post('/api/admin/calificaciones/recalcular', verifyToken(['super_admin']), requirePermission('calificaciones.recalcular'), async (req, res) => {
+        try {
+            const total = await repositories.negocios.refreshRatings();
+            await auditLog.fromRequest(req, {
+                accion: 'calificaciones.recalcular',
+                entidad: 'negocios',
+                metadatos: { negocios_actualizados: total }
+            });
+            res.json({ success: true, ...req.msg('CALIFICACIONES_RECALCULADAS'), data: { negocios_actualizados: total } });
+        } catch (error) {
+            req.log.error('Error al recalcular calificaciones', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Cola de moderación: reseñas con reportes pendientes, las más reportadas primero.
+    // Con `estado` lista las reseñas en ese estado aunque no tengan reportes (p. ej. estado=oculta).
+    app.get('/api/admin/moderacion/resenas', verifyToken(['super_admin']), requirePermission('resenas.moderar'), [
+        query('estado').optional().isIn(['activa', 'oculta', 'rechazada']).withMessage('VALOR_INVALIDO'),
+        query('pagina').optional().isInt({ min: 1 }),
+        query('limite').optional().isInt({ min: 1, max: 100 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const { estado, pagina = 1, limite = 20 } = req.query;
+
+            const resenas = await repositories.resenas.moderationQueue({
+                estado,
+                limite: parseInt(limite),
+                offset: (parseInt(pagina) - 1) * parseInt(limite)
+            });
+
+            res.json({ success: true, data: resenas });
+        } catch (error) {
+            req.log.error('Error al obtener cola de moderación', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Moderar una reseña: ocultar, rechazar o restaurar, siempre con un motivo
+    app.post('/api/admin/moderacion/resenas/:id', verifyToken(['super_admin']), requirePermission('resenas.moderar'), [
+        body('accion').isIn(Object.keys(ACCIONES_MODERACION)).withMessage(mensaje('CAMPO_VALORES', { valores: Object.keys(ACCIONES_MODERACION) })),
+        body('motivo').trim().isLength({ min: 3, max: 500 }).withMessage(mensaje('CAMPO_LONGITUD', { min: 3, max: 500 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const { accion, motivo } = req.body;
+            const transicion = ACCIONES_MODERACION[accion];
+            const resena = await repositories.resenas.findById(req.params.id);
+
+            if (!resena || resena.estado === 'eliminada') {
+                return res.status(404).json({ success: false, ...req.msg('RESENA_NO_ENCONTRADA') });
+            }
+
+            // El estado se vuelve a leer dentro de la transacción, con el negocio bloqueado
+            const result = await withReviewTransaction(repositories, resena.negocio_id, async (repos) => {
+                const actual = await repos.resenas.findById(resena.id);
+
+                if (!transicion.desde.includes(actual.estado)) {
+                    return { error: mensaje('RESENA_ACCION_NO_PERMITIDA', { accion, estado: actual.estado }) };
+                }
+
+                await repos.resenas.setEstado(resena.id, transicion.hacia);
+                await repos.moderaciones.create({
+                    resena_id: resena.id,
+                    super_admin_id: req.user.id,
+                    accion,
+                    motivo,
+                    estado_anterior: actual.estado,
+                    estado_nuevo: transicion.hacia
+                });
+                await repos.reportes.resolvePending(resena.id, transicion.reportes);
+
+                await auditLog.fromRequest(req, {
+                    accion: 'resena.moderar',
+                    entidad: 'resenas',
+                    entidad_id: resena.id,
+                    antes: { estado: actual.estado },
+                    despues: { estado: transicion.hacia },
+                    metadatos: { accion, motivo }
+                }, repos);
+
+                return { estado_anterior: actual.estado, estado: transicion.hacia };
+            });
+
+            if (!result) {
+                return res.status(404).json({ success: false, ...req.msg('RESENA_NO_ENCONTRADA') });
+            }
+
+            if (result.error) {
+                return res.status(400).json({ success: false, ...req.msg(result.error) });
+            }
+
+            res.json({ success: true, ...req.msg('RESENA_MODERADA'), data: result });
+        } catch (error) {
+            req.log.error('Error al moderar reseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Historial de moderación y reportes de una reseña
+    app.get('/api/admin/moderacion/resenas/:id/historial', verifyToken(['super_admin']), requirePermission('resenas.moderar'), async (req, res) => {
+        try {
+            const moderaciones = await repositories.moderaciones.listByResena(req.params.id);
+            const reportes = await repositories.reportes.listByResena(req.params.id);
+
+            res.json({ success: true, data: { moderaciones, reportes } });
+        } catch (error) {
+            req.log.error('Error al obtener historial de moderación', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Consultar el registro de auditoría (super admin), de lo más reciente a lo más antiguo
+    // `accion` admite un prefijo terminado en punto, p. ej. accion=resena. para todas las de reseñas
+    app.get('/api/admin/auditoria', verifyToken(['super_admin']), requirePermission('auditoria.ver'), [
+        query('actor_tipo').optional().isIn(['turista', 'admin_negocio', 'super_admin', 'sistema', 'anonimo']).withMessage('VALOR_INVALIDO'),
+        query('actor_id').optional().isInt({ min: 1 }),
+        query('accion').optional().isLength({ max: 64 }),
+        query('entidad').optional().isLength({ max: 64 }),
+        query('entidad_id').optional().isLength({ max: 64 }),
+        query('desde').optional().isISO8601().withMessage('CAMPO_FECHA_ISO'),
+        query('hasta').optional().isISO8601().withMessage('CAMPO_FECHA_ISO'),
+        query('pagina').optional().isInt({ min: 1 }),
+        query('limite').optional().isInt({ min: 1, max: 100 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const { actor_tipo, actor_id, accion, entidad, entidad_id, desde, hasta, pagina = 1, limite = 50 } = req.query;
+
+            const { rows, total } = await repositories.auditoria.list({
+                actor_tipo,
+                actor_id,
+                accion,
+                entidad,
+                entidad_id,
+                desde: desde ? new Date(desde) : undefined,
+                hasta: hasta ? new Date(hasta) : undefined
+            }, { limite: parseInt(limite), offset: (parseInt(pagina) - 1) * parseInt(limite) });
+
+            res.json({
+                success: true,
+                data: rows,
+                meta: {
+                    total,
+                    pagina: parseInt(pagina),
+                    limite: parseInt(limite),
+                    total_paginas: Math.ceil(total / parseInt(limite))
+                }
+            });
+        } catch (error) {
+            req.log.error('Error al consultar auditoría', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
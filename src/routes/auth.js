@@ -0,0 +1,393 @@
+// src/routes/auth.js
+// Login, sesiones, registro, verificación de email y recuperación de contraseña
+
+const bcrypt = require('bcryptjs');
+const { body } = require('express-validator');
+const { IDIOMAS, mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+const { CATALOGO_PERMISOS, resolvePermisos, resolvePermisosNegocio } = require('../auth/permisos');
+
+// Cuentas que pueden verificar su email y recuperar la contraseña
+const EMAIL_ACCOUNTS = {
+    turista: { tabla: 'turistas', repositorio: 'turistas' },
+    admin_negocio: { tabla: 'administradores_negocios', repositorio: 'administradores' }
+};
+
+const getClientInfo = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+module.exports = (app, { repositories, sessions, auditLog, actionTokens, emails, loginAttempts, limites, verifyToken, negociosDelAdmin }) => {
+    const { turistas, administradores, miembrosNegocio, superAdministradores } = repositories;
+
+    // ===================== RUTAS DE AUTENTICACIÓN =====================
+
+    // Login Turistas
+    app.post('/api/auth/turista/login', limites.loginIp, [
+        body('email').isEmail().withMessage('EMAIL_INVALIDO'),
+        body('password').isLength({ min: 6 }).withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 6 }))
+    ], validateRequest, loginAttempts.rejectLocked('turista', 'email'), async (req, res) => {
+        try {
+            const { email, password } = req.body;
+            
+            const user = await turistas.findByEmail(email);
+
+            if (!user) {
+                await loginAttempts.record(req, 'turista', { identificador: email, motivo: 'cuenta_inexistente' });
+                return res.status(401).json({ success: false, ...req.msg('CREDENCIALES_INVALIDAS') });
+            }
+            
+            if (user.estado !== 'activo') {
+                await loginAttempts.record(req, 'turista', { cuenta: user, identificador: email, motivo: 'cuenta_inactiva' });
+                return res.status(401).json({ success: false, ...req.msg('CUENTA_INACTIVA') });
+            }
+
+            const isValidPassword = await bcrypt.compare(password, user.password_hash);
+            if (!isValidPassword) {
+                await loginAttempts.record(req, 'turista', { cuenta: user, identificador: email, motivo: 'password_incorrecta' });
+                return res.status(401).json({ success: false, ...req.msg('CREDENCIALES_INVALIDAS') });
+            }
+
+            const session = await sessions.createSession('turista', user, getClientInfo(req));
+
+            // Actualizar última conexión
+            await turistas.touchLastLogin(user.id);
+            await loginAttempts.record(req, 'turista', { cuenta: user, identificador: email });
+
+            res.json({
+                success: true,
+                ...req.msg('LOGIN_EXITOSO'),
+                data: {
+                    ...session,
+                    user: {
+                        id: user.id,
+                        nombre: user.nombre,
+                        apellido: user.apellido,
+                        email: user.email
+                    }
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Error en login turista', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Login Administradores de Negocio
+    app.post('/api/auth/admin/login', limites.loginIp, [
+        body('email').isEmail().withMessage('EMAIL_INVALIDO'),
+        body('password').isLength({ min: 6 }).withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 6 }))
+    ], validateRequest, loginAttempts.rejectLocked('admin_negocio', 'email'), async (req, res) => {
+        try {
+            const { email, password } = req.body;
+            
+            const user = await administradores.findByEmail(email);
+
+            if (!user) {
+                await loginAttempts.record(req, 'admin_negocio', { identificador: email, motivo: 'cuenta_inexistente' });
+                return res.status(401).json({ success: false, ...req.msg('CREDENCIALES_INVALIDAS') });
+            }
+            
+            // Un administrador sin ningún negocio activo no tiene nada que gestionar
+            const negocios = user.estado === 'activo' ? await miembrosNegocio.listByAdmin(user.id) : [];
+            if (negocios.length === 0) {
+                await loginAttempts.record(req, 'admin_negocio', { cuenta: user, identificador: email, motivo: 'cuenta_inactiva' });
+                return res.status(401).json({ success: false, ...req.msg('CUENTA_INACTIVA') });
+            }
+
+            const isValidPassword = await bcrypt.compare(password, user.password_hash);
+            if (!isValidPassword) {
+                await loginAttempts.record(req, 'admin_negocio', { cuenta: user, identificador: email, motivo: 'password_incorrecta' });
+                return res.status(401).json({ success: false, ...req.msg('CREDENCIALES_INVALIDAS') });
+            }
+
+            const session = await sessions.createSession('admin_negocio', user, getClientInfo(req));
+
+            await administradores.touchLastLogin(user.id);
+            await loginAttempts.record(req, 'admin_negocio', { cuenta: user, identificador: email });
+
+            const permisos = resolvePermisos('admin_negocio', user);
+
+            res.json({
+                success: true,
+                ...req.msg('LOGIN_EXITOSO'),
+                data: {
+                    ...session,
+                    user: {
+                        id: user.id,
+                        nombre: user.nombre,
+                        apellido: user.apellido,
+                        email: user.email,
+                        permisos,
+                        negocios: negocios.map(negocio => ({ ...negocio, permisos: resolvePermisosNegocio(negocio.rol, permisos) }))
+                    }
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Error en login admin', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Login Super Administrador
+    app.post('/api/auth/super-admin/login', limites.loginIp, [
+        body('usuario').isLength({ min: 3 }).withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 3 })),
+        body('password').isLength({ min: 6 }).withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 6 }))
+    ], validateRequest, loginAttempts.rejectLocked('super_admin', 'usuario'), async (req, res) => {
+        try {
+            const { usuario, password } = req.body;
+            
+            const user = await superAdministradores.findActiveByUsuario(usuario);
+
+            if (!user) {
+                await loginAttempts.record(req, 'super_admin', { identificador: usuario, motivo: 'cuenta_inexistente_o_inactiva' });
+                return res.status(401).json({ success: false, ...req.msg('CREDENCIALES_INVALIDAS') });
+            }
+            
+            const isValidPassword = await bcrypt.compare(password, user.password_hash);
+            if (!isValidPassword) {
+                await loginAttempts.record(req, 'super_admin', { cuenta: user, identificador: usuario, motivo: 'password_incorrecta' });
+                return res.status(401).json({ success: false, ...req.msg('CREDENCIALES_INVALIDAS') });
+            }
+
+            const session = await sessions.createSession('super_admin', user, getClientInfo(req));
+
+            await superAdministradores.touchLastLogin(user.id);
+            await loginAttempts.record(req, 'super_admin', { cuenta: user, identificador: usuario });
+
+            res.json({
+                success: true,
+                ...req.msg('LOGIN_EXITOSO'),
+                data: {
+                    ...session,
+                    user: {
+                        id: user.id,
+                        usuario: user.usuario,
+                        nombre: user.nombre,
+                        email: user.email,
+                        nivel_acceso: user.nivel_acceso,
+                        permisos: resolvePermisos('super_admin', user)
+                    }
+                }
+            });
+
+        } catch (error) {
+            req.log.error('Error en login super admin', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Renovar access token con un refresh token (rotativo, de un solo uso)
+    app.post('/api/auth/refresh', [
+        body('refresh_token', 'CAMPO_REQUERIDO').isString().notEmpty()
+    ], validateRequest, async (req, res) => {
+        try {
+            const session = await sessions.refreshSession(req.body.refresh_token);
+
+            if (!session) {
+                return res.status(401).json({ success: false, ...req.msg('REFRESH_TOKEN_INVALIDO') });
+            }
+
+            res.json({ success: true, ...req.msg('TOKEN_RENOVADO'), data: session });
+        } catch (error) {
+            req.log.error('Error al renovar token', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Cerrar la sesión actual
+    app.post('/api/auth/logout', verifyToken(), async (req, res) => {
+        try {
+            await sessions.revokeSession(req.user.sid, 'logout');
+            await auditLog.fromRequest(req, { accion: 'auth.logout', entidad: 'sesiones', entidad_id: req.user.sid });
+            res.json({ success: true, ...req.msg('SESION_CERRADA') });
+        } catch (error) {
+            req.log.error('Error en logout', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Cerrar todas las sesiones del usuario
+    app.post('/api/auth/logout-all', verifyToken(), async (req, res) => {
+        try {
+            const total = await sessions.revokeAllSessions(req.user.tipo, req.user.id, 'logout_global');
+            await auditLog.fromRequest(req, { accion: 'auth.logout_global', entidad: 'sesiones', metadatos: { sesiones_cerradas: total } });
+            res.json({ success: true, ...req.msg('SESIONES_CERRADAS'), data: { sesiones_cerradas: total } });
+        } catch (error) {
+            req.log.error('Error en logout global', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Permisos efectivos del usuario autenticado, para que los clientes oculten acciones no disponibles.
+    // Los administradores de negocio reciben además sus negocios con el rol y los permisos en cada uno.
+    app.get('/api/auth/permisos', verifyToken(), async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                data: {
+                    tipo: req.user.tipo,
+                    nivel_acceso: req.user.nivel_acceso ?? null,
+                    permisos: req.user.permisos.map(permiso => ({ permiso, descripcion: CATALOGO_PERMISOS[permiso] })),
+                    ...(req.user.tipo === 'admin_negocio' ? { negocios: await negociosDelAdmin(req) } : {})
+                }
+            });
+        } catch (error) {
+            req.log.error('Error al obtener permisos', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Registro de Turista
+    app.post('/api/auth/turista/register', limites.registroIp, [
+        body('nombre').isLength({ min: 2 }).withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 2 })),
+        body('apellido').isLength({ min: 2 }).withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 2 })),
+        body('email').isEmail().withMessage('EMAIL_INVALIDO'),
+        body('password').isLength({ min: 6 }).withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 6 })),
+        body('idioma').optional().isIn(IDIOMAS).withMessage(mensaje('CAMPO_VALORES', { valores: IDIOMAS }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const { nombre, apellido, email, password, telefono, pais_origen, ciudad_origen, idioma } = req.body;
+            
+            // Verificar si el email ya existe
+            if (await turistas.findByEmail(email)) {
+                return res.status(400).json({ success: false, ...req.msg('EMAIL_REGISTRADO') });
+            }
+
+            const hashedPassword = await bcrypt.hash(password, 10);
+            
+            const id = await turistas.create({
+                nombre, apellido, email, password_hash: hashedPassword, telefono, pais_origen, ciudad_origen, idioma
+            });
+
+            await auditLog.fromRequest(req, {
+                actor: { tipo: 'turista', id },
+                accion: 'auth.registro',
+                entidad: 'turistas',
+                entidad_id: id,
+                despues: { nombre, apellido, email, telefono, pais_origen, ciudad_origen, idioma }
+            });
+
+            // Un fallo en el correo no debe impedir el registro; se puede reenviar después
+            try {
+                await emails.sendVerification('turista', { id, nombre, email });
+            } catch (mailError) {
+                req.log.error('Error al enviar correo de verificación', mailError);
+            }
+
+            res.status(201).json({
+                success: true,
+                ...req.msg('TURISTA_REGISTRADO'),
+                data: { id }
+            });
+
+        } catch (error) {
+            req.log.error('Error en registro turista', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== VERIFICACIÓN DE EMAIL Y RECUPERACIÓN =====================
+
+    // Las solicitudes responden igual exista o no la cuenta, para no revelar qué emails están registrados
+    const resendVerification = (tipo) => async (req, res) => {
+        try {
+            const account = await repositories[EMAIL_ACCOUNTS[tipo].repositorio].findByEmail(req.body.email);
+
+            if (account && account.estado === 'activo' && !account.verificado) {
+                await emails.sendVerification(tipo, account);
+            }
+
+            res.json({ success: true, ...req.msg('VERIFICACION_REENVIADA') });
+        } catch (error) {
+            req.log.error('Error al reenviar verificación', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const requestPasswordReset = (tipo) => async (req, res) => {
+        try {
+            const account = await repositories[EMAIL_ACCOUNTS[tipo].repositorio].findByEmail(req.body.email);
+
+            if (account && account.estado === 'activo') {
+                await emails.sendPasswordReset(tipo, account);
+                await auditLog.fromRequest(req, {
+                    accion: 'auth.solicitar_recuperacion',
+                    entidad: EMAIL_ACCOUNTS[tipo].tabla,
+                    entidad_id: account.id
+                });
+            }
+
+            res.json({ success: true, ...req.msg('RECUPERACION_ENVIADA') });
+        } catch (error) {
+            req.log.error('Error al solicitar recuperación', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const emailValidation = [body('email').isEmail().withMessage('EMAIL_INVALIDO')];
+
+    app.post('/api/auth/turista/reenviar-verificacion', limites.correosIp, emailValidation, validateRequest, resendVerification('turista'));
+    app.post('/api/auth/admin/reenviar-verificacion', limites.correosIp, emailValidation, validateRequest, resendVerification('admin_negocio'));
+    app.post('/api/auth/turista/recuperar-password', limites.correosIp, emailValidation, validateRequest, requestPasswordReset('turista'));
+    app.post('/api/auth/admin/recuperar-password', limites.correosIp, emailValidation, validateRequest, requestPasswordReset('admin_negocio'));
+
+    // Confirmar email con el token recibido por correo
+    app.post('/api/auth/verificar-email', [
+        body('token', 'CAMPO_REQUERIDO').isString().notEmpty()
+    ], validateRequest, async (req, res) => {
+        try {
+            const result = await actionTokens.consume(req.body.token, 'verificar_email');
+
+            if (!result) {
+                return res.status(400).json({ success: false, ...req.msg('TOKEN_INVALIDO_O_EXPIRADO') });
+            }
+
+            const cuenta = EMAIL_ACCOUNTS[result.tipo];
+            await repositories[cuenta.repositorio].markVerified(result.usuarioId);
+            await auditLog.fromRequest(req, {
+                actor: { tipo: result.tipo, id: result.usuarioId },
+                accion: 'auth.verificar_email',
+                entidad: cuenta.tabla,
+                entidad_id: result.usuarioId
+            });
+
+            res.json({ success: true, ...req.msg('EMAIL_VERIFICADO') });
+        } catch (error) {
+            req.log.error('Error al verificar email', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Establecer una nueva contraseña con el token recibido por correo
+    app.post('/api/auth/restablecer-password', [
+        body('token', 'CAMPO_REQUERIDO').isString().notEmpty(),
+        body('password').isLength({ min: 6 }).withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 6 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const result = await actionTokens.consume(req.body.token, 'restablecer_password');
+
+            if (!result) {
+                return res.status(400).json({ success: false, ...req.msg('TOKEN_INVALIDO_O_EXPIRADO') });
+            }
+
+            const cuenta = EMAIL_ACCOUNTS[result.tipo];
+            const hashedPassword = await bcrypt.hash(req.body.password, 10);
+
+            await repositories[cuenta.repositorio].resetPassword(result.usuarioId, hashedPassword);
+            await actionTokens.invalidateAll(result.tipo, result.usuarioId, 'restablecer_password');
+            await sessions.revokeAllSessions(result.tipo, result.usuarioId, 'cambio_password');
+            await auditLog.fromRequest(req, {
+                actor: { tipo: result.tipo, id: result.usuarioId },
+                accion: 'auth.restablecer_password',
+                entidad: cuenta.tabla,
+                entidad_id: result.usuarioId
+            });
+
+            res.json({ success: true, ...req.msg('PASSWORD_RESTABLECIDA') });
+        } catch (error) {
+            req.log.error('Error al restablecer contraseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
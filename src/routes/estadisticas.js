@@ -0,0 +1,354 @@
+// src/routes/estadisticas.js
+// Estadísticas del negocio (admin_negocio) y de la plataforma (super admin)
+//
+// Los reportes aceptan un rango de fechas (desde, hasta; por defecto los
+// últimos 30 días) y `formato=csv` para descargarlos como archivo. Los del
+// negocio se piden con `negocio_id`; sin él suman todos los negocios donde el
+// administrador puede ver estadísticas.
+
+const { query } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+const { toCsv } = require('../utils/csv');
+const { CATEGORIAS_NEGOCIO } = require('../negocios/busqueda');
+const {
+    INTERVALOS,
+    resolveRange,
+    buildSeries,
+    distributionRows,
+    countryRows,
+    promedio
+} = require('../estadisticas');
+
+const COLUMNAS = {
+    resenas: [
+        { clave: 'periodo', titulo: 'Periodo' },
+        { clave: 'resenas', titulo: 'Reseñas' },
+        { clave: 'calificacion_promedio', titulo: 'Calificación promedio' },
+        { clave: 'resenas_acumuladas', titulo: 'Reseñas acumuladas' },
+        { clave: 'calificacion_promedio_acumulada', titulo: 'Calificación promedio acumulada' }
+    ],
+    calificaciones: [
+        { clave: 'estrellas', titulo: 'Estrellas' },
+        { clave: 'resenas', titulo: 'Reseñas' },
+        { clave: 'porcentaje', titulo: 'Porcentaje' }
+    ],
+    paises: [
+        { clave: 'pais', titulo: 'País' },
+        { clave: 'resenas', titulo: 'Reseñas' },
+        { clave: 'turistas', titulo: 'Turistas' },
+        { clave: 'porcentaje', titulo: 'Porcentaje de reseñas' }
+    ],
+    comparacion: [
+        { clave: 'metrica', titulo: 'Métrica' },
+        { clave: 'negocio', titulo: 'Negocio' },
+        { clave: 'categoria', titulo: 'Promedio de la categoría' },
+        { clave: 'diferencia', titulo: 'Diferencia' }
+    ],
+    categorias: [
+        { clave: 'categoria', titulo: 'Categoría' },
+        { clave: 'negocios', titulo: 'Negocios activos' },
+        { clave: 'resenas', titulo: 'Reseñas' },
+        { clave: 'calificacion_promedio', titulo: 'Calificación promedio' }
+    ],
+    cohortes: [
+        { clave: 'cohorte', titulo: 'Mes de registro' },
+        { clave: 'turistas', titulo: 'Turistas' },
+        { clave: 'con_resenas', titulo: 'Turistas con reseñas' },
+        { clave: 'porcentaje_con_resenas', titulo: 'Porcentaje con reseñas' },
+        { clave: 'resenas', titulo: 'Reseñas' },
+        { clave: 'resenas_por_turista', titulo: 'Reseñas por turista' }
+    ]
+};
+
+const rangoValidation = [
+    query('desde').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('CAMPO_FECHA'),
+    query('hasta').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('CAMPO_FECHA'),
+    query('formato').optional().isIn(['json', 'csv']).withMessage('VALOR_INVALIDO')
+];
+const intervaloValidation = query('intervalo').optional().isIn(INTERVALOS).withMessage(mensaje('CAMPO_VALORES', { valores: INTERVALOS }));
+const categoriaValidation = query('categoria').optional().isIn(CATEGORIAS_NEGOCIO);
+
+const redondear = (valor) => (valor === null ? null : Math.round(valor * 100) / 100);
+const diferencia = (a, b) => (a === null || b === null ? null : redondear(a - b));
+
+// Responde el reporte en JSON o, con formato=csv, como archivo adjunto con las `filas`
+const sendReport = (req, res, { nombre, rango, filas, data = filas, meta = {} }) => {
+    if (req.query.formato === 'csv') {
+        res.set('Content-Disposition', `attachment; filename="${nombre}_${rango.desde}_${rango.hasta}.csv"`);
+        return res.type('text/csv; charset=utf-8').send(toCsv(COLUMNAS[nombre], filas));
+    }
+    res.json({ success: true, data, meta: { desde: rango.desde, hasta: rango.hasta, ...meta } });
+};
+
+module.exports = (app, { repositories, verifyToken, requirePermission, requireNegocioPermission }) => {
+    const { estadisticas } = repositories;
+
+    // Lee el rango de la petición; si es inválido responde 400 y devuelve null
+    const readRange = (req, res, opciones) => {
+        const rango = resolveRange(req.query, opciones);
+        if (rango.error) {
+            res.status(400).json({ success: false, ...req.msg(rango.error) });
+            return null;
+        }
+        return rango;
+    };
+
+    // Reportes de reseñas comunes al negocio y a la plataforma; `filtrosDe(req)`
+    // acota las reseñas (negocio o categoría)
+    const resenasReport = (filtrosDe, mensajeError) => async (req, res) => {
+        try {
+            const rango = readRange(req, res);
+            if (!rango) {
+                return;
+            }
+            const intervalo = req.query.intervalo || 'dia';
+            const filtros = filtrosDe(req);
+
+            const [dias, previo] = await Promise.all([
+                estadisticas.resenasPorDia({ ...filtros, ...rango }),
+                estadisticas.resumenResenas({ ...filtros, antesDe: rango.desde })
+            ]);
+            const serie = buildSeries(dias, { ...rango, intervalo, previo });
+            const resenas = dias.reduce((sum, dia) => sum + dia.resenas, 0);
+            const suma = dias.reduce((sum, dia) => sum + dia.suma, 0);
+
+            sendReport(req, res, {
+                nombre: 'resenas',
+                rango,
+                filas: serie,
+                data: { resumen: { resenas, calificacion_promedio: promedio(suma, resenas) }, serie },
+                meta: { intervalo }
+            });
+        } catch (error) {
+            req.log.error(mensajeError, error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const calificacionesReport = (filtrosDe, mensajeError) => async (req, res) => {
+        try {
+            const rango = readRange(req, res);
+            if (!rango) {
+                return;
+            }
+            const desglose = await estadisticas.distribucion({ ...filtrosDe(req), ...rango });
+            const filas = distributionRows(desglose);
+            const total = filas.reduce((sum, fila) => sum + fila.resenas, 0);
+            const suma = filas.reduce((sum, fila) => sum + fila.estrellas * fila.resenas, 0);
+
+            sendReport(req, res, {
+                nombre: 'calificaciones',
+                rango,
+                filas,
+                data: { total, calificacion_promedio: promedio(suma, total), distribucion: filas }
+            });
+        } catch (error) {
+            req.log.error(mensajeError, error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const paisesReport = (filtrosDe, mensajeError) => async (req, res) => {
+        try {
+            const rango = readRange(req, res);
+            if (!rango) {
+                return;
+            }
+            const filas = countryRows(await estadisticas.paises({ ...filtrosDe(req), ...rango }));
+
+            sendReport(req, res, { nombre: 'paises', rango, filas });
+        } catch (error) {
+            req.log.error(mensajeError, error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const delNegocio = (req) => ({ negocioIds: req.negocioId === undefined ? req.negocioIds : [req.negocioId] });
+    const deLaCategoria = (req) => ({ categoria: req.query.categoria });
+
+    const negocioAuth = [verifyToken(['admin_negocio']), query('negocio_id').optional().isInt({ min: 1 })];
+    const adminAuth = [verifyToken(['super_admin']), requirePermission('estadisticas.ver')];
+
+    // Con negocio_id, ese negocio; sin él, todos aquellos en los que el administrador ve estadísticas
+    const negociosConsultados = requireNegocioPermission('estadisticas.ver', {
+        negocioId: (req) => req.query.negocio_id,
+        todos: true
+    });
+
+    // ===================== ESTADÍSTICAS DEL NEGOCIO =====================
+
+    // Resumen de un negocio o, si se consultan varios, los totales y el resumen de cada uno.
+    // La calificación promedio conjunta pondera cada negocio por sus reseñas.
+    app.get('/api/negocio/estadisticas', ...negocioAuth, validateRequest, negociosConsultados, async (req, res) => {
+        try {
+            if (req.negocioId !== undefined) {
+                const stats = await estadisticas.negocio(req.negocioId);
+
+                if (!stats) {
+                    return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+                }
+                return res.json({ success: true, data: stats });
+            }
+
+            const negocios = (await Promise.all(req.negocioIds.map(async (id) => {
+                const stats = await estadisticas.negocio(id);
+                return stats && { id, ...stats };
+            }))).filter(Boolean);
+
+            if (negocios.length === 1) {
+                const { id, ...stats } = negocios[0];
+                return res.json({ success: true, data: stats });
+            }
+
+            const totalResenas = negocios.reduce((sum, n) => sum + Number(n.total_resenas), 0);
+            const sumaCalificaciones = negocios.reduce((sum, n) => sum + Number(n.calificacion_promedio) * Number(n.total_resenas), 0);
+
+            res.json({
+                success: true,
+                data: {
+                    calificacion_promedio: promedio(sumaCalificaciones, totalResenas),
+                    total_resenas: totalResenas,
+                    resenas_mes_actual: negocios.reduce((sum, n) => sum + Number(n.resenas_mes_actual), 0),
+                    negocios
+                }
+            });
+        } catch (error) {
+            req.log.error('Error al obtener estadísticas del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    app.get('/api/negocio/estadisticas/resenas', ...negocioAuth, [...rangoValidation, intervaloValidation], validateRequest,
+        negociosConsultados, resenasReport(delNegocio, 'Error al obtener la evolución de reseñas del negocio'));
+
+    app.get('/api/negocio/estadisticas/calificaciones', ...negocioAuth, rangoValidation, validateRequest,
+        negociosConsultados, calificacionesReport(delNegocio, 'Error al obtener la distribución de calificaciones del negocio'));
+
+    app.get('/api/negocio/estadisticas/paises', ...negocioAuth, rangoValidation, validateRequest,
+        negociosConsultados, paisesReport(delNegocio, 'Error al obtener los países de origen del negocio'));
+
+    // El negocio frente al promedio de su categoría: agregados históricos y del rango.
+    // Compara un solo negocio, así que negocio_id es obligatorio si el administrador tiene varios.
+    app.get('/api/negocio/estadisticas/comparacion', ...negocioAuth, rangoValidation, validateRequest, requireNegocioPermission('estadisticas.ver', {
+        negocioId: (req) => req.query.negocio_id
+    }), async (req, res) => {
+        try {
+            const rango = readRange(req, res);
+            if (!rango) {
+                return;
+            }
+
+            const comparacion = await estadisticas.comparacionCategoria(req.negocioId);
+            if (!comparacion) {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+
+            const [propio, deCategoria] = await Promise.all([
+                estadisticas.resumenResenas({ negocioIds: [req.negocioId], ...rango }),
+                estadisticas.resumenResenas({ categoria: comparacion.negocio.categoria, ...rango })
+            ]);
+            const { negocio, categoria } = comparacion;
+            const periodo = {
+                negocio: { resenas: propio.resenas, calificacion_promedio: promedio(propio.suma, propio.resenas) },
+                categoria: {
+                    resenas_por_negocio: categoria.negocios > 0 ? redondear(deCategoria.resenas / categoria.negocios) : null,
+                    calificacion_promedio: promedio(deCategoria.suma, deCategoria.resenas)
+                }
+            };
+
+            const filas = [
+                ['Calificación promedio', negocio.calificacion_promedio, redondear(categoria.calificacion_promedio)],
+                ['Total de reseñas', negocio.total_resenas, redondear(categoria.resenas_promedio)],
+                ['Calificación promedio del periodo', periodo.negocio.calificacion_promedio, periodo.categoria.calificacion_promedio],
+                ['Reseñas del periodo', periodo.negocio.resenas, periodo.categoria.resenas_por_negocio]
+            ].map(([metrica, delNegocioValor, deCategoriaValor]) => ({
+                metrica,
+                negocio: delNegocioValor,
+                categoria: deCategoriaValor,
+                diferencia: diferencia(delNegocioValor, deCategoriaValor)
+            }));
+
+            sendReport(req, res, {
+                nombre: 'comparacion',
+                rango,
+                filas,
+                data: {
+                    negocio,
+                    categoria: {
+                        ...categoria,
+                        calificacion_promedio: redondear(categoria.calificacion_promedio),
+                        resenas_promedio: redondear(categoria.resenas_promedio)
+                    },
+                    posicion: comparacion.posicion,
+                    periodo,
+                    metricas: filas
+                }
+            });
+        } catch (error) {
+            req.log.error('Error al comparar el negocio con su categoría', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== ESTADÍSTICAS DE LA PLATAFORMA =====================
+
+    // Totales generales (super admin)
+    app.get('/api/admin/estadisticas', ...adminAuth, async (req, res) => {
+        try {
+            const stats = await estadisticas.general();
+
+            res.json({ success: true, data: stats });
+        } catch (error) {
+            req.log.error('Error al obtener estadísticas', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    app.get('/api/admin/estadisticas/resenas', ...adminAuth, [...rangoValidation, intervaloValidation, categoriaValidation], validateRequest,
+        resenasReport(deLaCategoria, 'Error al obtener la evolución de reseñas'));
+
+    app.get('/api/admin/estadisticas/calificaciones', ...adminAuth, [...rangoValidation, categoriaValidation], validateRequest,
+        calificacionesReport(deLaCategoria, 'Error al obtener la distribución de calificaciones'));
+
+    app.get('/api/admin/estadisticas/paises', ...adminAuth, [...rangoValidation, categoriaValidation], validateRequest,
+        paisesReport(deLaCategoria, 'Error al obtener los países de origen'));
+
+    app.get('/api/admin/estadisticas/categorias', ...adminAuth, rangoValidation, validateRequest, async (req, res) => {
+        try {
+            const rango = readRange(req, res);
+            if (!rango) {
+                return;
+            }
+            const filas = (await estadisticas.porCategoria(rango)).map(({ suma, ...fila }) => ({
+                ...fila,
+                calificacion_promedio: promedio(suma, fila.resenas)
+            }));
+
+            sendReport(req, res, { nombre: 'categorias', rango, filas });
+        } catch (error) {
+            req.log.error('Error al obtener estadísticas por categoría', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Turistas por mes de registro (por defecto el último año) y su actividad en reseñas
+    app.get('/api/admin/estadisticas/cohortes', ...adminAuth, rangoValidation, validateRequest, async (req, res) => {
+        try {
+            const rango = readRange(req, res, { diasPorDefecto: 365 });
+            if (!rango) {
+                return;
+            }
+            const filas = (await estadisticas.cohortes(rango)).map(fila => ({
+                ...fila,
+                porcentaje_con_resenas: fila.turistas > 0 ? Math.round((fila.con_resenas / fila.turistas) * 1000) / 10 : 0,
+                resenas_por_turista: promedio(fila.resenas, fila.turistas)
+            }));
+
+            sendReport(req, res, { nombre: 'cohortes', rango, filas });
+        } catch (error) {
+            req.log.error('Error al obtener las cohortes de registro', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
@@ -0,0 +1,61 @@
+// src/routes/health.js
+// Sondas para el orquestador: `live` indica que el proceso responde y `ready`
+// que además puede atender tráfico (base de datos accesible y sin apagado en curso)
+
+// Rechaza si `promise` no se resuelve en `ms`
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error(`Sin respuesta en ${ms} ms`), { code: 'TIMEOUT' })), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = (app, { config, repositories }) => {
+    // ===================== RUTAS DE VERIFICACIÓN DE SALUD =====================
+
+    const checkDatabase = async (log) => {
+        const inicio = process.hrtime.bigint();
+        const latencia = () => Number((process.hrtime.bigint() - inicio) / 1000n) / 1000;
+
+        try {
+            await withTimeout(repositories.ping(), config.health.timeoutMs);
+            return { estado: 'ok', latencia_ms: latencia() };
+        } catch (error) {
+            // El detalle (hosts, puertos) solo va al log, no a la respuesta pública
+            log.error('Error al comprobar la base de datos', error);
+            return { estado: 'error', latencia_ms: latencia(), error: error.code || 'ERROR' };
+        }
+    };
+
+    const ready = async (req, res) => {
+        if (app.locals.cerrando) {
+            return res.status(503).json({ success: false, ...req.msg('SERVIDOR_CERRANDO') });
+        }
+
+        const baseDatos = await checkDatabase(req.log);
+        const listo = baseDatos.estado === 'ok';
+
+        res.status(listo ? 200 : 503).json({
+            success: listo,
+            ...req.msg(listo ? 'API_LISTA' : 'BASE_DE_DATOS_NO_DISPONIBLE'),
+            data: { base_datos: baseDatos },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    // El proceso está vivo aunque sus dependencias fallen; reiniciarlo no lo arreglaría
+    app.get('/api/health/live', (req, res) => {
+        res.json({
+            success: true,
+            ...req.msg('API_FUNCIONANDO'),
+            data: { uptime_s: Math.round(process.uptime()) },
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    app.get('/api/health/ready', ready);
+
+    // Ruta histórica: equivale a la sonda de disponibilidad
+    app.get('/api/health', ready);
+};
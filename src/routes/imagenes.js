@@ -0,0 +1,345 @@
+// src/routes/imagenes.js
+// Galería de imágenes de los negocios y foto de perfil de los turistas
+//
+// Los archivos se suben como multipart/form-data, se validan y se guardan en
+// varias variantes en el almacenamiento configurado (ver src/storage). La
+// base de datos solo guarda la carpeta de cada imagen; las URLs se calculan.
+
+const { body, param } = require('express-validator');
+const { validateRequest } = require('../middleware/validateRequest');
+const { ImagenInvalidaError, PERFILES, processImage, storeImage, removeImage, imageFolder, imageUrls } = require('../imagenes');
+
+const MAX_IMAGENES_NEGOCIO = 20;
+const MAX_IMAGENES_POR_SUBIDA = 10;
+
+const VARIANTES_GALERIA = PERFILES.galeria.map(v => v.nombre);
+const VARIANTES_AVATAR = PERFILES.avatar.map(v => v.nombre);
+
+module.exports = (app, { repositories, storage, upload, auditLog, verifyToken, requireNegocioPermission }) => {
+    const { negocios, imagenes, turistas } = repositories;
+
+    const formatImagen = (imagen) => ({
+        id: imagen.id,
+        orden: imagen.orden,
+        es_portada: Boolean(imagen.es_portada),
+        ancho: imagen.ancho,
+        alto: imagen.alto,
+        urls: imageUrls(storage, imagen.carpeta, 'galeria'),
+        fecha_creacion: imagen.fecha_creacion
+    });
+
+    // La portada se muestra en los listados con la variante mediana
+    const coverUrl = (imagen) => (imagen ? imageUrls(storage, imagen.carpeta, 'galeria').mediana : null);
+
+    // Borra los archivos después de confirmar la base de datos; un fallo aquí solo deja archivos huérfanos
+    const removeFiles = async (log, carpeta, variantes) => {
+        try {
+            await removeImage(storage, carpeta, variantes);
+        } catch (error) {
+            log.error('Error al borrar archivos de imagen', error);
+        }
+    };
+
+    // Procesa todos los archivos antes de guardar ninguno, para rechazar la subida completa si uno no es válido.
+    // Devuelve las imágenes procesadas o responde 400 y devuelve null.
+    const processFiles = async (req, res, perfil) => {
+        const procesadas = [];
+        for (const archivo of req.files) {
+            try {
+                procesadas.push(await processImage(archivo.buffer, perfil));
+            } catch (error) {
+                if (error instanceof ImagenInvalidaError) {
+                    // El código es el del motivo; el mensaje indica además qué archivo falló
+                    res.status(400).json({
+                        success: false,
+                        code: error.codigo,
+                        message: req.t('ARCHIVO_INVALIDO', { archivo: archivo.originalname, motivo: req.t(error.codigo, error.params) })
+                    });
+                    return null;
+                }
+                throw error;
+            }
+        }
+        return procesadas;
+    };
+
+    // El negocio debe existir; los permisos sobre él los comprueba requireNegocioPermission
+    const checkNegocio = async (req, res, next) => {
+        try {
+            if (!(await negocios.findById(req.params.id))) {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+            next();
+        } catch (error) {
+            req.log.error('Error al verificar el negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const gestionGaleria = [
+        verifyToken(['admin_negocio', 'super_admin']),
+        param('id').isInt({ min: 1 }),
+        validateRequest,
+        requireNegocioPermission('negocio.editar'),
+        checkNegocio
+    ];
+
+    // ===================== GALERÍA DE NEGOCIOS =====================
+
+    // Imágenes del negocio en orden (público)
+    app.get('/api/negocios/:id/imagenes', async (req, res) => {
+        try {
+            if (!(await negocios.findById(req.params.id))) {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+
+            const lista = await imagenes.listByNegocio(req.params.id);
+            res.json({ success: true, data: lista.map(formatImagen) });
+        } catch (error) {
+            req.log.error('Error al obtener imágenes del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Subir imágenes al final de la galería; la primera imagen del negocio pasa a ser la portada
+    app.post('/api/negocios/:id/imagenes', ...gestionGaleria, upload('imagenes', MAX_IMAGENES_POR_SUBIDA), async (req, res) => {
+        try {
+            const negocioId = req.params.id;
+
+            const existentes = await imagenes.listByNegocio(negocioId);
+            if (existentes.length + req.files.length > MAX_IMAGENES_NEGOCIO) {
+                return res.status(400).json({
+                    success: false,
+                    ...req.msg('GALERIA_LLENA', { max: MAX_IMAGENES_NEGOCIO, actuales: existentes.length })
+                });
+            }
+
+            const procesadas = await processFiles(req, res, 'galeria');
+            if (!procesadas) {
+                return;
+            }
+
+            const guardadas = [];
+            try {
+                for (const procesada of procesadas) {
+                    guardadas.push(await storeImage(storage, `negocios/${negocioId}`, procesada));
+                }
+
+                await repositories.transaction(async (repos) => {
+                    const ids = [];
+                    for (const guardada of guardadas) {
+                        ids.push(await repos.imagenes.create(negocioId, guardada));
+                    }
+
+                    if (!existentes.some(imagen => imagen.es_portada)) {
+                        await repos.imagenes.setCover(negocioId, ids[0]);
+                        await repos.negocios.setImagenPrincipal(negocioId, guardadas[0].urls.mediana);
+                    }
+
+                    await auditLog.fromRequest(req, {
+                        accion: 'negocio.imagenes.subir',
+                        entidad: 'negocios',
+                        entidad_id: negocioId,
+                        metadatos: { imagenes: ids, bytes: guardadas.map(g => g.bytes) }
+                    }, repos);
+                });
+            } catch (error) {
+                await Promise.all(guardadas.map(g => removeFiles(req.log, g.carpeta, VARIANTES_GALERIA)));
+                throw error;
+            }
+
+            const lista = await imagenes.listByNegocio(negocioId);
+            res.status(201).json({
+                success: true,
+                ...req.msg('IMAGENES_SUBIDAS', { total: guardadas.length }),
+                data: lista.map(formatImagen)
+            });
+        } catch (error) {
+            req.log.error('Error al subir imágenes del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Reordenar la galería: `ids` con todas las imágenes en el orden deseado
+    app.put('/api/negocios/:id/imagenes/orden', ...gestionGaleria, [
+        body('ids').isArray({ min: 1 }).withMessage('CAMPO_LISTA'),
+        body('ids.*').isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const negocioId = req.params.id;
+            const ids = req.body.ids.map(Number);
+            const existentes = (await imagenes.listByNegocio(negocioId)).map(imagen => imagen.id);
+
+            const completa = ids.length === existentes.length && new Set(ids).size === ids.length &&
+                ids.every(id => existentes.includes(id));
+            if (!completa) {
+                return res.status(400).json({ success: false, ...req.msg('ORDEN_IMAGENES_INCOMPLETO') });
+            }
+
+            await repositories.transaction(async (repos) => {
+                await repos.imagenes.reorder(negocioId, ids);
+                await auditLog.fromRequest(req, {
+                    accion: 'negocio.imagenes.ordenar',
+                    entidad: 'negocios',
+                    entidad_id: negocioId,
+                    antes: { orden: existentes },
+                    despues: { orden: ids }
+                }, repos);
+            });
+
+            const lista = await imagenes.listByNegocio(negocioId);
+            res.json({ success: true, ...req.msg('GALERIA_REORDENADA'), data: lista.map(formatImagen) });
+        } catch (error) {
+            req.log.error('Error al reordenar imágenes del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Elegir la portada del negocio
+    app.put('/api/negocios/:id/imagenes/:imagenId/portada', ...gestionGaleria, [
+        param('imagenId').isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const negocioId = req.params.id;
+            const imagen = await imagenes.findById(negocioId, req.params.imagenId);
+
+            if (!imagen) {
+                return res.status(404).json({ success: false, ...req.msg('IMAGEN_NO_ENCONTRADA') });
+            }
+
+            await repositories.transaction(async (repos) => {
+                await repos.imagenes.setCover(negocioId, imagen.id);
+                await repos.negocios.setImagenPrincipal(negocioId, coverUrl(imagen));
+                await auditLog.fromRequest(req, {
+                    accion: 'negocio.imagenes.portada',
+                    entidad: 'negocios',
+                    entidad_id: negocioId,
+                    metadatos: { imagen_id: imagen.id }
+                }, repos);
+            });
+
+            res.json({ success: true, ...req.msg('PORTADA_ACTUALIZADA'), data: formatImagen({ ...imagen, es_portada: 1 }) });
+        } catch (error) {
+            req.log.error('Error al cambiar la portada del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Eliminar una imagen; si era la portada, pasa a serlo la primera de las restantes
+    app.delete('/api/negocios/:id/imagenes/:imagenId', ...gestionGaleria, [
+        param('imagenId').isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const negocioId = req.params.id;
+            const imagen = await imagenes.findById(negocioId, req.params.imagenId);
+
+            if (!imagen) {
+                return res.status(404).json({ success: false, ...req.msg('IMAGEN_NO_ENCONTRADA') });
+            }
+
+            await repositories.transaction(async (repos) => {
+                await repos.imagenes.delete(negocioId, imagen.id);
+
+                if (imagen.es_portada) {
+                    const [siguiente = null] = await repos.imagenes.listByNegocio(negocioId);
+                    await repos.imagenes.setCover(negocioId, siguiente && siguiente.id);
+                    await repos.negocios.setImagenPrincipal(negocioId, coverUrl(siguiente));
+                }
+
+                await auditLog.fromRequest(req, {
+                    accion: 'negocio.imagenes.eliminar',
+                    entidad: 'negocios',
+                    entidad_id: negocioId,
+                    metadatos: { imagen_id: imagen.id }
+                }, repos);
+            });
+
+            await removeFiles(req.log, imagen.carpeta, VARIANTES_GALERIA);
+
+            res.json({ success: true, ...req.msg('IMAGEN_ELIMINADA') });
+        } catch (error) {
+            req.log.error('Error al eliminar imagen del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== FOTO DE PERFIL DE TURISTAS =====================
+
+    // Carpeta de la foto actual, si está en nuestro almacenamiento
+    const avatarFolder = (url) => imageFolder(storage, url);
+
+    // Subir o reemplazar la foto de perfil (se recorta cuadrada)
+    app.put('/api/turista/perfil/foto', verifyToken(['turista']), upload('foto'), async (req, res) => {
+        try {
+            const procesadas = await processFiles(req, res, 'avatar');
+            if (!procesadas) {
+                return;
+            }
+
+            const perfil = await turistas.getProfile(req.user.id);
+            if (!perfil) {
+                return res.status(404).json({ success: false, ...req.msg('USUARIO_NO_ENCONTRADO') });
+            }
+
+            const guardada = await storeImage(storage, `turistas/${req.user.id}`, procesadas[0]);
+            try {
+                await turistas.setFotoPerfil(req.user.id, guardada.urls.original);
+                await auditLog.fromRequest(req, {
+                    accion: 'turista.actualizar_foto',
+                    entidad: 'turistas',
+                    entidad_id: req.user.id,
+                    antes: { foto_perfil: perfil.foto_perfil },
+                    despues: { foto_perfil: guardada.urls.original }
+                });
+            } catch (error) {
+                await removeFiles(req.log, guardada.carpeta, VARIANTES_AVATAR);
+                throw error;
+            }
+
+            const anterior = avatarFolder(perfil.foto_perfil);
+            if (anterior) {
+                await removeFiles(req.log, anterior, VARIANTES_AVATAR);
+            }
+
+            res.json({
+                success: true,
+                ...req.msg('FOTO_PERFIL_ACTUALIZADA'),
+                data: { foto_perfil: guardada.urls.original, urls: guardada.urls }
+            });
+        } catch (error) {
+            req.log.error('Error al actualizar la foto de perfil', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    app.delete('/api/turista/perfil/foto', verifyToken(['turista']), async (req, res) => {
+        try {
+            const perfil = await turistas.getProfile(req.user.id);
+            if (!perfil) {
+                return res.status(404).json({ success: false, ...req.msg('USUARIO_NO_ENCONTRADO') });
+            }
+            if (!perfil.foto_perfil) {
+                return res.status(404).json({ success: false, ...req.msg('FOTO_PERFIL_NO_ENCONTRADA') });
+            }
+
+            await turistas.setFotoPerfil(req.user.id, null);
+            await auditLog.fromRequest(req, {
+                accion: 'turista.actualizar_foto',
+                entidad: 'turistas',
+                entidad_id: req.user.id,
+                antes: { foto_perfil: perfil.foto_perfil },
+                despues: { foto_perfil: null }
+            });
+
+            const anterior = avatarFolder(perfil.foto_perfil);
+            if (anterior) {
+                await removeFiles(req.log, anterior, VARIANTES_AVATAR);
+            }
+
+            res.json({ success: true, ...req.msg('FOTO_PERFIL_ELIMINADA') });
+        } catch (error) {
+            req.log.error('Error al eliminar la foto de perfil', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
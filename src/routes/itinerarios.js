@@ -0,0 +1,312 @@
+// src/routes/itinerarios.js
+// Itinerarios de viaje del turista y su enlace público de solo lectura
+//
+// Las respuestas agrupan las paradas por día e incluyen `avisos` para las
+// visitas que caen fuera del horario del negocio (ver src/itinerarios). Los
+// avisos se calculan en cada lectura, así que reflejan el horario vigente.
+
+const { body, param } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest, parsesWith } = require('../middleware/validateRequest');
+const horarios = require('../utils/horarios');
+const {
+    parseParadas,
+    formatTimeValue,
+    fechaDelDia,
+    createShareToken,
+    visitWarnings
+} = require('../itinerarios');
+
+const MAX_ITINERARIOS = 100;
+
+const camposItinerario = (requerido) => [
+    (requerido ? body('nombre') : body('nombre').optional()).trim().isLength({ min: 1, max: 150 })
+        .withMessage(mensaje('CAMPO_LONGITUD', { min: 1, max: 150 })),
+    body('descripcion').optional({ values: 'null' }).isString().isLength({ max: 2000 })
+        .withMessage(mensaje('CAMPO_LONGITUD_MAX', { max: 2000 })),
+    body('fecha_inicio').optional({ values: 'null' }).isDate({ format: 'YYYY-MM-DD', strictMode: true })
+        .withMessage('CAMPO_FECHA'),
+    body('paradas').optional().custom(parsesWith(parseParadas))
+];
+
+module.exports = (app, { config, repositories, auditLog, verifyToken }) => {
+    const { itinerarios, negocios } = repositories;
+
+    const enlacePublico = (token) => `${config.appUrl}/itinerarios/compartidos/${token}`;
+
+    // Horario de cada negocio del itinerario. Con fecha_inicio se cargan las
+    // excepciones de sus fechas, desde el día anterior por los rangos nocturnos.
+    const loadSchedules = async (itinerario, paradas) => {
+        const schedules = new Map();
+        const ids = [...new Set(paradas.map(p => p.negocio_id))];
+        if (ids.length === 0) {
+            return schedules;
+        }
+
+        const semanales = await repositories.horarios.listWeekly(ids);
+        const excepciones = itinerario.fecha_inicio
+            ? await repositories.horarios.listExceptions(ids, {
+                desde: fechaDelDia(itinerario.fecha_inicio, 0),
+                hasta: fechaDelDia(itinerario.fecha_inicio, Math.max(...paradas.map(p => p.dia)))
+            })
+            : [];
+
+        for (const parada of paradas) {
+            if (!schedules.has(parada.negocio_id)) {
+                schedules.set(parada.negocio_id, horarios.buildSchedule(
+                    parada,
+                    semanales.filter(h => h.negocio_id === parada.negocio_id),
+                    excepciones.filter(e => e.negocio_id === parada.negocio_id),
+                    { zonaHorariaPredeterminada: config.zonaHorariaPredeterminada }
+                ));
+            }
+        }
+
+        return schedules;
+    };
+
+    const formatParada = (parada) => ({
+        id: parada.id,
+        orden: parada.orden,
+        hora_inicio: formatTimeValue(parada.hora_inicio),
+        hora_fin: formatTimeValue(parada.hora_fin),
+        notas: parada.notas,
+        negocio: {
+            id: parada.negocio_id,
+            nombre: parada.nombre,
+            categoria: parada.categoria,
+            direccion: parada.direccion,
+            latitud: parada.latitud,
+            longitud: parada.longitud,
+            imagen_principal: parada.imagen_principal
+        }
+    });
+
+    // Itinerario completo con las paradas agrupadas por día (incluidos los días sin paradas) y los avisos
+    // en el idioma de la petición. `publico` omite los datos que solo ve su autor.
+    const buildItinerario = async (req, itinerario, { publico = false } = {}) => {
+        const paradas = await itinerarios.listParadas(itinerario.id);
+        const avisos = visitWarnings(itinerario, paradas, await loadSchedules(itinerario, paradas))
+            .map(aviso => ({ ...aviso, mensaje: req.t(aviso.mensaje) }));
+        const totalDias = Math.max(0, ...paradas.map(p => p.dia));
+
+        return {
+            id: itinerario.id,
+            nombre: itinerario.nombre,
+            descripcion: itinerario.descripcion,
+            fecha_inicio: itinerario.fecha_inicio ? horarios.formatDateValue(itinerario.fecha_inicio) : null,
+            ...(publico ? {} : {
+                compartido: Boolean(itinerario.token_publico),
+                enlace_publico: itinerario.token_publico ? enlacePublico(itinerario.token_publico) : null
+            }),
+            fecha_creacion: itinerario.fecha_creacion,
+            fecha_actualizacion: itinerario.fecha_actualizacion,
+            dias: Array.from({ length: totalDias }, (_, i) => ({
+                dia: i + 1,
+                fecha: fechaDelDia(itinerario.fecha_inicio, i + 1),
+                paradas: paradas.filter(p => p.dia === i + 1).map(formatParada)
+            })),
+            avisos
+        };
+    };
+
+    // Negocios de las paradas que no existen o no están activos; solo se pueden planificar visitas a negocios activos
+    const unavailableNegocios = async (paradas) => {
+        const ids = [...new Set(paradas.map(p => p.negocio_id))];
+        const faltan = [];
+        for (const id of ids) {
+            const negocio = await negocios.findById(id);
+            if (!negocio || negocio.estado !== 'activo') {
+                faltan.push(id);
+            }
+        }
+        return faltan;
+    };
+
+    // Carga en req.itinerario un itinerario del turista autenticado; los ajenos responden 404
+    const loadOwn = async (req, res, next) => {
+        try {
+            const itinerario = await itinerarios.findById(req.params.id);
+            if (!itinerario || itinerario.turista_id !== req.user.id) {
+                return res.status(404).json({ success: false, ...req.msg('ITINERARIO_NO_ENCONTRADO') });
+            }
+            req.itinerario = itinerario;
+            next();
+        } catch (error) {
+            req.log.error('Error al obtener itinerario', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const propio = [verifyToken(['turista']), param('id').isInt({ min: 1 }), validateRequest, loadOwn];
+
+    // ===================== ITINERARIOS =====================
+
+    // Itinerarios del turista, del último modificado al primero
+    app.get('/api/turista/itinerarios', verifyToken(['turista']), async (req, res) => {
+        try {
+            const lista = await itinerarios.listByTurista(req.user.id);
+
+            res.json({
+                success: true,
+                data: lista.map(({ token_publico, ...itinerario }) => ({
+                    ...itinerario,
+                    fecha_inicio: itinerario.fecha_inicio ? horarios.formatDateValue(itinerario.fecha_inicio) : null,
+                    total_paradas: Number(itinerario.total_paradas),
+                    dias: Number(itinerario.dias),
+                    compartido: Boolean(token_publico)
+                }))
+            });
+        } catch (error) {
+            req.log.error('Error al obtener itinerarios', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Crear un itinerario, opcionalmente con sus paradas
+    app.post('/api/turista/itinerarios', verifyToken(['turista']), camposItinerario(true), validateRequest, async (req, res) => {
+        try {
+            const { nombre, descripcion, fecha_inicio } = req.body;
+            const paradas = req.body.paradas !== undefined ? parseParadas(req.body.paradas) : [];
+
+            const faltan = await unavailableNegocios(paradas);
+            if (faltan.length > 0) {
+                return res.status(400).json({ success: false, ...req.msg('NEGOCIOS_NO_DISPONIBLES', { ids: faltan }) });
+            }
+
+            if ((await itinerarios.listByTurista(req.user.id)).length >= MAX_ITINERARIOS) {
+                return res.status(400).json({ success: false, ...req.msg('MAX_ITINERARIOS', { max: MAX_ITINERARIOS }) });
+            }
+
+            const id = await repositories.transaction(async (repos) => {
+                const nuevoId = await repos.itinerarios.create(req.user.id, { nombre, descripcion, fecha_inicio });
+                await repos.itinerarios.replaceParadas(nuevoId, paradas);
+                return nuevoId;
+            });
+
+            res.status(201).json({
+                success: true,
+                ...req.msg('ITINERARIO_CREADO'),
+                data: await buildItinerario(req, await itinerarios.findById(id))
+            });
+        } catch (error) {
+            req.log.error('Error al crear itinerario', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    app.get('/api/turista/itinerarios/:id', ...propio, async (req, res) => {
+        try {
+            res.json({ success: true, data: await buildItinerario(req, req.itinerario) });
+        } catch (error) {
+            req.log.error('Error al obtener itinerario', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Actualizar datos del itinerario; `paradas`, si se envía, reemplaza la lista completa
+    app.put('/api/turista/itinerarios/:id', ...propio, camposItinerario(false), validateRequest, async (req, res) => {
+        try {
+            const campos = Object.fromEntries(['nombre', 'descripcion', 'fecha_inicio']
+                .filter(campo => req.body[campo] !== undefined)
+                .map(campo => [campo, req.body[campo]]));
+            const paradas = req.body.paradas !== undefined ? parseParadas(req.body.paradas) : null;
+
+            if (paradas) {
+                const faltan = await unavailableNegocios(paradas);
+                if (faltan.length > 0) {
+                    return res.status(400).json({ success: false, ...req.msg('NEGOCIOS_NO_DISPONIBLES', { ids: faltan }) });
+                }
+            }
+
+            await repositories.transaction(async (repos) => {
+                await repos.itinerarios.update(req.itinerario.id, campos);
+                if (paradas) {
+                    await repos.itinerarios.replaceParadas(req.itinerario.id, paradas);
+                }
+            });
+
+            res.json({
+                success: true,
+                ...req.msg('ITINERARIO_ACTUALIZADO'),
+                data: await buildItinerario(req, await itinerarios.findById(req.itinerario.id))
+            });
+        } catch (error) {
+            req.log.error('Error al actualizar itinerario', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    app.delete('/api/turista/itinerarios/:id', ...propio, async (req, res) => {
+        try {
+            await itinerarios.delete(req.itinerario.id);
+            res.json({ success: true, ...req.msg('ITINERARIO_ELIMINADO') });
+        } catch (error) {
+            req.log.error('Error al eliminar itinerario', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Generar el enlace público de solo lectura; si ya existe se devuelve el mismo
+    app.post('/api/turista/itinerarios/:id/compartir', ...propio, async (req, res) => {
+        try {
+            let token = req.itinerario.token_publico;
+            if (!token) {
+                token = createShareToken();
+                await itinerarios.setToken(req.itinerario.id, token);
+                await auditLog.fromRequest(req, {
+                    accion: 'itinerario.compartir',
+                    entidad: 'itinerarios',
+                    entidad_id: req.itinerario.id
+                });
+            }
+
+            res.json({
+                success: true,
+                ...req.msg('ENLACE_PUBLICO_ITINERARIO'),
+                data: { token, enlace_publico: enlacePublico(token) }
+            });
+        } catch (error) {
+            req.log.error('Error al compartir itinerario', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Revocar el enlace público; si se vuelve a compartir se genera uno nuevo
+    app.delete('/api/turista/itinerarios/:id/compartir', ...propio, async (req, res) => {
+        try {
+            if (!req.itinerario.token_publico) {
+                return res.status(404).json({ success: false, ...req.msg('ITINERARIO_NO_COMPARTIDO') });
+            }
+
+            await itinerarios.setToken(req.itinerario.id, null);
+            await auditLog.fromRequest(req, {
+                accion: 'itinerario.dejar_de_compartir',
+                entidad: 'itinerarios',
+                entidad_id: req.itinerario.id
+            });
+
+            res.json({ success: true, ...req.msg('ENLACE_PUBLICO_REVOCADO') });
+        } catch (error) {
+            req.log.error('Error al dejar de compartir itinerario', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Vista pública de un itinerario compartido (solo lectura, sin autenticación)
+    app.get('/api/itinerarios/compartidos/:token', [
+        param('token').isLength({ min: 16, max: 64 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const itinerario = await itinerarios.findByToken(req.params.token);
+            if (!itinerario) {
+                return res.status(404).json({ success: false, ...req.msg('ITINERARIO_NO_ENCONTRADO') });
+            }
+
+            res.json({ success: true, data: await buildItinerario(req, itinerario, { publico: true }) });
+        } catch (error) {
+            req.log.error('Error al obtener itinerario compartido', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
@@ -0,0 +1,26 @@
+// src/routes/metrics.js
+// Métricas en formato de texto de Prometheus. Si METRICS_TOKEN está definido
+// se exige como Bearer token, para no exponerlas fuera de la red interna.
+
+const crypto = require('crypto');
+
+const sameToken = (recibido, esperado) => {
+    const a = Buffer.from(String(recibido));
+    const b = Buffer.from(esperado);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = (app, { config, metrics }) => {
+    app.get('/metrics', async (req, res) => {
+        if (config.metricsToken && !sameToken(req.headers.authorization?.split(' ')[1] ?? '', config.metricsToken)) {
+            return res.status(401).json({ success: false, ...req.msg('TOKEN_METRICAS_INVALIDO') });
+        }
+
+        try {
+            res.type('text/plain; version=0.0.4; charset=utf-8').send(await metrics.render());
+        } catch (error) {
+            req.log.error('Error al generar métricas', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
@@ -0,0 +1,195 @@
+// src/routes/miembros.js
+// Administradores de cada negocio y su rol
+//
+// Un administrador puede gestionar varios negocios y un negocio tener varios
+// administradores. Los propietarios del negocio y los super admins con
+// `miembros.gestionar` añaden cuentas de administrador existentes (por email),
+// cambian su rol o las quitan; el negocio conserva siempre un propietario.
+
+const { body, param } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+const { ROLES_NEGOCIO, resolvePermisos, resolvePermisosNegocio } = require('../auth/permisos');
+const { DuplicateEntryError } = require('../repositories/errors');
+
+const ROLES = Object.keys(ROLES_NEGOCIO);
+
+const rolValidation = (campo) => campo.isIn(ROLES).withMessage(mensaje('CAMPO_VALORES', { valores: ROLES }));
+
+module.exports = (app, { repositories, auditLog, verifyToken, requireNegocioPermission, negociosDelAdmin }) => {
+    const { negocios, administradores, miembrosNegocio } = repositories;
+
+    // El negocio debe existir; los permisos sobre él los comprueba requireNegocioPermission
+    const checkNegocio = async (req, res, next) => {
+        try {
+            if (!(await negocios.findById(req.params.id))) {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+            next();
+        } catch (error) {
+            req.log.error('Error al verificar el negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const gestionMiembros = [
+        verifyToken(['admin_negocio', 'super_admin']),
+        param('id').isInt({ min: 1 }),
+        validateRequest,
+        requireNegocioPermission('miembros.gestionar'),
+        checkNegocio
+    ];
+
+    // Cambia el rol de un miembro o lo quita (`rol` null) sin dejar el negocio
+    // sin otro propietario con la cuenta activa. El negocio y sus membresías se
+    // bloquean para que dos cambios simultáneos no quiten a la vez a los dos
+    // últimos propietarios.
+    const changeMember = (req, adminId, rol) => repositories.transaction(async (repos) => {
+        await repos.negocios.lockForUpdate(req.params.id);
+
+        const miembro = await repos.miembrosNegocio.find(req.params.id, adminId);
+        if (!miembro) {
+            return { error: 'MIEMBRO_NO_ENCONTRADO', status: 404 };
+        }
+        if (miembro.rol === 'propietario' && rol !== 'propietario' &&
+            await repos.miembrosNegocio.countPropietariosActivos(req.params.id, adminId) === 0) {
+            return { error: 'ULTIMO_PROPIETARIO', status: 400 };
+        }
+
+        if (rol) {
+            await repos.miembrosNegocio.setRol(req.params.id, adminId, rol);
+        } else {
+            await repos.miembrosNegocio.remove(req.params.id, adminId);
+        }
+
+        await auditLog.fromRequest(req, {
+            accion: rol ? 'negocio.cambiar_rol_miembro' : 'negocio.quitar_miembro',
+            entidad: 'negocios',
+            entidad_id: req.params.id,
+            antes: { admin_id: Number(adminId), rol: miembro.rol },
+            despues: rol ? { admin_id: Number(adminId), rol } : null
+        }, repos);
+
+        return { rol_anterior: miembro.rol, rol };
+    });
+
+    // ===================== NEGOCIOS DEL ADMINISTRADOR =====================
+
+    // Negocios activos que gestiona el administrador, con su rol y sus permisos en cada uno
+    app.get('/api/negocio/negocios', verifyToken(['admin_negocio']), async (req, res) => {
+        try {
+            res.json({ success: true, data: await negociosDelAdmin(req) });
+        } catch (error) {
+            req.log.error('Error al obtener los negocios del administrador', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== MIEMBROS DE UN NEGOCIO =====================
+
+    // Miembros del negocio con sus permisos efectivos en él (los del rol que permite su cuenta)
+    app.get('/api/negocios/:id/miembros', ...gestionMiembros, async (req, res) => {
+        try {
+            const miembros = await miembrosNegocio.listByNegocio(req.params.id);
+
+            res.json({
+                success: true,
+                data: miembros.map(miembro => ({
+                    ...miembro,
+                    permisos: resolvePermisosNegocio(miembro.rol, resolvePermisos('admin_negocio', miembro))
+                }))
+            });
+        } catch (error) {
+            req.log.error('Error al obtener miembros del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Añade la cuenta con ese email al negocio; devuelve el motivo si no se añadió
+    const addMember = async (req, email, rol) => {
+        const admin = await administradores.findByEmail(email);
+        if (!admin) {
+            return 'cuenta_no_encontrada';
+        }
+
+        try {
+            await repositories.transaction(async (repos) => {
+                await repos.miembrosNegocio.add({ negocio_id: req.params.id, admin_id: admin.id, rol });
+
+                await auditLog.fromRequest(req, {
+                    accion: 'negocio.agregar_miembro',
+                    entidad: 'negocios',
+                    entidad_id: req.params.id,
+                    despues: { admin_id: admin.id, rol }
+                }, repos);
+            });
+        } catch (error) {
+            if (error instanceof DuplicateEntryError) {
+                return 'ya_es_miembro';
+            }
+            throw error;
+        }
+        return null;
+    };
+
+    // Añadir al negocio una cuenta de administrador existente. La respuesta es la
+    // misma si el email no tiene cuenta o ya es miembro, para no poder consultar
+    // cuentas ajenas por email; el motivo solo queda en la auditoría.
+    app.post('/api/negocios/:id/miembros', ...gestionMiembros, [
+        body('email').isEmail().withMessage('EMAIL_INVALIDO'),
+        rolValidation(body('rol'))
+    ], validateRequest, async (req, res) => {
+        try {
+            const { email, rol } = req.body;
+
+            const rechazado = await addMember(req, email, rol);
+            if (rechazado) {
+                await auditLog.fromRequest(req, {
+                    accion: 'negocio.agregar_miembro',
+                    entidad: 'negocios',
+                    entidad_id: req.params.id,
+                    metadatos: { rechazado, rol }
+                });
+            }
+
+            res.status(202).json({ success: true, ...req.msg('MIEMBRO_AGREGADO'), data: { email, rol } });
+        } catch (error) {
+            req.log.error('Error al añadir miembro al negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    app.put('/api/negocios/:id/miembros/:adminId', ...gestionMiembros, [
+        param('adminId').isInt({ min: 1 }),
+        rolValidation(body('rol'))
+    ], validateRequest, async (req, res) => {
+        try {
+            const result = await changeMember(req, req.params.adminId, req.body.rol);
+            if (result.error) {
+                return res.status(result.status).json({ success: false, ...req.msg(result.error) });
+            }
+
+            res.json({ success: true, ...req.msg('MIEMBRO_ACTUALIZADO'), data: result });
+        } catch (error) {
+            req.log.error('Error al cambiar el rol del miembro', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Un propietario puede salir del negocio si queda otro
+    app.delete('/api/negocios/:id/miembros/:adminId', ...gestionMiembros, [
+        param('adminId').isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const result = await changeMember(req, req.params.adminId, null);
+            if (result.error) {
+                return res.status(result.status).json({ success: false, ...req.msg(result.error) });
+            }
+
+            res.json({ success: true, ...req.msg('MIEMBRO_ELIMINADO') });
+        } catch (error) {
+            req.log.error('Error al quitar miembro del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
@@ -0,0 +1,347 @@
+// src/routes/negocios.js
+// Búsqueda pública de negocios, detalle, alta y edición con horario estructurado
+
+const { body, param, query } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest, parsesWith } = require('../middleware/validateRequest');
+const { boundingBox, parseBbox, toFeatureCollection } = require('../utils/geo');
+const horarios = require('../utils/horarios');
+const { diff } = require('../auditoria');
+const {
+    CATEGORIAS_NEGOCIO,
+    ORDENES,
+    parseTerms,
+    parseCategorias,
+    cursorValues,
+    encodeCursor,
+    decodeCursor
+} = require('../negocios/busqueda');
+
+// Con filtro por horario: negocios que se leen por consulta y máximo que se
+// revisan por petición
+const LOTE_HORARIO = 100;
+const MAX_REVISADOS_HORARIO = 1000;
+
+// Campos del alta y de la edición; al editar todos son opcionales y un null
+// conserva el valor guardado
+const camposNegocio = (requerido) => [
+    (requerido ? body('nombre') : body('nombre').optional({ values: 'null' })).isLength({ min: 3 })
+        .withMessage(mensaje('CAMPO_LONGITUD_MIN', { min: 3 })),
+    (requerido ? body('email') : body('email').optional({ values: 'null' })).isEmail().withMessage('EMAIL_INVALIDO'),
+    (requerido ? body('categoria') : body('categoria').optional({ values: 'null' })).isIn(CATEGORIAS_NEGOCIO),
+    body('latitud').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('LATITUD_INVALIDA'),
+    body('longitud').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('LONGITUD_INVALIDA'),
+    body(['horario_apertura', 'horario_cierre']).optional({ values: 'null' })
+        .custom(valor => horarios.parseTime(valor) !== null).withMessage('CAMPO_HORA'),
+    body('zona_horaria').optional({ values: 'null' }).custom(horarios.isValidTimeZone).withMessage('ZONA_HORARIA_INVALIDA')
+];
+
+module.exports = (app, { config, repositories, auditLog, webhooks, verifyToken, requirePermission, requireNegocioPermission }) => {
+    const { negocios } = repositories;
+
+    // Carga el horario estructurado de varios negocios; las excepciones se limitan
+    // a las que pueden afectar al cálculo de apertura alrededor de `referencia`
+    const loadSchedules = async (lista, referencia = new Date()) => {
+        const schedules = new Map();
+        if (lista.length === 0) {
+            return schedules;
+        }
+
+        const ids = lista.map(n => n.id);
+        const fecha = referencia.toISOString().slice(0, 10);
+
+        const semanales = await repositories.horarios.listWeekly(ids);
+        const excepciones = await repositories.horarios.listExceptions(ids, {
+            desde: horarios.addDays(fecha, -2),
+            hasta: horarios.addDays(fecha, horarios.HORIZONTE_DIAS + 2)
+        });
+
+        for (const negocio of lista) {
+            schedules.set(negocio.id, horarios.buildSchedule(
+                negocio,
+                semanales.filter(h => h.negocio_id === negocio.id),
+                excepciones.filter(e => e.negocio_id === negocio.id),
+                { zonaHorariaPredeterminada: config.zonaHorariaPredeterminada }
+            ));
+        }
+
+        return schedules;
+    };
+
+    // Página de negocios abiertos en `referencia`. El estado depende de la zona
+    // horaria y las excepciones de cada negocio, así que se calcula en memoria
+    // recorriendo los resultados por lotes desde el cursor, hasta llenar la
+    // página o revisar MAX_REVISADOS_HORARIO negocios. En ese caso la página
+    // puede quedar corta y `ultimoRevisado` es donde debe seguir la siguiente.
+    const searchOpen = async (filtros, { orden, despues, tamano, referencia }) => {
+        const abiertos = [];
+        const schedules = new Map();
+        let posicion = despues;
+        let ultimoRevisado = null;
+        let revisados = 0;
+
+        while (revisados < MAX_REVISADOS_HORARIO) {
+            const lote = await negocios.search({ ...filtros, orden, despues: posicion, limite: LOTE_HORARIO });
+            const horariosLote = await loadSchedules(lote, referencia);
+
+            for (const negocio of lote) {
+                revisados += 1;
+                ultimoRevisado = negocio;
+                posicion = cursorValues(negocio, orden);
+                if (horarios.getOpenStatus(horariosLote.get(negocio.id), referencia).abierto) {
+                    abiertos.push(negocio);
+                    schedules.set(negocio.id, horariosLote.get(negocio.id));
+                    if (abiertos.length > tamano) {
+                        return { abiertos, schedules, ultimoRevisado: null };
+                    }
+                }
+            }
+            if (lote.length < LOTE_HORARIO) {
+                return { abiertos, schedules, ultimoRevisado: null };
+            }
+        }
+
+        return { abiertos, schedules, ultimoRevisado };
+    };
+
+    // ===================== RUTAS DE NEGOCIOS =====================
+
+    // Buscar negocios activos (público)
+    // q: texto libre sobre nombre, descripción y dirección, ordenado por relevancia.
+    // categoria (lista separada por comas o repetida) y calificacion_min filtran los resultados.
+    // Búsqueda por cercanía: lat, lng y radio_km, o un rectángulo bbox=minLng,minLat,maxLng,maxLat.
+    // Con lat/lng cada resultado incluye distancia_km y se puede ordenar con orden=distancia.
+    // formato=geojson devuelve un FeatureCollection listo para mapas.
+    // abierto_ahora=true o abierto_en=<fecha ISO> filtran por el horario estructurado; cada
+    // resultado incluye `horario` con su estado y próximas apertura y cierre.
+    // La paginación es por cursor: meta.siguiente_cursor se pasa como `cursor` para la página siguiente.
+    app.get('/api/negocios', [
+        query('q').optional().isLength({ min: 2, max: 100 }).withMessage(mensaje('CAMPO_LONGITUD', { min: 2, max: 100 })),
+        query('categoria').optional().custom(value => parseCategorias(value).every(c => CATEGORIAS_NEGOCIO.includes(c)))
+            .withMessage(mensaje('CAMPO_VALORES_VARIOS', { valores: CATEGORIAS_NEGOCIO })),
+        query('calificacion_min').optional().isFloat({ min: 0, max: 5 }).withMessage(mensaje('CAMPO_RANGO', { min: 0, max: 5 })),
+        query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('LATITUD_INVALIDA'),
+        query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('LONGITUD_INVALIDA'),
+        query('radio_km').optional().isFloat({ gt: 0, max: 1000 }).withMessage(mensaje('CAMPO_RANGO', { min: 0, max: 1000 })),
+        query('bbox').optional().custom(value => parseBbox(value) !== null)
+            .withMessage('BBOX_INVALIDO'),
+        query('orden').optional().isIn(Object.keys(ORDENES)).withMessage('VALOR_INVALIDO'),
+        query('formato').optional().isIn(['json', 'geojson']).withMessage('VALOR_INVALIDO'),
+        query('abierto_ahora').optional().isBoolean().withMessage('CAMPO_BOOLEANO'),
+        query('abierto_en').optional().isISO8601().withMessage('CAMPO_FECHA_ISO'),
+        query('limite').optional().isInt({ min: 1, max: 100 }).withMessage(mensaje('CAMPO_RANGO', { min: 1, max: 100 })),
+        query('cursor').optional().isLength({ max: 500 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const { q, limite = 50, radio_km, bbox, formato = 'json', abierto_en, cursor } = req.query;
+            const hasPoint = req.query.lat !== undefined && req.query.lng !== undefined;
+            const orden = req.query.orden || (parseTerms(q).length > 0 ? 'relevancia' : 'calificacion');
+
+            if ((req.query.lat !== undefined) !== (req.query.lng !== undefined)) {
+                return res.status(400).json({ success: false, ...req.msg('LAT_LNG_JUNTOS') });
+            }
+
+            if (!hasPoint && (radio_km !== undefined || orden === 'distancia')) {
+                return res.status(400).json({ success: false, ...req.msg('DISTANCIA_REQUIERE_UBICACION') });
+            }
+
+            if (orden === 'relevancia' && parseTerms(q).length === 0) {
+                return res.status(400).json({ success: false, ...req.msg('RELEVANCIA_REQUIERE_Q') });
+            }
+
+            const despues = cursor !== undefined ? decodeCursor(cursor, orden) : null;
+            if (cursor !== undefined && !despues) {
+                return res.status(400).json({ success: false, ...req.msg('CURSOR_INVALIDO') });
+            }
+
+            let cerca = null;
+            if (hasPoint) {
+                cerca = { lat: parseFloat(req.query.lat), lng: parseFloat(req.query.lng) };
+                if (radio_km !== undefined) {
+                    // Prefiltro por rectángulo (usa el índice) y luego la distancia exacta
+                    cerca.radioKm = parseFloat(radio_km);
+                    cerca.box = boundingBox(cerca.lat, cerca.lng, cerca.radioKm);
+                }
+            }
+
+            const filtros = {
+                q,
+                categorias: parseCategorias(req.query.categoria),
+                calificacionMin: req.query.calificacion_min !== undefined ? parseFloat(req.query.calificacion_min) : undefined,
+                bbox: bbox ? parseBbox(bbox) : null,
+                cerca
+            };
+            const tamano = parseInt(limite);
+            const referencia = abierto_en ? new Date(abierto_en) : new Date();
+
+            // Con filtro por horario no se calculan el total ni las facetas: exigirían
+            // revisar el horario de todos los negocios
+            const filterByHours = req.query.abierto_ahora === 'true' || abierto_en !== undefined;
+
+            let resultados;
+            let facetas;
+            let schedules;
+            let ultimoRevisado = null;
+            if (filterByHours) {
+                ({ abiertos: resultados, schedules, ultimoRevisado } = await searchOpen(filtros, { orden, despues, tamano, referencia }));
+                facetas = { total: null, categorias: null };
+            } else {
+                [resultados, facetas] = await Promise.all([
+                    negocios.search({ ...filtros, orden, despues, limite: tamano + 1 }),
+                    negocios.searchFacets(filtros)
+                ]);
+            }
+
+            // Se pide una fila de más para saber si hay página siguiente
+            const hayMas = resultados.length > tamano;
+            resultados = resultados.slice(0, tamano);
+            const siguiente = hayMas ? resultados[resultados.length - 1] : ultimoRevisado;
+
+            schedules = schedules || await loadSchedules(resultados, referencia);
+            for (const negocio of resultados) {
+                negocio.horario = horarios.getOpenStatus(schedules.get(negocio.id), referencia);
+            }
+
+            const meta = {
+                total: facetas.total,
+                limite: tamano,
+                orden,
+                siguiente_cursor: siguiente ? encodeCursor(siguiente, orden) : null,
+                facetas: {
+                    categoria: facetas.categorias && Object.fromEntries(CATEGORIAS_NEGOCIO.map(c => [c, facetas.categorias[c] || 0]))
+                }
+            };
+
+            for (const negocio of resultados) {
+                if (hasPoint) {
+                    negocio.distancia_km = negocio.distancia_km === null ? null : Math.round(negocio.distancia_km * 1000) / 1000;
+                }
+                if (negocio.relevancia !== undefined) {
+                    negocio.relevancia = Math.round(Number(negocio.relevancia) * 1000) / 1000;
+                }
+            }
+
+            if (formato === 'geojson') {
+                // `meta` es un miembro adicional del FeatureCollection, permitido por GeoJSON
+                return res.type('application/geo+json').json({ ...toFeatureCollection(resultados), meta });
+            }
+
+            res.json({ success: true, data: resultados, meta });
+        } catch (error) {
+            req.log.error('Error al obtener negocios', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Obtener negocio por ID
+    app.get('/api/negocios/:id', async (req, res) => {
+        try {
+            const negocio = await negocios.findById(req.params.id);
+
+            if (!negocio) {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+
+            const schedule = (await loadSchedules([negocio])).get(negocio.id);
+            negocio.horario = { ...horarios.describeSchedule(schedule), ...horarios.getOpenStatus(schedule) };
+
+            res.json({ success: true, data: negocio });
+        } catch (error) {
+            req.log.error('Error al obtener negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Crear negocio (solo super admin)
+    app.post('/api/negocios', verifyToken(['super_admin']), requirePermission('negocios.crear'), camposNegocio(true), validateRequest, async (req, res) => {
+        try {
+            const { nombre, descripcion, direccion, telefono, email, categoria, latitud, longitud, 
+                    horario_apertura, horario_cierre, dias_funcionamiento, sitio_web } = req.body;
+            const datos = { nombre, descripcion, direccion, telefono, email, categoria, latitud, longitud,
+                horario_apertura, horario_cierre, dias_funcionamiento, sitio_web };
+
+            const id = await negocios.create(datos);
+
+            await auditLog.fromRequest(req, {
+                accion: 'negocio.crear',
+                entidad: 'negocios',
+                entidad_id: id,
+                despues: { ...datos, estado: 'activo' }
+            });
+
+            res.status(201).json({
+                success: true,
+                ...req.msg('NEGOCIO_CREADO'),
+                data: { id }
+            });
+        } catch (error) {
+            req.log.error('Error al crear negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Actualizar negocio (sus administradores con el permiso o un super admin)
+    // `horarios` ({ lunes: [{ abre, cierra }], ... }) y `excepciones_horario`
+    // ([{ fecha_inicio, fecha_fin, cerrado, rangos, motivo }]) reemplazan por completo los anteriores
+    app.put('/api/negocios/:id', verifyToken(['admin_negocio', 'super_admin']), requireNegocioPermission('negocio.editar'), [
+        param('id').isInt({ min: 1 }),
+        ...camposNegocio(false),
+        body('horarios').optional().custom(parsesWith(horarios.parseWeeklySchedule)),
+        body('excepciones_horario').optional().custom(parsesWith(horarios.parseExceptions))
+    ], validateRequest, async (req, res) => {
+        try {
+            const negocioId = req.params.id;
+
+            const encontrado = await repositories.transaction(async (repos) => {
+                const antes = await repos.negocios.getAuditado(negocioId);
+                if (!antes) {
+                    return false;
+                }
+
+                await repos.negocios.updateDetails(negocioId, req.body);
+
+                if (req.body.horarios !== undefined) {
+                    await repos.horarios.replaceWeekly(negocioId, horarios.parseWeeklySchedule(req.body.horarios));
+                }
+
+                if (req.body.excepciones_horario !== undefined) {
+                    await repos.horarios.replaceExceptions(negocioId, horarios.parseExceptions(req.body.excepciones_horario));
+                }
+
+                const despues = await repos.negocios.getAuditado(negocioId);
+
+                await auditLog.fromRequest(req, {
+                    accion: 'negocio.actualizar',
+                    entidad: 'negocios',
+                    entidad_id: negocioId,
+                    antes,
+                    despues,
+                    metadatos: {
+                        horarios: req.body.horarios,
+                        excepciones_horario: req.body.excepciones_horario
+                    }
+                }, repos);
+
+                await webhooks.fromRequest(req, 'negocio.actualizado', {
+                    negocio_id: negocioId,
+                    datos: {
+                        negocio: despues,
+                        campos: Object.keys(diff(antes, despues)),
+                        horario_actualizado: req.body.horarios !== undefined || req.body.excepciones_horario !== undefined
+                    }
+                }, repos);
+
+                return true;
+            });
+
+            if (!encontrado) {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+
+            res.json({ success: true, ...req.msg('NEGOCIO_ACTUALIZADO') });
+        } catch (error) {
+            req.log.error('Error al actualizar negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
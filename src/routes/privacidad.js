@@ -0,0 +1,146 @@
+// src/routes/privacidad.js
+// Exportación y borrado de los datos personales de los turistas (ver src/privacidad)
+//
+// El turista descarga sus datos y pide el borrado de su cuenta, confirmando su
+// contraseña. Los super admins con `cuentas.administrar` pueden hacer lo mismo
+// en su nombre; cada paso queda en la auditoría.
+
+const bcrypt = require('bcryptjs');
+const { body, param } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+
+module.exports = (app, { repositories, auditLog, sessions, privacidad, verifyToken, requirePermission }) => {
+    const { turistas } = repositories;
+
+    // Las cuentas ya anonimizadas no tienen datos que exportar ni borrar
+    const findCuenta = async (turistaId) => {
+        const cuenta = await turistas.findById(turistaId, { incluirEliminados: true });
+        return cuenta && !cuenta.fecha_anonimizacion ? cuenta : null;
+    };
+
+    // Responde el ZIP con los datos del turista y registra la exportación
+    const sendExport = async (req, res, turistaId) => {
+        if (!(await findCuenta(turistaId))) {
+            return res.status(404).json({ success: false, ...req.msg('TURISTA_NO_ENCONTRADO') });
+        }
+
+        const fecha = new Date();
+        const zip = await privacidad.exportData(turistaId, fecha);
+
+        await auditLog.fromRequest(req, {
+            accion: 'turista.exportar_datos',
+            entidad: 'turistas',
+            entidad_id: turistaId,
+            metadatos: { bytes: zip.length }
+        });
+
+        res.set('Content-Disposition', `attachment; filename="datos_turista_${turistaId}_${fecha.toISOString().slice(0, 10)}.zip"`);
+        res.type('application/zip').send(zip);
+    };
+
+    // Desactiva la cuenta, programa su anonimización y cierra sus sesiones
+    const scheduleDeletion = async (req, res, turistaId, metadatos = {}) => {
+        if (!(await findCuenta(turistaId))) {
+            return res.status(404).json({ success: false, ...req.msg('TURISTA_NO_ENCONTRADO') });
+        }
+
+        const abiertas = await privacidad.openReservations(turistaId);
+        if (abiertas.length > 0) {
+            return res.status(409).json({
+                success: false,
+                ...req.msg('RESERVAS_ABIERTAS', { total: abiertas.length }),
+                data: { reservas: abiertas.map(reserva => reserva.id) }
+            });
+        }
+
+        const fecha = privacidad.deletionDate();
+        const programado = await repositories.transaction(async (repos) => {
+            if (!(await repos.privacidad.scheduleDeletion(turistaId, fecha))) {
+                return false;
+            }
+            await auditLog.fromRequest(req, {
+                accion: 'turista.solicitar_borrado',
+                entidad: 'turistas',
+                entidad_id: turistaId,
+                metadatos: { ...metadatos, fecha_borrado_programado: fecha.toISOString() }
+            }, repos);
+            return true;
+        });
+
+        if (!programado) {
+            return res.status(409).json({ success: false, ...req.msg('BORRADO_YA_PROGRAMADO') });
+        }
+
+        await sessions.revokeAllSessions('turista', turistaId, 'borrado_solicitado');
+
+        res.json({
+            success: true,
+            ...req.msg('BORRADO_PROGRAMADO', { fecha: fecha.toISOString().slice(0, 10) }),
+            data: { fecha_borrado_programado: fecha }
+        });
+    };
+
+    // ===================== DATOS DEL TURISTA =====================
+
+    // ZIP con el perfil, las reseñas y la actividad del turista autenticado
+    app.get('/api/turista/mis-datos', verifyToken(['turista']), async (req, res) => {
+        try {
+            await sendExport(req, res, req.user.id);
+        } catch (error) {
+            req.log.error('Error al exportar datos del turista', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Pedir el borrado de la cuenta propia; se vuelve a pedir la contraseña
+    app.delete('/api/turista/cuenta', verifyToken(['turista']), [
+        body('password', 'CAMPO_REQUERIDO').isString().notEmpty()
+    ], validateRequest, async (req, res) => {
+        try {
+            const passwordHash = await turistas.getPasswordHash(req.user.id);
+            if (!passwordHash || !(await bcrypt.compare(req.body.password, passwordHash))) {
+                await auditLog.fromRequest(req, {
+                    accion: 'turista.solicitar_borrado',
+                    entidad: 'turistas',
+                    entidad_id: req.user.id,
+                    metadatos: { rechazado: 'password_incorrecta' }
+                });
+                return res.status(400).json({ success: false, ...req.msg('PASSWORD_INCORRECTA') });
+            }
+
+            await scheduleDeletion(req, res, req.user.id);
+        } catch (error) {
+            req.log.error('Error al solicitar el borrado de la cuenta', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== EN NOMBRE DEL TURISTA =====================
+
+    const adminCuentas = [verifyToken(['super_admin']), requirePermission('cuentas.administrar')];
+
+    app.get('/api/admin/turistas/:id/datos-personales', adminCuentas, [
+        param('id').isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            await sendExport(req, res, Number(req.params.id));
+        } catch (error) {
+            req.log.error('Error al exportar datos del turista', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // El borrado se cancela restaurando la cuenta antes de que termine el periodo de gracia
+    app.delete('/api/admin/turistas/:id/datos-personales', adminCuentas, [
+        param('id').isInt({ min: 1 }),
+        body('motivo').optional().trim().isLength({ max: 500 }).withMessage(mensaje('CAMPO_LONGITUD_MAX', { max: 500 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            await scheduleDeletion(req, res, Number(req.params.id), { motivo: req.body.motivo || null });
+        } catch (error) {
+            req.log.error('Error al programar el borrado de datos del turista', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
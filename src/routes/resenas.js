@@ -0,0 +1,351 @@
+// src/routes/resenas.js
+// Reseñas de turistas, respuestas de los negocios y reportes
+
+const { body, query } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+const { withReviewTransaction } = require('../resenas/calificaciones');
+const { MOTIVOS_REPORTE, ORDEN_RESENAS } = require('../resenas/moderacion');
+const { DuplicateEntryError } = require('../repositories/errors');
+
+module.exports = (app, { config, repositories, auditLog, webhooks, limites, verifyToken, requirePermission, requireVerifiedEmail, canInNegocio }) => {
+    const { resenas, respuestas, reportes } = repositories;
+
+    // ===================== RUTAS DE RESEÑAS =====================
+
+    // Crear reseña (solo turistas)
+    app.post('/api/resenas', limites.resenasIp, verifyToken(['turista']), limites.resenasCuenta, requireVerifiedEmail(config.resenasRequierenVerificacion), [
+        body('negocio_id').isInt({ min: 1 }),
+        body('calificacion').isInt({ min: 1, max: 5 }),
+        body('comentario').optional().isLength({ max: 1000 }),
+        body('reserva_id').optional().isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const { negocio_id, calificacion, comentario, reserva_id } = req.body;
+
+            // Una reserva completada del turista en este negocio marca la reseña como estancia verificada
+            if (reserva_id !== undefined) {
+                const reserva = await repositories.reservas.findById(reserva_id);
+                if (!reserva || reserva.turista_id !== req.user.id || reserva.negocio_id != negocio_id) {
+                    return res.status(400).json({ success: false, ...req.msg('RESERVA_DE_OTRO_NEGOCIO') });
+                }
+                if (reserva.estado !== 'completada') {
+                    return res.status(400).json({ success: false, ...req.msg('RESERVA_NO_COMPLETADA') });
+                }
+            }
+
+            // La reseña y los agregados del negocio se actualizan en la misma transacción
+            const resenaId = await withReviewTransaction(repositories, negocio_id, async (repos) => {
+                // Verificar si ya existe una reseña
+                const existing = await repos.resenas.findByAuthor(req.user.id, negocio_id);
+
+                if (existing) {
+                    if (existing.estado !== 'eliminada') {
+                        return null;
+                    }
+
+                    // Una reseña borrada por su autor se puede volver a publicar
+                    await repos.resenas.republish(existing.id, { reserva_id, calificacion, comentario });
+                    await repos.respuestas.deleteByResena(existing.id);
+
+                    return existing.id;
+                }
+
+                return repos.resenas.create({ turista_id: req.user.id, negocio_id, reserva_id, calificacion, comentario });
+            }, { soloActivo: true });
+
+            if (resenaId === undefined) {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+
+            if (resenaId === null) {
+                return res.status(400).json({ success: false, ...req.msg('RESENA_DUPLICADA') });
+            }
+
+            await auditLog.fromRequest(req, {
+                accion: 'resena.crear',
+                entidad: 'resenas',
+                entidad_id: resenaId,
+                despues: { negocio_id, reserva_id: reserva_id ?? null, calificacion, comentario: comentario ?? null, estado: 'activa' }
+            });
+            await webhooks.fromRequest(req, 'resena.creada', {
+                negocio_id,
+                datos: {
+                    resena: {
+                        id: resenaId,
+                        calificacion,
+                        comentario: comentario ?? null,
+                        estancia_verificada: reserva_id !== undefined,
+                        turista_id: req.user.id
+                    }
+                }
+            });
+
+            res.status(201).json({
+                success: true,
+                ...req.msg('RESENA_CREADA'),
+                data: { id: resenaId }
+            });
+        } catch (error) {
+            req.log.error('Error al crear reseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Carga en req.resena la reseña de :id si pertenece al turista autenticado
+    const loadOwnReview = async (req, res, next) => {
+        try {
+            const resena = await resenas.findById(req.params.id);
+
+            if (!resena || resena.estado === 'eliminada') {
+                return res.status(404).json({ success: false, ...req.msg('RESENA_NO_ENCONTRADA') });
+            }
+
+            if (resena.turista_id !== req.user.id) {
+                return res.status(403).json({ success: false, ...req.msg('SIN_PERMISOS_RESENA') });
+            }
+
+            req.resena = resena;
+            next();
+        } catch (error) {
+            req.log.error('Error al cargar reseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    // Carga en req.resena la reseña de :id si es de un negocio donde el administrador autenticado puede responder
+    const loadBusinessReview = async (req, res, next) => {
+        try {
+            const resena = await resenas.findById(req.params.id);
+
+            if (!resena || resena.estado === 'eliminada') {
+                return res.status(404).json({ success: false, ...req.msg('RESENA_NO_ENCONTRADA') });
+            }
+
+            if (!(await canInNegocio(req, resena.negocio_id, 'resenas.responder'))) {
+                return res.status(403).json({ success: false, ...req.msg('SIN_PERMISOS_RESENA') });
+            }
+
+            req.resena = resena;
+            next();
+        } catch (error) {
+            req.log.error('Error al cargar reseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    // Editar reseña propia (turista)
+    app.put('/api/resenas/:id', verifyToken(['turista']), [
+        body('calificacion').optional().isInt({ min: 1, max: 5 }),
+        body('comentario').optional().isLength({ max: 1000 })
+    ], validateRequest, loadOwnReview, async (req, res) => {
+        try {
+            if (req.resena.estado === 'rechazada') {
+                return res.status(400).json({ success: false, ...req.msg('RESENA_RECHAZADA_NO_EDITABLE') });
+            }
+
+            const { calificacion, comentario } = req.body;
+
+            await withReviewTransaction(repositories, req.resena.negocio_id,
+                (repos) => repos.resenas.update(req.resena.id, { calificacion, comentario }));
+
+            await auditLog.fromRequest(req, {
+                accion: 'resena.editar',
+                entidad: 'resenas',
+                entidad_id: req.resena.id,
+                antes: { calificacion: req.resena.calificacion, comentario: req.resena.comentario },
+                despues: {
+                    calificacion: calificacion ?? req.resena.calificacion,
+                    comentario: comentario ?? req.resena.comentario
+                }
+            });
+
+            res.json({ success: true, ...req.msg('RESENA_ACTUALIZADA') });
+        } catch (error) {
+            req.log.error('Error al editar reseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Eliminar reseña propia (turista). Se conserva la fila para la moderación y la auditoría.
+    app.delete('/api/resenas/:id', verifyToken(['turista']), loadOwnReview, async (req, res) => {
+        try {
+            await withReviewTransaction(repositories, req.resena.negocio_id,
+                (repos) => repos.resenas.setEstado(req.resena.id, 'eliminada'));
+
+            await auditLog.fromRequest(req, {
+                accion: 'resena.eliminar',
+                entidad: 'resenas',
+                entidad_id: req.resena.id,
+                antes: { estado: req.resena.estado },
+                despues: { estado: 'eliminada' }
+            });
+
+            res.json({ success: true, ...req.msg('RESENA_ELIMINADA') });
+        } catch (error) {
+            req.log.error('Error al eliminar reseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Responder públicamente una reseña (admin del negocio, una respuesta por reseña)
+    app.post('/api/resenas/:id/respuesta', verifyToken(['admin_negocio']), requirePermission('resenas.responder'), [
+        body('respuesta').trim().isLength({ min: 1, max: 1000 }).withMessage(mensaje('CAMPO_LONGITUD', { min: 1, max: 1000 }))
+    ], validateRequest, loadBusinessReview, async (req, res) => {
+        try {
+            await respuestas.create({ resena_id: req.resena.id, admin_id: req.user.id, respuesta: req.body.respuesta });
+
+            await auditLog.fromRequest(req, {
+                accion: 'resena.responder',
+                entidad: 'respuestas_resenas',
+                entidad_id: req.resena.id,
+                despues: { respuesta: req.body.respuesta }
+            });
+
+            res.status(201).json({ success: true, ...req.msg('RESPUESTA_PUBLICADA') });
+        } catch (error) {
+            if (error instanceof DuplicateEntryError) {
+                return res.status(400).json({ success: false, ...req.msg('RESPUESTA_EXISTENTE') });
+            }
+            req.log.error('Error al responder reseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Editar la respuesta de una reseña (admin del negocio)
+    app.put('/api/resenas/:id/respuesta', verifyToken(['admin_negocio']), requirePermission('resenas.responder'), [
+        body('respuesta').trim().isLength({ min: 1, max: 1000 }).withMessage(mensaje('CAMPO_LONGITUD', { min: 1, max: 1000 }))
+    ], validateRequest, loadBusinessReview, async (req, res) => {
+        try {
+            const anterior = await respuestas.findByResena(req.resena.id);
+
+            const actualizada = await respuestas.update(req.resena.id, { respuesta: req.body.respuesta, admin_id: req.user.id });
+
+            if (!actualizada) {
+                return res.status(404).json({ success: false, ...req.msg('RESPUESTA_NO_ENCONTRADA') });
+            }
+
+            await auditLog.fromRequest(req, {
+                accion: 'resena.editar_respuesta',
+                entidad: 'respuestas_resenas',
+                entidad_id: req.resena.id,
+                antes: anterior,
+                despues: { respuesta: req.body.respuesta, admin_id: req.user.id }
+            });
+
+            res.json({ success: true, ...req.msg('RESPUESTA_ACTUALIZADA') });
+        } catch (error) {
+            req.log.error('Error al editar respuesta', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Eliminar la respuesta de una reseña (admin del negocio)
+    app.delete('/api/resenas/:id/respuesta', verifyToken(['admin_negocio']), requirePermission('resenas.responder'), loadBusinessReview, async (req, res) => {
+        try {
+            const anterior = await respuestas.findByResena(req.resena.id);
+
+            if (!(await respuestas.deleteByResena(req.resena.id))) {
+                return res.status(404).json({ success: false, ...req.msg('RESPUESTA_NO_ENCONTRADA') });
+            }
+
+            await auditLog.fromRequest(req, {
+                accion: 'resena.eliminar_respuesta',
+                entidad: 'respuestas_resenas',
+                entidad_id: req.resena.id,
+                antes: anterior
+            });
+
+            res.json({ success: true, ...req.msg('RESPUESTA_ELIMINADA') });
+        } catch (error) {
+            req.log.error('Error al eliminar respuesta', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Reportar una reseña (cualquier usuario autenticado, un reporte por usuario)
+    app.post('/api/resenas/:id/reportes', verifyToken(), [
+        body('motivo').isIn(MOTIVOS_REPORTE).withMessage(mensaje('CAMPO_VALORES', { valores: MOTIVOS_REPORTE })),
+        body('comentario').optional().isLength({ max: 500 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const resena = await resenas.findById(req.params.id);
+
+            if (!resena || resena.estado !== 'activa') {
+                return res.status(404).json({ success: false, ...req.msg('RESENA_NO_ENCONTRADA') });
+            }
+
+            if (req.user.tipo === 'turista' && resena.turista_id === req.user.id) {
+                return res.status(400).json({ success: false, ...req.msg('REPORTE_PROPIO') });
+            }
+
+            await reportes.create({
+                resena_id: resena.id,
+                tipo_usuario: req.user.tipo,
+                usuario_id: req.user.id,
+                motivo: req.body.motivo,
+                comentario: req.body.comentario
+            });
+
+            await auditLog.fromRequest(req, {
+                accion: 'resena.reportar',
+                entidad: 'resenas',
+                entidad_id: resena.id,
+                metadatos: { motivo: req.body.motivo }
+            });
+
+            res.status(201).json({ success: true, ...req.msg('REPORTE_ENVIADO') });
+        } catch (error) {
+            if (error instanceof DuplicateEntryError) {
+                return res.status(400).json({ success: false, ...req.msg('REPORTE_DUPLICADO') });
+            }
+            req.log.error('Error al reportar reseña', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Obtener reseñas de un negocio
+    // Paginadas (pagina, limite), ordenables (orden=recientes|antiguas|mejor_calificadas|peor_calificadas),
+    // filtrables por calificacion; `meta` incluye el total y el desglose por estrellas.
+    app.get('/api/negocios/:id/resenas', [
+        query('pagina').optional().isInt({ min: 1 }).withMessage('PAGINA_INVALIDA'),
+        query('limite').optional().isInt({ min: 1, max: 100 }).withMessage(mensaje('CAMPO_RANGO', { min: 1, max: 100 })),
+        query('orden').optional().isIn(Object.keys(ORDEN_RESENAS)).withMessage('VALOR_INVALIDO'),
+        query('calificacion').optional().isInt({ min: 1, max: 5 }).withMessage(mensaje('CAMPO_RANGO', { min: 1, max: 5 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const { pagina = 1, limite = 20, orden = 'recientes', calificacion } = req.query;
+
+            const lista = await resenas.listPublished(req.params.id, {
+                calificacion: calificacion === undefined ? undefined : parseInt(calificacion),
+                orden,
+                limite: parseInt(limite),
+                offset: (parseInt(pagina) - 1) * parseInt(limite)
+            });
+
+            const desglose = await resenas.countByRating(req.params.id);
+            const total = calificacion !== undefined
+                ? desglose[calificacion]
+                : Object.values(desglose).reduce((sum, n) => sum + n, 0);
+
+            res.json({
+                success: true,
+                data: lista.map(({ respuesta, fecha_respuesta, ...resena }) => ({
+                    ...resena,
+                    estancia_verificada: Boolean(resena.estancia_verificada),
+                    respuesta: respuesta === null ? null : { texto: respuesta, fecha: fecha_respuesta }
+                })),
+                meta: {
+                    total,
+                    pagina: parseInt(pagina),
+                    limite: parseInt(limite),
+                    total_paginas: Math.ceil(total / parseInt(limite)),
+                    desglose_calificaciones: desglose
+                }
+            });
+        } catch (error) {
+            req.log.error('Error al obtener reseñas', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
@@ -0,0 +1,464 @@
+// src/routes/reservas.js
+// Disponibilidad y reservas de hoteles y restaurantes
+//
+// El negocio publica franjas con capacidad; cada reserva ocupa su cupo al
+// crearse (también en estado pendiente) y lo libera si se rechaza o se
+// cancela. Las transiciones de estado están en src/reservas.
+
+const { body, param, query } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+const horarios = require('../utils/horarios');
+const {
+    HORA_NOCHE,
+    MAX_PERSONAS,
+    MAX_NOCHES,
+    MAX_DIAS_DISPONIBILIDAD,
+    ESTADOS_RESERVA,
+    ACCIONES_RESERVA,
+    SinDisponibilidadError,
+    modoReserva,
+    ahoraLocal,
+    checkAction,
+    franjasDeReserva,
+    fechasDelRango
+} = require('../reservas');
+
+const HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_HORAS = 48;
+const MAX_CAPACIDAD = 1000;
+// Días que se consultan si no se indica `hasta`, y máximo por consulta
+const DIAS_CONSULTA = 14;
+const MAX_DIAS_CONSULTA = 92;
+
+const fechaValida = (campo) => body(campo).isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('CAMPO_FECHA');
+
+const rangoConsulta = [
+    query('desde').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('CAMPO_FECHA'),
+    query('hasta').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('CAMPO_FECHA')
+];
+
+const diasEntre = (desde, hasta) => Math.round((Date.parse(hasta) - Date.parse(desde)) / 86400000);
+
+const formatHora = (hora) => hora === null || hora === undefined ? null : String(hora).slice(0, 5);
+
+const formatReserva = (reserva) => ({
+    ...reserva,
+    fecha: horarios.formatDateValue(reserva.fecha),
+    hora: formatHora(reserva.hora),
+    fecha_salida: reserva.fecha_salida ? horarios.formatDateValue(reserva.fecha_salida) : null
+});
+
+module.exports = (app, { repositories, auditLog, webhooks, verifyToken, requirePermission, requireNegocioPermission, canInNegocio }) => {
+    const { reservas, negocios } = repositories;
+
+    // Las rutas del negocio reciben `negocio_id`, que puede omitirse si el
+    // administrador gestiona las reservas de un solo negocio
+    const gestionReservas = [verifyToken(['admin_negocio']), query('negocio_id').optional().isInt({ min: 1 })];
+    const delNegocio = requireNegocioPermission('reservas.gestionar', { negocioId: (req) => req.query.negocio_id });
+
+    // Rango de fechas de una consulta: por defecto desde hoy (hora local del negocio) y DIAS_CONSULTA días.
+    // Responde 400 y devuelve null si no es válido.
+    const readRange = (req, res, negocio) => {
+        const desde = req.query.desde || ahoraLocal(negocio).fecha;
+        const hasta = req.query.hasta || horarios.addDays(desde, DIAS_CONSULTA - 1);
+
+        if (hasta < desde || diasEntre(desde, hasta) >= MAX_DIAS_CONSULTA) {
+            res.status(400).json({ success: false, ...req.msg('RANGO_FECHAS_INVALIDO', { max: MAX_DIAS_CONSULTA }) });
+            return null;
+        }
+        return { desde, hasta };
+    };
+
+    // Negocio activo que admite reservas; responde 404 o 400 y devuelve null si no
+    const loadReservable = async (req, res, negocioId) => {
+        const negocio = await negocios.findById(negocioId);
+        if (!negocio || negocio.estado !== 'activo') {
+            res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            return null;
+        }
+        if (!modoReserva(negocio)) {
+            res.status(400).json({ success: false, ...req.msg('NEGOCIO_SIN_RESERVAS') });
+            return null;
+        }
+        return negocio;
+    };
+
+    // Aplica una acción de ACCIONES_RESERVA. El estado se vuelve a leer con la
+    // reserva bloqueada, así que dos acciones simultáneas no se pisan.
+    const applyAction = (req, reserva, accion, motivo) => repositories.transaction(async (repos) => {
+        const transicion = ACCIONES_RESERVA[accion];
+        const actual = await repos.reservas.lockForUpdate(reserva.id);
+
+        const error = checkAction(accion, { ...reserva, estado: actual.estado }, reserva, req.user.tipo);
+        if (error) {
+            return { error };
+        }
+
+        await repos.reservas.setEstado(reserva.id, { desde: actual.estado, hacia: transicion.hacia, motivo });
+        if (transicion.libera) {
+            await repos.reservas.releaseFranjas(reserva.id);
+        }
+
+        await auditLog.fromRequest(req, {
+            accion: `reserva.${accion}`,
+            entidad: 'reservas',
+            entidad_id: reserva.id,
+            antes: { estado: actual.estado },
+            despues: { estado: transicion.hacia },
+            metadatos: motivo ? { motivo } : null
+        }, repos);
+
+        await webhooks.fromRequest(req, 'reserva.actualizada', {
+            negocio_id: reserva.negocio_id,
+            datos: {
+                reserva_id: reserva.id,
+                accion,
+                estado_anterior: actual.estado,
+                estado: transicion.hacia,
+                motivo: motivo ?? null,
+                actor: req.user.tipo
+            }
+        }, repos);
+
+        return { estado_anterior: actual.estado, estado: transicion.hacia };
+    });
+
+    // ===================== DISPONIBILIDAD =====================
+
+    // Franjas del negocio con su capacidad y ocupación
+    app.get('/api/negocio/disponibilidad', ...gestionReservas, rangoConsulta, validateRequest, delNegocio, async (req, res) => {
+        try {
+            const negocio = await negocios.findById(req.negocioId);
+            if (!negocio) {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+
+            const rango = readRange(req, res, negocio);
+            if (!rango) {
+                return;
+            }
+
+            const franjas = await reservas.listFranjas(negocio.id, rango);
+            const porNoche = modoReserva(negocio) === 'noche';
+
+            res.json({
+                success: true,
+                data: franjas.map(f => ({
+                    ...f,
+                    fecha: horarios.formatDateValue(f.fecha),
+                    hora: porNoche ? null : formatHora(f.hora),
+                    libres: f.capacidad - f.ocupadas
+                })),
+                meta: { ...rango, modo: modoReserva(negocio) }
+            });
+        } catch (error) {
+            req.log.error('Error al obtener disponibilidad del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Definir la capacidad de las franjas de un rango de fechas. Los restaurantes
+    // indican las horas de servicio y la capacidad en comensales; los hoteles,
+    // las habitaciones disponibles por noche. Las franjas existentes cambian de
+    // capacidad salvo que quede por debajo de lo ya reservado (`conflictos`).
+    app.put('/api/negocio/disponibilidad', ...gestionReservas, [
+        fechaValida('desde'),
+        fechaValida('hasta'),
+        body('dias_semana').optional().isArray({ min: 1, max: 7 }).withMessage('CAMPO_LISTA'),
+        body('dias_semana.*').isIn(horarios.DIAS).withMessage(mensaje('CAMPO_VALORES', { valores: horarios.DIAS })),
+        body('horas').optional().isArray({ min: 1, max: MAX_HORAS }).withMessage(mensaje('CAMPO_LISTA_TAMANO', { min: 1, max: MAX_HORAS })),
+        body('horas.*').matches(HORA).withMessage('CAMPO_HORA'),
+        body('capacidad').isInt({ min: 0, max: MAX_CAPACIDAD }).withMessage(mensaje('CAMPO_RANGO', { min: 0, max: MAX_CAPACIDAD }))
+    ], validateRequest, delNegocio, async (req, res) => {
+        try {
+            const negocio = await loadReservable(req, res, req.negocioId);
+            if (!negocio) {
+                return;
+            }
+
+            const { desde, hasta, dias_semana } = req.body;
+            const capacidad = parseInt(req.body.capacidad);
+            const modo = modoReserva(negocio);
+
+            if (hasta < desde || diasEntre(desde, hasta) >= MAX_DIAS_DISPONIBILIDAD) {
+                return res.status(400).json({ success: false, ...req.msg('RANGO_FECHAS_INVALIDO', { max: MAX_DIAS_DISPONIBILIDAD }) });
+            }
+            if (desde < ahoraLocal(negocio).fecha) {
+                return res.status(400).json({ success: false, ...req.msg('DISPONIBILIDAD_FECHAS_PASADAS') });
+            }
+            if (modo === 'mesa' && !req.body.horas) {
+                return res.status(400).json({ success: false, ...req.msg('DISPONIBILIDAD_REQUIERE_HORAS') });
+            }
+            if (modo === 'noche' && req.body.horas) {
+                return res.status(400).json({ success: false, ...req.msg('DISPONIBILIDAD_SIN_HORAS') });
+            }
+
+            const horas = modo === 'mesa' ? [...new Set(req.body.horas)].sort() : [HORA_NOCHE];
+            const fechas = fechasDelRango(desde, hasta, dias_semana);
+
+            const resultado = await repositories.transaction(async (repos) => {
+                const totales = { creadas: 0, actualizadas: 0, conflictos: [] };
+                for (const fecha of fechas) {
+                    for (const hora of horas) {
+                        const estado = await repos.reservas.upsertFranja(negocio.id, { fecha, hora, capacidad });
+                        if (estado === 'conflicto') {
+                            totales.conflictos.push({ fecha, hora: modo === 'mesa' ? hora : null });
+                        } else {
+                            totales[estado === 'creada' ? 'creadas' : 'actualizadas']++;
+                        }
+                    }
+                }
+
+                await auditLog.fromRequest(req, {
+                    accion: 'negocio.disponibilidad',
+                    entidad: 'negocios',
+                    entidad_id: negocio.id,
+                    metadatos: { desde, hasta, dias_semana: dias_semana ?? null, horas: modo === 'mesa' ? horas : null, capacidad }
+                }, repos);
+
+                return totales;
+            });
+
+            res.json({
+                success: true,
+                ...req.msg(resultado.conflictos.length > 0 ? 'DISPONIBILIDAD_CON_CONFLICTOS' : 'DISPONIBILIDAD_ACTUALIZADA'),
+                data: resultado
+            });
+        } catch (error) {
+            req.log.error('Error al actualizar disponibilidad', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Disponibilidad pública de un negocio: plazas o habitaciones libres por franja
+    app.get('/api/negocios/:id/disponibilidad', [
+        param('id').isInt({ min: 1 }),
+        ...rangoConsulta
+    ], validateRequest, async (req, res) => {
+        try {
+            const negocio = await loadReservable(req, res, req.params.id);
+            if (!negocio) {
+                return;
+            }
+
+            const rango = readRange(req, res, negocio);
+            if (!rango) {
+                return;
+            }
+
+            const ahora = ahoraLocal(negocio);
+            const franjas = (await reservas.listFranjas(negocio.id, rango))
+                .map(f => ({ fecha: horarios.formatDateValue(f.fecha), hora: formatHora(f.hora), libres: f.capacidad - f.ocupadas }))
+                .filter(f => f.libres > 0)
+                .filter(f => f.fecha > ahora.fecha || (f.fecha === ahora.fecha && (f.hora === HORA_NOCHE || f.hora > ahora.hora)));
+
+            res.json({
+                success: true,
+                data: franjas.map(f => (modoReserva(negocio) === 'noche' ? { fecha: f.fecha, libres: f.libres } : f)),
+                meta: { ...rango, modo: modoReserva(negocio), zona_horaria: negocio.zona_horaria }
+            });
+        } catch (error) {
+            req.log.error('Error al obtener disponibilidad', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== RESERVAS DEL TURISTA =====================
+
+    // Solicitar una reserva. Restaurantes: fecha, hora y personas. Hoteles: fecha
+    // de llegada, fecha_salida, personas y habitaciones (1 por defecto). Queda
+    // pendiente hasta que el negocio la confirme, pero ya ocupa su cupo.
+    app.post('/api/reservas', verifyToken(['turista']), [
+        body('negocio_id').isInt({ min: 1 }),
+        fechaValida('fecha'),
+        body('hora').optional().matches(HORA).withMessage('CAMPO_HORA'),
+        body('fecha_salida').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .withMessage('CAMPO_FECHA'),
+        body('personas').isInt({ min: 1, max: MAX_PERSONAS }).withMessage(mensaje('CAMPO_RANGO', { min: 1, max: MAX_PERSONAS })),
+        body('habitaciones').optional().isInt({ min: 1, max: MAX_PERSONAS }).withMessage(mensaje('CAMPO_RANGO', { min: 1, max: MAX_PERSONAS })),
+        body('notas').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage(mensaje('CAMPO_LONGITUD_MAX', { max: 500 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const negocio = await loadReservable(req, res, req.body.negocio_id);
+            if (!negocio) {
+                return;
+            }
+
+            const modo = modoReserva(negocio);
+            const { fecha, notas } = req.body;
+            const personas = parseInt(req.body.personas);
+            const ahora = ahoraLocal(negocio);
+            let datos;
+
+            if (modo === 'mesa') {
+                const { hora } = req.body;
+                if (!hora || req.body.fecha_salida || req.body.habitaciones) {
+                    return res.status(400).json({ success: false, ...req.msg('RESERVA_RESTAURANTE_CAMPOS') });
+                }
+                if (`${fecha} ${hora}` <= `${ahora.fecha} ${ahora.hora}`) {
+                    return res.status(400).json({ success: false, ...req.msg('RESERVA_FECHA_PASADA') });
+                }
+                datos = { fecha, hora, fecha_salida: null, unidades: personas };
+            } else {
+                const { fecha_salida } = req.body;
+                const habitaciones = req.body.habitaciones ? parseInt(req.body.habitaciones) : 1;
+                if (!fecha_salida || req.body.hora) {
+                    return res.status(400).json({ success: false, ...req.msg('RESERVA_HOTEL_CAMPOS') });
+                }
+                if (fecha < ahora.fecha) {
+                    return res.status(400).json({ success: false, ...req.msg('RESERVA_LLEGADA_PASADA') });
+                }
+                const noches = diasEntre(fecha, fecha_salida);
+                if (noches < 1 || noches > MAX_NOCHES) {
+                    return res.status(400).json({ success: false, ...req.msg('RESERVA_NOCHES', { max: MAX_NOCHES }) });
+                }
+                if (habitaciones > personas) {
+                    return res.status(400).json({ success: false, ...req.msg('RESERVA_HABITACIONES') });
+                }
+                datos = { fecha, hora: null, fecha_salida, unidades: habitaciones };
+            }
+
+            const id = await repositories.transaction(async (repos) => {
+                const ocupadas = [];
+                for (const franja of franjasDeReserva(modo, datos)) {
+                    const franjaId = await repos.reservas.occupyFranja(negocio.id, franja, datos.unidades);
+                    if (!franjaId) {
+                        throw new SinDisponibilidadError();
+                    }
+                    ocupadas.push({ id: franjaId, unidades: datos.unidades });
+                }
+
+                const reservaId = await repos.reservas.create({
+                    negocio_id: negocio.id,
+                    turista_id: req.user.id,
+                    ...datos,
+                    personas,
+                    notas
+                }, ocupadas);
+
+                await auditLog.fromRequest(req, {
+                    accion: 'reserva.crear',
+                    entidad: 'reservas',
+                    entidad_id: reservaId,
+                    despues: { negocio_id: negocio.id, ...datos, personas, estado: 'pendiente' }
+                }, repos);
+
+                await webhooks.fromRequest(req, 'reserva.creada', {
+                    negocio_id: negocio.id,
+                    datos: { reserva: { id: reservaId, turista_id: req.user.id, ...datos, personas, notas: notas ?? null, estado: 'pendiente' } }
+                }, repos);
+
+                return reservaId;
+            });
+
+            res.status(201).json({
+                success: true,
+                ...req.msg('RESERVA_SOLICITADA'),
+                data: formatReserva(await reservas.findById(id))
+            });
+        } catch (error) {
+            if (error instanceof SinDisponibilidadError) {
+                return res.status(409).json({ success: false, ...req.msg(error.codigo, error.params) });
+            }
+            req.log.error('Error al crear reserva', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Reservas del turista, las más lejanas primero
+    app.get('/api/turista/reservas', verifyToken(['turista']), [
+        query('estado').optional().isIn(ESTADOS_RESERVA).withMessage(mensaje('CAMPO_VALORES', { valores: ESTADOS_RESERVA }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const lista = await reservas.listByTurista(req.user.id, { estado: req.query.estado });
+            res.json({ success: true, data: lista.map(formatReserva) });
+        } catch (error) {
+            req.log.error('Error al obtener reservas', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Cancelar una reserva propia antes de que empiece
+    app.post('/api/turista/reservas/:id/cancelar', verifyToken(['turista']), [
+        param('id').isInt({ min: 1 }),
+        body('motivo').optional().trim().isLength({ max: 500 }).withMessage(mensaje('CAMPO_LONGITUD_MAX', { max: 500 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const reserva = await reservas.findById(req.params.id);
+            if (!reserva || reserva.turista_id !== req.user.id) {
+                return res.status(404).json({ success: false, ...req.msg('RESERVA_NO_ENCONTRADA') });
+            }
+
+            const result = await applyAction(req, reserva, 'cancelar', req.body.motivo || null);
+            if (result.error) {
+                return res.status(400).json({ success: false, ...req.msg(result.error) });
+            }
+
+            res.json({ success: true, ...req.msg('RESERVA_CANCELADA'), data: result });
+        } catch (error) {
+            req.log.error('Error al cancelar reserva', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== RESERVAS DEL NEGOCIO =====================
+
+    // Reservas del negocio por fecha, filtrables por estado y rango
+    app.get('/api/negocio/reservas', ...gestionReservas, [
+        query('estado').optional().isIn(ESTADOS_RESERVA).withMessage(mensaje('CAMPO_VALORES', { valores: ESTADOS_RESERVA })),
+        ...rangoConsulta,
+        query('pagina').optional().isInt({ min: 1 }).withMessage('PAGINA_INVALIDA'),
+        query('limite').optional().isInt({ min: 1, max: 100 }).withMessage(mensaje('CAMPO_RANGO', { min: 1, max: 100 }))
+    ], validateRequest, delNegocio, async (req, res) => {
+        try {
+            const { estado, desde, hasta, pagina = 1, limite = 50 } = req.query;
+
+            const { rows, total } = await reservas.listByNegocio(req.negocioId, { estado, desde, hasta }, {
+                limite: parseInt(limite),
+                offset: (parseInt(pagina) - 1) * parseInt(limite)
+            });
+
+            res.json({
+                success: true,
+                data: rows.map(formatReserva),
+                meta: {
+                    total,
+                    pagina: parseInt(pagina),
+                    limite: parseInt(limite),
+                    total_paginas: Math.ceil(total / parseInt(limite))
+                }
+            });
+        } catch (error) {
+            req.log.error('Error al obtener reservas del negocio', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Confirmar, rechazar, cancelar, completar o marcar como no presentada una reserva
+    // de un negocio donde el administrador gestiona las reservas
+    app.post('/api/negocio/reservas/:id', verifyToken(['admin_negocio']), requirePermission('reservas.gestionar'), [
+        param('id').isInt({ min: 1 }),
+        body('accion').isIn(Object.keys(ACCIONES_RESERVA))
+            .withMessage(mensaje('CAMPO_VALORES', { valores: Object.keys(ACCIONES_RESERVA) })),
+        body('motivo').optional().trim().isLength({ max: 500 }).withMessage(mensaje('CAMPO_LONGITUD_MAX', { max: 500 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const reserva = await reservas.findById(req.params.id);
+            if (!reserva || !(await canInNegocio(req, reserva.negocio_id, 'reservas.gestionar'))) {
+                return res.status(404).json({ success: false, ...req.msg('RESERVA_NO_ENCONTRADA') });
+            }
+
+            const result = await applyAction(req, reserva, req.body.accion, req.body.motivo || null);
+            if (result.error) {
+                return res.status(400).json({ success: false, ...req.msg(result.error) });
+            }
+
+            res.json({ success: true, ...req.msg('RESERVA_ACTUALIZADA'), data: result });
+        } catch (error) {
+            req.log.error('Error al actualizar reserva', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
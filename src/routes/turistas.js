@@ -0,0 +1,196 @@
+// src/routes/turistas.js
+// Perfil, negocios favoritos y recomendaciones del turista autenticado
+
+const { body, param, query } = require('express-validator');
+const { IDIOMAS, mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+const { boundingBox } = require('../utils/geo');
+const { CATEGORIAS_NEGOCIO, parseCategorias } = require('../negocios/busqueda');
+const { recommend } = require('../recomendaciones');
+
+// Columnas del perfil que se comparan en la auditoría de cambios
+const CAMPOS_PERFIL = ['nombre', 'apellido', 'telefono', 'fecha_nacimiento', 'genero', 'pais_origen', 'ciudad_origen', 'preferencias_turisticas', 'idioma'];
+
+// Turistas con reseñas en común que se comparan en el filtrado colaborativo
+const MAX_TURISTAS_SIMILARES = 200;
+
+const COLUMNAS_RECOMENDACION = ['id', 'nombre', 'categoria', 'descripcion', 'direccion', 'latitud', 'longitud',
+    'imagen_principal', 'calificacion_promedio', 'total_resenas', 'distancia_km'];
+
+const pickPerfil = (perfil) => perfil && Object.fromEntries(CAMPOS_PERFIL.map(campo => [campo, perfil[campo]]));
+
+module.exports = (app, { repositories, auditLog, verifyToken }) => {
+    const { turistas, negocios, favoritos, resenas } = repositories;
+
+    // ===================== RUTAS DE TURISTAS =====================
+
+    // Obtener perfil del turista
+    app.get('/api/turista/perfil', verifyToken(['turista']), async (req, res) => {
+        try {
+            const perfil = await turistas.getProfile(req.user.id);
+
+            if (!perfil) {
+                return res.status(404).json({ success: false, ...req.msg('USUARIO_NO_ENCONTRADO') });
+            }
+
+            res.json({ success: true, data: perfil });
+        } catch (error) {
+            req.log.error('Error al obtener perfil', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Actualizar perfil del turista
+    app.put('/api/turista/perfil', verifyToken(['turista']), [
+        body('nombre').optional().isLength({ min: 2 }),
+        body('apellido').optional().isLength({ min: 2 }),
+        body('telefono').optional().isLength({ min: 10 }),
+        body('idioma').optional().isIn(IDIOMAS).withMessage(mensaje('CAMPO_VALORES', { valores: IDIOMAS }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const antes = pickPerfil(await turistas.getProfile(req.user.id));
+
+            await turistas.updateProfile(req.user.id, pickPerfil(req.body));
+
+            const despues = pickPerfil(await turistas.getProfile(req.user.id));
+            await auditLog.fromRequest(req, {
+                accion: 'turista.actualizar_perfil',
+                entidad: 'turistas',
+                entidad_id: req.user.id,
+                antes,
+                despues
+            });
+
+            res.json({ success: true, ...req.msg('PERFIL_ACTUALIZADO') });
+        } catch (error) {
+            req.log.error('Error al actualizar perfil', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== FAVORITOS =====================
+
+    // Negocios favoritos activos, del más reciente al más antiguo
+    app.get('/api/turista/favoritos', verifyToken(['turista']), async (req, res) => {
+        try {
+            const lista = await favoritos.listByTurista(req.user.id);
+            res.json({ success: true, data: lista, meta: { total: lista.length } });
+        } catch (error) {
+            req.log.error('Error al obtener favoritos', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Añadir un negocio a favoritos; repetirlo no tiene efecto
+    app.put('/api/turista/favoritos/:negocioId', verifyToken(['turista']), [
+        param('negocioId').isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const negocio = await negocios.findById(req.params.negocioId);
+            if (!negocio || negocio.estado !== 'activo') {
+                return res.status(404).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+
+            const agregado = await favoritos.add(req.user.id, negocio.id);
+
+            res.status(agregado ? 201 : 200).json({
+                success: true,
+                ...req.msg(agregado ? 'FAVORITO_AGREGADO' : 'FAVORITO_EXISTENTE')
+            });
+        } catch (error) {
+            req.log.error('Error al añadir favorito', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    app.delete('/api/turista/favoritos/:negocioId', verifyToken(['turista']), [
+        param('negocioId').isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            if (!(await favoritos.remove(req.user.id, req.params.negocioId))) {
+                return res.status(404).json({ success: false, ...req.msg('FAVORITO_NO_ENCONTRADO') });
+            }
+
+            res.json({ success: true, ...req.msg('FAVORITO_QUITADO') });
+        } catch (error) {
+            req.log.error('Error al quitar favorito', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // ===================== RECOMENDACIONES =====================
+
+    // Negocios recomendados según las preferencias declaradas, las categorías que el turista
+    // calificó bien, turistas con gustos parecidos y, con lat/lng, la cercanía. Excluye los
+    // negocios que ya reseñó; cada resultado explica sus motivos (ver src/recomendaciones).
+    app.get('/api/turista/recomendaciones', verifyToken(['turista']), [
+        query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('LATITUD_INVALIDA'),
+        query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('LONGITUD_INVALIDA'),
+        query('radio_km').optional().isFloat({ gt: 0, max: 1000 }).withMessage(mensaje('CAMPO_RANGO', { min: 0, max: 1000 })),
+        query('categoria').optional().custom(value => parseCategorias(value).every(c => CATEGORIAS_NEGOCIO.includes(c)))
+            .withMessage(mensaje('CAMPO_VALORES_VARIOS', { valores: CATEGORIAS_NEGOCIO })),
+        query('limite').optional().isInt({ min: 1, max: 50 }).withMessage(mensaje('CAMPO_RANGO', { min: 1, max: 50 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const { radio_km, limite = 20 } = req.query;
+            const hasPoint = req.query.lat !== undefined && req.query.lng !== undefined;
+
+            if ((req.query.lat !== undefined) !== (req.query.lng !== undefined)) {
+                return res.status(400).json({ success: false, ...req.msg('LAT_LNG_JUNTOS') });
+            }
+            if (!hasPoint && radio_km !== undefined) {
+                return res.status(400).json({ success: false, ...req.msg('RADIO_REQUIERE_UBICACION') });
+            }
+
+            let cerca = null;
+            if (hasPoint) {
+                cerca = { lat: parseFloat(req.query.lat), lng: parseFloat(req.query.lng) };
+                if (radio_km !== undefined) {
+                    cerca.radioKm = parseFloat(radio_km);
+                    cerca.box = boundingBox(cerca.lat, cerca.lng, cerca.radioKm);
+                }
+            }
+
+            const perfil = await turistas.getProfile(req.user.id);
+            const propias = await resenas.listByTurista(req.user.id);
+            const resenados = new Set(propias.map(r => r.negocio_id));
+            const historial = propias.filter(r => r.estado === 'activa');
+            const calificacionesVecinos = historial.length > 0
+                ? await resenas.coReviewerRatings(req.user.id, MAX_TURISTAS_SIMILARES)
+                : [];
+
+            const candidatos = (await negocios.search({ categorias: parseCategorias(req.query.categoria), cerca }))
+                .filter(negocio => !resenados.has(negocio.id));
+
+            const recomendaciones = recommend({
+                candidatos,
+                preferenciasTuristicas: perfil?.preferencias_turisticas,
+                historial,
+                calificacionesVecinos
+            }).slice(0, parseInt(limite));
+
+            res.json({
+                success: true,
+                data: recomendaciones.map(({ negocio, puntuacion, motivos }) => ({
+                    ...Object.fromEntries(COLUMNAS_RECOMENDACION
+                        .filter(columna => negocio[columna] !== undefined)
+                        .map(columna => [columna, negocio[columna]])),
+                    puntuacion,
+                    motivos: motivos.map(motivo => ({ ...motivo, mensaje: req.t(motivo.mensaje) }))
+                })),
+                meta: {
+                    limite: parseInt(limite),
+                    senales: {
+                        preferencias: Boolean(perfil?.preferencias_turisticas),
+                        resenas_propias: historial.length,
+                        turistas_comparados: new Set(calificacionesVecinos.map(r => r.turista_id)).size,
+                        cercania: hasPoint
+                    }
+                }
+            });
+        } catch (error) {
+            req.log.error('Error al obtener recomendaciones', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
@@ -0,0 +1,317 @@
+// src/routes/webhooks.js
+// Webhooks salientes: registro, entregas y reenvío manual
+//
+// Los administradores de negocio gestionan los webhooks de los negocios donde
+// su rol lo permite; los super admins, los de cualquier negocio y los de la
+// plataforma (sin negocio_id), que reciben los eventos de todos. El secreto de firma solo se
+// muestra al crear el webhook y al rotarlo.
+
+const { body, param, query } = require('express-validator');
+const { mensaje } = require('../i18n');
+const { validateRequest } = require('../middleware/validateRequest');
+const { EVENTOS_WEBHOOK, createSecret } = require('../webhooks');
+const { checkDestination } = require('../webhooks/destinos');
+const { InvalidReferenceError } = require('../repositories/errors');
+
+const MAX_WEBHOOKS = 10;
+const ESTADOS_ENTREGA = ['pendiente', 'entregada', 'fallida'];
+
+const camposWebhook = (requerido) => [
+    (requerido ? body('url') : body('url').optional())
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('CAMPO_URL')
+        .isLength({ max: 500 })
+        .withMessage(mensaje('CAMPO_LONGITUD_MAX', { max: 500 })),
+    (requerido ? body('eventos') : body('eventos').optional()).isArray({ min: 1 })
+        .withMessage('CAMPO_LISTA'),
+    body('eventos.*').isIn(Object.keys(EVENTOS_WEBHOOK))
+        .withMessage(mensaje('CAMPO_VALORES', { valores: Object.keys(EVENTOS_WEBHOOK) })),
+    body('descripcion').optional({ values: 'null' }).isString().isLength({ max: 255 })
+        .withMessage(mensaje('CAMPO_LONGITUD_MAX', { max: 255 }))
+];
+
+const formatWebhook = ({ secreto, ...webhook }) => ({ ...webhook, activo: Boolean(webhook.activo) });
+
+// El próximo intento solo tiene sentido mientras la entrega sigue en cola
+const formatEntrega = ({ cuerpo, ...entrega }) => ({
+    ...entrega,
+    proximo_intento: entrega.estado === 'pendiente' ? entrega.proximo_intento : null,
+    cuerpo: JSON.parse(cuerpo)
+});
+
+module.exports = (app, { config, repositories, auditLog, webhooks: eventos, verifyToken, requirePermission, requireNegocioPermission, canInNegocio }) => {
+    const { webhooks, entregasWebhook } = repositories;
+
+    const gestion = [verifyToken(['admin_negocio', 'super_admin']), requirePermission('webhooks.gestionar')];
+
+    // En producción los eventos solo se envían cifrados, y nunca a direcciones internas
+    const checkUrl = async (url) => {
+        if (config.entorno === 'production' && !url.startsWith('https://')) {
+            return 'WEBHOOK_HTTPS_REQUERIDO';
+        }
+        return checkDestination(url, { permitirRedPrivada: config.webhooks.permitirRedPrivada });
+    };
+
+    // Carga en req.webhook un webhook visible para el usuario; los de otros negocios
+    // y, para los administradores de negocio, los de la plataforma responden 404
+    const loadWebhook = async (req, res, next) => {
+        try {
+            const webhook = await webhooks.findById(req.params.id);
+            const visible = webhook && (req.user.tipo === 'super_admin' ||
+                (webhook.negocio_id !== null && await canInNegocio(req, webhook.negocio_id, 'webhooks.gestionar')));
+            if (!visible) {
+                return res.status(404).json({ success: false, ...req.msg('WEBHOOK_NO_ENCONTRADO') });
+            }
+            req.webhook = webhook;
+            next();
+        } catch (error) {
+            req.log.error('Error al obtener webhook', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    };
+
+    const propio = [...gestion, param('id').isInt({ min: 1 }), validateRequest, loadWebhook];
+
+    // Eventos a los que se puede suscribir un webhook
+    app.get('/api/webhooks/eventos', ...gestion, (req, res) => {
+        res.json({
+            success: true,
+            data: Object.entries(EVENTOS_WEBHOOK).map(([evento, descripcion]) => ({ evento, descripcion }))
+        });
+    });
+
+    // Webhooks de los negocios del administrador, o del indicado en negocio_id;
+    // los super admins ven todos o filtran por negocio_id
+    app.get('/api/webhooks', ...gestion, [
+        query('negocio_id').optional().isInt({ min: 1 })
+    ], validateRequest, requireNegocioPermission('webhooks.gestionar', {
+        negocioId: (req) => req.query.negocio_id,
+        todos: true
+    }), async (req, res) => {
+        try {
+            const negocioIds = req.negocioId === undefined ? req.negocioIds : [req.negocioId];
+            const lista = await webhooks.list({ negocioIds });
+
+            res.json({ success: true, data: lista.map(formatWebhook) });
+        } catch (error) {
+            req.log.error('Error al obtener webhooks', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Registrar un webhook para negocio_id, que un administrador con un solo
+    // negocio puede omitir. Los super admins lo omiten para recibir los eventos
+    // de toda la plataforma.
+    app.post('/api/webhooks', ...gestion, [
+        ...camposWebhook(true),
+        body('negocio_id').optional({ values: 'null' }).isInt({ min: 1 })
+    ], validateRequest, requireNegocioPermission('webhooks.gestionar', {
+        negocioId: (req) => req.body.negocio_id
+    }), async (req, res) => {
+        try {
+            const { url, descripcion } = req.body;
+            const eventosSuscritos = [...new Set(req.body.eventos)];
+            const negocioId = req.negocioId ?? null;
+
+            const errorUrl = await checkUrl(url);
+            if (errorUrl) {
+                return res.status(400).json({ success: false, ...req.msg(errorUrl) });
+            }
+
+            if (await webhooks.countByNegocio(negocioId) >= MAX_WEBHOOKS) {
+                return res.status(400).json({ success: false, ...req.msg('MAX_WEBHOOKS', { max: MAX_WEBHOOKS }) });
+            }
+
+            const secreto = createSecret();
+            const id = await webhooks.create({
+                negocio_id: negocioId,
+                url,
+                secreto,
+                eventos: eventosSuscritos,
+                descripcion,
+                creado_por_tipo: req.user.tipo,
+                creado_por_id: req.user.id
+            });
+
+            await auditLog.fromRequest(req, {
+                accion: 'webhook.crear',
+                entidad: 'webhooks',
+                entidad_id: id,
+                despues: { negocio_id: negocioId, url, eventos: eventosSuscritos, descripcion: descripcion ?? null }
+            });
+
+            res.status(201).json({
+                success: true,
+                ...req.msg('WEBHOOK_REGISTRADO'),
+                data: { ...formatWebhook(await webhooks.findById(id)), secreto }
+            });
+        } catch (error) {
+            if (error instanceof InvalidReferenceError) {
+                return res.status(400).json({ success: false, ...req.msg('NEGOCIO_NO_ENCONTRADO') });
+            }
+            req.log.error('Error al registrar webhook', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    app.get('/api/webhooks/:id', ...propio, (req, res) => {
+        res.json({ success: true, data: formatWebhook(req.webhook) });
+    });
+
+    // Editar url, eventos o descripción, o pausarlo con activo=false. Las
+    // entregas de un webhook pausado esperan en la cola hasta que se reactive.
+    app.put('/api/webhooks/:id', ...propio, [
+        ...camposWebhook(false),
+        body('activo').optional().isBoolean().withMessage('CAMPO_BOOLEANO')
+    ], validateRequest, async (req, res) => {
+        try {
+            const campos = {};
+            if (req.body.url !== undefined) {
+                const errorUrl = await checkUrl(req.body.url);
+                if (errorUrl) {
+                    return res.status(400).json({ success: false, ...req.msg(errorUrl) });
+                }
+                campos.url = req.body.url;
+            }
+            if (req.body.eventos !== undefined) {
+                campos.eventos = [...new Set(req.body.eventos)];
+            }
+            if (req.body.descripcion !== undefined) {
+                campos.descripcion = req.body.descripcion;
+            }
+            if (req.body.activo !== undefined) {
+                campos.activo = req.body.activo === true || req.body.activo === 'true' ? 1 : 0;
+            }
+
+            await webhooks.update(req.webhook.id, campos);
+            const despues = await webhooks.findById(req.webhook.id);
+
+            await auditLog.fromRequest(req, {
+                accion: 'webhook.actualizar',
+                entidad: 'webhooks',
+                entidad_id: req.webhook.id,
+                antes: formatWebhook(req.webhook),
+                despues: formatWebhook(despues)
+            });
+
+            res.json({ success: true, ...req.msg('WEBHOOK_ACTUALIZADO'), data: formatWebhook(despues) });
+        } catch (error) {
+            req.log.error('Error al actualizar webhook', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Eliminar el webhook junto con su registro de entregas
+    app.delete('/api/webhooks/:id', ...propio, async (req, res) => {
+        try {
+            await webhooks.delete(req.webhook.id);
+            await auditLog.fromRequest(req, {
+                accion: 'webhook.eliminar',
+                entidad: 'webhooks',
+                entidad_id: req.webhook.id,
+                antes: formatWebhook(req.webhook)
+            });
+
+            res.json({ success: true, ...req.msg('WEBHOOK_ELIMINADO') });
+        } catch (error) {
+            req.log.error('Error al eliminar webhook', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Generar un secreto nuevo; el anterior deja de ser válido para las entregas siguientes
+    app.post('/api/webhooks/:id/secreto', ...propio, async (req, res) => {
+        try {
+            const secreto = createSecret();
+            await webhooks.update(req.webhook.id, { secreto });
+            await auditLog.fromRequest(req, {
+                accion: 'webhook.rotar_secreto',
+                entidad: 'webhooks',
+                entidad_id: req.webhook.id
+            });
+
+            res.json({ success: true, ...req.msg('WEBHOOK_SECRETO_ROTADO'), data: { secreto } });
+        } catch (error) {
+            req.log.error('Error al rotar secreto de webhook', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Encolar un evento `ping` para probar el receptor
+    app.post('/api/webhooks/:id/probar', ...propio, async (req, res) => {
+        try {
+            const entregaId = await eventos.ping(req.webhook);
+
+            res.status(202).json({
+                success: true,
+                ...req.msg(req.webhook.activo ? 'WEBHOOK_PRUEBA_ENCOLADA' : 'WEBHOOK_PRUEBA_ENCOLADA_PAUSADO'),
+                data: { entrega_id: entregaId }
+            });
+        } catch (error) {
+            req.log.error('Error al probar webhook', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Registro de entregas del webhook, las más recientes primero
+    app.get('/api/webhooks/:id/entregas', ...propio, [
+        query('estado').optional().isIn(ESTADOS_ENTREGA).withMessage(mensaje('CAMPO_VALORES', { valores: ESTADOS_ENTREGA })),
+        query('pagina').optional().isInt({ min: 1 }).withMessage('PAGINA_INVALIDA'),
+        query('limite').optional().isInt({ min: 1, max: 100 }).withMessage(mensaje('CAMPO_RANGO', { min: 1, max: 100 }))
+    ], validateRequest, async (req, res) => {
+        try {
+            const { estado, pagina = 1, limite = 20 } = req.query;
+
+            const { rows, total } = await entregasWebhook.listByWebhook(req.webhook.id, { estado }, {
+                limite: parseInt(limite),
+                offset: (parseInt(pagina) - 1) * parseInt(limite)
+            });
+
+            res.json({
+                success: true,
+                data: rows.map(formatEntrega),
+                meta: {
+                    total,
+                    pagina: parseInt(pagina),
+                    limite: parseInt(limite),
+                    total_paginas: Math.ceil(total / parseInt(limite))
+                }
+            });
+        } catch (error) {
+            req.log.error('Error al obtener entregas de webhook', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+
+    // Reenviar una entrega: se encola una nueva con el mismo evento y el mismo cuerpo
+    app.post('/api/webhooks/:id/entregas/:entregaId/reenviar', ...propio, [
+        param('entregaId').isInt({ min: 1 })
+    ], validateRequest, async (req, res) => {
+        try {
+            const entrega = await entregasWebhook.findById(req.params.entregaId);
+            if (!entrega || entrega.webhook_id !== req.webhook.id) {
+                return res.status(404).json({ success: false, ...req.msg('ENTREGA_NO_ENCONTRADA') });
+            }
+
+            const id = await entregasWebhook.enqueue({
+                webhook_id: req.webhook.id,
+                evento: entrega.evento,
+                evento_id: entrega.evento_id,
+                cuerpo: entrega.cuerpo,
+                reenvio_de: entrega.id
+            });
+
+            await auditLog.fromRequest(req, {
+                accion: 'webhook.reenviar',
+                entidad: 'webhooks',
+                entidad_id: req.webhook.id,
+                metadatos: { entrega_id: entrega.id, nueva_entrega_id: id }
+            });
+
+            res.status(202).json({ success: true, ...req.msg('ENTREGA_REENCOLADA'), data: { entrega_id: id } });
+        } catch (error) {
+            req.log.error('Error al reenviar entrega de webhook', error);
+            res.status(500).json({ success: false, ...req.msg('ERROR_INTERNO') });
+        }
+    });
+};
@@ -0,0 +1,101 @@
+// src/shutdown.js
+// Cierre ordenado del servidor al recibir SIGTERM o SIGINT
+//
+// 1. La app deja de anunciarse como lista (/api/health/ready responde 503) y
+//    las respuestas llevan `Connection: close`.
+// 2. Durante `drenajeMs` sigue atendiendo, para que el balanceador vea fallar
+//    la sonda y deje de enviarle tráfico antes de que se rechacen conexiones.
+// 3. El servidor HTTP deja de aceptar conexiones y cierra las inactivas; las
+//    peticiones en curso terminan con normalidad.
+// 4. Pasado `timeoutMs` se cortan las conexiones que sigan abiertas.
+// 5. El despachador de webhooks termina el lote en curso y deja de reclamar
+//    entregas; al cumplirse el mismo plazo corta los envíos pendientes.
+// 6. Se cierran los repositorios (el pool de MySQL) y termina el proceso.
+
+const { setTimeout: esperar } = require('timers/promises');
+
+const createShutdown = ({ app, server, repositories, despachador = null, drenajeMs = 0, timeoutMs, logger = console }) => {
+    let enCurso = null;
+
+    const closeServer = () => new Promise((resolve, reject) => {
+        const forzar = setTimeout(() => {
+            logger.warn(`Quedaban conexiones abiertas tras ${timeoutMs} ms; se cierran`);
+            server.closeAllConnections();
+        }, timeoutMs);
+        forzar.unref();
+
+        // Las peticiones que empezaron antes del cierre no llevan `Connection: close`;
+        // su conexión se cierra en cuanto queda inactiva
+        const barrido = setInterval(() => server.closeIdleConnections(), 100);
+        barrido.unref();
+
+        server.close((error) => {
+            clearTimeout(forzar);
+            clearInterval(barrido);
+            return error ? reject(error) : resolve();
+        });
+        server.closeIdleConnections();
+    });
+
+    // Devuelve el código de salida; las señales repetidas esperan al mismo cierre
+    const shutdown = (motivo) => {
+        if (enCurso) {
+            return enCurso;
+        }
+
+        logger.info(`${motivo} recibido, cerrando el servidor...`);
+        app.locals.cerrando = true;
+
+        enCurso = (async () => {
+            let codigo = 0;
+
+            if (drenajeMs > 0) {
+                await esperar(drenajeMs);
+            }
+            const limite = Date.now() + timeoutMs;
+
+            try {
+                await closeServer();
+                logger.info('Servidor HTTP cerrado');
+            } catch (error) {
+                logger.error('Error al cerrar el servidor HTTP', error);
+                codigo = 1;
+            }
+
+            if (despachador) {
+                try {
+                    await despachador.stop({ plazoMs: Math.max(0, limite - Date.now()) });
+                    logger.info('Despachador de webhooks detenido');
+                } catch (error) {
+                    logger.error('Error al detener el despachador de webhooks', error);
+                    codigo = 1;
+                }
+            }
+
+            try {
+                await repositories.close();
+                logger.info('Conexiones a la base de datos cerradas');
+            } catch (error) {
+                logger.error('Error al cerrar la base de datos', error);
+                codigo = 1;
+            }
+
+            return codigo;
+        })();
+
+        return enCurso;
+    };
+
+    // Registra los manejadores de señales; al terminar el cierre sale del proceso
+    const listen = (signals = ['SIGTERM', 'SIGINT']) => {
+        for (const signal of signals) {
+            process.on(signal, async () => {
+                process.exit(await shutdown(signal));
+            });
+        }
+    };
+
+    return { shutdown, listen };
+};
+
+module.exports = { createShutdown };
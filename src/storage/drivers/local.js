@@ -0,0 +1,28 @@
+// src/storage/drivers/local.js
+// Archivos en un directorio local; la app los sirve en `urlBase` (ver src/app.js)
+
+const fs = require('fs/promises');
+const path = require('path');
+
+module.exports = ({ dir = path.join(process.cwd(), 'uploads'), urlBase = '/media' } = {}) => {
+    const ruta = (clave) => path.join(dir, ...clave.split('/'));
+
+    return {
+        directorio: dir,
+        urlBase,
+
+        put: async (clave, buffer) => {
+            await fs.mkdir(path.dirname(ruta(clave)), { recursive: true });
+            // Se escribe aparte y se renombra para no servir nunca un archivo a medias
+            const temporal = `${ruta(clave)}.${process.pid}.tmp`;
+            await fs.writeFile(temporal, buffer);
+            await fs.rename(temporal, ruta(clave));
+        },
+
+        delete: async (clave) => {
+            await fs.rm(ruta(clave), { force: true });
+        },
+
+        url: (clave) => `${urlBase.replace(/\/+$/, '')}/${clave}`
+    };
+};
@@ -0,0 +1,93 @@
+// src/storage/drivers/s3.js
+// Archivos en un bucket compatible con S3, con peticiones firmadas (AWS Signature V4)
+//
+// Los archivos se sirven directamente desde el bucket o desde un CDN delante
+// de él (`publicUrl`); el bucket debe permitir la lectura pública de los objetos.
+
+const crypto = require('crypto');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+module.exports = ({
+    bucket,
+    region = 'us-east-1',
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    publicUrl,
+    forcePathStyle = false
+} = {}) => {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('El almacenamiento S3 requiere bucket, accessKeyId y secretAccessKey');
+    }
+
+    const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const objectUrl = (clave) => {
+        const ruta = clave.split('/').map(encodeURIComponent).join('/');
+        return forcePathStyle
+            ? `${base.origin}/${bucket}/${ruta}`
+            : `${base.protocol}//${bucket}.${base.host}/${ruta}`;
+    };
+    const urlBase = (publicUrl || objectUrl('').slice(0, -1)).replace(/\/+$/, '');
+
+    const request = async (method, clave, { body = '', headers = {} } = {}) => {
+        const url = new URL(objectUrl(clave));
+        const fecha = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dia = fecha.slice(0, 8);
+        const firmadas = {
+            ...Object.fromEntries(Object.entries(headers).map(([nombre, valor]) => [nombre.toLowerCase(), String(valor)])),
+            host: url.host,
+            'x-amz-content-sha256': sha256(body),
+            'x-amz-date': fecha
+        };
+        const nombres = Object.keys(firmadas).sort();
+
+        const canonica = [
+            method,
+            url.pathname,
+            '',
+            ...nombres.map(nombre => `${nombre}:${firmadas[nombre].trim()}`),
+            '',
+            nombres.join(';'),
+            firmadas['x-amz-content-sha256']
+        ].join('\n');
+        const ambito = `${dia}/${region}/s3/aws4_request`;
+        const porFirmar = ['AWS4-HMAC-SHA256', fecha, ambito, sha256(canonica)].join('\n');
+        const clave4 = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dia), region));
+        const firma = crypto.createHmac('sha256', clave4).update(porFirmar).digest('hex');
+
+        const { host, ...enviadas } = firmadas;
+        const respuesta = await fetch(url, {
+            method,
+            body: method === 'PUT' ? body : undefined,
+            headers: {
+                ...enviadas,
+                authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${ambito}, SignedHeaders=${nombres.join(';')}, Signature=${firma}`
+            }
+        });
+
+        // DELETE de una clave inexistente también responde 204
+        if (!respuesta.ok) {
+            const detalle = await respuesta.text();
+            throw Object.assign(new Error(`S3 respondió ${respuesta.status} a ${method} ${clave}: ${detalle.slice(0, 200)}`), {
+                code: 'S3_ERROR',
+                status: respuesta.status
+            });
+        }
+    };
+
+    return {
+        put: (clave, buffer, { contentType, cacheControl } = {}) => request('PUT', clave, {
+            body: buffer,
+            headers: {
+                ...(contentType ? { 'Content-Type': contentType } : {}),
+                ...(cacheControl ? { 'Cache-Control': cacheControl } : {})
+            }
+        }),
+
+        delete: (clave) => request('DELETE', clave),
+
+        url: (clave) => `${urlBase}/${clave}`
+    };
+};
@@ -0,0 +1,57 @@
+// src/storage/index.js
+// Almacenamiento de archivos subidos con controladores intercambiables
+//
+// Un controlador es cualquier objeto con:
+//   put(clave, buffer, { contentType, cacheControl }) → promesa
+//   delete(clave) → promesa (no falla si la clave no existe)
+//   url(clave) → URL pública del archivo
+// y opcionalmente `directorio`, si la app debe servir los archivos ella misma.
+// Por defecto se usa el disco local; `s3` funciona con cualquier servicio
+// compatible con S3 (AWS, MinIO, Cloudflare R2, ...).
+
+const createLocalStorage = require('./drivers/local');
+const createS3Storage = require('./drivers/s3');
+
+const DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+// Las claves solo admiten segmentos simples, para que nunca salgan del directorio o del bucket
+const CLAVE_VALIDA = /^[\w-]+(\/[\w.-]+)*$/;
+
+const createStorage = ({ driver = 'local', ...opciones } = {}) => {
+    const factory = DRIVERS[driver];
+
+    if (!factory) {
+        throw new Error(`Almacenamiento desconocido: ${driver}`);
+    }
+
+    const storage = factory(opciones);
+    const checkKey = (clave) => {
+        if (!CLAVE_VALIDA.test(clave) || clave.split('/').includes('..')) {
+            throw new Error(`Clave de almacenamiento inválida: ${clave}`);
+        }
+        return clave;
+    };
+
+    // Clave a partir de una URL generada por este almacenamiento, o null si no es suya
+    const keyFromUrl = (value) => {
+        const base = storage.url('');
+        if (typeof value !== 'string' || !value.startsWith(base)) {
+            return null;
+        }
+        const clave = value.slice(base.length);
+        return CLAVE_VALIDA.test(clave) ? clave : null;
+    };
+
+    return {
+        ...storage,
+        put: (clave, buffer, opcionesArchivo) => storage.put(checkKey(clave), buffer, opcionesArchivo),
+        delete: (clave) => storage.delete(checkKey(clave)),
+        url: (clave) => storage.url(checkKey(clave)),
+        keyFromUrl
+    };
+};
+
+module.exports = { createStorage, DRIVERS };
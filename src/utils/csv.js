@@ -0,0 +1,28 @@
+// src/utils/csv.js
+// Exportación a CSV (RFC 4180) de los reportes
+
+// Excel interpreta como fórmula una celda que empieza por estos caracteres;
+// se antepone un apóstrofo a los textos que vienen de los usuarios
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let texto = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && INICIO_FORMULA.test(texto)) {
+        texto = `'${texto}`;
+    }
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+// columnas: [{ clave, titulo }]. Empieza con BOM para que Excel reconozca UTF-8.
+const toCsv = (columnas, filas) => {
+    const lineas = [
+        columnas.map(columna => formatCell(columna.titulo)).join(','),
+        ...filas.map(fila => columnas.map(columna => formatCell(fila[columna.clave])).join(','))
+    ];
+    return `﻿${lineas.join('\r\n')}\r\n`;
+};
+
+module.exports = { toCsv };
@@ -0,0 +1,70 @@
+// src/utils/geo.js
+// Utilidades geoespaciales para la búsqueda de negocios por cercanía
+
+const EARTH_RADIUS_KM = 6371;
+
+// Expresión SQL (haversine) de la distancia en km entre la columna latitud/longitud
+// y un punto. Usa tres parámetros: [lat, lat, lng].
+const distanceSql = (latColumn = 'latitud', lngColumn = 'longitud') => `
+    ${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+        POWER(SIN(RADIANS(${latColumn} - ?) / 2), 2) +
+        COS(RADIANS(?)) * COS(RADIANS(${latColumn})) *
+        POWER(SIN(RADIANS(${lngColumn} - ?) / 2), 2)
+    ))`;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+// Distancia en km entre dos puntos
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return EARTH_RADIUS_KM * 2 * Math.asin(Math.sqrt(a));
+};
+
+// Rectángulo que contiene el círculo de `radioKm` alrededor del punto, para
+// prefiltrar con índices antes de calcular la distancia exacta. Si el círculo
+// cruza el antimeridiano o un polo no se restringe la longitud.
+const boundingBox = (lat, lng, radioKm) => {
+    const dLat = radioKm / EARTH_RADIUS_KM * 180 / Math.PI;
+    const dLng = dLat / Math.cos(toRadians(lat));
+    const minLat = Math.max(lat - dLat, -90);
+    const maxLat = Math.min(lat + dLat, 90);
+
+    if (!Number.isFinite(dLng) || lng - dLng < -180 || lng + dLng > 180 || minLat === -90 || maxLat === 90) {
+        return { minLat, maxLat, minLng: -180, maxLng: 180 };
+    }
+
+    return { minLat, maxLat, minLng: lng - dLng, maxLng: lng + dLng };
+};
+
+// Interpreta `bbox=minLng,minLat,maxLng,maxLat` (orden de GeoJSON). Devuelve null si no es válido.
+const parseBbox = (value) => {
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+        return null;
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    if (minLat < -90 || maxLat > 90 || minLat > maxLat || minLng < -180 || maxLng > 180 || minLng > maxLng) {
+        return null;
+    }
+
+    return { minLng, minLat, maxLng, maxLat };
+};
+
+// Convierte filas con latitud/longitud en un FeatureCollection de GeoJSON
+const toFeatureCollection = (rows) => ({
+    type: 'FeatureCollection',
+    features: rows.map(({ latitud, longitud, ...properties }) => ({
+        type: 'Feature',
+        id: properties.id,
+        geometry: latitud === null || longitud === null
+            ? null
+            : { type: 'Point', coordinates: [Number(longitud), Number(latitud)] },
+        properties
+    }))
+});
+
+module.exports = { distanceSql, haversineKm, boundingBox, parseBbox, toFeatureCollection };
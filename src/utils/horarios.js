@@ -0,0 +1,382 @@
+// src/utils/horarios.js
+// Horarios de apertura por día de la semana, con varios rangos por día,
+// rangos nocturnos (cierre <= apertura termina al día siguiente), zona horaria
+// del negocio y excepciones por fecha (feriados, cierres temporales u horarios especiales).
+//
+// Los minutos se cuentan desde la medianoche local del negocio; un rango
+// nocturno de 22:00 a 02:00 se representa como { start: 1320, end: 1560 }.
+
+const { MensajeError } = require('../i18n');
+
+const DIAS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const MINUTOS_DIA = 24 * 60;
+const HORIZONTE_DIAS = 14;
+
+// Zona de los negocios que no definen la suya; se configura con ZONA_HORARIA_PREDETERMINADA
+const ZONA_HORARIA_POR_DEFECTO = 'America/Mexico_City';
+
+const normalizeDay = (value) => String(value).trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// 'HH:MM' o 'HH:MM:SS' a minutos; '24:00' se admite como fin del día
+const parseTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value ?? ''));
+    if (!match) {
+        return null;
+    }
+
+    const horas = parseInt(match[1]);
+    const minutos = parseInt(match[2]);
+    if (minutos > 59 || horas > 24 || (horas === 24 && minutos > 0)) {
+        return null;
+    }
+
+    return horas * 60 + minutos;
+};
+
+const formatTime = (minutos) => {
+    const horas = String(Math.floor(minutos / 60)).padStart(2, '0');
+    return `${horas}:${String(minutos % 60).padStart(2, '0')}`;
+};
+
+// Fin de un rango: los nocturnos se guardan con la hora del día siguiente y 24:00 se conserva
+const formatEnd = (end) => formatTime(end > MINUTOS_DIA ? end - MINUTOS_DIA : end);
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+// Convierte [{ abre, cierra }] en [{ start, end }]; lanza un MensajeError con el mensaje de validación.
+// `contexto` es el día de la semana o la fecha de la excepción.
+const parseRanges = (ranges, contexto) => {
+    if (!Array.isArray(ranges)) {
+        throw new MensajeError('HORARIO_RANGOS_LISTA', { contexto });
+    }
+
+    return ranges.map(({ abre, cierra } = {}) => {
+        const start = parseTime(abre);
+        let end = parseTime(cierra);
+
+        if (start === null || end === null || start === MINUTOS_DIA) {
+            throw new MensajeError('HORARIO_RANGO_INVALIDO', { contexto });
+        }
+        if (start === end) {
+            throw new MensajeError('HORARIO_RANGO_VACIO', { contexto });
+        }
+        if (end < start) {
+            end += MINUTOS_DIA;
+        }
+
+        return { start, end };
+    });
+};
+
+// Valida { lunes: [{ abre, cierra }], ... } y devuelve las filas de horarios_negocio
+const parseWeeklySchedule = (semana) => {
+    if (semana === null || typeof semana !== 'object' || Array.isArray(semana)) {
+        throw new MensajeError('HORARIO_OBJETO');
+    }
+
+    const rows = [];
+    for (const [dia, ranges] of Object.entries(semana)) {
+        const diaSemana = DIAS.indexOf(normalizeDay(dia));
+        if (diaSemana === -1) {
+            throw new MensajeError('HORARIO_DIA_INVALIDO', { dia });
+        }
+
+        for (const { start, end } of parseRanges(ranges, dia)) {
+            rows.push({
+                dia_semana: diaSemana,
+                hora_apertura: formatTime(start),
+                hora_cierre: formatEnd(end)
+            });
+        }
+    }
+
+    return rows;
+};
+
+// Valida [{ fecha_inicio, fecha_fin, cerrado, rangos, motivo }] y devuelve las filas de excepciones_horario
+const parseExceptions = (excepciones) => {
+    if (!Array.isArray(excepciones)) {
+        throw new MensajeError('EXCEPCIONES_LISTA');
+    }
+
+    const rows = [];
+    for (const excepcion of excepciones) {
+        const { fecha_inicio, fecha_fin = fecha_inicio, cerrado = false, rangos = [], motivo = null } = excepcion || {};
+
+        if (!isValidDate(fecha_inicio) || !isValidDate(fecha_fin) || fecha_fin < fecha_inicio) {
+            throw new MensajeError('EXCEPCION_FECHAS');
+        }
+
+        const base = { fecha_inicio, fecha_fin, motivo: motivo ? String(motivo).slice(0, 150) : null };
+
+        if (cerrado) {
+            rows.push({ ...base, cerrado: 1, hora_apertura: null, hora_cierre: null });
+            continue;
+        }
+
+        const parsed = parseRanges(rangos, fecha_inicio);
+        if (parsed.length === 0) {
+            throw new MensajeError('EXCEPCION_SIN_RANGOS', { fecha: fecha_inicio });
+        }
+        for (const { start, end } of parsed) {
+            rows.push({ ...base, cerrado: 0, hora_apertura: formatTime(start), hora_cierre: formatEnd(end) });
+        }
+    }
+
+    return rows;
+};
+
+// Horario equivalente a las columnas horario_apertura/horario_cierre/dias_funcionamiento
+const legacyRows = (negocio) => {
+    if (!negocio.horario_apertura || !negocio.horario_cierre) {
+        return [];
+    }
+
+    const dias = negocio.dias_funcionamiento
+        ? String(negocio.dias_funcionamiento).split(',').map(normalizeDay).map(d => DIAS.indexOf(d)).filter(d => d !== -1)
+        : DIAS.map((_, i) => i);
+
+    return dias.map(dia_semana => ({
+        dia_semana,
+        hora_apertura: negocio.horario_apertura,
+        hora_cierre: negocio.horario_cierre
+    }));
+};
+
+const toRange = (row) => {
+    const start = parseTime(row.hora_apertura);
+    let end = parseTime(row.hora_cierre);
+    if (end <= start) {
+        end += MINUTOS_DIA;
+    }
+    return { start, end };
+};
+
+// Arma el horario de un negocio a partir de sus filas; sin filas semanales usa las columnas antiguas.
+// `zonaHorariaPredeterminada` es la de config.js, para los negocios sin zona propia.
+const buildSchedule = (negocio, horarios = [], excepciones = [], { zonaHorariaPredeterminada = ZONA_HORARIA_POR_DEFECTO } = {}) => {
+    const semanales = horarios.length > 0 ? horarios : legacyRows(negocio);
+
+    return {
+        zona_horaria: negocio.zona_horaria || zonaHorariaPredeterminada,
+        semana: DIAS.map((_, dia) => semanales.filter(h => h.dia_semana === dia).map(toRange)),
+        excepciones: excepciones.map(e => ({
+            fecha_inicio: formatDateValue(e.fecha_inicio),
+            fecha_fin: formatDateValue(e.fecha_fin),
+            cerrado: Boolean(e.cerrado),
+            motivo: e.motivo,
+            rango: e.cerrado ? null : toRange(e)
+        }))
+    };
+};
+
+// mysql2 devuelve DATE como objeto Date a medianoche local; se normaliza a YYYY-MM-DD
+const formatDateValue = (value) => {
+    if (value instanceof Date) {
+        const y = value.getFullYear();
+        const m = String(value.getMonth() + 1).padStart(2, '0');
+        const d = String(value.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    }
+    return String(value).slice(0, 10);
+};
+
+const addDays = (fecha, dias) => {
+    const date = new Date(`${fecha}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + dias);
+    return date.toISOString().slice(0, 10);
+};
+
+// Rangos de una fecha local concreta, aplicando las excepciones
+const rangesForDate = (schedule, fecha) => {
+    const excepciones = schedule.excepciones.filter(e => e.fecha_inicio <= fecha && fecha <= e.fecha_fin);
+
+    if (excepciones.length > 0) {
+        if (excepciones.some(e => e.cerrado)) {
+            return [];
+        }
+        return excepciones.map(e => e.rango);
+    }
+
+    const dia = new Date(`${fecha}T00:00:00Z`).getUTCDay();
+    return schedule.semana[dia];
+};
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// Fecha (YYYY-MM-DD) y minutos locales de un instante en la zona horaria dada
+const getZonedParts = (date, timeZone) => {
+    const parts = Object.fromEntries(
+        getFormatter(timeZone).formatToParts(date).map(p => [p.type, p.value])
+    );
+    return {
+        fecha: `${parts.year}-${parts.month}-${parts.day}`,
+        minutos: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+        segundos: parseInt(parts.second)
+    };
+};
+
+const offsetMinutes = (date, timeZone) => {
+    const { fecha, minutos, segundos } = getZonedParts(date, timeZone);
+    const asUtc = Date.parse(`${fecha}T00:00:00Z`) + (minutos * 60 + segundos) * 1000;
+    return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+// Instante UTC que corresponde a la hora local `minutos` de `fecha` en la zona horaria
+const zonedTimeToUtc = (fecha, minutos, timeZone) => {
+    const local = Date.parse(`${fecha}T00:00:00Z`) + minutos * 60000;
+    const first = local - offsetMinutes(new Date(local), timeZone) * 60000;
+    const second = local - offsetMinutes(new Date(first), timeZone) * 60000;
+    return new Date(second);
+};
+
+// Intervalos abiertos (en minutos desde la medianoche local de `fecha`) desde el día anterior hasta el horizonte, fusionados
+const openIntervals = (schedule, fecha, horizonte = HORIZONTE_DIAS) => {
+    const intervals = [];
+    for (let offset = -1; offset <= horizonte; offset++) {
+        const base = offset * MINUTOS_DIA;
+        for (const { start, end } of rangesForDate(schedule, addDays(fecha, offset))) {
+            intervals.push({ start: base + start, end: base + end });
+        }
+    }
+
+    intervals.sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const interval of intervals) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+    return merged;
+};
+
+const intervalPointToDate = (schedule, fecha, minutos) => {
+    const dias = Math.floor(minutos / MINUTOS_DIA);
+    return zonedTimeToUtc(addDays(fecha, dias), minutos - dias * MINUTOS_DIA, schedule.zona_horaria);
+};
+
+// Estado del negocio en un instante: abierto, próxima apertura y próximo cierre (ISO, o null si no hay en el horizonte)
+const getOpenStatus = (schedule, date = new Date()) => {
+    const { fecha, minutos } = getZonedParts(date, schedule.zona_horaria);
+    const intervals = openIntervals(schedule, fecha);
+    const current = intervals.find(i => i.start <= minutos && minutos < i.end);
+    const next = intervals.find(i => i.start > minutos);
+
+    const toIso = (m) => intervalPointToDate(schedule, fecha, m).toISOString();
+
+    return {
+        zona_horaria: schedule.zona_horaria,
+        abierto: Boolean(current),
+        proxima_apertura: next ? toIso(next.start) : null,
+        proximo_cierre: current ? toIso(current.end) : (next ? toIso(next.end) : null)
+    };
+};
+
+const isOpenAt = (schedule, date) => getOpenStatus(schedule, date).abierto;
+
+// Domingo de una semana cualquiera, para evaluar el horario semanal sin fechas concretas
+const SEMANA_REFERENCIA = '2024-01-07';
+
+const coversVisit = (intervals, inicio, fin) => intervals.some(i =>
+    i.start <= inicio && (fin > inicio ? fin <= i.end : inicio < i.end));
+
+// Comprueba una visita planificada de `inicio` a `fin` (minutos locales; si `fin`
+// es menor que `inicio` termina al día siguiente, y sin `fin` es solo la llegada).
+// Con `fecha` se usa el horario de ese día con sus excepciones; sin fecha basta con
+// que algún día de la semana cubra la visita. Devuelve null si el negocio está
+// abierto, 'cerrado' si ese día no abre o 'fuera_de_horario'. Un negocio sin
+// horario conocido no genera avisos.
+const checkVisit = (schedule, { fecha = null, inicio, fin = inicio }) => {
+    if (schedule.semana.every(rangos => rangos.length === 0) && schedule.excepciones.length === 0) {
+        return null;
+    }
+
+    const finReal = fin < inicio ? fin + MINUTOS_DIA : fin;
+
+    if (!fecha) {
+        const semanal = { ...schedule, excepciones: [] };
+        const abierto = DIAS.some((_, dia) =>
+            coversVisit(openIntervals(semanal, addDays(SEMANA_REFERENCIA, dia), 1), inicio, finReal));
+        return abierto ? null : 'fuera_de_horario';
+    }
+
+    const intervals = openIntervals(schedule, fecha, 1);
+    if (coversVisit(intervals, inicio, finReal)) {
+        return null;
+    }
+    return intervals.some(i => i.start < MINUTOS_DIA && i.end > 0) ? 'fuera_de_horario' : 'cerrado';
+};
+
+// Representación pública del horario semanal y de las excepciones
+const describeSchedule = (schedule) => ({
+    zona_horaria: schedule.zona_horaria,
+    semana: Object.fromEntries(DIAS.map((dia, i) => [
+        dia,
+        schedule.semana[i].map(r => ({ abre: formatTime(r.start), cierra: formatEnd(r.end) }))
+    ])),
+    excepciones: groupExceptions(schedule.excepciones)
+});
+
+const groupExceptions = (excepciones) => {
+    const grouped = new Map();
+    for (const e of excepciones) {
+        const key = `${e.fecha_inicio}|${e.fecha_fin}|${e.motivo ?? ''}`;
+        if (!grouped.has(key)) {
+            grouped.set(key, { fecha_inicio: e.fecha_inicio, fecha_fin: e.fecha_fin, cerrado: e.cerrado, motivo: e.motivo, rangos: [] });
+        }
+        if (e.rango) {
+            grouped.get(key).rangos.push({ abre: formatTime(e.rango.start), cierra: formatEnd(e.rango.end) });
+        }
+    }
+    return [...grouped.values()];
+};
+
+module.exports = {
+    DIAS,
+    HORIZONTE_DIAS,
+    ZONA_HORARIA_POR_DEFECTO,
+    parseTime,
+    formatTime,
+    isValidTimeZone,
+    parseWeeklySchedule,
+    parseExceptions,
+    buildSchedule,
+    getZonedParts,
+    zonedTimeToUtc,
+    formatDateValue,
+    addDays,
+    getOpenStatus,
+    isOpenAt,
+    checkVisit,
+    describeSchedule
+};
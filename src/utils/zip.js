@@ -0,0 +1,102 @@
+// src/utils/zip.js
+// Archivos ZIP en memoria para las exportaciones de datos
+//
+// Solo lo necesario para archivos pequeños generados por la API: cada entrada
+// se comprime con deflate, los nombres van en UTF-8 y no hay cifrado ni ZIP64
+// (menos de 4 GB y de 65535 entradas).
+
+const zlib = require('zlib');
+
+const FIRMA_LOCAL = 0x04034b50;
+const FIRMA_CENTRAL = 0x02014b50;
+const FIRMA_FIN = 0x06054b50;
+
+// Versión 2.0 (deflate), nombres en UTF-8 (bit 11) y método 8 (deflate)
+const VERSION = 20;
+const NOMBRES_UTF8 = 0x0800;
+const DEFLATE = 8;
+
+// CRC-32 (polinomio 0xEDB88320) con tabla; zlib.crc32 solo existe desde Node 20.15
+const TABLA_CRC = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (datos) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of datos) {
+        crc = TABLA_CRC[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Fecha y hora de MS-DOS, en hora local y con resolución de dos segundos
+const dosDateTime = (fecha) => ({
+    hora: (fecha.getHours() << 11) | (fecha.getMinutes() << 5) | Math.floor(fecha.getSeconds() / 2),
+    dia: ((fecha.getFullYear() - 1980) << 9) | ((fecha.getMonth() + 1) << 5) | fecha.getDate()
+});
+
+// Campos comunes a la cabecera local y a la del directorio central, desde la versión necesaria
+const writeCampos = (buffer, posicion, { hora, dia, crc, comprimido, original, nombre }) => {
+    buffer.writeUInt16LE(VERSION, posicion);
+    buffer.writeUInt16LE(NOMBRES_UTF8, posicion + 2);
+    buffer.writeUInt16LE(DEFLATE, posicion + 4);
+    buffer.writeUInt16LE(hora, posicion + 6);
+    buffer.writeUInt16LE(dia, posicion + 8);
+    buffer.writeUInt32LE(crc, posicion + 10);
+    buffer.writeUInt32LE(comprimido, posicion + 14);
+    buffer.writeUInt32LE(original, posicion + 18);
+    buffer.writeUInt16LE(nombre, posicion + 22);
+};
+
+// archivos: [{ nombre, contenido }], con el contenido como texto o Buffer. Devuelve el ZIP como Buffer.
+const createZip = (archivos, fecha = new Date()) => {
+    const { hora, dia } = dosDateTime(fecha);
+    const partes = [];
+    const directorio = [];
+    let offset = 0;
+
+    for (const { nombre, contenido } of archivos) {
+        const datos = Buffer.isBuffer(contenido) ? contenido : Buffer.from(contenido, 'utf8');
+        const comprimidos = zlib.deflateRawSync(datos);
+        const nombreBytes = Buffer.from(nombre, 'utf8');
+        const campos = {
+            hora,
+            dia,
+            crc: crc32(datos),
+            comprimido: comprimidos.length,
+            original: datos.length,
+            nombre: nombreBytes.length
+        };
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(FIRMA_LOCAL, 0);
+        writeCampos(local, 4, campos);
+
+        // El resto de la entrada central (campo extra, comentario, disco y atributos) queda a cero
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(FIRMA_CENTRAL, 0);
+        central.writeUInt16LE(VERSION, 4);
+        writeCampos(central, 6, campos);
+        central.writeUInt32LE(offset, 42);
+
+        partes.push(local, nombreBytes, comprimidos);
+        directorio.push(central, nombreBytes);
+        offset += local.length + nombreBytes.length + comprimidos.length;
+    }
+
+    const tamanoDirectorio = directorio.reduce((total, parte) => total + parte.length, 0);
+    const fin = Buffer.alloc(22);
+    fin.writeUInt32LE(FIRMA_FIN, 0);
+    fin.writeUInt16LE(archivos.length, 8);
+    fin.writeUInt16LE(archivos.length, 10);
+    fin.writeUInt32LE(tamanoDirectorio, 12);
+    fin.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...partes, ...directorio, fin]);
+};
+
+module.exports = { createZip };
@@ -0,0 +1,163 @@
+// src/webhooks/despachador.js
+// Envía las entregas de webhooks pendientes y reintenta las fallidas
+//
+// Cada `intervaloMs` reclama un lote de entregas vencidas y las envía una a
+// una. Reclamar una entrega aplaza su `proximo_intento` con un UPDATE
+// condicionado, así que varias instancias de la API pueden despachar a la vez
+// sin enviar dos veces la misma; si el proceso muere a mitad de un envío, la
+// entrega vuelve a la cola cuando vence ese aplazamiento. Una respuesta 2xx es
+// un éxito; cualquier otra, un error de red o un timeout se reintentan con
+// espera exponencial hasta `maxIntentos`, y entonces la entrega queda fallida.
+// Una url que ahora resuelve a una dirección interna cuenta como un fallo más.
+// Al cerrar, stop() puede cortar los envíos en curso: esas entregas y las que
+// quedaban del lote vuelven a la cola sin contar el intento.
+//
+// Los envíos usan http.request en lugar de fetch para poder fijar la conexión a
+// las direcciones comprobadas (ver pinnedLookup en ./destinos).
+
+const http = require('http');
+const https = require('https');
+
+const { signatureHeader, retryDelay } = require('./index');
+const { resolveDestination, pinnedLookup } = require('./destinos');
+const { MensajeError } = require('../i18n');
+const { version } = require('../../package.json');
+
+// Entregas que se reclaman por ciclo y longitud máxima del error guardado
+const LOTE = 20;
+const MAX_ERROR = 500;
+
+// POST sin seguir redirecciones; resuelve con el status al recibir la respuesta.
+// Si `signal` se aborta, rechaza con su motivo (TimeoutError con AbortSignal.timeout).
+const post = (url, { headers, body, signal, lookup }) => new Promise((resolve, reject) => {
+    const destino = new URL(url);
+    const cliente = destino.protocol === 'https:' ? https : http;
+
+    const peticion = cliente.request(destino, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal
+    }, (respuesta) => {
+        // El cuerpo de la respuesta no se usa; se descarta para liberar la conexión
+        respuesta.resume();
+        resolve(respuesta.statusCode);
+    });
+    peticion.on('error', error => reject(signal.aborted ? signal.reason : error));
+    peticion.end(body);
+});
+
+const createWebhookDispatcher = ({ repositories, config, logger = console, lookup }) => {
+    const { entregasWebhook } = repositories;
+    let timer = null;
+    let enCurso = null;
+    let cancelacion = new AbortController();
+
+    // El destino se vuelve a comprobar en cada envío (el DNS pudo cambiar desde
+    // el registro) y la conexión usa solo las direcciones comprobadas
+    const send = async (entrega, signal) => {
+        const { error, direcciones } = await resolveDestination(entrega.url, { permitirRedPrivada: config.permitirRedPrivada, lookup });
+        if (error) {
+            throw new MensajeError(error);
+        }
+
+        return post(entrega.url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': `turismo-webhooks/${version}`,
+                'X-Webhook-Evento': entrega.evento,
+                'X-Webhook-Id': entrega.evento_id,
+                'X-Webhook-Entrega': String(entrega.id),
+                'X-Webhook-Firma': signatureHeader(entrega.secreto, entrega.cuerpo)
+            },
+            body: entrega.cuerpo,
+            signal: AbortSignal.any([AbortSignal.timeout(config.timeoutMs), signal]),
+            lookup: direcciones ? pinnedLookup(direcciones) : undefined
+        });
+    };
+
+    // Envía una entrega reclamada y guarda el resultado; devuelve si se entregó
+    const deliver = async (entrega, signal = cancelacion.signal) => {
+        let status = null;
+        let error;
+        try {
+            status = await send(entrega, signal);
+            if (status >= 200 && status < 300) {
+                await entregasWebhook.markDelivered(entrega.id, { status });
+                return true;
+            }
+            error = `Respuesta HTTP ${status}`;
+        } catch (fallo) {
+            if (signal.aborted) {
+                await entregasWebhook.release([entrega.id]);
+                return false;
+            }
+            error = fallo.name === 'TimeoutError' ? `Sin respuesta en ${config.timeoutMs} ms` : fallo.cause?.message || fallo.message;
+        }
+
+        const intentos = entrega.intentos + 1;
+        const proximoIntento = intentos >= config.maxIntentos ? null : new Date(Date.now() + retryDelay(intentos, config));
+        await entregasWebhook.markFailed(entrega.id, { status, error: String(error).slice(0, MAX_ERROR), proximoIntento });
+
+        if (!proximoIntento) {
+            logger.warn('Entrega de webhook fallida definitivamente', { entrega_id: entrega.id, webhook_id: entrega.webhook_id, intentos, error });
+        }
+        return false;
+    };
+
+    // Despacha un lote de entregas vencidas; devuelve cuántas se intentaron. El
+    // aplazamiento cubre el lote completo aunque todos los envíos agoten el timeout.
+    const runOnce = async () => {
+        const { signal } = cancelacion;
+        const entregas = await entregasWebhook.claimDue({ limite: LOTE, bloqueoMs: config.timeoutMs * (LOTE + 1) });
+        for (const [i, entrega] of entregas.entries()) {
+            if (signal.aborted) {
+                await entregasWebhook.release(entregas.slice(i).map(e => e.id));
+                break;
+            }
+            await deliver(entrega, signal);
+        }
+        return entregas.length;
+    };
+
+    // Un ciclo no empieza si el anterior sigue en curso
+    const tick = () => {
+        if (enCurso) {
+            return;
+        }
+        enCurso = runOnce()
+            .catch(error => logger.error('Error al despachar webhooks', error))
+            .finally(() => {
+                enCurso = null;
+            });
+    };
+
+    const start = () => {
+        if (!timer) {
+            if (cancelacion.signal.aborted) {
+                cancelacion = new AbortController();
+            }
+            timer = setInterval(tick, config.intervaloMs);
+            timer.unref();
+            tick();
+        }
+    };
+
+    // Deja de reclamar entregas y espera a que termine el lote en curso; pasados
+    // `plazoMs` corta los envíos y devuelve a la cola lo que no se envió
+    const stop = async ({ plazoMs = null } = {}) => {
+        clearInterval(timer);
+        timer = null;
+
+        const corte = plazoMs === null ? null : setTimeout(() => cancelacion.abort(), plazoMs);
+        try {
+            await enCurso;
+        } finally {
+            clearTimeout(corte);
+        }
+    };
+
+    return { start, stop, runOnce, deliver };
+};
+
+module.exports = { createWebhookDispatcher };
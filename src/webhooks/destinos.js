@@ -0,0 +1,103 @@
+// src/webhooks/destinos.js
+// Comprueba que la url de un webhook apunte a un servidor público
+//
+// Un administrador de negocio elige a dónde se envían los eventos firmados, así
+// que sin esta comprobación podría hacer que la API llame a servicios internos
+// (localhost, la red privada o el endpoint de metadatos de la nube). El nombre
+// se resuelve al registrar la url y otra vez antes de cada entrega, porque el
+// DNS puede cambiar después del registro. La entrega se conecta a las
+// direcciones comprobadas (pinnedLookup) y no vuelve a resolver el nombre, para
+// que un DNS que cambia entre la comprobación y la conexión (DNS rebinding) no
+// la desvíe. WEBHOOKS_PERMITIR_RED_PRIVADA=true desactiva la comprobación para
+// probar con un receptor local.
+
+const dns = require('dns');
+const net = require('net');
+
+// Rangos que no son direcciones públicas de Internet
+const BLOQUEADAS = new net.BlockList();
+for (const [red, prefijo] of [
+    ['0.0.0.0', 8], // "esta" red
+    ['10.0.0.0', 8], // privada
+    ['100.64.0.0', 10], // CGNAT
+    ['127.0.0.0', 8], // loopback
+    ['169.254.0.0', 16], // link-local y metadatos de la nube
+    ['172.16.0.0', 12], // privada
+    ['192.0.0.0', 24], // asignaciones del protocolo IETF
+    ['192.168.0.0', 16], // privada
+    ['198.18.0.0', 15], // pruebas de rendimiento
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4] // reservada y broadcast
+]) {
+    BLOQUEADAS.addSubnet(red, prefijo, 'ipv4');
+}
+for (const [red, prefijo] of [
+    ['::', 96], // no especificada, loopback e IPv4 compatible (::a.b.c.d)
+    ['::ffff:0:0:0', 96], // IPv4 traducida (SIIT)
+    ['64:ff9b::', 96], // NAT64
+    ['2001::', 32], // Teredo, con una IPv4 incrustada
+    ['2002::', 16], // 6to4, con una IPv4 incrustada
+    ['fc00::', 7], // única local (incluye los metadatos de AWS por IPv6)
+    ['fe80::', 10], // link-local
+    ['ff00::', 8] // multicast
+]) {
+    BLOQUEADAS.addSubnet(red, prefijo, 'ipv6');
+}
+
+// Una IPv6 con una IPv4 incrustada (::ffff:a.b.c.d) se evalúa como esa IPv4
+const isBlocked = (address) => {
+    const mapeada = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapeada) {
+        return BLOQUEADAS.check(mapeada[1], 'ipv4');
+    }
+    return BLOQUEADAS.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resuelve el host de la url: { error } con el código del motivo por el que no
+// se puede usar, o { direcciones } ya comprobadas (null con permitirRedPrivada).
+// WEBHOOK_DESTINO_NO_RESUELTO si el nombre no resuelve y
+// WEBHOOK_DESTINO_NO_PERMITIDO si alguna de sus direcciones no es pública
+const resolveDestination = async (url, { permitirRedPrivada = false, lookup = dns.promises.lookup } = {}) => {
+    if (permitirRedPrivada) {
+        return { error: null, direcciones: null };
+    }
+
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let direcciones;
+    try {
+        direcciones = await lookup(host, { all: true, verbatim: true });
+    } catch {
+        return { error: 'WEBHOOK_DESTINO_NO_RESUELTO' };
+    }
+
+    if (direcciones.length === 0) {
+        return { error: 'WEBHOOK_DESTINO_NO_RESUELTO' };
+    }
+    if (direcciones.some(({ address }) => isBlocked(address))) {
+        return { error: 'WEBHOOK_DESTINO_NO_PERMITIDO' };
+    }
+    return { error: null, direcciones };
+};
+
+// Devuelve null si la url se puede usar, o el código del motivo por el que no
+const checkDestination = async (url, opciones) => (await resolveDestination(url, opciones)).error;
+
+// `lookup` para http.request que responde siempre con las direcciones ya
+// comprobadas, en lugar de volver a consultar el DNS
+const pinnedLookup = (direcciones) => (hostname, opciones, callback) => {
+    if (typeof opciones === 'function') {
+        callback = opciones;
+        opciones = {};
+    }
+
+    const candidatas = opciones.family ? direcciones.filter(({ family }) => family === opciones.family) : direcciones;
+    if (candidatas.length === 0) {
+        return callback(Object.assign(new Error(`Sin direcciones IPv${opciones.family} comprobadas para ${hostname}`), { code: 'ENOTFOUND' }));
+    }
+    if (opciones.all) {
+        return callback(null, candidatas);
+    }
+    callback(null, candidatas[0].address, candidatas[0].family);
+};
+
+module.exports = { checkDestination, resolveDestination, pinnedLookup, isBlocked };
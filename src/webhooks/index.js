@@ -0,0 +1,113 @@
+// src/webhooks/index.js
+// Webhooks salientes: catálogo de eventos, firma de las entregas y encolado
+//
+// Emitir un evento no hace ninguna petición HTTP: inserta una entrega en
+// entregas_webhook por cada webhook suscrito, y el despachador
+// (src/webhooks/despachador.js) las envía y reintenta. Para que la entrega
+// sea atómica con el cambio que la provoca, pasar los repositorios de la
+// transacción. Como en la auditoría, un fallo al encolar se registra pero
+// no interrumpe la acción.
+//
+// Cada entrega lleva la cabecera X-Webhook-Firma: `t=<segundos>,v1=<hex>`,
+// donde v1 es el HMAC-SHA256 de `<t>.<cuerpo>` con el secreto del webhook.
+
+const crypto = require('crypto');
+
+const EVENTOS_WEBHOOK = {
+    'resena.creada': 'Un turista publicó una reseña del negocio',
+    'negocio.actualizado': 'Se editaron los datos o el horario del negocio',
+    'admin.creado': 'Se creó un administrador para el negocio',
+    'reserva.creada': 'Un turista solicitó una reserva',
+    'reserva.actualizada': 'Una reserva cambió de estado'
+};
+
+// Evento de prueba; solo se envía al webhook que lo pide
+const EVENTO_PRUEBA = 'ping';
+
+// Antigüedad máxima de la firma que acepta verifySignature
+const TOLERANCIA_FIRMA_SEG = 5 * 60;
+
+const createSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const sign = (secreto, timestamp, cuerpo) => crypto.createHmac('sha256', secreto)
+    .update(`${timestamp}.${cuerpo}`)
+    .digest('hex');
+
+const signatureHeader = (secreto, cuerpo, ahora = Date.now()) => {
+    const timestamp = Math.floor(ahora / 1000);
+    return `t=${timestamp},v1=${sign(secreto, timestamp, cuerpo)}`;
+};
+
+// Comprueba la cabecera X-Webhook-Firma de una entrega; la usan los receptores
+const verifySignature = (secreto, cuerpo, cabecera, { toleranciaSeg = TOLERANCIA_FIRMA_SEG, ahora = Date.now() } = {}) => {
+    const partes = Object.fromEntries(String(cabecera || '').split(',').map(parte => parte.trim().split('=')));
+    const timestamp = parseInt(partes.t);
+    if (!Number.isInteger(timestamp) || !partes.v1 || Math.abs(ahora / 1000 - timestamp) > toleranciaSeg) {
+        return false;
+    }
+
+    const esperada = Buffer.from(sign(secreto, timestamp, cuerpo), 'hex');
+    const recibida = Buffer.from(partes.v1, 'hex');
+    return recibida.length === esperada.length && crypto.timingSafeEqual(recibida, esperada);
+};
+
+// Espera antes del siguiente intento tras `intentos` fallidos: base, 2×base, 4×base... hasta `reintentoMaxMs`
+const retryDelay = (intentos, { reintentoBaseMs, reintentoMaxMs }) =>
+    Math.min(reintentoBaseMs * 2 ** (intentos - 1), reintentoMaxMs);
+
+const buildCuerpo = ({ evento_id, evento, negocio_id, datos }) => JSON.stringify({
+    id: evento_id,
+    evento,
+    fecha: new Date().toISOString(),
+    negocio_id: negocio_id === null || negocio_id === undefined ? null : Number(negocio_id),
+    datos
+});
+
+const createWebhooks = ({ repositories, logger = console }) => {
+    // Encola `evento` para los webhooks activos suscritos del negocio y los de
+    // la plataforma; devuelve cuántas entregas se encolaron
+    const emit = async (evento, { negocio_id = null, datos }, repos = repositories, log = logger) => {
+        try {
+            const suscritos = await repos.webhooks.listSubscribed(evento, negocio_id);
+            if (suscritos.length === 0) {
+                return 0;
+            }
+
+            const evento_id = crypto.randomUUID();
+            const cuerpo = buildCuerpo({ evento_id, evento, negocio_id, datos });
+            for (const webhook of suscritos) {
+                await repos.entregasWebhook.enqueue({ webhook_id: webhook.id, evento, evento_id, cuerpo });
+            }
+            return suscritos.length;
+        } catch (error) {
+            log.error('Error al encolar evento de webhook', error);
+            return 0;
+        }
+    };
+
+    // Atajo para handlers de Express: registra los errores con el log de la petición
+    const fromRequest = (req, evento, payload, repos) => emit(evento, payload, repos, req.log);
+
+    // Encola un evento de prueba solo para `webhook`; devuelve el id de la entrega
+    const ping = (webhook, repos = repositories) => {
+        const evento_id = crypto.randomUUID();
+        return repos.entregasWebhook.enqueue({
+            webhook_id: webhook.id,
+            evento: EVENTO_PRUEBA,
+            evento_id,
+            cuerpo: buildCuerpo({ evento_id, evento: EVENTO_PRUEBA, negocio_id: webhook.negocio_id, datos: { webhook_id: webhook.id } })
+        });
+    };
+
+    return { emit, fromRequest, ping };
+};
+
+module.exports = {
+    EVENTOS_WEBHOOK,
+    EVENTO_PRUEBA,
+    createSecret,
+    signatureHeader,
+    verifySignature,
+    retryDelay,
+    createWebhooks
+};
@@ -0,0 +1,198 @@
+// test/app.test.js
+// Pruebas de humo de la API completa sobre los repositorios en memoria
+//
+// Cada prueba levanta la aplicación en un puerto libre y le hace peticiones
+// HTTP reales, sin base de datos ni variables de entorno.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+const { createApp } = require('../src/app');
+const { loadConfig } = require('../src/config');
+const { createMailer } = require('../src/mailer');
+const { createMemoryRepositories } = require('../src/repositories');
+const mensajesFr = require('../src/i18n/mensajes/fr');
+
+const PASSWORD = 'secreto1';
+const hash = bcrypt.hashSync(PASSWORD, 4);
+
+const datosIniciales = () => ({
+    negocios: [
+        { nombre: 'Restaurante', email: 'restaurante@ejemplo.com', categoria: 'restaurante', estado: 'activo' },
+        { nombre: 'Hotel', email: 'hotel@ejemplo.com', categoria: 'hotel', estado: 'suspendido' },
+        { nombre: 'Tienda', email: 'tienda@ejemplo.com', categoria: 'tienda', estado: 'activo', fecha_eliminacion: new Date() }
+    ],
+    administradores_negocios: [
+        { nombre: 'Ana', apellido: 'Ruiz', email: 'ana@ejemplo.com', password_hash: hash, verificado: 1 },
+        { nombre: 'Luis', apellido: 'Soto', email: 'luis@ejemplo.com', password_hash: hash, verificado: 1, estado: 'suspendido' },
+        { nombre: 'Marta', apellido: 'Vela', email: 'marta@ejemplo.com', password_hash: hash, verificado: 1 }
+    ],
+    miembros_negocio: [
+        { negocio_id: 1, admin_id: 1, rol: 'propietario' },
+        { negocio_id: 1, admin_id: 2, rol: 'propietario' }
+    ],
+    turistas: [{ nombre: 'Eva', apellido: 'Mora', email: 'eva@ejemplo.com', password_hash: hash, verificado: 1 }],
+    super_administradores: [{ usuario: 'raiz', email: 'raiz@ejemplo.com', nombre: 'Raíz', password_hash: hash }]
+});
+
+// Levanta la aplicación, ejecuta `prueba` con un cliente HTTP y la cierra al terminar
+const conApp = async (prueba, datos = datosIniciales()) => {
+    const correos = [];
+    const repositories = createMemoryRepositories({ datos });
+    const app = createApp({
+        repositories,
+        config: loadConfig({ LOG_LEVEL: 'error' }),
+        mailer: createMailer({ transport: { send: async (correo) => { correos.push(correo); } }, from: 'test@ejemplo.com' })
+    });
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { body, token, idioma } = {}) => {
+        const headers = {};
+        if (token) {
+            headers.authorization = `Bearer ${token}`;
+        }
+        if (idioma) {
+            headers['accept-language'] = idioma;
+        }
+        if (body) {
+            headers['content-type'] = 'application/json';
+        }
+        const res = await fetch(base + path, { method, headers, body: body && JSON.stringify(body) });
+        return { status: res.status, body: await res.json() };
+    };
+
+    const login = async (tipo, email) => {
+        const res = await request('POST', `/api/auth/${tipo}/login`, { body: { email, password: PASSWORD } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        return res.body.data.token;
+    };
+
+    try {
+        await prueba({ request, login, correos, repositories });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+};
+
+test('la comprobación de salud responde sin base de datos', () => conApp(async ({ request }) => {
+    const res = await request('GET', '/api/health/live');
+    assert.equal(res.status, 200);
+}));
+
+test('las rutas protegidas piden token y los mensajes siguen Accept-Language', () => conApp(async ({ request }) => {
+    const res = await request('GET', '/api/turista/perfil', { idioma: 'en' });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.success, false);
+    assert.match(res.body.message, /token/i);
+
+    const login = await request('POST', '/api/auth/turista/login', { body: { email: 'eva@ejemplo.com', password: 'incorrecta' }, idioma: 'fr' });
+    assert.equal(login.status, 401);
+    assert.equal(login.body.code, 'CREDENCIALES_INVALIDAS');
+    assert.equal(login.body.message, mensajesFr.CREDENCIALES_INVALIDAS);
+}));
+
+test('un turista se registra, verifica su email e inicia sesión', () => conApp(async ({ request, correos }) => {
+    const registro = await request('POST', '/api/auth/turista/register', {
+        body: { nombre: 'Raúl', apellido: 'Gil', email: 'raul@ejemplo.com', password: PASSWORD }
+    });
+    assert.equal(registro.status, 201);
+    assert.equal(correos.length, 1);
+    assert.equal(correos[0].to, 'raul@ejemplo.com');
+
+    const sinToken = await request('POST', '/api/auth/verificar-email', { body: {}, idioma: 'fr' });
+    assert.equal(sinToken.status, 400);
+    assert.equal(sinToken.body.errors[0].code, 'CAMPO_REQUERIDO');
+
+    const token = decodeURIComponent(correos[0].text.match(/token=([^\s]+)/)[1]);
+    const verificacion = await request('POST', '/api/auth/verificar-email', { body: { token } });
+    assert.equal(verificacion.status, 200);
+
+    const login = await request('POST', '/api/auth/turista/login', { body: { email: 'raul@ejemplo.com', password: PASSWORD } });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.data.token);
+}));
+
+test('solo se reseñan negocios activos y no eliminados', () => conApp(async ({ request, login }) => {
+    const token = await login('turista', 'eva@ejemplo.com');
+    const resenar = negocioId => request('POST', '/api/resenas', {
+        token,
+        body: { negocio_id: negocioId, calificacion: 4, comentario: 'Buen servicio y buena atención' }
+    });
+
+    assert.equal((await resenar(1)).status, 201);
+    for (const negocioId of [2, 3, 99]) {
+        const res = await resenar(negocioId);
+        assert.equal(res.status, 404, `negocio ${negocioId}`);
+        assert.equal(res.body.code, 'NEGOCIO_NO_ENCONTRADO');
+    }
+}));
+
+test('añadir un miembro por email no revela si la cuenta existe', () => conApp(async ({ request, login }) => {
+    const token = await login('admin', 'ana@ejemplo.com');
+
+    const desconocido = await request('POST', '/api/negocios/1/miembros', { token, body: { email: 'nadie@ejemplo.com', rol: 'editor' } });
+    assert.equal(desconocido.status, 202);
+    assert.equal(desconocido.body.code, 'MIEMBRO_AGREGADO');
+    assert.deepEqual(desconocido.body.data, { email: 'nadie@ejemplo.com', rol: 'editor' });
+
+    const agregar = () => request('POST', '/api/negocios/1/miembros', { token, body: { email: 'marta@ejemplo.com', rol: 'editor' } });
+    const existente = await agregar();
+    const repetido = await agregar();
+    const sinEmail = ({ status, body }) => ({ status, body: { ...body, data: { ...body.data, email: null } } });
+    assert.deepEqual(sinEmail(existente), sinEmail(desconocido));
+    assert.deepEqual(sinEmail(repetido), sinEmail(desconocido));
+}));
+
+test('un propietario suspendido no cuenta para conservar el negocio con propietario', () => conApp(async ({ request, login }) => {
+    const token = await login('admin', 'ana@ejemplo.com');
+
+    const degradar = await request('PUT', '/api/negocios/1/miembros/1', { token, body: { rol: 'editor' } });
+    assert.equal(degradar.status, 400);
+    assert.equal(degradar.body.code, 'ULTIMO_PROPIETARIO');
+
+    const quitarSuspendido = await request('DELETE', '/api/negocios/1/miembros/2', { token });
+    assert.equal(quitarSuspendido.status, 200);
+}));
+
+test('el filtro por horario recorre los negocios por lotes con un máximo por petición', () => conApp(async ({ request }) => {
+    const primera = await request('GET', '/api/negocios?abierto_ahora=true&limite=2');
+    assert.equal(primera.status, 200);
+    assert.deepEqual(primera.body.data.map(negocio => negocio.id), [1100, 1090]);
+    assert.equal(primera.body.meta.total, null);
+    assert.ok(primera.body.meta.siguiente_cursor);
+
+    // El tercer negocio abierto queda más allá de los revisados en la primera petición
+    const segunda = await request('GET', `/api/negocios?abierto_ahora=true&limite=2&cursor=${primera.body.meta.siguiente_cursor}`);
+    assert.deepEqual(segunda.body.data.map(negocio => negocio.id), [1]);
+    assert.equal(segunda.body.meta.siguiente_cursor, null);
+}, {
+    negocios: Array.from({ length: 1100 }, (_, i) => ({
+        nombre: `Negocio ${i + 1}`,
+        email: `negocio${i + 1}@ejemplo.com`,
+        categoria: 'tienda',
+        estado: 'activo',
+        ...([1, 1090, 1100].includes(i + 1) ? { horario_apertura: '00:00', horario_cierre: '24:00' } : {})
+    }))
+}));
+
+test('editar un negocio valida sus campos y responde 404 si no existe, sin auditar', () => conApp(async ({ request, login, repositories }) => {
+    const token = await login('admin', 'ana@ejemplo.com');
+
+    const latitud = await request('PUT', '/api/negocios/1', { token, body: { latitud: 120, horario_apertura: '9h' } });
+    assert.equal(latitud.status, 400);
+    assert.deepEqual(latitud.body.errors.map(error => error.code), ['LATITUD_INVALIDA', 'CAMPO_HORA']);
+
+    const editar = await request('PUT', '/api/negocios/1', { token, body: { telefono: '5551234567', latitud: 19.4 } });
+    assert.equal(editar.status, 200);
+
+    const superAdmin = await request('POST', '/api/auth/super-admin/login', { body: { usuario: 'raiz', password: PASSWORD } });
+    const inexistente = await request('PUT', '/api/negocios/99', { token: superAdmin.body.data.token, body: { telefono: '5551234567' } });
+    assert.equal(inexistente.status, 404);
+    assert.equal(inexistente.body.code, 'NEGOCIO_NO_ENCONTRADO');
+    assert.deepEqual(repositories.db.tablas.auditoria.filter(entrada => entrada.accion === 'negocio.actualizar').map(entrada => String(entrada.entidad_id)), ['1']);
+
+    const idInvalido = await request('PUT', '/api/negocios/abc', { token: superAdmin.body.data.token, body: {} });
+    assert.equal(idInvalido.status, 400);
+}));
@@ -0,0 +1,16 @@
+// test/config.test.js
+// Validación de las variables de entorno al cargar la configuración
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadConfig, ConfigError } = require('../src/config');
+
+test('el peso previo de las calificaciones debe ser mayor que 0', () => {
+    assert.equal(loadConfig({ CALIFICACION_PESO_PREVIO: '0.5' }).calificaciones.pesoPrevio, 0.5);
+
+    for (const peso of ['0', '-1', 'cinco']) {
+        assert.throws(() => loadConfig({ CALIFICACION_PESO_PREVIO: peso }), (error) => error instanceof ConfigError &&
+            error.errores.some(mensaje => mensaje.startsWith('CALIFICACION_PESO_PREVIO:')), peso);
+    }
+});
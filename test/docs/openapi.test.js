@@ -0,0 +1,50 @@
+// test/docs/openapi.test.js
+// Cada ruta registrada debe tener su entrada en src/docs/rutas.js y viceversa
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApp } = require('../../src/app');
+const { loadConfig } = require('../../src/config');
+const { createMemoryRepositories } = require('../../src/repositories');
+const catalogoRutas = require('../../src/docs/rutas');
+const { buildOpenApiSpec, checkCoverage, listRoutes } = require('../../src/docs/openapi');
+
+// Las rutas no dependen de la base de datos ni del entorno
+const app = createApp({ repositories: createMemoryRepositories(), config: loadConfig({}) });
+
+test('todas las rutas registradas están en el catálogo', () => {
+    const { sinDocumentar } = checkCoverage(app, catalogoRutas);
+    assert.deepEqual(sinDocumentar, []);
+});
+
+test('todas las entradas del catálogo corresponden a una ruta registrada', () => {
+    const { obsoletas } = checkCoverage(app, catalogoRutas);
+    assert.deepEqual(obsoletas, []);
+});
+
+test('las entradas del catálogo declaran grupo y resumen', () => {
+    for (const [clave, entrada] of Object.entries(catalogoRutas)) {
+        assert.ok(entrada.tag, `${clave} sin tag`);
+        assert.ok(entrada.resumen, `${clave} sin resumen`);
+    }
+});
+
+test('la especificación incluye cada ruta sin marcarla como no documentada', () => {
+    const spec = buildOpenApiSpec(app, { catalogo: catalogoRutas, info: { title: 'API', version: '0.0.0' } });
+
+    assert.ok(!spec.tags.some(tag => tag.name === 'Sin documentar'));
+    for (const route of listRoutes(app)) {
+        const path = route.path.replace(/:(\w+)/g, '{$1}');
+        assert.ok(spec.paths[path]?.[route.method.toLowerCase()], `${route.method} ${route.path} no está en la spec`);
+    }
+});
+
+test('checkCoverage detecta rutas sin documentar y entradas obsoletas', () => {
+    const { 'GET /api/turista/perfil': omitida, ...incompleto } = catalogoRutas;
+    const resultado = checkCoverage(app, { ...incompleto, 'GET /api/no-existe': { tag: 'X', resumen: 'X' } });
+
+    assert.ok(omitida);
+    assert.deepEqual(resultado.sinDocumentar, ['GET /api/turista/perfil']);
+    assert.deepEqual(resultado.obsoletas, ['GET /api/no-existe']);
+});
@@ -0,0 +1,69 @@
+// test/privacidad/anonimizar.test.js
+// Al anonimizar una cuenta se depuran sus datos personales en la auditoría
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAuditLog, DEPURADO } = require('../../src/auditoria');
+const { createPrivacidad } = require('../../src/privacidad');
+const { createMemoryRepositories } = require('../../src/repositories');
+
+const silencioso = { info() {}, warn() {}, error() {}, debug() {} };
+
+test('anonymize depura las entradas del turista y deja las demás intactas', async () => {
+    const repositories = createMemoryRepositories({ datos: {
+        turistas: [
+            { nombre: 'Eva', apellido: 'Mora', email: 'eva@ejemplo.com', password_hash: '!' },
+            { nombre: 'Raúl', apellido: 'Gil', email: 'raul@ejemplo.com', password_hash: '!' }
+        ]
+    } });
+    const auditLog = createAuditLog({ repositories, logger: silencioso });
+    const privacidad = createPrivacidad({ repositories, storage: null, auditLog, diasGracia: 0, logger: silencioso });
+    const peticion = { ip: '203.0.113.7', userAgent: 'Navegador/1.0' };
+
+    await auditLog.record({
+        ...peticion,
+        accion: 'auth.login_fallido',
+        entidad: 'turistas',
+        metadatos: { tipo: 'turista', identificador: 'EVA@ejemplo.com', motivo: 'cuenta_inexistente' }
+    });
+    await auditLog.record({
+        ...peticion,
+        actor: { tipo: 'turista', id: 1 },
+        accion: 'turista.actualizar_perfil',
+        entidad: 'turistas',
+        entidad_id: 1,
+        antes: { telefono: null },
+        despues: { telefono: '5551234567' }
+    });
+    await auditLog.record({
+        ip: '198.51.100.1',
+        actor: { tipo: 'super_admin', id: 1 },
+        accion: 'turista.solicitar_borrado',
+        entidad: 'turistas',
+        entidad_id: 1,
+        metadatos: { motivo: 'Petición por correo' }
+    });
+    await auditLog.record({
+        ...peticion,
+        actor: { tipo: 'turista', id: 2 },
+        accion: 'turista.actualizar_perfil',
+        entidad: 'turistas',
+        entidad_id: 2,
+        antes: { telefono: null },
+        despues: { telefono: '5559876543' }
+    });
+
+    assert.equal(await privacidad.anonymize(1), true);
+
+    const [loginFallido, perfil, admin, otroTurista, anonimizacion] = repositories.db.tablas.auditoria;
+    assert.deepEqual(loginFallido.metadatos, { tipo: 'turista', identificador: DEPURADO, motivo: 'cuenta_inexistente' });
+    assert.equal(loginFallido.ip, null);
+    assert.deepEqual(perfil.cambios, { telefono: { antes: DEPURADO, despues: DEPURADO } });
+    assert.equal(perfil.user_agent, null);
+    assert.equal(admin.ip, '198.51.100.1');
+    assert.deepEqual(admin.metadatos, { motivo: 'Petición por correo' });
+    assert.deepEqual(otroTurista.cambios, { telefono: { antes: null, despues: '5559876543' } });
+    assert.equal(otroTurista.ip, peticion.ip);
+    assert.equal(anonimizacion.accion, 'turista.anonimizar');
+});
@@ -0,0 +1,51 @@
+// test/webhooks/despachador.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const http = require('http');
+
+const { loadConfig } = require('../../src/config');
+const { createMemoryRepositories } = require('../../src/repositories');
+const { createWebhookDispatcher } = require('../../src/webhooks/despachador');
+
+const silencioso = { info() {}, warn() {}, error() {}, debug() {} };
+
+test('stop con plazo corta el envío en curso y devuelve las entregas a la cola', async () => {
+    // Receptor que nunca responde
+    const recibidas = [];
+    const receptor = http.createServer((req) => recibidas.push(req.headers['x-webhook-entrega']));
+    await new Promise(resolve => receptor.listen(0, '127.0.0.1', resolve));
+
+    const url = `http://127.0.0.1:${receptor.address().port}/hook`;
+    const repositories = createMemoryRepositories({ datos: {
+        webhooks: [{ url, secreto: 'secreto', eventos: '["negocio.actualizado"]', creado_por_tipo: 'super_admin', creado_por_id: 1 }]
+    } });
+    for (const evento_id of ['a', 'b']) {
+        await repositories.entregasWebhook.enqueue({ webhook_id: 1, evento: 'negocio.actualizado', evento_id, cuerpo: '{}' });
+    }
+
+    const config = loadConfig({ WEBHOOKS_INTERVALO: '1h', WEBHOOKS_PERMITIR_RED_PRIVADA: 'true' }).webhooks;
+    const despachador = createWebhookDispatcher({ repositories, config, logger: silencioso });
+
+    try {
+        despachador.start();
+        while (recibidas.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        const inicio = Date.now();
+        await despachador.stop({ plazoMs: 50 });
+        assert.ok(Date.now() - inicio < config.timeoutMs);
+
+        for (const entrega of repositories.db.tablas.entregas_webhook) {
+            assert.equal(entrega.estado, 'pendiente');
+            assert.equal(entrega.intentos, 0);
+            assert.ok(entrega.proximo_intento <= new Date());
+        }
+        assert.deepEqual(recibidas, ['1']);
+    } finally {
+        receptor.closeAllConnections();
+        await new Promise(resolve => receptor.close(resolve));
+    }
+});
@@ -0,0 +1,80 @@
+// test/webhooks/destinos.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const http = require('http');
+
+const { checkDestination, isBlocked, pinnedLookup } = require('../../src/webhooks/destinos');
+
+// Resolución simulada, para no depender del DNS
+const resuelve = (...direcciones) => async () => direcciones.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+test('isBlocked rechaza loopback, redes privadas, link-local y metadatos', () => {
+    for (const address of ['127.0.0.1', '10.2.3.4', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1', '::ffff:10.0.0.1',
+        '::7f00:1', '::ffff:0:7f00:1', '2002:7f00:1::', '2001:0:4136:e378::1']) {
+        assert.equal(isBlocked(address), true, address);
+    }
+});
+
+test('isBlocked acepta direcciones públicas', () => {
+    for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+        assert.equal(isBlocked(address), false, address);
+    }
+});
+
+test('checkDestination rechaza el host si alguna de sus direcciones es interna', async () => {
+    assert.equal(await checkDestination('https://ejemplo.com/hook', { lookup: resuelve('93.184.216.34') }), null);
+    assert.equal(await checkDestination('https://ejemplo.com/hook', { lookup: resuelve('93.184.216.34', '10.0.0.1') }),
+        'WEBHOOK_DESTINO_NO_PERMITIDO');
+});
+
+test('checkDestination evalúa las IP literales, también en notaciones alternativas', async () => {
+    for (const url of ['http://169.254.169.254/latest', 'https://127.0.0.1', 'http://[::1]/', 'http://0x7f000001/', 'http://2130706433/',
+        'http://[::127.0.0.1]/', 'http://[2002:7f00:1::]/']) {
+        assert.equal(await checkDestination(url), 'WEBHOOK_DESTINO_NO_PERMITIDO', url);
+    }
+});
+
+test('checkDestination informa de los hosts que no resuelven', async () => {
+    const falla = async () => {
+        throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+    };
+    assert.equal(await checkDestination('https://no-existe.invalid', { lookup: falla }), 'WEBHOOK_DESTINO_NO_RESUELTO');
+});
+
+test('checkDestination no comprueba nada con permitirRedPrivada', async () => {
+    assert.equal(await checkDestination('http://127.0.0.1:4000', { permitirRedPrivada: true }), null);
+});
+
+test('pinnedLookup conecta a la dirección comprobada sin volver a consultar el DNS', async () => {
+    const receptor = http.createServer((req, res) => res.end(req.headers.host)).listen(0, '127.0.0.1');
+    await new Promise(resolve => receptor.once('listening', resolve));
+    const { port } = receptor.address();
+
+    try {
+        const host = await new Promise((resolve, reject) => {
+            http.get(`http://webhooks.invalid:${port}/`, { lookup: pinnedLookup([{ address: '127.0.0.1', family: 4 }]) }, (res) => {
+                let cuerpo = '';
+                res.on('data', parte => { cuerpo += parte; });
+                res.on('end', () => resolve(cuerpo));
+            }).on('error', reject);
+        });
+        assert.equal(host, `webhooks.invalid:${port}`);
+    } finally {
+        receptor.close();
+    }
+});
+
+test('pinnedLookup no ofrece direcciones de otra familia', () => {
+    const lookup = pinnedLookup([{ address: '93.184.216.34', family: 4 }]);
+
+    lookup('ejemplo.com', { all: true }, (error, direcciones) => {
+        assert.equal(error, null);
+        assert.deepEqual(direcciones, [{ address: '93.184.216.34', family: 4 }]);
+    });
+    lookup('ejemplo.com', { family: 6 }, (error) => {
+        assert.equal(error.code, 'ENOTFOUND');
+    });
+});